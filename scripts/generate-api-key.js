@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/**
+ * API Key Generator
+ *
+ * Generates a random API key and prints the hashed record to add to the
+ * AUTH_API_KEYS_PATH file. With --save the record is written to the cache
+ * backend instead (AUTH_API_KEY_STORE=cache).
+ *
+ * Usage:
+ *   npm run apikey:generate -- <name> <role> [route ...] [--expires 2026-01-01] [--save]
+ *   node scripts/generate-api-key.js nightly-batch user "GET /weather/*"
+ */
+
+import ApiKeyVerifier from '../src/infrastructure/auth/ApiKeyVerifier.js';
+
+const args = process.argv.slice(2);
+const save = args.includes('--save');
+const expiresIndex = args.indexOf('--expires');
+const expiresAt =
+  expiresIndex === -1 ? null : new Date(args[expiresIndex + 1]).toISOString();
+const [name, role, ...routes] = args.filter(
+  (arg, index) =>
+    !arg.startsWith('--') && (expiresIndex === -1 || index !== expiresIndex + 1)
+);
+
+if (!name || !role) {
+  console.error(
+    'Usage: generate-api-key.js <name> <role> [route ...] [--expires <date>] [--save]'
+  );
+  process.exit(1);
+}
+
+const apiKey = ApiKeyVerifier.generateKey();
+const details = { name, role, routes: routes.length ? routes : ['*'], expiresAt };
+
+const record = save
+  ? await ApiKeyVerifier.save(apiKey, details)
+  : { ...details, hash: ApiKeyVerifier.hashKey(apiKey) };
+
+console.log(`API key (shown once): ${apiKey}`);
+console.log(JSON.stringify(record, null, 2));
+process.exit(0);
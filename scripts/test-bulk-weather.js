@@ -61,19 +61,19 @@ const TEST_CASES = {
       name: 'Missing cities array',
       payload: {},
       expectedStatus: 400,
-      expectedMessage: 'Cities array is required'
+      expectedType: 'BulkWeatherArrayNotProvidedError'
     },
     {
       name: 'Cities is not an array',
       payload: { cities: 'invalid-format' },
       expectedStatus: 400,
-      expectedMessage: 'Cities must be an array'
+      expectedType: 'BadRequest'
     },
     {
       name: 'Empty cities array',
       payload: { cities: [] },
       expectedStatus: 400,
-      expectedMessage: 'Cities array cannot be empty'
+      expectedType: 'NoCitiesProvidedError'
     },
     {
       name: 'Exceeds maximum cities (51)',
@@ -81,7 +81,7 @@ const TEST_CASES = {
         cities: Array(51).fill({ city: 'London', country: 'GB' })
       },
       expectedStatus: 400,
-      expectedMessage: 'Maximum 50 cities allowed'
+      expectedType: 'TooManyCitiesError'
     }
   ],
 
@@ -120,6 +120,16 @@ const TEST_CASES = {
         ]
       },
       expectedStatus: 200
+    },
+    {
+      name: 'Partial success with an invalid city entry',
+      payload: {
+        cities: [
+          { city: 'London', country: 'GB' },
+          { city: 'Paris', country: 'FRA' }
+        ]
+      },
+      expectedStatus: 207
     }
   ]
 };
@@ -167,20 +177,13 @@ async function runValidationTests() {
       failed++;
     } catch (error) {
       if (error.response && error.response.status === testCase.expectedStatus) {
-        const message = error.response.data?.message || '';
-        const hasExpectedMessage = message
-          .toLowerCase()
-          .includes(testCase.expectedMessage.toLowerCase());
-
-        if (hasExpectedMessage) {
-          logger.success(
-            `${testCase.name}: ✓ Status ${error.response.status}, Message: "${message}"`
-          );
+        const type = error.response.data?.error?.type || '';
+
+        if (type === testCase.expectedType) {
+          logger.success(`${testCase.name}: ✓ Status ${error.response.status}, Type: ${type}`);
           passed++;
         } else {
-          logger.warning(
-            `${testCase.name}: ⚠ Correct status but unexpected message: "${message}"`
-          );
+          logger.warning(`${testCase.name}: ⚠ Correct status but unexpected type: ${type}`);
           passed++; // Still count as passed for status
         }
       } else {
@@ -224,6 +227,11 @@ async function runSuccessTests() {
             `  Response format: ${data.success ? 'Success wrapper' : 'Direct data'}`
           );
         }
+        if (data?.errors?.length) {
+          data.errors.forEach(cityError =>
+            logger.warning(`  ${cityError.key}: ${cityError.status} - ${cityError.message}`)
+          );
+        }
 
         passed++;
       } else {
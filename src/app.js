@@ -1,28 +1,89 @@
-import express from 'express';
+import express, { Router } from 'express';
 
 import Config from './config/Config.js';
 import swaggerDocs from './config/swagger.js';
 import logger from './infrastructure/logger/logger.js';
+import apiVersion, {
+  negotiateApiVersion
+} from './infrastructure/middleware/apiVersion.js';
+import authenticate from './infrastructure/middleware/authenticate.js';
+import compressResponses from './infrastructure/middleware/compression.js';
 import corsMiddleware from './infrastructure/middleware/cors.js';
 import errorHandler from './infrastructure/middleware/errorHandler.js';
+import recordRequestMetrics, {
+  serveMetrics
+} from './infrastructure/middleware/metrics.js';
 // import configureHelmet from './infrastructure/middleware/helmet.js';
-import { rateLimiterMiddleware } from './infrastructure/middleware/ratelimit.js';
-import router from './interfaces/http/routes/index.js';
+import {
+  ipRateLimiterMiddleware,
+  rateLimiterMiddleware
+} from './infrastructure/middleware/ratelimit.js';
+import createApiRouter from './interfaces/http/routes/index.js';
+import {
+  loadCircuitBreakerSettings,
+  startSharedBreakerState
+} from './utils/CircuiteBreaker.js';
+import UrlUtils from './utils/UrlUtils.js';
 
 const app = express();
+const config = Config.getInstance();
+
+// Refuse to start with invalid circuit breaker settings
+loadCircuitBreakerSettings();
+// Trip and recover together with the other replicas when configured
+startSharedBreakerState();
+
+// Per-client rate limit tiers run after authentication so API key clients are
+// limited per key; the per-IP limit in front of everything also covers requests
+// that fail authentication
+const versionRouters = Object.fromEntries(
+  config.versioning.versions.map(version => {
+    const versionRouter = Router();
+    versionRouter.use(
+      apiVersion(version),
+      authenticate,
+      rateLimiterMiddleware,
+      createApiRouter(version)
+    );
+    return [version, versionRouter];
+  })
+);
 
 app.disable('x-powered-by');
+// Weather routes set strong ETags over the normalized payload (conditionalGet);
+// Express's weak ETags over the serialized body of every response stay off
 app.disable('etag');
+if (config.metrics.enabled) {
+  app.use(recordRequestMetrics);
+}
+app.use(compressResponses());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
 // configureHelmet(app);
 app.use(logger);
-app.use(rateLimiterMiddleware);
+app.use(ipRateLimiterMiddleware);
 app.use(corsMiddleware);
-app.use(`/${Config.getInstance().service.routePrefix}`, router);
-app.use(errorHandler);
+// Docs are mounted ahead of the API routers, whose catch-all would answer 404
 swaggerDocs(app);
+// Scraped by Prometheus from inside the deployment, outside the versioned API
+// (and its authentication and per-client rate limit tiers)
+if (config.metrics.enabled) {
+  app.get(config.metrics.path, serveMetrics);
+}
+// Each version is mounted under its own prefix (/api/v1, /api/v2); unversioned
+// paths (/api/...) are routed by the Accept-Version header
+Object.entries(versionRouters).forEach(([version, versionRouter]) => {
+  app.use(
+    `/${UrlUtils.withApiVersion(config.service.routePrefix, version)}`,
+    versionRouter
+  );
+});
+app.use(
+  `/${UrlUtils.getApiBasePath(config.service.routePrefix)}`,
+  negotiateApiVersion(versionRouters)
+);
+app.use(errorHandler);
 
 export default app;
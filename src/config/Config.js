@@ -28,6 +28,16 @@ export default class Config {
     };
   }
 
+  get openapi() {
+    const env = process.env.NODE_ENV || 'development';
+    return {
+      // Check responses against the documented schemas (defaults to on in development and test)
+      validateResponses: process.env.OPENAPI_VALIDATE_RESPONSES
+        ? process.env.OPENAPI_VALIDATE_RESPONSES === 'true'
+        : ['development', 'test'].includes(env)
+    };
+  }
+
   get service() {
     return {
       env: process.env.NODE_ENV || 'development',
@@ -45,6 +55,67 @@ export default class Config {
     };
   }
 
+  get versioning() {
+    return {
+      // Versions mounted side by side under the route prefix, e.g. /api/v1 and /api/v2
+      versions: (process.env.API_VERSIONS || 'v1,v2')
+        .split(',')
+        .map(version => version.trim())
+        .filter(Boolean),
+      // Version for unversioned paths (/api/...) sent without an Accept-Version header
+      defaultVersion: process.env.API_DEFAULT_VERSION || 'v1',
+      // Deprecation (RFC 9745) and Sunset (RFC 8594) headers by version
+      deprecations: {
+        v1: {
+          deprecatedAt: process.env.API_V1_DEPRECATED_AT || '2026-10-19T00:00:00Z',
+          sunsetAt: process.env.API_V1_SUNSET_AT || '2027-04-19T00:00:00Z',
+          link: process.env.API_V1_DEPRECATION_LINK || ''
+        }
+      }
+    };
+  }
+
+  get rateLimit() {
+    return {
+      // Route tiers, checked in order; unmatched routes use the service limits above
+      tiers: {
+        bulk: {
+          routes: ['POST /weather/bulk'],
+          points: parseInt(process.env.RATE_LIMIT_BULK_POINTS, 10) || 200,
+          duration: parseInt(process.env.RATE_LIMIT_BULK_WINDOW_S, 10) || 60,
+          blockDuration:
+            parseInt(process.env.RATE_LIMIT_BULK_BLOCK_DURATION_S, 10) || 60,
+          weighted: true // Each city in the request body costs one point
+        },
+        search: {
+          routes: ['GET /weather/search'],
+          points: parseInt(process.env.RATE_LIMIT_SEARCH_POINTS, 10) || 60,
+          duration: parseInt(process.env.RATE_LIMIT_SEARCH_WINDOW_S, 10) || 60,
+          blockDuration:
+            parseInt(process.env.RATE_LIMIT_SEARCH_BLOCK_DURATION_S, 10) || 60,
+          weighted: false
+        }
+      },
+      // Per-IP limit checked before authentication, so requests failing it (guessed
+      // API keys or tokens) are throttled as well; set above the per-client limits
+      // since several clients may share an address
+      ip: {
+        points: parseInt(process.env.RATE_LIMIT_IP_POINTS, 10) || 300,
+        duration: parseInt(process.env.RATE_LIMIT_IP_WINDOW_S, 10) || 60,
+        blockDuration: parseInt(process.env.RATE_LIMIT_IP_BLOCK_DURATION_S, 10) || 60
+      },
+      headers: {
+        legacy: process.env.RATE_LIMIT_LEGACY_HEADERS !== 'false', // X-RateLimit-*
+        standard: process.env.RATE_LIMIT_STANDARD_HEADERS === 'true' // RateLimit-Policy, RateLimit
+      },
+      // IPs, "user:<id>" or "apikey:<name>" entries that are never limited
+      allowlist: (process.env.RATE_LIMIT_ALLOWLIST || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+    };
+  }
+
   get client() {
     return {
       port: process.env.CLIENT_PORT,
@@ -61,7 +132,11 @@ export default class Config {
         name: process.env.WEATHER_SERVICE_NAME || 'weather',
         host: process.env.WEATHER_SERVICE_HOST,
         protocol: process.env.WEATHER_SERVICE_PROTOCOL,
-        routePrefix: process.env.WEATHER_SERVICE_ROUTE_PREFIX || 'api/v1'
+        routePrefix: process.env.WEATHER_SERVICE_ROUTE_PREFIX || 'api/v1',
+        // upstream: POST /bulk only, fanout: per-city calls only,
+        // auto: fan out when the upstream bulk call fails or its circuit is open
+        bulkMode: process.env.WEATHER_BULK_MODE || 'upstream',
+        bulkConcurrency: parseInt(process.env.WEATHER_BULK_CONCURRENCY, 10) || 5
       }
     };
   }
@@ -70,6 +145,37 @@ export default class Config {
     return {
       strategy: process.env.CACHE_STRATEGY || 'memory', // 'memory' or 'redis'
       defaultTtl: parseInt(process.env.CACHE_DEFAULT_TTL, 10) || 300000, // 5 minutes
+      // Share one upstream call between identical concurrent requests
+      coalesceRequests: process.env.CACHE_COALESCE_REQUESTS !== 'false',
+      responses: {
+        enabled: process.env.CACHE_RESPONSES_ENABLED !== 'false',
+        ttl: {
+          search: parseInt(process.env.CACHE_TTL_SEARCH, 10) || 3600000, // 1 hour
+          getWeatherByCity:
+            parseInt(process.env.CACHE_TTL_WEATHER_BY_CITY, 10) || 600000, // 10 minutes
+          getWeatherByCityName:
+            parseInt(process.env.CACHE_TTL_WEATHER_BY_CITY_NAME, 10) || 600000, // 10 minutes
+          getWeatherByCoordinates:
+            parseInt(process.env.CACHE_TTL_WEATHER_BY_COORDINATES, 10) || 600000, // 10 minutes
+          forecast: parseInt(process.env.CACHE_TTL_FORECAST, 10) || 1800000, // 30 minutes
+          history: parseInt(process.env.CACHE_TTL_HISTORY, 10) || 86400000 // 24 hours
+        },
+        // Serve expired entries while refreshing them in the background
+        staleWhileRevalidate: parseInt(
+          process.env.CACHE_STALE_WHILE_REVALIDATE ?? '60000', // 1 minute
+          10
+        ),
+        // Keep the last good response for upstream failures and open circuits
+        staleIfError: parseInt(
+          process.env.CACHE_STALE_IF_ERROR ?? '86400000', // 24 hours
+          10
+        ),
+        // Decimal places coordinates are rounded to before caching and proxying
+        coordinatePrecision: parseInt(
+          process.env.CACHE_COORDINATE_PRECISION ?? '2', // ~1.1 km
+          10
+        )
+      },
       redis: {
         host: process.env.REDIS_HOST || 'localhost',
         port: parseInt(process.env.REDIS_PORT, 10) || 6379,
@@ -83,6 +189,130 @@ export default class Config {
     };
   }
 
+  get circuitBreaker() {
+    return {
+      // Per-service and per-operation overrides of the options below
+      path: process.env.CIRCUIT_BREAKER_CONFIG_PATH, // JSON file
+      inline: process.env.CIRCUIT_BREAKER_CONFIG, // JSON, takes precedence over path
+      // Service defaults, keyed by service name; timeouts and windows in milliseconds
+      services: {
+        weather: {
+          // More lenient thresholds and longer reset for the external API
+          errorThresholdPercentage: parseInt(
+            process.env.CIRCUIT_BREAKER_WEATHER_ERROR_THRESHOLD ?? '60',
+            10
+          ),
+          timeout: parseInt(
+            process.env.CIRCUIT_BREAKER_WEATHER_TIMEOUT ?? '8000',
+            10
+          ),
+          resetTimeout: parseInt(
+            process.env.CIRCUIT_BREAKER_WEATHER_RESET_TIMEOUT ?? '30000',
+            10
+          ),
+          rollingCountTimeout: parseInt(
+            process.env.CIRCUIT_BREAKER_WEATHER_ROLLING_WINDOW ?? '60000',
+            10
+          ),
+          rollingCountBuckets: parseInt(
+            process.env.CIRCUIT_BREAKER_WEATHER_ROLLING_BUCKETS ?? '10',
+            10
+          ),
+          volumeThreshold: parseInt(
+            process.env.CIRCUIT_BREAKER_WEATHER_VOLUME_THRESHOLD ?? '10',
+            10
+          )
+        },
+        authentication: {
+          // Stricter for the critical service, with faster recovery
+          errorThresholdPercentage: parseInt(
+            process.env.CIRCUIT_BREAKER_AUTHENTICATION_ERROR_THRESHOLD ?? '90',
+            10
+          ),
+          timeout: parseInt(
+            process.env.CIRCUIT_BREAKER_AUTHENTICATION_TIMEOUT ?? '3000',
+            10
+          ),
+          resetTimeout: parseInt(
+            process.env.CIRCUIT_BREAKER_AUTHENTICATION_RESET_TIMEOUT ?? '15000',
+            10
+          ),
+          rollingCountTimeout: parseInt(
+            process.env.CIRCUIT_BREAKER_AUTHENTICATION_ROLLING_WINDOW ?? '30000',
+            10
+          ),
+          rollingCountBuckets: parseInt(
+            process.env.CIRCUIT_BREAKER_AUTHENTICATION_ROLLING_BUCKETS ?? '6',
+            10
+          ),
+          volumeThreshold: parseInt(
+            process.env.CIRCUIT_BREAKER_AUTHENTICATION_VOLUME_THRESHOLD ?? '5',
+            10
+          )
+        },
+        user: {
+          errorThresholdPercentage: parseInt(
+            process.env.CIRCUIT_BREAKER_USER_ERROR_THRESHOLD ?? '75',
+            10
+          ),
+          timeout: parseInt(process.env.CIRCUIT_BREAKER_USER_TIMEOUT ?? '4000', 10),
+          resetTimeout: parseInt(
+            process.env.CIRCUIT_BREAKER_USER_RESET_TIMEOUT ?? '20000',
+            10
+          ),
+          rollingCountTimeout: parseInt(
+            process.env.CIRCUIT_BREAKER_USER_ROLLING_WINDOW ?? '40000',
+            10
+          ),
+          rollingCountBuckets: parseInt(
+            process.env.CIRCUIT_BREAKER_USER_ROLLING_BUCKETS ?? '8',
+            10
+          ),
+          volumeThreshold: parseInt(
+            process.env.CIRCUIT_BREAKER_USER_VOLUME_THRESHOLD ?? '8',
+            10
+          )
+        }
+      },
+      // Share trips, recoveries and failure counts between replicas through Redis
+      sharedState: {
+        enabled: process.env.CIRCUIT_BREAKER_SHARED_STATE === 'true',
+        channel: process.env.CIRCUIT_BREAKER_SHARED_CHANNEL || 'circuit-breakers'
+      }
+    };
+  }
+
+  get auth() {
+    return {
+      enabled: process.env.AUTH_ENABLED === 'true',
+      jwt: {
+        algorithms: (process.env.AUTH_JWT_ALGORITHMS || 'HS256,RS256')
+          .split(',')
+          .map(algorithm => algorithm.trim())
+          .filter(Boolean),
+        secret: process.env.AUTH_JWT_SECRET,
+        publicKey: process.env.AUTH_JWT_PUBLIC_KEY, // PEM, "\n" escapes allowed
+        jwksPath: process.env.AUTH_JWKS_PATH, // Local JWKS file
+        issuer: process.env.AUTH_JWT_ISSUER,
+        audience: process.env.AUTH_JWT_AUDIENCE,
+        clockTolerance: parseInt(process.env.AUTH_JWT_CLOCK_TOLERANCE_S, 10) || 0
+      },
+      grants: {
+        path: process.env.AUTH_GRANTS_PATH, // JSON or YAML role -> grant matrix
+        inline: process.env.AUTH_GRANTS, // JSON matrix, takes precedence over path
+        defaultRole: process.env.AUTH_DEFAULT_ROLE || 'user' // For tokens without a role
+      },
+      apiKeys: {
+        enabled: process.env.AUTH_API_KEYS_ENABLED === 'true',
+        header: process.env.AUTH_API_KEY_HEADER || 'X-API-Key',
+        queryParam: process.env.AUTH_API_KEY_QUERY_PARAM ?? 'api_key', // Empty disables
+        store: process.env.AUTH_API_KEY_STORE || 'file', // file, cache
+        path: process.env.AUTH_API_KEYS_PATH, // JSON file of hashed key records
+        cachePrefix: process.env.AUTH_API_KEY_CACHE_PREFIX || 'apikey:'
+      }
+    };
+  }
+
   get logging() {
     return {
       level: process.env.LOG_LEVEL || 'info', // debug, info, warn, error
@@ -90,4 +320,44 @@ export default class Config {
       format: process.env.LOG_FORMAT || 'simple' // simple, json (for future extensibility)
     };
   }
+
+  get compression() {
+    return {
+      // Turn off behind a proxy that already compresses (nginx gzip)
+      enabled: process.env.COMPRESSION_ENABLED !== 'false',
+      // Responses smaller than this many bytes are sent as-is
+      threshold: parseInt(process.env.COMPRESSION_THRESHOLD ?? '1024', 10),
+      level: parseInt(process.env.COMPRESSION_GZIP_LEVEL ?? '6', 10), // 0-9
+      // 11 is the brotli default, but far too slow for dynamic responses
+      brotliQuality: parseInt(process.env.COMPRESSION_BROTLI_QUALITY ?? '4', 10) // 0-11
+    };
+  }
+
+  get events() {
+    return {
+      // This many failures of one breaker within the window (ms) are reported as a spike
+      errorSpikeThreshold: parseInt(
+        process.env.EVENTS_ERROR_SPIKE_THRESHOLD ?? '5',
+        10
+      ),
+      errorSpikeWindow: parseInt(
+        process.env.EVENTS_ERROR_SPIKE_WINDOW ?? '10000',
+        10
+      ),
+      // Comment sent to idle SSE clients so proxies keep the stream open, in ms
+      heartbeatInterval: parseInt(
+        process.env.EVENTS_HEARTBEAT_INTERVAL ?? '15000',
+        10
+      )
+    };
+  }
+
+  get metrics() {
+    return {
+      enabled: process.env.METRICS_ENABLED !== 'false',
+      path: process.env.METRICS_PATH || '/metrics',
+      // Node.js process metrics (CPU, memory, event loop lag, GC)
+      defaultMetrics: process.env.METRICS_DEFAULT_METRICS !== 'false'
+    };
+  }
 }
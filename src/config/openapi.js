@@ -0,0 +1,113 @@
+import ApiRegistry, { DEFAULT_API_VERSION } from '../interfaces/http/ApiRegistry.js';
+import UrlUtils from '../utils/UrlUtils.js';
+
+import Config from './Config.js';
+
+// Built documents by API version
+const specs = new Map();
+
+/**
+ * Copy a registered definition, replacing every nested use of a named schema
+ * with a `$ref` to its component
+ * @param {*} value - Operation, schema or part of one
+ * @param {Map<Object, string>} names - Component names by schema object
+ * @param {Object} [root] - Component being emitted, which is never replaced by its own ref
+ * @returns {*} - OpenAPI definition
+ */
+const withRefs = (value, names, root) => {
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (value !== root && names.has(value)) {
+    return { $ref: `#/components/schemas/${names.get(value)}` };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => withRefs(item, names));
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, withRefs(item, names)])
+  );
+};
+
+/**
+ * Build the server URL an API version is served under, e.g. "http://localhost:9000/api/v2"
+ * @param {Object} serviceConfig - Service configuration
+ * @param {string} version - API version
+ * @returns {string} - Server URL without a trailing slash
+ */
+export const getServerUrl = (serviceConfig, version) =>
+  UrlUtils.buildServiceBaseUrl(
+    {
+      ...serviceConfig,
+      routePrefix: UrlUtils.withApiVersion(serviceConfig.routePrefix, version)
+    },
+    false
+  ).replace(/\/$/, '');
+
+/**
+ * Build the OpenAPI document of an API version from the operations and
+ * schemas the routes register with ApiRegistry. The same definitions drive
+ * request validation and development response validation.
+ * @param {string} [version] - API version
+ * @returns {Object} - OpenAPI 3 document (built once per version and cached)
+ */
+export const getOpenApiSpec = (version = DEFAULT_API_VERSION) => {
+  if (!specs.has(version)) {
+    const config = Config.getInstance();
+    const schemas = ApiRegistry.getSchemas();
+    const names = new Map([...schemas].map(([name, schema]) => [schema, name]));
+
+    const paths = {};
+    ApiRegistry.getOperations(version).forEach(({ method, path, operation }) => {
+      // eslint-disable-next-line security/detect-object-injection
+      paths[path] = {
+        // eslint-disable-next-line security/detect-object-injection
+        ...paths[path],
+        [method.toLowerCase()]: withRefs(operation, names)
+      };
+    });
+
+    specs.set(version, {
+      openapi: '3.0.0',
+      info: {
+        title: `API Documentation | ${config.app.name} | ${config.service.env} Environment`,
+        version: config.service.version,
+        description: `API Documentation for ${config.app.name} (API ${version})`
+      },
+      servers: [
+        {
+          url: getServerUrl(config.service, version)
+        }
+      ],
+      paths,
+      components: {
+        securitySchemes: {
+          bearerAuth: {
+            type: 'http',
+            scheme: 'bearer',
+            bearerFormat: 'JWT'
+          }
+        },
+        schemas: Object.fromEntries(
+          [...schemas].map(([name, schema]) => [
+            name,
+            withRefs(schema, names, schema)
+          ])
+        )
+      },
+      security: [
+        {
+          bearerAuth: []
+        }
+      ]
+    });
+  }
+  return specs.get(version);
+};
+
+/**
+ * Drop the cached documents (useful for testing)
+ */
+export const resetOpenApiSpec = () => {
+  specs.clear();
+};
@@ -1,60 +1,37 @@
-import swaggerJsdoc from 'swagger-jsdoc';
+import yaml from 'js-yaml';
 import swaggerUi from 'swagger-ui-express';
 
+import ApiRegistry from '../interfaces/http/ApiRegistry.js';
 import UrlUtils from '../utils/UrlUtils.js';
 
 import Config from './Config.js';
+import { getOpenApiSpec } from './openapi.js';
 
-const config = Config.getInstance();
-
-const options = {
-  definition: {
-    openapi: '3.0.0',
-    info: {
-      title: `API Documentation | ${config.app.name} | ${config.service.env} Environment`,
-      version: config.service.version,
-      description: `API Documentation for ${config.app.name}`
-    },
-    components: {
-      securitySchemes: {
-        bearerAuth: {
-          type: config.service.env === 'development' ? 'http' : 'https',
-          scheme: 'bearer',
-          bearerFormat: 'JWT'
-        }
-      }
-    },
-    security: [
-      {
-        bearerAuth: []
-      }
-    ]
-  },
-  apis: ['./src/interfaces/http/routes/*.js'],
-  servers: [
-    {
-      url: UrlUtils.buildServiceBaseUrl(config.service, false)
-    }
-  ]
-};
-
-const swaggerSpec = swaggerJsdoc(options);
+/**
+ * Serve the docs UI and the raw OpenAPI document of every API version, e.g.
+ * /api/v1/docs, /api/v1/docs.json and /api/v1/docs.yaml
+ * @param {Object} app - Express app
+ */
 const swaggerDocs = app => {
-  app.use(
-    `/${config.service.routePrefix}/${config.app.swaggerUrl}`,
-    swaggerUi.serve,
-    swaggerUi.setup(swaggerSpec)
-  );
-
-  app.get(
-    `/${config.service.routePrefix}/${config.app.swaggerUrl}.json`,
-    (_req, res) => {
-      res.redirect(
-        301,
-        `${config.service.protocol}://${config.service.host}:${config.service.port}/${config.service.routePrefix}/${config.app.swaggerUrl}`
-      );
-    }
-  );
+  const config = Config.getInstance();
+
+  ApiRegistry.getVersions().forEach(version => {
+    const docsPath = `/${UrlUtils.joinPath(
+      UrlUtils.withApiVersion(config.service.routePrefix, version),
+      config.app.swaggerUrl
+    )}`;
+    const spec = getOpenApiSpec(version);
+
+    app.get(`${docsPath}.json`, (_req, res) => {
+      res.json(spec);
+    });
+
+    app.get(`${docsPath}.yaml`, (_req, res) => {
+      res.type('application/yaml').send(yaml.dump(spec, { noRefs: true }));
+    });
+
+    app.use(docsPath, swaggerUi.serveFiles(spec), swaggerUi.setup(spec));
+  });
 };
 
 export default swaggerDocs;
@@ -0,0 +1,105 @@
+import { filterGranted } from '../infrastructure/middleware/authorize.js';
+import {
+  forceCircuitBreakerClosed,
+  forceCircuitBreakerOpen,
+  getCircuitBreakerHealth,
+  inspectCircuitBreaker,
+  resetCircuitBreaker,
+  setCircuitBreakerTimeout
+} from '../utils/CircuiteBreaker.js';
+import { createModuleLogger } from '../utils/Logger.js';
+
+const auditLogger = createModuleLogger('Audit');
+
+/**
+ * Record an administrative breaker action with who did it, why, and the
+ * breaker's state before and after
+ * @param {Object} req - Express request
+ * @param {string} action - Action name, e.g. "force_open"
+ * @param {string} name - Breaker name
+ * @param {Object} before - Breaker description before the action
+ * @param {Object} after - Breaker description after the action
+ * @param {Object} [changes] - Changed options
+ */
+const audit = (req, action, name, before, after, changes) => {
+  // Warn level, so the record survives the production log level
+  auditLogger.warn(
+    `Circuit breaker ${name}: ${action} by ${req.user?.id ?? 'anonymous'}`,
+    JSON.stringify({
+      event: 'circuit_breaker_admin',
+      action,
+      breaker: name,
+      actor: {
+        id: req.user?.id ?? null,
+        role: req.user?.role ?? null,
+        authType: req.user?.authType ?? null,
+        ip: req.ip
+      },
+      reason: req.body?.reason ?? null,
+      before: { state: before.state, forced: before.forced },
+      after: { state: after.state, forced: after.forced },
+      ...(changes && { changes }),
+      timestamp: new Date().toISOString()
+    })
+  );
+};
+
+/**
+ * Create a handler that applies an action to the breaker named in the path
+ * and audit-logs it
+ * @param {string} action - Action name for the audit log
+ * @param {Function} apply - (name, req) => breaker description after the action
+ * @param {Function} [describeChanges] - (before, req) => changed options, for the log
+ * @returns {Function} - Express handler
+ */
+const breakerAction = (action, apply, describeChanges) => (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const before = inspectCircuitBreaker(name);
+    const after = apply(name, req);
+
+    audit(req, action, name, before, after, describeChanges?.(before, req));
+    res.status(200).json({ name, circuit_breaker: filterGranted(req, after) });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const circuitBreakerController = {
+  list: (req, res, next) => {
+    try {
+      const breakers = Object.entries(getCircuitBreakerHealth()).map(
+        ([name, breaker]) => [name, filterGranted(req, breaker)]
+      );
+      res.status(200).json({
+        timestamp: new Date().toISOString(),
+        circuit_breakers: Object.fromEntries(breakers)
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+  get: (req, res, next) => {
+    try {
+      const { name } = req.params;
+      res.status(200).json({
+        name,
+        circuit_breaker: filterGranted(req, inspectCircuitBreaker(name))
+      });
+    } catch (error) {
+      next(error);
+    }
+  },
+  forceOpen: breakerAction('force_open', forceCircuitBreakerOpen),
+  forceClose: breakerAction('force_close', forceCircuitBreakerClosed),
+  reset: breakerAction('reset', resetCircuitBreaker),
+  update: breakerAction(
+    'update',
+    (name, req) => setCircuitBreakerTimeout(name, req.body.timeout),
+    (before, req) => ({
+      timeout: { from: before.options.timeout, to: req.body.timeout }
+    })
+  )
+};
+
+export default circuitBreakerController;
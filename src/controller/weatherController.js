@@ -1,10 +1,74 @@
 import Config from '../config/Config.js';
+import { filterGranted } from '../infrastructure/middleware/authorize.js';
 import WeatherProxy from '../infrastructure/proxies/WeatherProxy.js';
+import { buildBulkResponse, validateBulkEntry } from '../utils/BulkWeather.js';
 import { getCircuitBreakerInstance } from '../utils/CircuiteBreaker.js';
+import { parseCoordinate } from '../utils/Coordinates.js';
+import { resolveHistoryRange } from '../utils/DateRange.js';
+import { selectFields } from '../utils/FieldSelection.js';
+import { getCacheControl, getObservedAt } from '../utils/HttpCaching.js';
 import { createModuleLogger } from '../utils/Logger.js';
+import ResponseCache from '../utils/ResponseCache.js';
+import { translateWeather } from '../utils/WeatherTranslations.js';
+import { convertWeather } from '../utils/WeatherUnits.js';
 
 const logger = createModuleLogger('Weather Controller');
 
+/**
+ * Expose the response cache outcome recorded by WeatherProxy or a
+ * stale-serving circuit breaker fallback, and let clients cache the response
+ * for as long as the gateway treats it as fresh
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} operation - Cached operation name
+ * @param {*} data - Weather payload before projection, for its observation time
+ */
+const setCacheHeaders = (req, res, operation, data) => {
+  if (!req.cacheStatus) {
+    // Caching disabled, or a static fallback payload
+    res.set('Cache-Control', 'no-cache');
+    return;
+  }
+
+  res.set('X-Cache', req.cacheStatus);
+  if (req.cacheAge !== undefined) {
+    res.set('Age', String(req.cacheAge));
+  }
+  res.set(
+    'Cache-Control',
+    getCacheControl(ResponseCache.getTtl(operation), req.cacheAge)
+  );
+
+  const lastModified = getObservedAt(data) ?? req.cachedAt;
+  if (lastModified) {
+    res.set('Last-Modified', new Date(lastModified).toUTCString());
+  }
+};
+
+/**
+ * Convert and translate a weather payload to the requested `units` and `lang`,
+ * then project it to the `fields` checked by the selectFields middleware and
+ * the attributes the caller's grant allows.
+ * This runs after the response cache, so one cached copy serves them all.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {*} data - Weather payload
+ * @returns {*} - Payload to send
+ */
+const presentWeather = (req, res, data) => {
+  const { units, lang } = req.query || {};
+  if (lang) {
+    res.set('Content-Language', lang);
+  }
+  return filterGranted(
+    req,
+    selectFields(
+      translateWeather(convertWeather(data, units), lang),
+      req.selectedFields
+    )
+  );
+};
+
 const weatherController = {
   search: async (req, res, next) => {
     try {
@@ -14,7 +78,13 @@ const weatherController = {
         'search'
       );
       const response = await breaker.fire(req);
-      res.status(200).json(response);
+      setCacheHeaders(req, res, 'search', response.data);
+      // Fields and grants select from each city in `data`, after the (shared)
+      // cached copy
+      res.status(200).json({
+        ...response,
+        data: filterGranted(req, selectFields(response.data, req.selectedFields))
+      });
     } catch (error) {
       next(error);
     }
@@ -27,7 +97,8 @@ const weatherController = {
         'getWeatherByCity'
       );
       const response = await breaker.fire(req);
-      res.status(200).json(response.data);
+      setCacheHeaders(req, res, 'getWeatherByCity', response.data);
+      res.status(200).json(presentWeather(req, res, response.data));
     } catch (error) {
       logger.error('Error in /current/:id:', error);
       next(error);
@@ -41,52 +112,137 @@ const weatherController = {
         'getWeatherByCityName'
       );
       const response = await breaker.fire(req);
-      res.status(200).json(response.data);
+      setCacheHeaders(req, res, 'getWeatherByCityName', response.data);
+      res.status(200).json(presentWeather(req, res, response.data));
     } catch (error) {
       logger.error('Error in /current/:id:', error);
       next(error);
     }
   },
-  getBulkWeather: async (req, res, next) => {
+  getWeatherByCoordinates: async (req, res, next) => {
     try {
-      // Validate request body
-      const { cities } = req.body;
-
-      if (!cities) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cities array is required in request body'
-        });
+      // Schema coercion turns "lat=" into 0, so blank values are caught here
+      if (parseCoordinate(req.query.lat) === null) {
+        return next(new Error('InvalidLatitudeError'));
       }
-
-      if (!Array.isArray(cities)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cities must be an array'
-        });
+      if (parseCoordinate(req.query.lon) === null) {
+        return next(new Error('InvalidLongitudeError'));
       }
 
-      if (cities.length === 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cities array cannot be empty'
-        });
+      const breaker = getCircuitBreakerInstance(
+        WeatherProxy.getWeatherByCoordinates,
+        Config.getInstance().services.weather.name,
+        'getWeatherByCoordinates'
+      );
+      const response = await breaker.fire(req);
+      setCacheHeaders(req, res, 'getWeatherByCoordinates', response.data);
+      return res.status(200).json(presentWeather(req, res, response.data));
+    } catch (error) {
+      logger.error('Error in /current/coordinates:', error);
+      return next(error);
+    }
+  },
+  getForecastByCity: async (req, res, next) => {
+    try {
+      const breaker = getCircuitBreakerInstance(
+        WeatherProxy.getForecastByCity,
+        Config.getInstance().services.weather.name,
+        'getForecastByCity'
+      );
+      const response = await breaker.fire(req);
+      setCacheHeaders(req, res, 'getForecastByCity', response.data);
+      res.status(200).json(presentWeather(req, res, response.data));
+    } catch (error) {
+      logger.error('Error in /forecast/:id:', error);
+      next(error);
+    }
+  },
+  getForecastByCityName: async (req, res, next) => {
+    try {
+      const breaker = getCircuitBreakerInstance(
+        WeatherProxy.getForecastByCityName,
+        Config.getInstance().services.weather.name,
+        'getForecastByCityName'
+      );
+      const response = await breaker.fire(req);
+      setCacheHeaders(req, res, 'getForecastByCityName', response.data);
+      res.status(200).json(presentWeather(req, res, response.data));
+    } catch (error) {
+      logger.error('Error in /forecast:', error);
+      next(error);
+    }
+  },
+  getHistoryByCity: async (req, res, next) => {
+    try {
+      const range = resolveHistoryRange(req.query);
+      if (!range) {
+        return next(new Error('InvalidDateRangeError'));
       }
+      // Send the resolved range upstream so "from" alone and "from=to" share a cache entry
+      req.query = { ...req.query, ...range };
 
-      if (cities.length > 50) {
-        return res.status(400).json({
-          success: false,
-          message: 'Maximum 50 cities allowed per request'
-        });
+      const breaker = getCircuitBreakerInstance(
+        WeatherProxy.getHistoryByCity,
+        Config.getInstance().services.weather.name,
+        'getHistoryByCity'
+      );
+      const response = await breaker.fire(req);
+      setCacheHeaders(req, res, 'getHistoryByCity', response.data);
+      return res.status(200).json(presentWeather(req, res, response.data));
+    } catch (error) {
+      logger.error('Error in /history/:id:', error);
+      return next(error);
+    }
+  },
+  getHistoryByCityName: async (req, res, next) => {
+    try {
+      const range = resolveHistoryRange(req.query);
+      if (!range) {
+        return next(new Error('InvalidDateRangeError'));
       }
+      req.query = { ...req.query, ...range };
 
       const breaker = getCircuitBreakerInstance(
-        WeatherProxy.getBulkWeather,
+        WeatherProxy.getHistoryByCityName,
         Config.getInstance().services.weather.name,
-        'getBulkWeather'
+        'getHistoryByCityName'
       );
       const response = await breaker.fire(req);
-      res.status(200).json(response);
+      setCacheHeaders(req, res, 'getHistoryByCityName', response.data);
+      return res.status(200).json(presentWeather(req, res, response.data));
+    } catch (error) {
+      logger.error('Error in /history:', error);
+      return next(error);
+    }
+  },
+  getBulkWeather: async (req, res, next) => {
+    try {
+      // The array itself is checked by validateRequest against the route schema
+      const { cities, fields: _fields, ...options } = req.body;
+
+      // Invalid entries are reported per city and never sent upstream
+      const validCities = cities.filter(item => !validateBulkEntry(item));
+      let response = null;
+      if (validCities.length > 0) {
+        const breaker = getCircuitBreakerInstance(
+          WeatherProxy.getBulkWeather,
+          Config.getInstance().services.weather.name,
+          'getBulkWeather'
+        );
+        // `fields` is applied to the response here, not sent upstream
+        req.body = { ...options, cities: validCities };
+        response = await breaker.fire(req);
+      }
+
+      const body = buildBulkResponse(cities, response);
+      body.data = Object.fromEntries(
+        Object.entries(body.data).map(([key, weather]) => [
+          key,
+          presentWeather(req, res, weather)
+        ])
+      );
+      // 207 Multi-Status when any city failed; per-city outcomes are in `results`
+      res.status(body.errors.length > 0 ? 207 : 200).json(body);
     } catch (error) {
       logger.error('Error in bulk weather endpoint:', error);
       next(error);
@@ -0,0 +1,212 @@
+import fs from 'fs';
+import path from 'path';
+
+import { AccessControl } from 'accesscontrol';
+import yaml from 'js-yaml';
+
+import Config from '../../config/Config.js';
+import { ACTIONS, RESOURCES } from '../enum/grants.js';
+
+// Grants used when no matrix is configured: every role may read weather data,
+// admins may also inspect and control the circuit breakers
+const DEFAULT_GRANTS = {
+  user: {
+    [RESOURCES.WEATHER]: { [ACTIONS.READANY]: ['*'] }
+  },
+  admin: {
+    $extend: ['user'],
+    [RESOURCES.CIRCUIT_BREAKERS]: {
+      [ACTIONS.READANY]: ['*'],
+      [ACTIONS.UPDATEANY]: ['*']
+    }
+  }
+};
+
+const ACTION_VALUES = new Set(Object.values(ACTIONS));
+const RESOURCE_VALUES = new Set(Object.values(RESOURCES));
+
+/**
+ * Split an ACTIONS value such as "readOwn" into accesscontrol's action and possession
+ * @param {string} action - Value from the ACTIONS enum
+ * @returns {{action: string, possession: string}} - e.g. {action: 'read', possession: 'own'}
+ */
+export const parseAction = action => {
+  const [, verb, possession] =
+    /^(create|read|update|delete)(Own|Any)$/.exec(action) || [];
+  if (!verb) {
+    throw new Error(`Unknown action "${action}"`);
+  }
+
+  return { action: verb, possession: possession.toLowerCase() };
+};
+
+/**
+ * Role -> grant matrix over the RESOURCES and ACTIONS enums, enforced with the
+ * accesscontrol package. The matrix is read from AUTH_GRANTS (inline JSON),
+ * AUTH_GRANTS_PATH (JSON or YAML file) or falls back to DEFAULT_GRANTS:
+ *
+ *   user:
+ *     weather:
+ *       readAny: ['*', '!coord']
+ *   admin:
+ *     $extend: [user]
+ *     weather:
+ *       readAny: ['*']
+ */
+export default class AccessPolicy {
+  /**
+   * Get grant configuration
+   * @returns {Object} - Grant settings from Config.auth
+   */
+  static getSettings() {
+    return Config.getInstance().auth.grants;
+  }
+
+  /**
+   * Read the raw grant matrix from configuration
+   * @returns {Object} - Role -> resource -> action -> attributes
+   */
+  static loadMatrix() {
+    const { inline, path: grantsPath } = AccessPolicy.getSettings();
+
+    if (inline) {
+      return JSON.parse(inline);
+    }
+
+    if (!grantsPath) {
+      return DEFAULT_GRANTS;
+    }
+
+    // Path comes from trusted configuration
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    const contents = fs.readFileSync(grantsPath, 'utf8');
+    const extension = path.extname(grantsPath).toLowerCase();
+
+    return extension === '.yaml' || extension === '.yml'
+      ? yaml.load(contents)
+      : JSON.parse(contents);
+  }
+
+  /**
+   * Validate a grant matrix and convert it to accesscontrol's notation
+   * @param {Object} matrix - Role -> resource -> action -> attributes
+   * @returns {Object} - Grants object accepted by AccessControl
+   * @throws {Error} - If a resource, action or attribute list is invalid
+   */
+  static toGrants(matrix) {
+    if (!matrix || typeof matrix !== 'object' || Array.isArray(matrix)) {
+      throw new Error('Grant matrix must be an object keyed by role');
+    }
+
+    const grants = {};
+
+    for (const [role, resources] of Object.entries(matrix)) {
+      const roleGrants = {};
+
+      for (const [resource, actions] of Object.entries(resources || {})) {
+        if (resource === '$extend') {
+          roleGrants.$extend = [].concat(actions);
+          continue;
+        }
+
+        if (!RESOURCE_VALUES.has(resource)) {
+          throw new Error(`Unknown resource "${resource}" for role "${role}"`);
+        }
+
+        const resourceGrants = {};
+        for (const [action, attributes] of Object.entries(actions || {})) {
+          if (!ACTION_VALUES.has(action)) {
+            throw new Error(
+              `Unknown action "${action}" for role "${role}" on "${resource}"`
+            );
+          }
+          if (!Array.isArray(attributes)) {
+            throw new Error(
+              `Attributes for ${role}.${resource}.${action} must be an array`
+            );
+          }
+
+          const { action: verb, possession } = parseAction(action);
+          resourceGrants[`${verb}:${possession}`] = attributes;
+        }
+
+        // Keys were checked against the RESOURCES enum above
+        // eslint-disable-next-line security/detect-object-injection
+        roleGrants[resource] = resourceGrants;
+      }
+
+      // eslint-disable-next-line security/detect-object-injection
+      grants[role] = roleGrants;
+    }
+
+    return grants;
+  }
+
+  /**
+   * Get the AccessControl instance (built once from configuration)
+   * @returns {AccessControl} - Access control instance
+   */
+  static getAccessControl() {
+    if (!this._accessControl) {
+      this._accessControl = new AccessControl(
+        AccessPolicy.toGrants(AccessPolicy.loadMatrix())
+      );
+    }
+
+    return this._accessControl;
+  }
+
+  /**
+   * Resolve the roles of a principal that exist in the grant matrix
+   * @param {Object} user - Principal from req.user
+   * @returns {string[]} - Known roles
+   */
+  static getRoles(user) {
+    const accessControl = AccessPolicy.getAccessControl();
+    const claimed = user?.roles?.length ? user.roles : [user?.role];
+    const roles = claimed.map(role => role || AccessPolicy.getSettings().defaultRole);
+
+    return roles.filter(role => accessControl.hasRole(role));
+  }
+
+  /**
+   * Check whether a principal may perform an action on a resource.
+   * Own actions are satisfied by an Any grant; the returned possession tells the
+   * caller whether the result must be limited to the principal's own records.
+   * @param {Object} user - Principal from req.user
+   * @param {string} resource - Value from the RESOURCES enum
+   * @param {string} action - Value from the ACTIONS enum
+   * @returns {{granted: boolean, possession: string|null, permission: Object|null}}
+   */
+  static check(user, resource, action) {
+    const roles = AccessPolicy.getRoles(user);
+    if (!roles.length) {
+      return { granted: false, possession: null, permission: null };
+    }
+
+    const accessControl = AccessPolicy.getAccessControl();
+    const { action: verb, possession } = parseAction(action);
+    const query = { role: roles, resource, action: verb };
+
+    const anyPermission = accessControl.permission({ ...query, possession: 'any' });
+    if (anyPermission.granted) {
+      return { granted: true, possession: 'any', permission: anyPermission };
+    }
+
+    if (possession === 'own') {
+      const ownPermission = accessControl.permission({ ...query, possession: 'own' });
+      if (ownPermission.granted) {
+        return { granted: true, possession: 'own', permission: ownPermission };
+      }
+    }
+
+    return { granted: false, possession: null, permission: null };
+  }
+
+  /**
+   * Reset the cached AccessControl instance (useful for testing and reloads)
+   */
+  static reset() {
+    this._accessControl = null;
+  }
+}
@@ -0,0 +1,198 @@
+import { createHash, randomBytes } from 'crypto';
+import fs from 'fs';
+
+import Config from '../../config/Config.js';
+import { getUnifiedCache } from '../../utils/CacheFactory.js';
+import { matchesRoute } from '../../utils/RouteMatcher.js';
+
+// Cache TTL for records without an expiry (cache backends require one)
+const NO_EXPIRY_TTL = 10 * 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Static API keys for machine clients. Only SHA-256 hashes are stored, either in
+ * a local JSON file or in the configured cache backend (Redis or memory):
+ *
+ *   [{ "name": "nightly-batch", "hash": "<sha256 hex>", "role": "user",
+ *      "routes": ["GET /weather/*", "POST /weather/bulk"],
+ *      "expiresAt": "2026-01-01T00:00:00Z" }]
+ *
+ * Route patterns are relative to the API route prefix; "*" matches any method and
+ * a trailing "/*" matches a path and everything below it.
+ */
+export default class ApiKeyVerifier {
+  /**
+   * Get API key configuration
+   * @returns {Object} - API key settings from Config.auth
+   */
+  static getSettings() {
+    return Config.getInstance().auth.apiKeys;
+  }
+
+  /**
+   * Hash a raw API key for storage and lookup
+   * @param {string} apiKey - Raw API key
+   * @returns {string} - SHA-256 hex digest
+   */
+  static hashKey(apiKey) {
+    return createHash('sha256').update(apiKey).digest('hex');
+  }
+
+  /**
+   * Generate a new random API key
+   * @returns {string} - Raw API key (shown once, never stored)
+   */
+  static generateKey() {
+    return randomBytes(32).toString('base64url');
+  }
+
+  /**
+   * Extract the API key from the configured header or query parameter
+   * @param {Object} req - Express request
+   * @returns {string|null} - Raw API key or null if absent
+   */
+  static extractKey(req) {
+    const { header, queryParam } = ApiKeyVerifier.getSettings();
+    const fromHeader = req.header?.(header);
+    if (typeof fromHeader === 'string' && fromHeader.trim()) {
+      return fromHeader.trim();
+    }
+
+    const fromQuery = queryParam ? req.query?.[queryParam] : undefined; // eslint-disable-line security/detect-object-injection
+    return typeof fromQuery === 'string' && fromQuery.trim()
+      ? fromQuery.trim()
+      : null;
+  }
+
+  /**
+   * Drop the API key query parameter so the raw key is not forwarded upstream or
+   * used in cache keys
+   * @param {Object} req - Express request
+   */
+  static removeKey(req) {
+    const { queryParam } = ApiKeyVerifier.getSettings();
+    if (queryParam && req.query) {
+      delete req.query[queryParam]; // eslint-disable-line security/detect-object-injection
+    }
+  }
+
+  /**
+   * Load key records from the configured file (cached per path)
+   * @returns {Map<string, Object>} - Records keyed by hash
+   */
+  static loadFile() {
+    const { path } = ApiKeyVerifier.getSettings();
+    if (!path) {
+      return new Map();
+    }
+
+    if (this._records && this._recordsPath === path) {
+      return this._records;
+    }
+
+    // Path comes from trusted configuration
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    const records = JSON.parse(fs.readFileSync(path, 'utf8'));
+    this._records = new Map(records.map(record => [record.hash, record]));
+    this._recordsPath = path;
+
+    return this._records;
+  }
+
+  /**
+   * Find the record for a key hash in the configured store
+   * @param {string} hash - SHA-256 hex digest of the key
+   * @returns {Promise<Object|null>} - Key record or null if unknown
+   */
+  static async findRecord(hash) {
+    const { store, cachePrefix } = ApiKeyVerifier.getSettings();
+
+    if (store === 'cache') {
+      const cache = await getUnifiedCache();
+      return (await cache.get(`${cachePrefix}${hash}`)) || null;
+    }
+
+    return ApiKeyVerifier.loadFile().get(hash) || null;
+  }
+
+  /**
+   * Store a key record in the cache backend
+   * @param {string} apiKey - Raw API key
+   * @param {Object} record - Key record without the hash
+   * @returns {Promise<Object>} - Stored record
+   */
+  static async save(apiKey, { name, role, routes = [], expiresAt = null }) {
+    const { cachePrefix } = ApiKeyVerifier.getSettings();
+    const record = {
+      name,
+      hash: ApiKeyVerifier.hashKey(apiKey),
+      role,
+      routes,
+      expiresAt
+    };
+    const ttl = expiresAt ? Date.parse(expiresAt) - Date.now() : NO_EXPIRY_TTL;
+
+    if (!(ttl > 0)) {
+      throw new Error(`API key "${name}" is already expired`);
+    }
+
+    const cache = await getUnifiedCache();
+    await cache.set(`${cachePrefix}${record.hash}`, record, ttl);
+
+    return record;
+  }
+
+  /**
+   * Check whether a record allows a request route
+   * @param {Object} record - Key record
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path relative to the API route prefix
+   * @returns {boolean} - True if a route pattern matches
+   */
+  static isRouteAllowed(record, method, path) {
+    return (record.routes || []).some(pattern => matchesRoute(pattern, method, path));
+  }
+
+  /**
+   * Verify an API key for a request
+   * @param {string} apiKey - Raw API key
+   * @returns {Promise<Object>} - Key record
+   * @throws {Error} - If the key is unknown or expired
+   */
+  static async verify(apiKey) {
+    const record = await ApiKeyVerifier.findRecord(ApiKeyVerifier.hashKey(apiKey));
+
+    if (!record) {
+      throw new Error('Unknown API key');
+    }
+
+    if (record.expiresAt && !(Date.parse(record.expiresAt) > Date.now())) {
+      throw new Error(`API key "${record.name}" expired at ${record.expiresAt}`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Build the request principal from a key record
+   * @param {Object} record - Verified key record
+   * @returns {Object} - Principal attached to req.user
+   */
+  static toPrincipal(record) {
+    return {
+      id: `apikey:${record.name}`,
+      role: record.role || null,
+      roles: [record.role].filter(Boolean),
+      scopes: [],
+      authType: 'apiKey',
+      apiKey: record.name
+    };
+  }
+
+  /**
+   * Reset cached records (useful for testing and key rotation)
+   */
+  static reset() {
+    this._records = null;
+    this._recordsPath = null;
+  }
+}
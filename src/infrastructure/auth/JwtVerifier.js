@@ -0,0 +1,156 @@
+import { createPublicKey } from 'crypto';
+import fs from 'fs';
+
+import jwt from 'jsonwebtoken';
+
+import Config from '../../config/Config.js';
+
+/**
+ * Bearer token verification for HS256 (shared secret) and RS256 (inline PEM
+ * public key or a local JWKS file). Each algorithm is only ever verified with
+ * its own kind of key to prevent algorithm confusion.
+ */
+export default class JwtVerifier {
+  /**
+   * Get JWT configuration
+   * @returns {Object} - JWT settings from Config.auth
+   */
+  static getSettings() {
+    return Config.getInstance().auth.jwt;
+  }
+
+  /**
+   * Load RSA signing keys from the configured JWKS file (cached per path)
+   * @returns {Array<{kid: string, key: KeyObject}>} - Public keys
+   */
+  static loadJwks() {
+    const { jwksPath } = JwtVerifier.getSettings();
+    if (!jwksPath) {
+      return [];
+    }
+
+    if (this._jwks && this._jwksPath === jwksPath) {
+      return this._jwks;
+    }
+
+    // Path comes from trusted configuration
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    const { keys = [] } = JSON.parse(fs.readFileSync(jwksPath, 'utf8'));
+    this._jwks = keys
+      .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+      .map(jwk => ({
+        kid: jwk.kid,
+        key: createPublicKey({ key: jwk, format: 'jwk' })
+      }));
+    this._jwksPath = jwksPath;
+
+    return this._jwks;
+  }
+
+  /**
+   * Resolve the RS256 public key for a token
+   * @param {string} kid - Key ID from the token header
+   * @returns {KeyObject|string|null} - Public key or null if none matches
+   */
+  static getPublicKey(kid) {
+    const { publicKey } = JwtVerifier.getSettings();
+    const jwks = JwtVerifier.loadJwks();
+
+    if (kid) {
+      const match = jwks.find(entry => entry.kid === kid);
+      if (match) {
+        return match.key;
+      }
+    }
+
+    if (publicKey) {
+      return publicKey.replace(/\\n/g, '\n');
+    }
+
+    if (!kid && jwks.length === 1) {
+      return jwks[0].key;
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve the verification key for a token header
+   * @param {Object} header - Decoded token header
+   * @returns {KeyObject|string|null} - Verification key or null
+   */
+  static getVerificationKey(header) {
+    switch (header?.alg) {
+      case 'HS256':
+        return JwtVerifier.getSettings().secret || null;
+      case 'RS256':
+        return JwtVerifier.getPublicKey(header.kid);
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Verify a token's signature and its exp, nbf, iss and aud claims
+   * @param {string} token - Encoded JWT
+   * @returns {Object} - Verified claims
+   * @throws {Error} - If the token is malformed, unsigned by a known key or invalid
+   */
+  static verify(token) {
+    const settings = JwtVerifier.getSettings();
+    const decoded = jwt.decode(token, { complete: true });
+
+    if (!decoded?.header) {
+      throw new Error('Malformed token');
+    }
+
+    const { alg } = decoded.header;
+    if (!settings.algorithms.includes(alg)) {
+      throw new Error(`Algorithm ${alg} is not allowed`);
+    }
+
+    const key = JwtVerifier.getVerificationKey(decoded.header);
+    if (!key) {
+      throw new Error(`No verification key configured for ${alg}`);
+    }
+
+    const audience = settings.audience
+      ? settings.audience.split(',').map(value => value.trim())
+      : undefined;
+
+    return jwt.verify(token, key, {
+      algorithms: [alg],
+      issuer: settings.issuer || undefined,
+      audience,
+      clockTolerance: settings.clockTolerance
+    });
+  }
+
+  /**
+   * Build the request principal from verified claims
+   * @param {Object} claims - Verified token claims
+   * @returns {Object} - Principal attached to req.user
+   */
+  static toPrincipal(claims) {
+    const roles = Array.isArray(claims.roles)
+      ? claims.roles
+      : [claims.role].filter(Boolean);
+
+    return {
+      id: claims.sub,
+      role: claims.role || roles[0] || null,
+      roles,
+      scopes: typeof claims.scope === 'string' ? claims.scope.split(' ') : [],
+      authType: 'jwt',
+      claims
+    };
+  }
+
+  /**
+   * Reset cached keys (useful for testing and key rotation)
+   */
+  static reset() {
+    this._jwks = null;
+    this._jwksPath = null;
+  }
+}
@@ -5,7 +5,8 @@ export const RESOURCES = {
   PROFILES: 'profiles',
   SESSION: 'session',
   ORDER: 'order',
-  HOME: 'home'
+  HOME: 'home',
+  CIRCUIT_BREAKERS: 'circuitBreakers'
 };
 
 export const ACTIONS = {
@@ -29,6 +29,26 @@ morgan.token('date-lk', () => {
 });
 
 const config = Config.getInstance();
+
+// Authenticated principal: API key clients appear as "apikey:<name>"
+morgan.token('principal', req => req.user?.id || '-');
+
+// Request URL with the API key query parameter redacted
+morgan.token('safe-url', req => {
+  const url = req.originalUrl || req.url;
+  const { queryParam } = config.auth.apiKeys;
+  if (!queryParam || !url.includes('?')) {
+    return url;
+  }
+
+  const [pathname, query] = url.split('?');
+  const params = new URLSearchParams(query);
+  if (params.has(queryParam)) {
+    params.set(queryParam, 'REDACTED');
+  }
+  return `${pathname}?${params.toString()}`;
+});
+
 const isProduction = config.service.env === 'production';
 
 // Initialize logger stream
@@ -60,7 +80,7 @@ const initializeLogger = () => {
 const logStream = initializeLogger();
 
 const loggerFormat =
-  ':remote-addr - :remote-user [:date-lk] [:method] ":url HTTP/:http-version" [:status] :res[content-length] :response-time ms';
+  ':remote-addr - :principal [:date-lk] [:method] ":safe-url HTTP/:http-version" [:status] :res[content-length] :response-time ms';
 
 const logger = morgan(loggerFormat, {
   stream: logStream,
@@ -0,0 +1,95 @@
+import Config from '../../config/Config.js';
+import { createModuleLogger } from '../../utils/Logger.js';
+
+const logger = createModuleLogger('API Version');
+
+const VERSION_SEGMENT = /^v\d+$/;
+
+/**
+ * Normalize an Accept-Version value ("2", "v2", "V2") to a version label
+ * @param {string} value - Header value
+ * @returns {string|null} - Version label ("v2"), or null if the value is not a version
+ */
+export const parseApiVersion = value => {
+  const match = /^v?(\d+)$/i.exec(String(value ?? '').trim());
+  return match ? `v${Number(match[1])}` : null;
+};
+
+/**
+ * Set the Deprecation, Sunset and Link headers of a deprecated version
+ * @param {Object} res - Express response
+ * @param {Object} deprecation - `{ deprecatedAt, sunsetAt, link }`
+ */
+const setDeprecationHeaders = (res, { deprecatedAt, sunsetAt, link }) => {
+  const deprecated = Date.parse(deprecatedAt);
+  const sunset = Date.parse(sunsetAt);
+
+  // RFC 9745 structured date ("@" and seconds since the epoch); the boolean form
+  // of earlier drafts when the configured date cannot be parsed
+  res.set(
+    'Deprecation',
+    Number.isNaN(deprecated) ? '?1' : `@${Math.floor(deprecated / 1000)}`
+  );
+  if (!Number.isNaN(sunset)) {
+    res.set('Sunset', new Date(sunset).toUTCString());
+  }
+  if (link) {
+    res.append('Link', `<${link}>; rel="deprecation"; type="text/html"`);
+  }
+};
+
+/**
+ * Create middleware tagging responses with the API version that served them,
+ * plus deprecation headers when that version is deprecated
+ * @param {string} version - API version of the router behind this middleware
+ * @returns {Function} - Express middleware
+ */
+const apiVersion = version => (req, res, next) => {
+  const { deprecations } = Config.getInstance().versioning;
+
+  req.apiVersion = version;
+  res.set('API-Version', version);
+
+  // eslint-disable-next-line security/detect-object-injection
+  const deprecation = Object.hasOwn(deprecations, version) && deprecations[version];
+  if (deprecation) {
+    setDeprecationHeaders(res, deprecation);
+  }
+  next();
+};
+
+/**
+ * Create middleware routing unversioned requests (/api/weather/...) to a
+ * version router chosen by the Accept-Version header, or the default version.
+ * Version segments no router is mounted for (/api/v9/...) are rejected.
+ * @param {Object} routers - Version routers by version label
+ * @returns {Function} - Express middleware
+ */
+export const negotiateApiVersion = routers => (req, res, next) => {
+  const { defaultVersion } = Config.getInstance().versioning;
+  const supported = Object.keys(routers);
+  const segment = req.path.split('/')[1];
+  const header = req.get('Accept-Version');
+
+  res.vary('Accept-Version');
+
+  let version = defaultVersion;
+  if (VERSION_SEGMENT.test(segment)) {
+    version = segment;
+  } else if (header !== undefined) {
+    version = parseApiVersion(header);
+  }
+
+  if (!version || !supported.includes(version)) {
+    logger.debug(
+      `Rejected API version "${segment}" / "${header}" for ${req.originalUrl}`
+    );
+    res.set('API-Supported-Versions', supported.join(', '));
+    return next(new Error('UnsupportedApiVersionError'));
+  }
+
+  // eslint-disable-next-line security/detect-object-injection
+  return routers[version](req, res, next);
+};
+
+export default apiVersion;
@@ -1,14 +1,100 @@
-// Authentication middleware removed - no-op implementation
-// This is a stub that passes through all requests without authentication
+import Config from '../../config/Config.js';
+import { isBypassedRoute } from '../../interfaces/http/RouteBypassList.js';
+import { createModuleLogger } from '../../utils/Logger.js';
+import ApiKeyVerifier from '../auth/ApiKeyVerifier.js';
+import JwtVerifier from '../auth/JwtVerifier.js';
 
-const authenticate = async (req, _res, next) => {
-  // No authentication logic - just pass through
-  // Add a meta property to indicate that authentication was bypassed
+const logger = createModuleLogger('Authentication');
+
+/**
+ * Extract the token from an "Authorization: Bearer <token>" header
+ * @param {Object} req - Express request
+ * @returns {string|null} - Token or null if absent or malformed
+ */
+const extractBearerToken = req => {
+  const header = req.header?.('Authorization');
+  if (typeof header !== 'string') {
+    return null;
+  }
+
+  const [scheme, token] = header.trim().split(/\s+/);
+  return scheme?.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+/**
+ * Reject the request with an UnauthorizedError for the error handler
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @param {string|null} reason - RFC 6750 error code, if a token was presented
+ */
+const rejectRequest = (res, next, reason = null) => {
+  const realm = `Bearer realm="${Config.getInstance().app.name}"`;
+  res.set?.('WWW-Authenticate', reason ? `${realm}, error="${reason}"` : realm);
+  next(new Error('UnauthorizedError'));
+};
+
+/**
+ * Authenticate a machine client by API key
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @param {string} apiKey - Raw API key
+ */
+const authenticateApiKey = async (req, res, next, apiKey) => {
+  let record;
+  try {
+    record = await ApiKeyVerifier.verify(apiKey);
+  } catch (error) {
+    logger.warn(`Rejected API key for ${req.method} ${req.path}:`, error.message);
+    return rejectRequest(res, next, 'invalid_token');
+  }
+
+  if (!ApiKeyVerifier.isRouteAllowed(record, req.method, req.path)) {
+    logger.warn(
+      `API key "${record.name}" is not allowed on ${req.method} ${req.path}`
+    );
+    return next(new Error('ForbiddenError'));
+  }
+
+  req.user = ApiKeyVerifier.toPrincipal(record);
+  ApiKeyVerifier.removeKey(req);
+  return next();
+};
+
+const authenticate = async (req, res, next) => {
   if (!req.meta) {
     req.meta = {};
   }
-  req.meta.authBypassed = true;
-  next();
+
+  const { auth } = Config.getInstance();
+
+  // Authentication disabled or public route - pass through
+  if (!auth.enabled || isBypassedRoute(req.method, req.path)) {
+    req.meta.authBypassed = true;
+    return next();
+  }
+
+  const apiKey = auth.apiKeys?.enabled ? ApiKeyVerifier.extractKey(req) : null;
+  if (apiKey) {
+    return authenticateApiKey(req, res, next, apiKey);
+  }
+
+  const token = extractBearerToken(req);
+  if (!token) {
+    return rejectRequest(res, next);
+  }
+
+  try {
+    const claims = JwtVerifier.verify(token);
+    req.user = JwtVerifier.toPrincipal(claims);
+    return next();
+  } catch (error) {
+    logger.warn(
+      `Rejected bearer token for ${req.method} ${req.path}:`,
+      error.message
+    );
+    return rejectRequest(res, next, 'invalid_token');
+  }
 };
 
 export default authenticate;
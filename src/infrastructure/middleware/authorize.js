@@ -0,0 +1,80 @@
+import Config from '../../config/Config.js';
+import { createModuleLogger } from '../../utils/Logger.js';
+import AccessPolicy from '../auth/AccessPolicy.js';
+
+const logger = createModuleLogger('Authorization');
+
+/**
+ * Build a filter limiting records to the attributes allowed by the grant.
+ * accesscontrol only filters the top level of an object, so handlers apply it
+ * to each record (weather payload, search result, breaker) rather than to the
+ * response envelope.
+ * @param {Object} permission - accesscontrol Permission
+ * @returns {Function|null} - (record or array of records) => filtered, null for full grants
+ */
+const getAttributeFilter = permission => {
+  const { attributes } = permission;
+  if (attributes.length === 1 && attributes[0] === '*') {
+    return null;
+  }
+
+  return data => (data && typeof data === 'object' ? permission.filter(data) : data);
+};
+
+/**
+ * Limit a record to the attributes the caller's grant allows (req.meta.filter,
+ * set by authorize); records pass unchanged without attribute grants
+ * @param {Object} req - Express request
+ * @param {*} data - Record or array of records
+ * @returns {*} - Filtered data
+ */
+export const filterGranted = (req, data) => {
+  const filter = req.meta?.filter;
+  return filter ? filter(data) : data;
+};
+
+/**
+ * Enforce the grant stamped on req.meta by injectGrants against req.user's role.
+ * Own grants set req.meta.possession to 'own' and req.meta.ownerId so handlers can
+ * limit results to the caller's records; attribute grants set req.meta.filter,
+ * applied by handlers through filterGranted().
+ */
+const authorize = async (req, res, next) => {
+  const { resource, action } = req.meta || {};
+
+  // Authentication disabled or route without grants - nothing to enforce
+  if (!Config.getInstance().auth.enabled || !resource || !action) {
+    return next();
+  }
+
+  if (!req.user) {
+    return next(new Error('UnauthorizedError'));
+  }
+
+  try {
+    const { granted, possession, permission } = AccessPolicy.check(
+      req.user,
+      resource,
+      action
+    );
+
+    if (!granted) {
+      logger.warn(
+        `Denied ${action} on ${resource} for ${req.user.id} (role: ${req.user.role})`
+      );
+      return next(new Error('ForbiddenError'));
+    }
+
+    req.meta.possession = possession;
+    if (possession === 'own') {
+      req.meta.ownerId = req.user.id;
+    }
+
+    req.meta.filter = getAttributeFilter(permission);
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+};
+
+export default authorize;
@@ -0,0 +1,46 @@
+import { constants } from 'zlib';
+
+import compression from 'compression';
+
+import Config from '../../config/Config.js';
+
+// Health responses are small and polled often; compressing them only costs CPU
+const HEALTH_PATH = /(^|\/)health(\/|$)/;
+
+/**
+ * Decide whether a response is compressed: never for health checks, otherwise
+ * by compression's default content-type check (which also honours
+ * `Cache-Control: no-transform`)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {boolean} - True to compress
+ */
+export const shouldCompress = (req, res) =>
+  !HEALTH_PATH.test(req.path) && compression.filter(req, res);
+
+/**
+ * Create the gzip/brotli compression middleware. The encoding is negotiated
+ * from Accept-Encoding, and compressible responses carry
+ * `Vary: Accept-Encoding` even when they fall below the size threshold.
+ * @returns {Function} - Express middleware (a pass-through when disabled)
+ */
+const compressResponses = () => {
+  const { enabled, threshold, level, brotliQuality } =
+    Config.getInstance().compression;
+  if (!enabled) {
+    return (_req, _res, next) => next();
+  }
+
+  return compression({
+    threshold,
+    level,
+    brotli: {
+      params: {
+        [constants.BROTLI_PARAM_QUALITY]: brotliQuality
+      }
+    },
+    filter: shouldCompress
+  });
+};
+
+export default compressResponses;
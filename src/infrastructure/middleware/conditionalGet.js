@@ -0,0 +1,21 @@
+import { computeETag } from '../../utils/HttpCaching.js';
+
+/**
+ * Give successful JSON responses a strong ETag over their normalized body.
+ * Express answers 304 Not Modified itself when the request's If-None-Match (or,
+ * without one, If-Modified-Since against Last-Modified) shows the client's copy
+ * is current. Mount it ahead of middleware that rewrites the body (authorize),
+ * so the tag covers what is actually sent.
+ */
+const conditionalGet = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (['GET', 'HEAD'].includes(req.method) && res.statusCode === 200) {
+      res.set('ETag', computeETag(body));
+    }
+    return json(body);
+  };
+  next();
+};
+
+export default conditionalGet;
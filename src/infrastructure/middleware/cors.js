@@ -48,9 +48,31 @@ const corsOptions = {
     'Content-Type',
     'Authorization',
     'x-request-id',
-    'x-request-timestamp'
+    'x-request-timestamp',
+    'Accept-Version',
+    'If-None-Match',
+    'If-Modified-Since'
   ],
   AccessControlAllowHeaders: ['x-request-timestamp', 'x-request-id'],
+  // Let browser clients read rate limit state and throttle before a 429
+  exposedHeaders: [
+    'Retry-After',
+    'X-RateLimit-Limit',
+    'X-RateLimit-Remaining',
+    'X-RateLimit-Reset',
+    'RateLimit-Policy',
+    'RateLimit',
+    // API version negotiation and deprecation
+    'API-Version',
+    'API-Supported-Versions',
+    'Deprecation',
+    'Sunset',
+    'Link',
+    // Conditional requests and response cache state
+    'ETag',
+    'X-Cache',
+    'Age'
+  ],
   credentials: true,
   maxAge: 3600, // 1 hour
   preflightContinue: false
@@ -185,7 +185,52 @@ const errorList = {
   ),
   TooManyCitiesError: generateErrorMessage(
     'TooManyCitiesError',
-    'Oops! You have exceeded the maximum number of cities allowed in the request body. Please limit your request to 20 cities and try again.',
+    'Oops! You have exceeded the maximum number of cities allowed in the request body. Please limit your request to 50 cities and try again.',
+    400
+  ),
+  InvalidForecastDaysError: generateErrorMessage(
+    'InvalidForecastDaysError',
+    'Oops! The number of forecast days is invalid. Please request between 1 and 16 days and try again.',
+    400
+  ),
+  InvalidDateRangeError: generateErrorMessage(
+    'InvalidDateRangeError',
+    'Oops! The date range provided is invalid. Please use YYYY-MM-DD dates in order, no later than today and at most 31 days apart.',
+    400
+  ),
+  InvalidLatitudeError: generateErrorMessage(
+    'InvalidLatitudeError',
+    'Oops! The latitude provided is invalid. Please provide a number between -90 and 90 and try again.',
+    400
+  ),
+  InvalidLongitudeError: generateErrorMessage(
+    'InvalidLongitudeError',
+    'Oops! The longitude provided is invalid. Please provide a number between -180 and 180 and try again.',
+    400
+  ),
+  InvalidUnitsError: generateErrorMessage(
+    'InvalidUnitsError',
+    'Oops! The units provided are not supported. Please use metric, imperial or standard and try again.',
+    400
+  ),
+  UnsupportedLanguageError: generateErrorMessage(
+    'UnsupportedLanguageError',
+    'Oops! The language provided is not supported. Please use one of en, es, fr, de, it or pt and try again.',
+    400
+  ),
+  UnknownFieldError: generateErrorMessage(
+    'UnknownFieldError',
+    'Oops! One or more requested fields do not exist. Please check the fields parameter against the API documentation and try again.',
+    400
+  ),
+  InvalidCircuitBreakerTimeoutError: generateErrorMessage(
+    'InvalidCircuitBreakerTimeoutError',
+    'Oops! The circuit breaker timeout is invalid. Please provide a whole number of milliseconds between 1 and 600000.',
+    400
+  ),
+  UnsupportedApiVersionError: generateErrorMessage(
+    'UnsupportedApiVersionError',
+    'The requested API version is not supported. Please use one of the versions listed in the API-Supported-Versions header.',
     400
   ),
   UnauthorizedError: generateErrorMessage(
@@ -193,6 +238,11 @@ const errorList = {
     'You are not authorized to perform this action. Please make sure you have the necessary permissions.',
     401
   ),
+  ForbiddenError: generateErrorMessage(
+    'ForbiddenError',
+    'You do not have permission to access this resource. Please contact an administrator if you believe this is a mistake.',
+    403
+  ),
   CORSDeniedError: generateErrorMessage(
     'CORSDeniedError',
     'The request has been blocked by CORS policy. Please enable CORS on the server.',
@@ -203,6 +253,11 @@ const errorList = {
     "We couldn't find the region you're looking for. Please check the region details.",
     404
   ),
+  CircuitBreakerNotFoundError: generateErrorMessage(
+    'CircuitBreakerNotFoundError',
+    "We couldn't find that circuit breaker. Breakers are created on their first request; list the active ones first.",
+    404
+  ),
   TimeoutError: generateErrorMessage(
     'TimeoutError',
     'Oops! The request has timed out. Please try again later.',
@@ -319,6 +374,11 @@ const errorHandler = (err, req, res, _next) => {
     }
   };
 
+  // Schema validation failures list every failing field
+  if (Array.isArray(err?.fields)) {
+    errorResponse.error.fields = err.fields;
+  }
+
   // Only include path and additional details in development mode
   if (isDevMode) {
     errorResponse.error.path = sanitizePath(req?.path || req?.url);
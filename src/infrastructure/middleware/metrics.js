@@ -0,0 +1,66 @@
+import { getUnifiedCache } from '../../utils/CacheFactory.js';
+import { getCircuitBreakerMetrics } from '../../utils/CircuiteBreaker.js';
+import Metrics from '../../utils/Metrics.js';
+import RequestCoalescer from '../../utils/RequestCoalescer.js';
+
+/**
+ * Count every request and time it until the response is sent. Requests are
+ * labelled by route template, e.g. "/api/v1/weather/:city", rather than URL;
+ * requests no route answered (404s, static files) share one label.
+ */
+const recordRequestMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  let route = 'unmatched';
+
+  // Routers restore baseUrl when an error leaves them for the error handler, so
+  // take the label when Express assigns the matched route
+  let matched;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => matched,
+    set: value => {
+      matched = value;
+      route = `${req.baseUrl}${value.path}`;
+    }
+  });
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    Metrics.observeHttpRequest(
+      {
+        method: req.method,
+        route,
+        status: res.statusCode
+      },
+      seconds
+    );
+  });
+  next();
+};
+
+/**
+ * Serve every gateway metric in the Prometheus text exposition format
+ */
+export const serveMetrics = async (_req, res) => {
+  try {
+    const cache = await getUnifiedCache();
+    Metrics.refresh({
+      // getStats() lists keys (KEYS on Redis), too slow for every scrape
+      cacheStats: await cache.getCounts(),
+      breakers: getCircuitBreakerMetrics(),
+      coalescing: RequestCoalescer.getMetrics()
+    });
+
+    const { contentType, body } = await Metrics.render();
+    res.set('Content-Type', contentType);
+    res.send(body);
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve metrics',
+      message: error.message
+    });
+  }
+};
+
+export default recordRequestMetrics;
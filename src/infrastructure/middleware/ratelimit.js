@@ -3,8 +3,71 @@ import { RateLimiterMemory, RateLimiterRedis } from 'rate-limiter-flexible';
 
 import Config from '../../config/Config.js';
 import { CacheFactory, getUnifiedCache } from '../../utils/CacheFactory.js';
+import Metrics from '../../utils/Metrics.js';
+import { matchesRoute } from '../../utils/RouteMatcher.js';
 
 let rateLimiter = null;
+let tiers = [];
+// Per-IP limiter in front of authentication
+let ipTier = null;
+
+/**
+ * Create a limiter on the Redis store when given, otherwise in memory
+ * @param {Object|null} storeClient - Unified Redis cache or null for memory
+ * @param {string} keyPrefix - Redis key prefix separating tiers
+ * @param {Object} options - points, duration, execEvenly and blockDuration
+ * @returns {RateLimiterRedis|RateLimiterMemory} - Limiter instance
+ */
+function createLimiter(storeClient, keyPrefix, options) {
+  const { points, duration, execEvenly = false, blockDuration } = options;
+
+  if (storeClient) {
+    return new RateLimiterRedis({
+      storeClient,
+      keyPrefix,
+      points,
+      duration,
+      execEvenly,
+      blockDuration
+    });
+  }
+
+  return new RateLimiterMemory({ points, duration, execEvenly, blockDuration });
+}
+
+/**
+ * Create the default limiter and one limiter per configured route tier
+ * @param {Object} config - Config instance
+ * @param {Object|null} storeClient - Unified Redis cache or null for memory
+ */
+function createLimiters(config, storeClient) {
+  rateLimiter = createLimiter(storeClient, config.app.name, {
+    points: config.service.requestLimit,
+    duration: config.service.requestLimitTime,
+    execEvenly: config.service.slidingWindow,
+    blockDuration: config.service.requestBlockDuration
+  });
+
+  tiers = Object.entries(config.rateLimit?.tiers || {}).map(([name, tier]) => ({
+    name,
+    routes: tier.routes || [],
+    weighted: Boolean(tier.weighted),
+    points: Number(tier.points),
+    duration: Number(tier.duration),
+    limiter: createLimiter(storeClient, `${config.app.name}:${name}`, tier)
+  }));
+
+  const ip = config.rateLimit?.ip;
+  ipTier = ip
+    ? {
+        name: 'ip',
+        weighted: false,
+        points: Number(ip.points),
+        duration: Number(ip.duration),
+        limiter: createLimiter(storeClient, `${config.app.name}:ip`, ip)
+      }
+    : null;
+}
 
 /**
  * Initialize rate limiter using CacheFactory strategy
@@ -20,26 +83,14 @@ async function initializeRateLimiter() {
 
       // Check if Redis cache is connected
       if (cache.cache.isConnected) {
-        rateLimiter = new RateLimiterRedis({
-          storeClient: cache,
-          keyPrefix: config.app.name,
-          points: config.service.requestLimit,
-          duration: config.service.requestLimitTime,
-          execEvenly: config.service.slidingWindow,
-          blockDuration: config.service.requestBlockDuration
-        });
+        createLimiters(config, cache);
         console.log('Rate limiter initialized with Redis backend');
       } else {
         throw new Error('Redis cache not connected');
       }
     } else {
       // Use memory-based rate limiter
-      rateLimiter = new RateLimiterMemory({
-        points: config.service.requestLimit,
-        duration: config.service.requestLimitTime,
-        execEvenly: config.service.slidingWindow,
-        blockDuration: config.service.requestBlockDuration
-      });
+      createLimiters(config, null);
       console.log('Rate limiter initialized with memory backend');
     }
   } catch (error) {
@@ -49,12 +100,7 @@ async function initializeRateLimiter() {
     );
 
     // Fallback to memory rate limiter
-    rateLimiter = new RateLimiterMemory({
-      points: config.service.requestLimit,
-      duration: config.service.requestLimitTime,
-      execEvenly: config.service.slidingWindow,
-      blockDuration: config.service.requestBlockDuration
-    });
+    createLimiters(config, null);
     console.log('Rate limiter initialized with memory backend (fallback)');
   }
 }
@@ -79,11 +125,139 @@ export const getRateLimiter = () => rateLimiter;
  */
 export const reinitializeRateLimiter = async () => {
   rateLimiter = null;
+  tiers = [];
+  ipTier = null;
   initPromise = null;
   await initializeRateLimiterOnce();
   return rateLimiter;
 };
 
+/**
+ * Identify the client a request counts against: API key clients share one budget
+ * per key name, authenticated users one per user, everyone else one per IP address
+ * @param {Object} req - Express request
+ * @returns {string} - Rate limiter key
+ */
+export const getRateLimitKey = req => {
+  if (req.user?.authType === 'apiKey') {
+    return `apikey:${req.user.apiKey}`;
+  }
+  if (req.user?.id) {
+    return `user:${req.user.id}`;
+  }
+  return req.ip;
+};
+
+/**
+ * Resolve the tier for a request; routes without a tier use the default limiter
+ * @param {Object} req - Express request
+ * @returns {Object} - Tier with name, points, duration, weighted and limiter
+ */
+export const resolveTier = req => {
+  const tier = tiers.find(({ routes }) =>
+    routes.some(pattern => matchesRoute(pattern, req.method || 'GET', req.path))
+  );
+
+  const { service } = Config.getInstance();
+  return (
+    tier || {
+      name: 'default',
+      points: Number(service.requestLimit),
+      duration: Number(service.requestLimitTime),
+      weighted: false,
+      limiter: rateLimiter
+    }
+  );
+};
+
+/**
+ * Points a request consumes: weighted tiers charge one point per city in the body
+ * @param {Object} req - Express request
+ * @param {Object} tier - Resolved tier
+ * @returns {number} - Points to consume
+ */
+export const getRequestCost = (req, tier) => {
+  const cities = req.body?.cities;
+  return tier.weighted && Array.isArray(cities) ? Math.max(1, cities.length) : 1;
+};
+
+/**
+ * Check whether the client is exempt from rate limiting
+ * @param {Object} req - Express request
+ * @param {string} key - Rate limiter key
+ * @returns {boolean} - True if the IP or client key is allowlisted
+ */
+const isAllowlisted = (req, key) => {
+  const allowlist = Config.getInstance().rateLimit?.allowlist || [];
+  return allowlist.includes(key) || allowlist.includes(req.ip);
+};
+
+/**
+ * Set rate limit headers for allowed and rejected requests alike. X-RateLimit-*
+ * headers are on by default; the IETF RateLimit-Policy / RateLimit fields
+ * (draft-ietf-httpapi-ratelimit-headers) are opt-in.
+ * @param {Object} res - Express response
+ * @param {Object} tier - Resolved tier
+ * @param {Object} rateLimiterRes - rate-limiter-flexible result
+ */
+export const setRateLimitHeaders = (res, tier, rateLimiterRes) => {
+  const { headers } = Config.getInstance().rateLimit || {};
+  const remaining = Math.max(0, rateLimiterRes.remainingPoints || 0);
+  const resetSecs = Math.max(0, Math.ceil((rateLimiterRes.msBeforeNext || 0) / 1000));
+
+  if (headers?.legacy !== false) {
+    res.set('X-RateLimit-Limit', String(tier.points));
+    res.set('X-RateLimit-Remaining', String(remaining));
+    res.set('X-RateLimit-Reset', String(Math.ceil(Date.now() / 1000) + resetSecs));
+  }
+
+  if (headers?.standard) {
+    res.set('RateLimit-Policy', `"${tier.name}";q=${tier.points};w=${tier.duration}`);
+    res.set('RateLimit', `"${tier.name}";r=${remaining};t=${resetSecs}`);
+  }
+};
+
+/**
+ * Answer a request over its limit with 429 and Retry-After
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ * @param {Object} tier - Tier whose limit was reached
+ * @param {Object} rateLimiterRes - rate-limiter-flexible rejection
+ */
+const rejectRequest = (res, next, tier, rateLimiterRes) => {
+  const msBeforeNext = rateLimiterRes.msBeforeNext || 1000;
+  const retrySecs = Math.max(1, Math.ceil(msBeforeNext / 1000));
+  Metrics.countRateLimitRejection(tier.name);
+  res.set('Retry-After', String(retrySecs));
+  setRateLimitHeaders(res, tier, { remainingPoints: 0, msBeforeNext });
+  next(new Error('TooManyRequestsError'));
+};
+
+/**
+ * Limit every request by client IP before it is authenticated. The per-client
+ * tiers of rateLimiterMiddleware run after authentication and never see requests
+ * rejected there, so this limit is what throttles guessed keys and tokens.
+ */
+export const ipRateLimiterMiddleware = async (req, res, next) => {
+  try {
+    await initializeRateLimiterOnce();
+  } catch (error) {
+    console.warn('Rate limiter initialization failed:', error.message);
+  }
+
+  if (!ipTier || isAllowlisted(req, req.ip)) {
+    return next();
+  }
+
+  try {
+    await ipTier.limiter.consume(req.ip);
+    next();
+  } catch (rateLimiterRes) {
+    console.warn(`Rate limit exceeded for ${req.ip} on ip tier`);
+    rejectRequest(res, next, ipTier, rateLimiterRes);
+  }
+};
+
 export const rateLimiterMiddleware = async (req, res, next) => {
   try {
     await initializeRateLimiterOnce();
@@ -95,21 +269,24 @@ export const rateLimiterMiddleware = async (req, res, next) => {
     return next();
   }
 
+  const key = getRateLimitKey(req);
+  if (isAllowlisted(req, key)) {
+    return next();
+  }
+
+  const tier = resolveTier(req);
+  const cost = getRequestCost(req, tier);
+
   try {
-    const rateLimiterRes = await rateLimiter.consume(req.ip);
+    const rateLimiterRes = await tier.limiter.consume(key, cost);
     // If the limit is not reached, process the request
-    console.log('Remaining Requests:', rateLimiterRes.remainingPoints);
+    setRateLimitHeaders(res, tier, rateLimiterRes);
     next();
   } catch (rateLimiterRes) {
     // If the limit is reached, handle the rate limit exceeded
-    const msBeforeNext = rateLimiterRes.msBeforeNext || 1000;
-    const retrySecs = Math.max(1, Math.ceil(msBeforeNext / 1000));
-    res.set('Retry-After', String(retrySecs));
-    res.set(
-      'X-RateLimit-Limit',
-      String(rateLimiterRes.totalHits || rateLimiterRes.limit || 100)
+    console.warn(
+      `Rate limit exceeded for ${key} on ${tier.name} tier (cost ${cost})`
     );
-    res.set('X-RateLimit-Remaining', String(rateLimiterRes.remainingPoints || 0));
-    next(new Error('TooManyRequestsError'));
+    rejectRequest(res, next, tier, rateLimiterRes);
   }
 };
@@ -0,0 +1,40 @@
+import { findUnknownFields, parseFields } from '../../utils/FieldSelection.js';
+import { createModuleLogger } from '../../utils/Logger.js';
+
+const logger = createModuleLogger('Field Selection');
+
+/**
+ * Create middleware reading the `fields` selection of a weather route and
+ * checking it against the documented response data. The selected paths are
+ * stored on `req.selectedFields`; the controller projects the response with
+ * them after the cache, so every selection shares one cached copy.
+ * @param {Object} schema - Schema of the response data the fields select from
+ * @param {string} [location] - "query" or "body"
+ * @returns {Function} - Express middleware
+ */
+const selectFields =
+  (schema, location = 'query') =>
+  (req, _res, next) => {
+    // eslint-disable-next-line security/detect-object-injection
+    const paths = parseFields(req[location]?.fields);
+    const unknown = findUnknownFields(paths, schema);
+
+    if (unknown.length > 0) {
+      logger.debug(
+        `Rejected unknown fields for ${req.originalUrl}: ${unknown.join(', ')}`
+      );
+      const error = new Error('UnknownFieldError');
+      error.fields = unknown.map(field => ({
+        location,
+        field: 'fields',
+        message: `Unknown field "${field}"`,
+        type: 'UnknownFieldError'
+      }));
+      return next(error);
+    }
+
+    req.selectedFields = paths;
+    return next();
+  };
+
+export default selectFields;
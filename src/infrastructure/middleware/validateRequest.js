@@ -0,0 +1,131 @@
+import { createModuleLogger } from '../../utils/Logger.js';
+import { compileSchema, toFieldName } from '../../utils/SchemaValidator.js';
+
+const logger = createModuleLogger('Request Validator');
+
+/**
+ * Build one object schema for all query or path parameters of an operation
+ * @param {Array<Object>} parameters - OpenAPI parameter objects
+ * @param {string} location - "query" or "path"
+ * @returns {Object|null} - Object schema, or null if there are no such parameters
+ */
+const toParameterSchema = (parameters, location) => {
+  const matching = parameters.filter(parameter => parameter.in === location);
+  if (matching.length === 0) {
+    return null;
+  }
+
+  return {
+    type: 'object',
+    properties: Object.fromEntries(
+      matching.map(parameter => [
+        parameter.name,
+        parameter.schema || { type: 'string' }
+      ])
+    ),
+    required: matching
+      .filter(parameter => parameter.required || location === 'path')
+      .map(parameter => parameter.name)
+  };
+};
+
+/**
+ * Compile the query, path parameter and body validators of an operation
+ * @param {Object} operation - OpenAPI operation object
+ * @returns {Object} - Validators by request location
+ */
+const compileOperation = operation => {
+  const parameters = operation.parameters || [];
+  const querySchema = toParameterSchema(parameters, 'query');
+  const pathSchema = toParameterSchema(parameters, 'path');
+  const bodySchema = operation.requestBody?.content?.['application/json']?.schema;
+
+  return {
+    query: querySchema && compileSchema(querySchema, { coerce: true }),
+    params: pathSchema && compileSchema(pathSchema, { coerce: true }),
+    body: bodySchema && compileSchema(bodySchema)
+  };
+};
+
+/**
+ * Look up the errorHandler type a failing schema maps to. `x-error-type` is
+ * either a type name or an object of type names by failing keyword.
+ * @param {Object} error - Ajv error (compiled with `verbose`)
+ * @returns {string|undefined} - Error type from errorHandler's list
+ */
+const getErrorType = error => {
+  const schema =
+    error.keyword === 'required'
+      ? error.parentSchema?.properties?.[error.params.missingProperty]
+      : error.parentSchema;
+  const errorType = schema?.['x-error-type'];
+
+  if (errorType && typeof errorType === 'object') {
+    return errorType[error.keyword] || errorType.default;
+  }
+  return errorType;
+};
+
+/**
+ * Describe every failing field of one request location
+ * @param {Array<Object>} errors - Ajv errors
+ * @param {string} location - "query", "params" or "body"
+ * @returns {Array<Object>} - `{ location, field, message, type }` entries
+ */
+const toFieldErrors = (errors, location) =>
+  errors.map(error => ({
+    location,
+    field: toFieldName(error.instancePath, error.params?.missingProperty),
+    message: error.message,
+    type: getErrorType(error) || 'BadRequest'
+  }));
+
+/**
+ * Create middleware validating query, path parameters and body against an
+ * OpenAPI operation. A failing request is rejected with the errorHandler type
+ * of the first field that maps to one (BadRequest otherwise); `fields` lists
+ * every failure.
+ * @param {Object} operation - OpenAPI operation object registered for the route
+ * @returns {Function} - Express middleware
+ */
+const validateRequest = operation => {
+  let validators = null;
+
+  return (req, _res, next) => {
+    try {
+      validators = validators || compileOperation(operation);
+    } catch (error) {
+      logger.error('Failed to compile request schemas:', error);
+      return next(error);
+    }
+
+    const fields = [];
+    ['query', 'params'].forEach(location => {
+      // eslint-disable-next-line security/detect-object-injection
+      const validate = validators[location];
+      // Validate a copy so coercion does not rewrite what the upstream receives
+      // eslint-disable-next-line security/detect-object-injection
+      if (validate && !validate({ ...req[location] })) {
+        fields.push(...toFieldErrors(validate.errors, location));
+      }
+    });
+
+    if (validators.body && !validators.body(req.body ?? {})) {
+      fields.push(...toFieldErrors(validators.body.errors, 'body'));
+    }
+
+    if (fields.length === 0) {
+      return next();
+    }
+
+    logger.debug(
+      `Rejected ${req.method} ${req.originalUrl}: ${fields.length} invalid field(s)`
+    );
+    const { type } = fields.find(field => field.type !== 'BadRequest') || fields[0];
+    const error = new Error(type);
+    error.fields = fields;
+    return next(error);
+  };
+};
+
+export default validateRequest;
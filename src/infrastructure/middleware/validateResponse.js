@@ -0,0 +1,128 @@
+import Config from '../../config/Config.js';
+import { createModuleLogger } from '../../utils/Logger.js';
+import { compileSchema, toFieldName } from '../../utils/SchemaValidator.js';
+
+const logger = createModuleLogger('Response Validator');
+
+// Most recent violations, kept so tests can assert on them
+const MAX_VIOLATIONS = 100;
+const violations = [];
+
+// Compiled response validators by operation, then by documented status
+const validators = new WeakMap();
+
+/**
+ * Find the documented response for a status: the exact code, its "2XX" style
+ * range, then `default`
+ * @param {Object} operation - OpenAPI operation object
+ * @param {number} status - Response status code
+ * @returns {Object|undefined} - `{ key, response }`
+ */
+const findResponse = (operation, status) => {
+  const responses = operation.responses || {};
+  const key = [String(status), `${String(status)[0]}XX`, 'default'].find(candidate =>
+    Object.hasOwn(responses, candidate)
+  );
+  // eslint-disable-next-line security/detect-object-injection
+  return key && { key, response: responses[key] };
+};
+
+/**
+ * Get the compiled validator for a documented response
+ * @param {Object} operation - OpenAPI operation object
+ * @param {string} key - Response key ("200", "4XX", "default")
+ * @param {Object} schema - Response body schema
+ * @returns {Function} - Ajv validate function
+ */
+const getValidator = (operation, key, schema) => {
+  if (!validators.has(operation)) {
+    validators.set(operation, new Map());
+  }
+  const compiled = validators.get(operation);
+  if (!compiled.has(key)) {
+    compiled.set(key, compileSchema(schema));
+  }
+  return compiled.get(key);
+};
+
+/**
+ * Check a response body against an operation's documented responses
+ * @param {Object} operation - OpenAPI operation object
+ * @param {number} status - Response status code
+ * @param {*} body - Response body
+ * @returns {Array<Object>} - `{ field, message }` for every violation (empty if valid)
+ */
+export const validateResponseBody = (operation, status, body) => {
+  const documented = findResponse(operation, status);
+  if (!documented) {
+    return [{ field: '', message: `status ${status} is not documented` }];
+  }
+
+  const schema = documented.response.content?.['application/json']?.schema;
+  if (!schema) {
+    return [];
+  }
+
+  const validate = getValidator(operation, documented.key, schema);
+  if (validate(body)) {
+    return [];
+  }
+  return validate.errors.map(error => ({
+    field: toFieldName(error.instancePath, error.params?.missingProperty),
+    message: error.message
+  }));
+};
+
+/**
+ * Get the response schema violations recorded so far
+ * @returns {Array<Object>} - `{ method, path, operation, status, errors }` entries, oldest first
+ */
+export const getResponseViolations = () => [...violations];
+
+/**
+ * Forget recorded violations (useful for testing)
+ */
+export const resetResponseViolations = () => {
+  violations.length = 0;
+};
+
+/**
+ * Create middleware checking JSON responses against an OpenAPI operation.
+ * Only active when `openapi.validateResponses` is enabled (development and
+ * test by default); violations are logged and recorded, never sent to the client.
+ * @param {Object} operation - OpenAPI operation object registered for the route
+ * @returns {Function} - Express middleware
+ */
+const validateResponse = operation => (req, res, next) => {
+  if (!Config.getInstance().openapi.validateResponses) {
+    return next();
+  }
+
+  const json = res.json.bind(res);
+  res.json = body => {
+    try {
+      const errors = validateResponseBody(operation, res.statusCode, body);
+      if (errors.length > 0) {
+        const violation = {
+          method: req.method,
+          path: req.originalUrl,
+          operation: operation.operationId || operation.summary,
+          status: res.statusCode,
+          errors
+        };
+        violations.push(violation);
+        violations.splice(0, violations.length - MAX_VIOLATIONS);
+        logger.warn(
+          `Response violates schema for ${req.method} ${req.originalUrl} (${res.statusCode}):`,
+          errors
+        );
+      }
+    } catch (error) {
+      logger.error('Failed to validate response:', error);
+    }
+    return json(body);
+  };
+  return next();
+};
+
+export default validateResponse;
@@ -1,7 +1,20 @@
 import Config from '../../config/Config.js';
 import HttpClient from '../../interfaces/http/HttpClient.js';
+import {
+  classifyBulkError,
+  getBulkKey,
+  hasCoordinates,
+  toBulkResult
+} from '../../utils/BulkWeather.js';
+import { mapWithConcurrency } from '../../utils/Concurrency.js';
+import { createModuleLogger } from '../../utils/Logger.js';
+import Metrics from '../../utils/Metrics.js';
+import RequestCoalescer from '../../utils/RequestCoalescer.js';
+import ResponseCache from '../../utils/ResponseCache.js';
 import UrlUtils from '../../utils/UrlUtils.js';
 
+const logger = createModuleLogger('Weather Proxy');
+
 export default class WeatherProxy {
   /**
    * Get services configuration lazily
@@ -58,12 +71,32 @@ export default class WeatherProxy {
     return error;
   }
 
+  /**
+   * Read through the response cache; on a miss, identical concurrent requests
+   * share a single upstream call, timed per operation
+   * @param {string} operation - Cached operation name
+   * @param {Object} req - Express request
+   * @param {Function} request - Async function calling the weather service
+   * @returns {Promise<*>} - Response data
+   */
+  static load(operation, req, request) {
+    return ResponseCache.fetch(operation, req, () =>
+      RequestCoalescer.run(operation, ResponseCache.buildKey(operation, req), () =>
+        Metrics.timeUpstream(operation, request)
+      )
+    );
+  }
+
   static async search(req) {
     try {
-      const response = await WeatherProxy.getHttpClient().get('/search', {
-        params: req.query
+      return await WeatherProxy.load('search', req, async () => {
+        // Only the search parameters: the query may carry presentation options
+        // (units, fields) or an api_key that must not reach the weather service
+        const response = await WeatherProxy.getHttpClient().get('/search', {
+          params: { q: req.query.q, ccode: req.query.ccode }
+        });
+        return response.data;
       });
-      return response.data;
     } catch (error) {
       throw WeatherProxy.enhanceError(error, 'weather_search');
     }
@@ -75,8 +108,10 @@ export default class WeatherProxy {
       if (!cityId) {
         throw new Error('City ID is required');
       }
-      const response = await WeatherProxy.getHttpClient().get(`/current/${cityId}`);
-      return response.data;
+      return await WeatherProxy.load('getWeatherByCity', req, async () => {
+        const response = await WeatherProxy.getHttpClient().get(`/current/${cityId}`);
+        return response.data;
+      });
     } catch (error) {
       throw WeatherProxy.enhanceError(error, 'weather_by_city_id');
     }
@@ -85,21 +120,214 @@ export default class WeatherProxy {
   static async getWeatherByCityName(req) {
     try {
       const { city, ccode } = req.query;
-      const response = await WeatherProxy.getHttpClient().get(`/current`, {
-        params: { region: city, code: ccode }
+      return await WeatherProxy.load('getWeatherByCityName', req, async () => {
+        const response = await WeatherProxy.getHttpClient().get(`/current`, {
+          params: { region: city, code: ccode }
+        });
+        return response.data;
       });
-      return response.data;
     } catch (error) {
       throw WeatherProxy.enhanceError(error, 'weather_by_city_name');
     }
   }
 
+  static async getWeatherByCoordinates(req) {
+    try {
+      // Upstream receives the rounded coordinates the response is cached under
+      const { lat, lon } = ResponseCache.getCoordinates(req);
+      return await WeatherProxy.load('getWeatherByCoordinates', req, async () => {
+        const response = await WeatherProxy.getHttpClient().get(
+          '/current/coordinates',
+          {
+            params: { lat, lon }
+          }
+        );
+        return response.data;
+      });
+    } catch (error) {
+      throw WeatherProxy.enhanceError(error, 'weather_by_coordinates');
+    }
+  }
+
+  static async getForecastByCity(req) {
+    try {
+      const { cityId } = req.params;
+      if (!cityId) {
+        throw new Error('City ID is required');
+      }
+      return await WeatherProxy.load('getForecastByCity', req, async () => {
+        const response = await WeatherProxy.getHttpClient().get(
+          `/forecast/${cityId}`,
+          {
+            params: { days: req.query?.days }
+          }
+        );
+        return response.data;
+      });
+    } catch (error) {
+      throw WeatherProxy.enhanceError(error, 'forecast_by_city_id');
+    }
+  }
+
+  static async getForecastByCityName(req) {
+    try {
+      const { city, ccode, days } = req.query;
+      return await WeatherProxy.load('getForecastByCityName', req, async () => {
+        const response = await WeatherProxy.getHttpClient().get('/forecast', {
+          params: { region: city, code: ccode, days }
+        });
+        return response.data;
+      });
+    } catch (error) {
+      throw WeatherProxy.enhanceError(error, 'forecast_by_city_name');
+    }
+  }
+
+  static async getHistoryByCity(req) {
+    try {
+      const { cityId } = req.params;
+      if (!cityId) {
+        throw new Error('City ID is required');
+      }
+      const { from, to } = req.query;
+      return await WeatherProxy.load('getHistoryByCity', req, async () => {
+        const response = await WeatherProxy.getHttpClient().get(
+          `/history/${cityId}`,
+          {
+            params: { from, to }
+          }
+        );
+        return response.data;
+      });
+    } catch (error) {
+      throw WeatherProxy.enhanceError(error, 'history_by_city_id');
+    }
+  }
+
+  static async getHistoryByCityName(req) {
+    try {
+      const { city, ccode, from, to } = req.query;
+      return await WeatherProxy.load('getHistoryByCityName', req, async () => {
+        const response = await WeatherProxy.getHttpClient().get('/history', {
+          params: { region: city, code: ccode, from, to }
+        });
+        return response.data;
+      });
+    } catch (error) {
+      throw WeatherProxy.enhanceError(error, 'history_by_city_name');
+    }
+  }
+
   static async getBulkWeather(req) {
+    if (WeatherProxy.getServices().weather.bulkMode === 'fanout') {
+      return WeatherProxy.fanOutBulkWeather(req);
+    }
+
+    // The upstream /bulk endpoint only knows names and IDs, so entries given as
+    // coordinates are resolved at the gateway alongside it
+    const cities = Array.isArray(req.body.cities) ? req.body.cities : [];
+    const located = cities.filter(hasCoordinates);
+    if (located.length === 0) {
+      return WeatherProxy.postBulkWeather(req.body);
+    }
+
+    const named = cities.filter(item => !hasCoordinates(item));
+    const [upstream, resolved] = await Promise.all([
+      named.length > 0
+        ? WeatherProxy.postBulkWeather({ ...req.body, cities: named })
+        : null,
+      WeatherProxy.fanOutBulkWeather({ body: { cities: located } })
+    ]);
+    return {
+      success: Boolean(upstream?.success || resolved.success),
+      data: { ...upstream?.data, ...resolved.data },
+      errors: [...(upstream?.errors || []), ...resolved.errors]
+    };
+  }
+
+  /**
+   * Send a bulk request to the weather service /bulk endpoint
+   * @param {Object} body - Bulk request body with `cities`
+   * @returns {Promise<Object>} - Upstream bulk response
+   */
+  static async postBulkWeather(body) {
     try {
-      const response = await WeatherProxy.getHttpClient().post('/bulk', req.body);
+      const response = await Metrics.timeUpstream('bulk', () =>
+        WeatherProxy.getHttpClient().post('/bulk', body)
+      );
       return response.data;
     } catch (error) {
       throw WeatherProxy.enhanceError(error, 'bulk_weather');
     }
   }
+
+  /**
+   * Fetch one bulk entry through the single-city operations, so it shares their
+   * response cache and in-flight coalescing. Falls back to the last good cached
+   * response when the upstream call fails.
+   * @param {Object} item - Bulk city entry
+   * @returns {Promise<Object>} - Upstream single-city response
+   */
+  static async fetchBulkEntry(item) {
+    let operation = 'getWeatherByCityName';
+    let cityReq = { query: { city: item?.city ?? item?.name, ccode: item?.country } };
+    if (item?.id !== undefined) {
+      operation = 'getWeatherByCity';
+      cityReq = { params: { cityId: String(item.id) } };
+    } else if (hasCoordinates(item)) {
+      operation = 'getWeatherByCoordinates';
+      cityReq = { query: { lat: item.lat, lon: item.lon } };
+    }
+
+    try {
+      // eslint-disable-next-line security/detect-object-injection
+      return await WeatherProxy[operation](cityReq);
+    } catch (error) {
+      const stale = await ResponseCache.serveStale(operation, cityReq);
+      if (stale) {
+        return stale;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a bulk request at the gateway: one single-city call per entry with
+   * bounded concurrency, merged into the same keyed map as the upstream /bulk
+   * response. Failed cities are reported in `errors` instead of failing the batch.
+   * @param {Object} req - Express request with `body.cities`
+   * @returns {Promise<Object>} - `{ success, data, errors, fanOut }`
+   */
+  static async fanOutBulkWeather(req) {
+    const cities = Array.isArray(req.body.cities) ? req.body.cities : [];
+    const data = {};
+    const errors = [];
+
+    await mapWithConcurrency(
+      cities,
+      WeatherProxy.getServices().weather.bulkConcurrency,
+      async item => {
+        try {
+          const response = await WeatherProxy.fetchBulkEntry(item);
+          data[getBulkKey(item)] = response?.data ?? response;
+        } catch (error) {
+          errors.push(
+            toBulkResult(
+              item,
+              classifyBulkError(error),
+              error?.response?.data?.message || error.message
+            )
+          );
+        }
+      }
+    );
+
+    if (errors.length > 0) {
+      logger.warn(
+        `Bulk fan-out failed for ${errors.length} of ${cities.length} cities`
+      );
+    }
+
+    return { success: errors.length < cities.length, data, errors, fanOut: true };
+  }
 }
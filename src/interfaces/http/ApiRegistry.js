@@ -0,0 +1,143 @@
+import validateRequest from '../../infrastructure/middleware/validateRequest.js';
+import validateResponse from '../../infrastructure/middleware/validateResponse.js';
+
+export const DEFAULT_API_VERSION = 'v1';
+
+// OpenAPI operations by "version METHOD /path", paths relative to the versioned route prefix
+const operations = new Map();
+
+// Named component schemas; the schema objects themselves are shared by reference
+const schemas = new Map();
+
+/**
+ * Convert an Express route path ("/current/:cityId") to OpenAPI form ("/current/{cityId}")
+ * @param {string} path - Express route path
+ * @returns {string} - OpenAPI path
+ */
+export const toOpenApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Single source of truth for the documented API. Routes register their
+ * OpenAPI operation objects here; the served spec, the request validator and
+ * the development response validator are all derived from them.
+ */
+export default class ApiRegistry {
+  /**
+   * Register a reusable schema, emitted under `components.schemas`
+   * @param {string} name - Component name
+   * @param {Object} schema - JSON schema (OpenAPI 3.0 dialect)
+   * @returns {Object} - The same schema, for use in operation definitions
+   */
+  static registerSchema(name, schema) {
+    schemas.set(name, schema);
+    return schema;
+  }
+
+  /**
+   * Register an operation
+   * @param {string} method - HTTP method
+   * @param {string} path - OpenAPI path relative to the versioned route prefix
+   * @param {Object} operation - OpenAPI operation object
+   * @param {string} [version] - API version the operation belongs to
+   * @returns {Object} - The registered operation
+   */
+  static register(method, path, operation, version = DEFAULT_API_VERSION) {
+    operations.set(`${version} ${method.toUpperCase()} ${path}`, operation);
+    return operation;
+  }
+
+  /**
+   * Get a registered operation
+   * @param {string} method - HTTP method
+   * @param {string} path - OpenAPI path relative to the versioned route prefix
+   * @param {string} [version] - API version
+   * @returns {Object|undefined} - OpenAPI operation object
+   */
+  static getOperation(method, path, version = DEFAULT_API_VERSION) {
+    return operations.get(`${version} ${method.toUpperCase()} ${path}`);
+  }
+
+  /**
+   * Get the registered operations
+   * @param {string} [version] - Only return operations of this API version
+   * @returns {Array<{version: string, method: string, path: string, operation: Object}>} - Operations
+   */
+  static getOperations(version) {
+    return [...operations.entries()]
+      .map(([key, operation]) => {
+        const [operationVersion, method, path] = key.split(' ');
+        return { version: operationVersion, method, path, operation };
+      })
+      .filter(entry => !version || entry.version === version);
+  }
+
+  /**
+   * Get the API versions that have registered operations
+   * @returns {Array<string>} - Versions, e.g. ["v1", "v2"]
+   */
+  static getVersions() {
+    return [
+      ...new Set(ApiRegistry.getOperations().map(({ version }) => version))
+    ].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  }
+
+  /**
+   * Get the registered component schemas
+   * @returns {Map<string, Object>} - Schemas by component name
+   */
+  static getSchemas() {
+    return schemas;
+  }
+
+  /**
+   * Wrap an Express router so each route is registered with its OpenAPI
+   * operation. The route's own middleware (grants, authorization) runs first,
+   * then the request is validated against the operation before the handler;
+   * responses are checked against it in development.
+   * @param {Router} router - Express router
+   * @param {string} basePath - Path the router is mounted at, e.g. "/weather"
+   * @param {string} [version] - API version the routes belong to
+   * @returns {Object} - `get`, `post`, `put`, `patch` and `delete` taking
+   *   (path, operation, ...handlers)
+   */
+  static document(router, basePath = '', version = DEFAULT_API_VERSION) {
+    const define =
+      method =>
+      (path, operation, ...handlers) => {
+        const registered = ApiRegistry.register(
+          method,
+          toOpenApiPath(`${basePath}${path}`),
+          operation,
+          version
+        );
+        const middleware = handlers.slice(0, -1);
+        const handler = handlers.at(-1);
+
+        // eslint-disable-next-line security/detect-object-injection
+        router[method](
+          path,
+          validateResponse(registered),
+          ...middleware,
+          validateRequest(registered),
+          handler
+        );
+        return router;
+      };
+
+    return {
+      get: define('get'),
+      post: define('post'),
+      put: define('put'),
+      patch: define('patch'),
+      delete: define('delete')
+    };
+  }
+
+  /**
+   * Forget every registration (useful for testing)
+   */
+  static reset() {
+    operations.clear();
+    schemas.clear();
+  }
+}
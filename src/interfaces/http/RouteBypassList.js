@@ -1,6 +1,9 @@
 import Config from '../../config/Config.js';
 
 const BYPASSED_ROUTES = Object.freeze({
+  // Service info
+  'GET /': true,
+
   // Swagger routes
   [`GET /${Config.getInstance().app.healthUrl}`]: true,
   [`GET /${Config.getInstance().app.swaggerUrl}`]: true,
@@ -19,4 +22,31 @@ const BYPASSED_ROUTES = Object.freeze({
   'POST /auth/token': true
 });
 
+/**
+ * Normalize a "METHOD /path" route key: collapse repeated slashes and drop a
+ * trailing slash so config values like "/health" match "GET /health".
+ * @param {string} route - Route key
+ * @returns {string} - Normalized route key
+ */
+const normalizeRoute = route => {
+  const [method, path = '/'] = route.split(' ');
+  const normalizedPath = `/${path}`.replace(/\/{2,}/g, '/').replace(/(.)\/$/, '$1');
+  return `${method.toUpperCase()} ${normalizedPath}`;
+};
+
+const normalizedRoutes = new Set(
+  Object.keys(BYPASSED_ROUTES)
+    .filter(route => BYPASSED_ROUTES[route]) // eslint-disable-line security/detect-object-injection
+    .map(normalizeRoute)
+);
+
+/**
+ * Check whether a request skips authentication
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path relative to the API route prefix
+ * @returns {boolean} - True if the route is bypassed
+ */
+export const isBypassedRoute = (method, path) =>
+  normalizedRoutes.has(normalizeRoute(`${method} ${path || '/'}`));
+
 export default BYPASSED_ROUTES;
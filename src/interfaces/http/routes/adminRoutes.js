@@ -0,0 +1,174 @@
+import { Router } from 'express';
+
+import circuitBreakerController from '../../../controller/circuitBreakerController.js';
+import { ACTIONS, RESOURCES } from '../../../infrastructure/enum/grants.js';
+import authorize from '../../../infrastructure/middleware/authorize.js';
+import injectGrants from '../../../infrastructure/middleware/injectGrants.js';
+import ApiRegistry, { DEFAULT_API_VERSION } from '../ApiRegistry.js';
+import {
+  breakerName,
+  CircuitBreakerAction,
+  CircuitBreakerList,
+  CircuitBreakerResult,
+  CircuitBreakerUpdate
+} from '../schemas/admin.js';
+import {
+  bearerAuth,
+  errorResponses,
+  ErrorResponse,
+  jsonResponse
+} from '../schemas/common.js';
+
+const breakerNameParameter = {
+  in: 'path',
+  name: 'name',
+  required: true,
+  schema: breakerName,
+  description: 'Breaker name, "<service>-<operation>" (see the list endpoint)'
+};
+
+const adminResponses = badRequest => ({
+  ...errorResponses(badRequest),
+  403: jsonResponse('The caller has no circuit breaker grant', ErrorResponse)
+});
+
+const notFound = jsonResponse(
+  'No breaker with that name (breakers are created on their first request)',
+  ErrorResponse
+);
+
+/**
+ * Document a POST action on a single breaker
+ * @param {string} summary - Operation summary
+ * @param {string} description - Operation description
+ * @returns {Object} - OpenAPI operation object
+ */
+const breakerActionOperation = (summary, description) => ({
+  summary,
+  description,
+  tags: ['Admin'],
+  security: bearerAuth,
+  parameters: [breakerNameParameter],
+  requestBody: {
+    required: false,
+    content: { 'application/json': { schema: CircuitBreakerAction } }
+  },
+  responses: {
+    200: jsonResponse('Breaker after the action', CircuitBreakerResult),
+    ...adminResponses('Invalid request body'),
+    404: notFound
+  }
+});
+
+/**
+ * Create the admin router of an API version. Every action is guarded by the
+ * circuitBreakers grant and audit-logged by the controller.
+ * @param {string} [version] - API version the routes are mounted under
+ * @returns {Router} - Express router
+ */
+const createAdminRoutes = (version = DEFAULT_API_VERSION) => {
+  const adminRoutes = Router();
+  const route = ApiRegistry.document(adminRoutes, '/admin', version);
+  const canRead = injectGrants(RESOURCES.CIRCUIT_BREAKERS, ACTIONS.READANY);
+  const canUpdate = injectGrants(RESOURCES.CIRCUIT_BREAKERS, ACTIONS.UPDATEANY);
+
+  route.get(
+    '/circuit-breakers',
+    {
+      summary: 'List circuit breakers',
+      description: 'State, forced state, rolling stats and options of every breaker.',
+      tags: ['Admin'],
+      security: bearerAuth,
+      responses: {
+        200: jsonResponse('Circuit breakers', CircuitBreakerList),
+        ...adminResponses('Bad request')
+      }
+    },
+    canRead,
+    authorize,
+    circuitBreakerController.list
+  );
+
+  route.get(
+    '/circuit-breakers/:name',
+    {
+      summary: 'Inspect a circuit breaker',
+      tags: ['Admin'],
+      security: bearerAuth,
+      parameters: [breakerNameParameter],
+      responses: {
+        200: jsonResponse('Circuit breaker', CircuitBreakerResult),
+        ...adminResponses('Bad request'),
+        404: notFound
+      }
+    },
+    canRead,
+    authorize,
+    circuitBreakerController.get
+  );
+
+  route.post(
+    '/circuit-breakers/:name/open',
+    breakerActionOperation(
+      'Force a circuit breaker open',
+      'Requests get the last cached response, or else the fallback response, until ' +
+        'the breaker is force-closed or reset; it does not half-open after the reset ' +
+        'timeout (maintenance mode).'
+    ),
+    canUpdate,
+    authorize,
+    circuitBreakerController.forceOpen
+  );
+
+  route.post(
+    '/circuit-breakers/:name/close',
+    breakerActionOperation(
+      'Force a circuit breaker closed',
+      'Requests reach the service whatever the error rate, until the breaker is ' +
+        'force-opened or reset.'
+    ),
+    canUpdate,
+    authorize,
+    circuitBreakerController.forceClose
+  );
+
+  route.post(
+    '/circuit-breakers/:name/reset',
+    breakerActionOperation(
+      'Reset a circuit breaker',
+      'Releases a forced state, closes the breaker and clears its rolling stats.'
+    ),
+    canUpdate,
+    authorize,
+    circuitBreakerController.reset
+  );
+
+  route.patch(
+    '/circuit-breakers/:name',
+    {
+      summary: 'Change the timeout of a circuit breaker',
+      description:
+        'Applies to the next calls and lasts until the gateway restarts; change ' +
+        'the configuration to keep it.',
+      tags: ['Admin'],
+      security: bearerAuth,
+      parameters: [breakerNameParameter],
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: CircuitBreakerUpdate } }
+      },
+      responses: {
+        200: jsonResponse('Breaker after the change', CircuitBreakerResult),
+        ...adminResponses('Invalid timeout'),
+        404: notFound
+      }
+    },
+    canUpdate,
+    authorize,
+    circuitBreakerController.update
+  );
+
+  return adminRoutes;
+};
+
+export default createAdminRoutes;
@@ -5,10 +5,16 @@
 
 import express from 'express';
 
+import Config from '../../../config/Config.js';
+import { ACTIONS, RESOURCES } from '../../../infrastructure/enum/grants.js';
+import authorize from '../../../infrastructure/middleware/authorize.js';
+import injectGrants from '../../../infrastructure/middleware/injectGrants.js';
+import BreakerEvents from '../../../utils/BreakerEvents.js';
 import {
   getCircuitBreakerHealth,
   getCircuitBreakerMetrics
 } from '../../../utils/CircuiteBreaker.js';
+import RequestCoalescer from '../../../utils/RequestCoalescer.js';
 
 const router = express.Router();
 
@@ -75,8 +81,75 @@ router.get('/circuit-breakers/metrics', (req, res) => {
 });
 
 /**
- * Prometheus-style metrics endpoint
- * GET /metrics/circuit-breakers
+ * Live circuit breaker events (Server-Sent Events): a snapshot of every breaker,
+ * then state changes, fallbacks and upstream error spikes as they happen. Guarded
+ * by the circuitBreakers read grant, like the admin API and the Socket.IO room.
+ * GET /health/circuit-breakers/events
+ */
+router.get(
+  '/circuit-breakers/events',
+  // Grants are only enforced for authenticated callers, so like the admin API
+  // the stream is not exposed at all without authentication
+  (req, res, next) => (Config.getInstance().auth.enabled ? next() : next('router')),
+  injectGrants(RESOURCES.CIRCUIT_BREAKERS, ACTIONS.READANY),
+  authorize,
+  (req, res) => {
+    const { heartbeatInterval } = BreakerEvents.getSettings();
+
+    // res.flush comes from the compression middleware; /health responses are not
+    // compressed, but flushing keeps each message from waiting in a buffer
+    const write = chunk => {
+      res.write(chunk);
+      res.flush?.();
+    };
+    const send = (event, data) =>
+      write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    send('circuit_breaker_snapshot', {
+      timestamp: new Date().toISOString(),
+      circuit_breakers: getCircuitBreakerHealth()
+    });
+    const unsubscribe = BreakerEvents.subscribe(event => send(event.event, event));
+    const heartbeat = setInterval(() => write(': heartbeat\n\n'), heartbeatInterval);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+);
+
+/**
+ * Request coalescing metrics
+ * GET /health/coalescing
+ */
+router.get('/coalescing', (req, res) => {
+  try {
+    res.json({
+      timestamp: new Date().toISOString(),
+      coalescing: RequestCoalescer.getMetrics()
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: 'Failed to retrieve request coalescing metrics',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Prometheus-style circuit breaker and coalescing metrics, kept for existing
+ * scrapers; the metrics endpoint (METRICS_PATH) covers the whole gateway
+ * GET /health/prometheus
  */
 router.get('/prometheus', (req, res) => {
   try {
@@ -88,6 +161,10 @@ router.get('/prometheus', (req, res) => {
 # TYPE circuit_breaker_error_rate gauge
 # HELP circuit_breaker_state Current state of circuit breaker (0=closed, 1=half_open, 2=open)
 # TYPE circuit_breaker_state gauge
+# HELP upstream_requests_coalesced_total Requests by whether they called upstream or joined an identical in-flight call
+# TYPE upstream_requests_coalesced_total counter
+# HELP upstream_requests_in_flight Upstream calls currently in flight
+# TYPE upstream_requests_in_flight gauge
 `;
 
     Object.entries(metrics).forEach(([service, data]) => {
@@ -111,6 +188,15 @@ circuit_breaker_state{service="${service}"} ${stateValue}
 `;
     });
 
+    const coalescing = RequestCoalescer.getMetrics();
+    Object.entries(coalescing.operations).forEach(([operation, data]) => {
+      prometheusMetrics += `upstream_requests_coalesced_total{operation="${operation}",result="upstream"} ${data.upstream}
+upstream_requests_coalesced_total{operation="${operation}",result="coalesced"} ${data.coalesced}
+`;
+    });
+    prometheusMetrics += `upstream_requests_in_flight ${coalescing.in_flight}
+`;
+
     res.set('Content-Type', 'text/plain');
     res.send(prometheusMetrics);
   } catch (error) {
@@ -2,35 +2,52 @@ import { Router } from 'express';
 
 import Config from '../../../config/Config.js';
 
+import createAdminRoutes from './adminRoutes.js';
 import healthRoutes from './healthRoutes.js';
-import weatherRoutes from './weatherRoutes.js';
-
-const router = Router();
-
-// Basic health check endpoint
-router.get('/', (_, res) => {
-  res.json({
-    message: 'Weather Reporter API Gateway is running',
-    application: Config.getInstance().app.name,
-    service: Config.getInstance().service.name,
-    version: Config.getInstance().service.version,
-    date: new Date().toUTCString()
+import createWeatherRoutes from './weatherRoutes.js';
+
+/**
+ * Create the API router of one version, mounted under its versioned route prefix
+ * @param {string} version - API version, e.g. "v1"
+ * @returns {Router} - Express router
+ */
+const createApiRouter = version => {
+  const router = Router();
+
+  // Basic health check endpoint
+  router.get('/', (_, res) => {
+    res.json({
+      message: 'Weather Reporter API Gateway is running',
+      application: Config.getInstance().app.name,
+      service: Config.getInstance().service.name,
+      version: Config.getInstance().service.version,
+      apiVersion: version,
+      date: new Date().toUTCString()
+    });
   });
-});
-
-router.get('/health', (_, res) => {
-  res.json({
-    application: Config.getInstance().app.name,
-    service: Config.getInstance().service.name,
-    version: Config.getInstance().service.version,
-    date: new Date().toUTCString()
+
+  router.get('/health', (_, res) => {
+    res.json({
+      application: Config.getInstance().app.name,
+      service: Config.getInstance().service.name,
+      version: Config.getInstance().service.version,
+      apiVersion: version,
+      date: new Date().toUTCString()
+    });
+  });
+
+  router.use('/health', healthRoutes);
+  router.use('/weather', createWeatherRoutes(version));
+  // Grants are only enforced for authenticated callers, so without
+  // authentication the admin API is not exposed at all
+  if (Config.getInstance().auth.enabled) {
+    router.use('/admin', createAdminRoutes(version));
+  }
+  router.use('*', (_, res) => {
+    res.status(404).json({ message: 'Not Found' });
   });
-});
 
-router.use('/health', healthRoutes);
-router.use('/weather', weatherRoutes);
-router.use('*', (_, res) => {
-  res.status(404).json({ message: 'Not Found' });
-});
+  return router;
+};
 
-export default router;
+export default createApiRouter;
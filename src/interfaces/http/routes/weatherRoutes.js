@@ -1,198 +1,468 @@
 import { Router } from 'express';
 
-/**
- * @swagger
- * /api/v1/weather/search:
- *   get:
- *     summary: Search for cities
- *     tags: [Weather]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: query
- *         schema:
- *           type: string
- *         description: Search query for cities
- *     responses:
- *       200:
- *         description: Cities found successfully
- *       401:
- *         description: Unauthorized
- */
 import weatherController from '../../../controller/weatherController.js';
 import { ACTIONS, RESOURCES } from '../../../infrastructure/enum/grants.js';
+import authorize from '../../../infrastructure/middleware/authorize.js';
+import conditionalGet from '../../../infrastructure/middleware/conditionalGet.js';
 import injectGrants from '../../../infrastructure/middleware/injectGrants.js';
+import selectFields from '../../../infrastructure/middleware/selectFields.js';
+import { getFieldPaths } from '../../../utils/FieldSelection.js';
+import ApiRegistry, { DEFAULT_API_VERSION } from '../ApiRegistry.js';
+import {
+  bearerAuth,
+  errorResponses,
+  ErrorResponse,
+  jsonResponse,
+  notModified
+} from '../schemas/common.js';
+import {
+  BulkWeatherRequest,
+  BulkWeatherResponse,
+  calendarDate,
+  cityId,
+  CitySearchResult,
+  cityName,
+  countryCode,
+  CurrentWeather,
+  fieldList,
+  forecastDays,
+  language,
+  latitude,
+  longitude,
+  units,
+  WeatherPeriod
+} from '../schemas/weather.js';
 
-const weatherRoutes = Router();
+const cityIdParameter = {
+  in: 'path',
+  name: 'cityId',
+  required: true,
+  schema: cityId,
+  description: 'Numeric city ID'
+};
 
-weatherRoutes.get(
-  '/search',
-  injectGrants(RESOURCES.WEATHER, ACTIONS.READANY),
-  weatherController.search
-);
+const cityNameParameters = [
+  {
+    in: 'query',
+    name: 'city',
+    required: true,
+    schema: cityName,
+    description: 'City name'
+  },
+  {
+    in: 'query',
+    name: 'ccode',
+    schema: countryCode,
+    description: 'ISO 3166-1 alpha-2 country code'
+  }
+];
 
-/**
- * @swagger
- * /api/v1/weather/current/{cityId}:
- *   get:
- *     summary: Get weather by city ID
- *     tags: [Weather]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: cityId
- *         required: true
- *         schema:
- *           type: string
- *         description: City ID
- *     responses:
- *       200:
- *         description: Weather data retrieved successfully
- *       401:
- *         description: Unauthorized
- *       404:
- *         description: City not found
- */
-weatherRoutes.get(
-  '/current/:cityId',
-  injectGrants(RESOURCES.WEATHER, ACTIONS.READANY),
-  weatherController.getWeatherByCity
-);
+// Applied by the gateway to the (shared) cached response, so they are not part of cache keys
+const presentationParameters = [
+  {
+    in: 'query',
+    name: 'units',
+    schema: units,
+    description:
+      'Unit system: `metric` (°C, m/s, hPa), `imperial` (°F, mph, inHg) or ' +
+      '`standard` (K, m/s, hPa)'
+  },
+  {
+    in: 'query',
+    name: 'lang',
+    schema: language,
+    description: 'Language of condition descriptions'
+  }
+];
 
 /**
- * @swagger
- * /api/v1/weather/current:
- *   get:
- *     summary: Get weather by city name
- *     tags: [Weather]
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: city
- *         schema:
- *           type: string
- *         description: City name
- *       - in: query
- *         name: ccode
- *         schema:
- *           type: string
- *         description: Country code
- *     responses:
- *       200:
- *         description: Weather data retrieved successfully
- *       401:
- *         description: Unauthorized
+ * Document the `fields` selection of a route, listing the paths of the
+ * response data it selects from
+ * @param {Object} schema - Schema of the response data
+ * @returns {Object} - OpenAPI parameter object
  */
-weatherRoutes.get(
-  '/current',
-  injectGrants(RESOURCES.WEATHER, ACTIONS.READANY),
-  weatherController.getWeatherByCityName
-);
+const fieldsParameter = schema => ({
+  in: 'query',
+  name: 'fields',
+  schema: fieldList,
+  description:
+    'Comma-separated fields to return, nested with dots (unknown fields are ' +
+    `rejected). Available: ${getFieldPaths(schema).join(', ')}`
+});
+
+const forecastDaysParameter = {
+  in: 'query',
+  name: 'days',
+  schema: forecastDays,
+  description:
+    'Number of days to forecast, starting today (weather service default if omitted)'
+};
+
+const dateRangeParameters = [
+  {
+    in: 'query',
+    name: 'from',
+    required: true,
+    schema: calendarDate,
+    description: 'First day of the period (YYYY-MM-DD)'
+  },
+  {
+    in: 'query',
+    name: 'to',
+    schema: calendarDate,
+    description:
+      'Last day of the period (YYYY-MM-DD, defaults to `from`). The period ends no ' +
+      'later than today and spans at most 31 days.'
+  }
+];
 
 /**
- * @swagger
- * /api/v1/weather/bulk:
- *   post:
- *     summary: Get weather data for multiple cities
- *     tags: [Weather]
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - cities
- *             properties:
- *               cities:
- *                 type: array
- *                 maxItems: 50
- *                 minItems: 1
- *                 items:
- *                   type: object
- *                   required:
- *                     - city
- *                   properties:
- *                     city:
- *                       type: string
- *                       description: City name
- *                       example: "London"
- *                     country:
- *                       type: string
- *                       description: ISO 3166-1 alpha-2 country code
- *                       example: "GB"
- *           example:
- *             cities:
- *               - city: "London"
- *                 country: "GB"
- *               - city: "New York"
- *                 country: "US"
- *               - city: "Tokyo"
- *                 country: "JP"
- *     responses:
- *       200:
- *         description: Bulk weather data retrieved successfully
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 data:
- *                   type: object
- *                   additionalProperties:
- *                     type: object
- *                     properties:
- *                       temperature:
- *                         type: number
- *                         description: Temperature in Celsius
- *                         example: 15
- *                       icon:
- *                         type: string
- *                         description: Weather icon code
- *                         example: "04d"
- *                       description:
- *                         type: string
- *                         description: Weather description
- *                         example: "Overcast clouds"
- *             example:
- *               success: true
- *               data:
- *                 "london-gb":
- *                   temperature: 15
- *                   icon: "04d"
- *                   description: "Overcast clouds"
- *                 "new york-us":
- *                   temperature: 22
- *                   icon: "01d"
- *                   description: "Clear sky"
- *       400:
- *         description: Bad request
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 message:
- *                   type: string
- *                   example: "Cities array is required in request body"
- *       401:
- *         description: Unauthorized
+ * Create the weather router of an API version. Versions share the controller
+ * and document their operations separately, so a version's response shape can
+ * change without affecting the others.
+ * @param {string} [version] - API version the routes are mounted under
+ * @returns {Router} - Express router
  */
-weatherRoutes.post(
-  '/bulk',
-  injectGrants(RESOURCES.WEATHER, ACTIONS.READANY),
-  weatherController.getBulkWeather
-);
+const createWeatherRoutes = (version = DEFAULT_API_VERSION) => {
+  const weatherRoutes = Router();
+  const route = ApiRegistry.document(weatherRoutes, '/weather', version);
+
+  route.get(
+    '/search',
+    {
+      summary: 'Search for cities',
+      tags: ['Weather'],
+      security: bearerAuth,
+      parameters: [
+        {
+          in: 'query',
+          name: 'q',
+          required: true,
+          schema: cityName,
+          description: "City name to search for (letters, spaces and . , ' -)"
+        },
+        {
+          in: 'query',
+          name: 'ccode',
+          schema: countryCode,
+          description: 'ISO 3166-1 alpha-2 country code to narrow the search'
+        },
+        fieldsParameter(CitySearchResult)
+      ],
+      responses: {
+        200: { description: 'Cities found successfully' },
+        304: notModified,
+        ...errorResponses('Invalid search term or country code')
+      }
+    },
+    // Ahead of authorize, so the ETag covers the filtered body
+    conditionalGet,
+    injectGrants(RESOURCES.WEATHER, ACTIONS.READANY),
+    authorize,
+    selectFields(CitySearchResult),
+    weatherController.search
+  );
+
+  // Registered before /current/:cityId, which would otherwise match "coordinates"
+  route.get(
+    '/current/coordinates',
+    {
+      summary: 'Get weather by latitude and longitude',
+      description:
+        'Coordinates are rounded to the configured precision (2 decimals, about ' +
+        '1.1 km, by default) before the lookup, so nearby locations share a ' +
+        'cached response.',
+      tags: ['Weather'],
+      security: bearerAuth,
+      parameters: [
+        {
+          in: 'query',
+          name: 'lat',
+          required: true,
+          schema: latitude,
+          description: 'Latitude in decimal degrees (-90 to 90)'
+        },
+        {
+          in: 'query',
+          name: 'lon',
+          required: true,
+          schema: longitude,
+          description: 'Longitude in decimal degrees (-180 to 180)'
+        },
+        ...presentationParameters,
+        fieldsParameter(CurrentWeather)
+      ],
+      responses: {
+        200: jsonResponse('Weather data retrieved successfully', CurrentWeather),
+        304: notModified,
+        ...errorResponses('Invalid latitude or longitude'),
+        404: jsonResponse('No weather data for the location', ErrorResponse)
+      }
+    },
+    conditionalGet,
+    injectGrants(RESOURCES.WEATHER, ACTIONS.READANY),
+    authorize,
+    selectFields(CurrentWeather),
+    weatherController.getWeatherByCoordinates
+  );
+
+  route.get(
+    '/current/:cityId',
+    {
+      summary: 'Get weather by city ID',
+      tags: ['Weather'],
+      security: bearerAuth,
+      parameters: [
+        cityIdParameter,
+        ...presentationParameters,
+        fieldsParameter(CurrentWeather)
+      ],
+      responses: {
+        200: jsonResponse('Weather data retrieved successfully', CurrentWeather),
+        304: notModified,
+        ...errorResponses('Invalid city ID'),
+        404: jsonResponse('City not found', ErrorResponse)
+      }
+    },
+    conditionalGet,
+    injectGrants(RESOURCES.WEATHER, ACTIONS.READANY),
+    authorize,
+    selectFields(CurrentWeather),
+    weatherController.getWeatherByCity
+  );
+
+  route.get(
+    '/current',
+    {
+      summary: 'Get weather by city name',
+      tags: ['Weather'],
+      security: bearerAuth,
+      parameters: [
+        ...cityNameParameters,
+        ...presentationParameters,
+        fieldsParameter(CurrentWeather)
+      ],
+      responses: {
+        200: jsonResponse('Weather data retrieved successfully', CurrentWeather),
+        304: notModified,
+        ...errorResponses('Invalid city name or country code')
+      }
+    },
+    conditionalGet,
+    injectGrants(RESOURCES.WEATHER, ACTIONS.READANY),
+    authorize,
+    selectFields(CurrentWeather),
+    weatherController.getWeatherByCityName
+  );
+
+  route.get(
+    '/forecast/:cityId',
+    {
+      summary: 'Get the daily forecast by city ID',
+      tags: ['Weather'],
+      security: bearerAuth,
+      parameters: [
+        cityIdParameter,
+        forecastDaysParameter,
+        ...presentationParameters,
+        fieldsParameter(WeatherPeriod)
+      ],
+      responses: {
+        200: jsonResponse('Forecast retrieved successfully', WeatherPeriod),
+        304: notModified,
+        ...errorResponses('Invalid city ID or number of days'),
+        404: jsonResponse('City not found', ErrorResponse)
+      }
+    },
+    conditionalGet,
+    injectGrants(RESOURCES.WEATHER, ACTIONS.READANY),
+    authorize,
+    selectFields(WeatherPeriod),
+    weatherController.getForecastByCity
+  );
+
+  route.get(
+    '/forecast',
+    {
+      summary: 'Get the daily forecast by city name',
+      tags: ['Weather'],
+      security: bearerAuth,
+      parameters: [
+        ...cityNameParameters,
+        forecastDaysParameter,
+        ...presentationParameters,
+        fieldsParameter(WeatherPeriod)
+      ],
+      responses: {
+        200: jsonResponse('Forecast retrieved successfully', WeatherPeriod),
+        304: notModified,
+        ...errorResponses('Invalid city name, country code or number of days')
+      }
+    },
+    conditionalGet,
+    injectGrants(RESOURCES.WEATHER, ACTIONS.READANY),
+    authorize,
+    selectFields(WeatherPeriod),
+    weatherController.getForecastByCityName
+  );
+
+  route.get(
+    '/history/:cityId',
+    {
+      summary: 'Get historical daily weather by city ID',
+      tags: ['Weather'],
+      security: bearerAuth,
+      parameters: [
+        cityIdParameter,
+        ...dateRangeParameters,
+        ...presentationParameters,
+        fieldsParameter(WeatherPeriod)
+      ],
+      responses: {
+        200: jsonResponse('Historical weather retrieved successfully', WeatherPeriod),
+        304: notModified,
+        ...errorResponses('Invalid city ID or date range'),
+        404: jsonResponse('City not found', ErrorResponse)
+      }
+    },
+    conditionalGet,
+    injectGrants(RESOURCES.WEATHER, ACTIONS.READANY),
+    authorize,
+    selectFields(WeatherPeriod),
+    weatherController.getHistoryByCity
+  );
+
+  route.get(
+    '/history',
+    {
+      summary: 'Get historical daily weather by city name',
+      tags: ['Weather'],
+      security: bearerAuth,
+      parameters: [
+        ...cityNameParameters,
+        ...dateRangeParameters,
+        ...presentationParameters,
+        fieldsParameter(WeatherPeriod)
+      ],
+      responses: {
+        200: jsonResponse('Historical weather retrieved successfully', WeatherPeriod),
+        304: notModified,
+        ...errorResponses('Invalid city name, country code or date range')
+      }
+    },
+    conditionalGet,
+    injectGrants(RESOURCES.WEATHER, ACTIONS.READANY),
+    authorize,
+    selectFields(WeatherPeriod),
+    weatherController.getHistoryByCityName
+  );
+
+  route.post(
+    '/bulk',
+    {
+      summary: 'Get weather data for multiple cities',
+      tags: ['Weather'],
+      security: bearerAuth,
+      parameters: presentationParameters,
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: BulkWeatherRequest,
+            example: {
+              cities: [
+                { city: 'London', country: 'GB' },
+                { city: 'New York', country: 'US' },
+                { lat: 35.6762, lon: 139.6503 }
+              ]
+            }
+          }
+        }
+      },
+      responses: {
+        200: jsonResponse(
+          'Weather data retrieved for every requested city',
+          BulkWeatherResponse,
+          {
+            success: true,
+            data: {
+              'london-gb': {
+                temperature: 15,
+                icon: '04d',
+                description: 'Overcast clouds'
+              },
+              'new york-us': {
+                temperature: 22,
+                icon: '01d',
+                description: 'Clear sky'
+              }
+            },
+            results: [
+              { key: 'london-gb', city: 'London', country: 'GB', status: 'ok' },
+              { key: 'new york-us', city: 'New York', country: 'US', status: 'ok' }
+            ],
+            errors: []
+          }
+        ),
+        207: jsonResponse(
+          'Partial success. At least one city failed; weather for the cities that ' +
+            'resolved is still returned in `data`, and `success` is false only when ' +
+            'no city resolved.',
+          BulkWeatherResponse,
+          {
+            success: true,
+            data: {
+              'london-gb': {
+                temperature: 15,
+                icon: '04d',
+                description: 'Overcast clouds'
+              }
+            },
+            results: [
+              { key: 'london-gb', city: 'London', country: 'GB', status: 'ok' },
+              {
+                key: 'atlantis-xx',
+                city: 'Atlantis',
+                country: 'XX',
+                status: 'not_found',
+                message: 'No weather data returned for city'
+              },
+              {
+                key: 'tokyo-japan',
+                city: 'Tokyo',
+                country: 'JAPAN',
+                status: 'invalid',
+                message: 'Country must be an ISO 3166-1 alpha-2 code'
+              }
+            ],
+            errors: [
+              {
+                key: 'atlantis-xx',
+                city: 'Atlantis',
+                country: 'XX',
+                status: 'not_found',
+                message: 'No weather data returned for city'
+              },
+              {
+                key: 'tokyo-japan',
+                city: 'Tokyo',
+                country: 'JAPAN',
+                status: 'invalid',
+                message: 'Country must be an ISO 3166-1 alpha-2 code'
+              }
+            ]
+          }
+        ),
+        ...errorResponses('Missing, empty or oversized cities array')
+      }
+    },
+    injectGrants(RESOURCES.WEATHER, ACTIONS.READANY),
+    authorize,
+    selectFields(CurrentWeather, 'body'),
+    weatherController.getBulkWeather
+  );
+
+  return weatherRoutes;
+};
 
-export default weatherRoutes;
+export default createWeatherRoutes;
@@ -0,0 +1,108 @@
+import ApiRegistry from '../ApiRegistry.js';
+
+// Upper bound for runtime timeout changes (10 minutes)
+export const MAX_BREAKER_TIMEOUT = 600000;
+
+export const breakerName = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 100,
+  example: 'weather-getWeatherByCity',
+  'x-error-type': 'CircuitBreakerNotFoundError'
+};
+
+const breakerState = {
+  type: 'string',
+  enum: ['OPEN', 'HALF_OPEN', 'CLOSED']
+};
+
+export const CircuitBreakerStatus = ApiRegistry.registerSchema(
+  'CircuitBreakerStatus',
+  {
+    type: 'object',
+    required: ['state', 'forced', 'stats', 'options'],
+    properties: {
+      state: breakerState,
+      forced: {
+        type: 'string',
+        enum: ['OPEN', 'CLOSED', null],
+        nullable: true,
+        description:
+          'State pinned by an administrator, null while the breaker runs freely'
+      },
+      stats: {
+        type: 'object',
+        description: 'Counts over the rolling window (fires, failures, timeouts, ...)'
+      },
+      options: {
+        type: 'object',
+        properties: {
+          errorThresholdPercentage: { type: 'integer' },
+          timeout: { type: 'integer', description: 'Milliseconds' },
+          resetTimeout: { type: 'integer', description: 'Milliseconds' },
+          volumeThreshold: { type: 'integer' }
+        }
+      }
+    }
+  }
+);
+
+export const CircuitBreakerList = ApiRegistry.registerSchema('CircuitBreakerList', {
+  type: 'object',
+  required: ['timestamp', 'circuit_breakers'],
+  properties: {
+    timestamp: { type: 'string', format: 'date-time' },
+    circuit_breakers: {
+      type: 'object',
+      description: 'Breakers by name ("<service>-<operation>")',
+      additionalProperties: CircuitBreakerStatus
+    }
+  }
+});
+
+export const CircuitBreakerResult = ApiRegistry.registerSchema(
+  'CircuitBreakerResult',
+  {
+    type: 'object',
+    required: ['name', 'circuit_breaker'],
+    properties: {
+      name: breakerName,
+      circuit_breaker: CircuitBreakerStatus
+    }
+  }
+);
+
+const reason = {
+  type: 'string',
+  maxLength: 500,
+  description: 'Why the action was taken, recorded in the audit log'
+};
+
+export const CircuitBreakerAction = ApiRegistry.registerSchema(
+  'CircuitBreakerAction',
+  {
+    type: 'object',
+    additionalProperties: false,
+    properties: { reason }
+  }
+);
+
+export const CircuitBreakerUpdate = ApiRegistry.registerSchema(
+  'CircuitBreakerUpdate',
+  {
+    type: 'object',
+    required: ['timeout'],
+    additionalProperties: false,
+    properties: {
+      timeout: {
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_BREAKER_TIMEOUT,
+        example: 5000,
+        description: 'Call timeout in milliseconds, kept until the next restart',
+        'x-error-type': 'InvalidCircuitBreakerTimeoutError'
+      },
+      reason
+    }
+  }
+);
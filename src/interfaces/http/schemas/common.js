@@ -0,0 +1,100 @@
+import ApiRegistry from '../ApiRegistry.js';
+
+export const ErrorResponse = ApiRegistry.registerSchema('ErrorResponse', {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'object',
+      required: ['type', 'message', 'reference', 'timestamp'],
+      properties: {
+        type: { type: 'string', example: 'InvalidSearchTermError' },
+        message: { type: 'string' },
+        reference: { type: 'string', example: 'ERR_LZ3K9Q_4F2XA' },
+        timestamp: { type: 'string', format: 'date-time' },
+        path: {
+          type: 'string',
+          description: 'Sanitized request path (development only)'
+        },
+        method: { type: 'string', description: 'Request method (development only)' },
+        stack: { type: 'string', description: 'Stack trace (development only)' }
+      }
+    }
+  }
+});
+
+export const ValidationError = ApiRegistry.registerSchema('ValidationError', {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: {
+      type: 'object',
+      required: ['type', 'message', 'reference', 'timestamp'],
+      properties: {
+        ...ErrorResponse.properties.error.properties,
+        type: {
+          type: 'string',
+          description:
+            'Error type of the first field with a specific one, else BadRequest',
+          example: 'TooManyCitiesError'
+        },
+        fields: {
+          type: 'array',
+          description: 'Every field that failed validation',
+          items: {
+            type: 'object',
+            required: ['location', 'field', 'message', 'type'],
+            properties: {
+              location: { type: 'string', enum: ['query', 'params', 'body'] },
+              field: { type: 'string', example: 'cities' },
+              message: {
+                type: 'string',
+                example: 'must NOT have more than 50 items'
+              },
+              type: { type: 'string', example: 'TooManyCitiesError' }
+            }
+          }
+        }
+      }
+    }
+  }
+});
+
+/**
+ * Describe a JSON response
+ * @param {string} description - Response description
+ * @param {Object} schema - Response body schema
+ * @param {*} [example] - Example body
+ * @returns {Object} - OpenAPI response object
+ */
+export const jsonResponse = (description, schema, example) => ({
+  description,
+  content: {
+    'application/json': {
+      schema,
+      ...(example !== undefined && { example })
+    }
+  }
+});
+
+/**
+ * Error responses shared by every authenticated route. `default` covers the
+ * statuses errorHandler can return that a route does not list itself.
+ * @param {string} badRequest - Description of the route's 400 response
+ * @returns {Object} - OpenAPI responses keyed by status
+ */
+export const errorResponses = badRequest => ({
+  400: jsonResponse(badRequest, ValidationError),
+  401: jsonResponse('Unauthorized', ErrorResponse),
+  429: jsonResponse('Too many requests', ErrorResponse),
+  default: jsonResponse('Error', ErrorResponse)
+});
+
+// Conditional GET: answered instead of 200 when the client's copy is current
+export const notModified = {
+  description:
+    'Not Modified. The ETag in If-None-Match (or, without one, the Last-Modified ' +
+    'time in If-Modified-Since) matches the current response; the body is empty.'
+};
+
+export const bearerAuth = [{ bearerAuth: [] }];
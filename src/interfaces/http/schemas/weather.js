@@ -0,0 +1,281 @@
+import { LATITUDE_LIMIT, LONGITUDE_LIMIT } from '../../../utils/Coordinates.js';
+import { FORECAST_MAX_DAYS } from '../../../utils/DateRange.js';
+import { SUPPORTED_LANGUAGES } from '../../../utils/WeatherTranslations.js';
+import { DEFAULT_UNITS, UNITS } from '../../../utils/WeatherUnits.js';
+import ApiRegistry from '../ApiRegistry.js';
+
+export const cityName = {
+  type: 'string',
+  minLength: 2,
+  maxLength: 85,
+  pattern: "^(?=.*\\p{L})[\\p{L}\\p{M} .,'-]+$",
+  'x-error-type': 'InvalidSearchTermError'
+};
+
+export const countryCode = {
+  type: 'string',
+  pattern: '^[A-Za-z]{2}$',
+  'x-error-type': 'InvalidCountryCodeError'
+};
+
+export const cityId = {
+  type: 'string',
+  pattern: '^[0-9]{1,12}$',
+  'x-error-type': 'InvalidRegionIdError'
+};
+
+export const latitude = {
+  type: 'number',
+  minimum: -LATITUDE_LIMIT,
+  maximum: LATITUDE_LIMIT,
+  example: 51.5074,
+  'x-error-type': 'InvalidLatitudeError'
+};
+
+export const longitude = {
+  type: 'number',
+  minimum: -LONGITUDE_LIMIT,
+  maximum: LONGITUDE_LIMIT,
+  example: -0.1278,
+  'x-error-type': 'InvalidLongitudeError'
+};
+
+export const units = {
+  type: 'string',
+  enum: Object.values(UNITS),
+  default: DEFAULT_UNITS,
+  'x-error-type': 'InvalidUnitsError'
+};
+
+export const language = {
+  type: 'string',
+  enum: [...SUPPORTED_LANGUAGES],
+  default: SUPPORTED_LANGUAGES[0],
+  'x-error-type': 'UnsupportedLanguageError'
+};
+
+export const fieldList = {
+  type: 'string',
+  example: 'temperature,icon',
+  'x-error-type': 'UnknownFieldError'
+};
+
+export const forecastDays = {
+  type: 'integer',
+  minimum: 1,
+  maximum: FORECAST_MAX_DAYS,
+  'x-error-type': 'InvalidForecastDaysError'
+};
+
+export const calendarDate = {
+  type: 'string',
+  pattern: '^[0-9]{4}-[0-9]{2}-[0-9]{2}$',
+  example: '2025-07-04',
+  'x-error-type': 'InvalidDateRangeError'
+};
+
+export const CurrentWeather = ApiRegistry.registerSchema('CurrentWeather', {
+  type: 'object',
+  description:
+    'Current weather from the weather service, in the requested `units` and `lang`',
+  properties: {
+    temperature: {
+      type: 'number',
+      nullable: true,
+      description: 'Temperature in °C (metric), °F (imperial) or K (standard)',
+      example: 15
+    },
+    feelsLike: {
+      type: 'number',
+      nullable: true,
+      description: 'Perceived temperature, in the same units as `temperature`'
+    },
+    windSpeed: {
+      type: 'number',
+      nullable: true,
+      description: 'Wind speed in m/s (metric, standard) or mph (imperial)'
+    },
+    pressure: {
+      type: 'number',
+      nullable: true,
+      description: 'Pressure in hPa (metric, standard) or inHg (imperial)'
+    },
+    icon: { type: 'string', description: 'Weather icon code', example: '04d' },
+    description: {
+      type: 'string',
+      description: 'Weather description, translated to `lang` where known',
+      example: 'Overcast clouds'
+    }
+  }
+});
+
+export const CitySearchResult = ApiRegistry.registerSchema('CitySearchResult', {
+  type: 'object',
+  description: 'A city matching the search term',
+  properties: {
+    id: {
+      oneOf: [{ type: 'string' }, { type: 'integer' }],
+      description: 'City ID, for the weather routes taking `cityId`'
+    },
+    name: { type: 'string', example: 'London' },
+    country: {
+      type: 'string',
+      description: 'ISO 3166-1 alpha-2 country code',
+      example: 'GB'
+    },
+    lat: { type: 'number', example: 51.5074 },
+    lon: { type: 'number', example: -0.1278 }
+  }
+});
+
+export const DailyWeather = ApiRegistry.registerSchema('DailyWeather', {
+  type: 'object',
+  description: 'Weather for one day, in the requested `units` and `lang`',
+  properties: {
+    date: { type: 'string', example: '2025-07-04' },
+    minTemperature: {
+      type: 'number',
+      nullable: true,
+      description: 'Minimum temperature, in the same units as `temperature`',
+      example: 11
+    },
+    maxTemperature: {
+      type: 'number',
+      nullable: true,
+      description: 'Maximum temperature, in the same units as `temperature`',
+      example: 19
+    },
+    icon: { type: 'string', description: 'Weather icon code', example: '10d' },
+    description: {
+      type: 'string',
+      description: 'Weather description, translated to `lang` where known',
+      example: 'Light rain'
+    }
+  }
+});
+
+export const WeatherPeriod = ApiRegistry.registerSchema('WeatherPeriod', {
+  type: 'object',
+  description: 'Daily weather for a forecast or history period, oldest day first',
+  properties: {
+    days: { type: 'array', items: DailyWeather }
+  }
+});
+
+export const BulkCityResult = ApiRegistry.registerSchema('BulkCityResult', {
+  type: 'object',
+  required: ['key', 'status'],
+  properties: {
+    key: {
+      type: 'string',
+      description: 'Key of the city in `data` ("city-country", or the city ID)',
+      example: 'london-gb'
+    },
+    city: { type: 'string', nullable: true, example: 'London' },
+    country: { type: 'string', nullable: true, example: 'GB' },
+    id: {
+      oneOf: [{ type: 'string' }, { type: 'integer' }],
+      description: 'City ID, for entries requested by ID'
+    },
+    lat: {
+      oneOf: [{ type: 'number' }, { type: 'string' }],
+      description: 'Latitude, for entries requested by coordinates'
+    },
+    lon: {
+      oneOf: [{ type: 'number' }, { type: 'string' }],
+      description: 'Longitude, for entries requested by coordinates'
+    },
+    status: {
+      type: 'string',
+      enum: ['ok', 'not_found', 'invalid', 'upstream_error'],
+      description:
+        '`ok` - weather returned in `data`; ' +
+        '`not_found` - the weather service has no data for the city; ' +
+        '`invalid` - the entry was rejected before reaching the weather service; ' +
+        '`upstream_error` - the weather service failed or is unavailable'
+    },
+    message: { type: 'string', description: 'Failure reason, omitted for `ok`' }
+  }
+});
+
+export const BulkWeatherResponse = ApiRegistry.registerSchema('BulkWeatherResponse', {
+  type: 'object',
+  required: ['success', 'data', 'results', 'errors'],
+  properties: {
+    success: { type: 'boolean', description: 'True when at least one city resolved' },
+    data: {
+      type: 'object',
+      description: 'Weather for each resolved city, keyed by `key`',
+      additionalProperties: CurrentWeather
+    },
+    results: {
+      type: 'array',
+      description: 'One entry per requested city, in request order',
+      items: BulkCityResult
+    },
+    errors: {
+      type: 'array',
+      description: 'The entries of `results` whose status is not `ok`',
+      items: BulkCityResult
+    },
+    fanOut: {
+      type: 'boolean',
+      description: 'Present when the gateway resolved the cities one by one'
+    },
+    fallback: {
+      type: 'boolean',
+      description: 'Present when the weather service was unavailable'
+    }
+  }
+});
+
+export const BulkWeatherRequest = ApiRegistry.registerSchema('BulkWeatherRequest', {
+  type: 'object',
+  required: ['cities'],
+  properties: {
+    fields: {
+      type: 'array',
+      items: { type: 'string' },
+      description:
+        'Fields of `CurrentWeather` to return for each city, nested with dots ' +
+        '(unknown fields are rejected). All fields when omitted.',
+      example: ['temperature', 'icon'],
+      'x-error-type': 'UnknownFieldError'
+    },
+    cities: {
+      type: 'array',
+      maxItems: 50,
+      minItems: 1,
+      description:
+        'Entries are checked one by one; an invalid entry is reported with status ' +
+        '`invalid` in `results` instead of rejecting the request.',
+      'x-validate-items': false,
+      'x-error-type': {
+        required: 'BulkWeatherArrayNotProvidedError',
+        minItems: 'NoCitiesProvidedError',
+        maxItems: 'TooManyCitiesError'
+      },
+      items: {
+        type: 'object',
+        description:
+          'A city by name (`city`, optional `country`), by `id`, or a location by ' +
+          '`lat` and `lon`. Coordinates are rounded before the lookup; the result ' +
+          'key is the "lat,lon" pair, e.g. "51.5074,-0.1278".',
+        properties: {
+          city: { type: 'string', description: 'City name', example: 'London' },
+          country: {
+            type: 'string',
+            description: 'ISO 3166-1 alpha-2 country code',
+            example: 'GB'
+          },
+          id: {
+            oneOf: [{ type: 'string' }, { type: 'integer' }],
+            description: 'City ID'
+          },
+          lat: { ...latitude, description: 'Latitude (-90 to 90)' },
+          lon: { ...longitude, description: 'Longitude (-180 to 180)' }
+        }
+      }
+    }
+  }
+});
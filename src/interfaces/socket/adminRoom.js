@@ -0,0 +1,102 @@
+import Config from '../../config/Config.js';
+import AccessPolicy from '../../infrastructure/auth/AccessPolicy.js';
+import JwtVerifier from '../../infrastructure/auth/JwtVerifier.js';
+import { ACTIONS, RESOURCES } from '../../infrastructure/enum/grants.js';
+import BreakerEvents from '../../utils/BreakerEvents.js';
+import { getCircuitBreakerHealth } from '../../utils/CircuiteBreaker.js';
+import { createModuleLogger } from '../../utils/Logger.js';
+
+const logger = createModuleLogger('Admin Room');
+
+export const ADMIN_ROOM = 'admin';
+
+// Longest delay setTimeout supports (about 24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Read the JWT of a socket handshake: `io(url, { auth: { token } })` from
+ * browsers, or an "Authorization: Bearer <token>" header from other clients
+ * @param {Object} socket - Socket.IO socket
+ * @returns {string|null} - Token or null if none was sent
+ */
+const extractToken = socket => {
+  const { auth, headers } = socket.handshake;
+  if (typeof auth?.token === 'string' && auth.token) {
+    return auth.token;
+  }
+
+  const [scheme, token] = (headers?.authorization ?? '').trim().split(/\s+/);
+  return scheme?.toLowerCase() === 'bearer' && token ? token : null;
+};
+
+/**
+ * Verify that a token belongs to a caller allowed to read the circuit breakers
+ * @param {string} token - JWT
+ * @returns {Object} - Verified claims
+ * @throws {Error} - If the token is invalid or the role lacks the grant
+ */
+const verifyAdmin = token => {
+  const claims = JwtVerifier.verify(token);
+  const user = JwtVerifier.toPrincipal(claims);
+  const { granted } = AccessPolicy.check(
+    user,
+    RESOURCES.CIRCUIT_BREAKERS,
+    ACTIONS.READANY
+  );
+
+  if (!granted) {
+    throw new Error(`Role ${user.role} may not read circuit breakers`);
+  }
+  return claims;
+};
+
+/**
+ * Add a socket to the admin room when its handshake carries a token with the
+ * circuitBreakers read grant, and send it the current breaker states. Sockets
+ * without a token are left alone; the room only exists with authentication on.
+ * The socket leaves the room when its token expires.
+ * @param {Object} socket - Socket.IO socket
+ * @returns {boolean} - True if the socket joined the room
+ */
+export const joinAdminRoom = socket => {
+  const token = extractToken(socket);
+  if (!token || !Config.getInstance().auth.enabled) {
+    return false;
+  }
+
+  let claims;
+  try {
+    claims = verifyAdmin(token);
+  } catch (error) {
+    logger.warn(`Admin room refused to socket ${socket.id}:`, error.message);
+    socket.emit('admin_denied', { message: 'Not allowed to join the admin room' });
+    return false;
+  }
+
+  socket.join(ADMIN_ROOM);
+  socket.emit('circuit_breaker_snapshot', {
+    timestamp: new Date().toISOString(),
+    circuit_breakers: getCircuitBreakerHealth()
+  });
+
+  const expiresIn = claims.exp * 1000 - Date.now();
+  if (expiresIn <= MAX_TIMER_DELAY) {
+    const expiry = setTimeout(() => {
+      socket.leave(ADMIN_ROOM);
+      socket.emit('admin_denied', { message: 'Token expired' });
+    }, expiresIn);
+    expiry.unref();
+    socket.on('disconnect', () => clearTimeout(expiry));
+  }
+
+  return true;
+};
+
+/**
+ * Relay breaker events and upstream error spikes to the admin room, each under
+ * its event name (e.g. "circuit_breaker_open")
+ * @param {Object} io - Socket.IO server
+ * @returns {Function} - Stops relaying
+ */
+export const relayBreakerEvents = io =>
+  BreakerEvents.subscribe(event => io.to(ADMIN_ROOM).emit(event.event, event));
@@ -5,6 +5,8 @@ import { Server } from 'socket.io';
 
 import app from './app.js';
 import Config from './config/Config.js';
+import { joinAdminRoom, relayBreakerEvents } from './interfaces/socket/adminRoom.js';
+import Metrics from './utils/Metrics.js';
 import UrlUtils from './utils/UrlUtils.js';
 
 const config = Config.getInstance();
@@ -21,8 +23,13 @@ const io = new Server(server, {
   }
 });
 
+// Circuit breaker events go to authenticated admins only
+relayBreakerEvents(io);
+
 io.on('connection', socket => {
   console.log('Client connected:', socket.id);
+  Metrics.socketConnected();
+  joinAdminRoom(socket);
   connectedClients.push(socket.id);
   io.to(socket.id).emit('connected', {
     id: socket.id,
@@ -31,6 +38,7 @@ io.on('connection', socket => {
 
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
+    Metrics.socketDisconnected();
   });
 
   socket.on('notification', data => {
@@ -0,0 +1,87 @@
+import { EventEmitter } from 'events';
+
+import Config from '../config/Config.js';
+
+// Live breaker events for the admin socket room and the SSE stream
+const emitter = new EventEmitter();
+// Every SSE client adds a listener
+emitter.setMaxListeners(0);
+
+// Recent failure times and last spike report, by breaker name
+const failureWindows = new Map();
+
+/**
+ * In-process feed of circuit breaker state changes, fallbacks and upstream error
+ * spikes. Events are plain objects named like the breaker log records:
+ *
+ *   { event: 'circuit_breaker_open', breaker: 'weather-search', service: 'weather',
+ *     operationType: 'search', timestamp: '2025-01-01T00:00:00.000Z' }
+ *
+ * A spike is reported when a breaker fails `errorSpikeThreshold` times within
+ * `errorSpikeWindow` ms, at most once per window.
+ */
+export default class BreakerEvents {
+  /**
+   * Get event settings
+   * @returns {Object} - { errorSpikeThreshold, errorSpikeWindow, heartbeatInterval }
+   */
+  static getSettings() {
+    return Config.getInstance().events;
+  }
+
+  /**
+   * Send an event to every subscriber
+   * @param {Object} event - Event with at least `event` and `breaker`
+   */
+  static publish(event) {
+    emitter.emit('event', { ...event, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Receive every event published from now on
+   * @param {Function} listener - Called with each event
+   * @returns {Function} - Unsubscribes the listener
+   */
+  static subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+  }
+
+  /**
+   * Count a breaker failure and publish an upstream_error_spike event when the
+   * breaker has failed too often within the spike window
+   * @param {string} breaker - Breaker name
+   * @param {Object} details - Fields added to the event (service, operationType)
+   */
+  static recordFailure(breaker, details) {
+    const { errorSpikeThreshold, errorSpikeWindow } = BreakerEvents.getSettings();
+    const now = Date.now();
+    const window = failureWindows.get(breaker) ?? { failures: [], reportedAt: 0 };
+
+    window.failures = window.failures.filter(time => now - time < errorSpikeWindow);
+    window.failures.push(now);
+    failureWindows.set(breaker, window);
+
+    if (
+      window.failures.length >= errorSpikeThreshold &&
+      now - window.reportedAt >= errorSpikeWindow
+    ) {
+      window.reportedAt = now;
+      BreakerEvents.publish({
+        event: 'upstream_error_spike',
+        breaker,
+        ...details,
+        failures: window.failures.length,
+        window: errorSpikeWindow
+      });
+    }
+  }
+
+  /**
+   * Forget failure counts and drop every subscriber
+   */
+  static reset() {
+    failureWindows.clear();
+    emitter.removeAllListeners('event');
+  }
+}
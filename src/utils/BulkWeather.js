@@ -0,0 +1,164 @@
+import { parseCoordinate, validateCoordinates } from './Coordinates.js';
+
+export const BULK_STATUS = Object.freeze({
+  OK: 'ok',
+  NOT_FOUND: 'not_found',
+  INVALID: 'invalid',
+  UPSTREAM_ERROR: 'upstream_error'
+});
+
+const COUNTRY_CODE_PATTERN = /^[A-Za-z]{2}$/;
+
+/**
+ * Get the city name of a bulk entry ({ city } or the legacy { name })
+ * @param {Object} item - Bulk city entry
+ * @returns {string|undefined} - City name
+ */
+const getCityName = item => item?.city ?? item?.name;
+
+/**
+ * Check whether a bulk entry asks for a location by coordinates ({ lat, lon })
+ * @param {Object} item - Bulk city entry
+ * @returns {boolean} - True if the entry has a latitude or longitude
+ */
+export const hasCoordinates = item =>
+  item?.id === undefined && (item?.lat !== undefined || item?.lon !== undefined);
+
+/**
+ * Build the "city-country" key the upstream bulk endpoint uses for a city
+ * @param {Object} item - Bulk city entry ({ city, country }, { name, country }, { id } or { lat, lon })
+ * @returns {string} - Lower-cased result key, e.g. "london-gb" or "51.5074,-0.1278"
+ */
+export const getBulkKey = item => {
+  if (item?.id !== undefined) {
+    return String(item.id);
+  }
+  if (hasCoordinates(item)) {
+    return [item.lat, item.lon]
+      .map(value => parseCoordinate(value) ?? value)
+      .join(',');
+  }
+  return [getCityName(item), item?.country]
+    .filter(Boolean)
+    .map(part => String(part).trim().toLowerCase())
+    .join('-');
+};
+
+/**
+ * Check a single bulk entry before it is sent upstream
+ * @param {Object} item - Bulk city entry
+ * @returns {string|null} - Reason the entry is invalid, or null if it is valid
+ */
+export const validateBulkEntry = item => {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return 'City entry must be an object';
+  }
+  if (item.id !== undefined) {
+    return String(item.id).trim() ? null : 'City ID cannot be empty';
+  }
+  if (hasCoordinates(item)) {
+    return validateCoordinates(item);
+  }
+
+  const city = getCityName(item);
+  if (typeof city !== 'string' || !city.trim()) {
+    return 'City name is required';
+  }
+  if (item.country !== undefined && !COUNTRY_CODE_PATTERN.test(item.country)) {
+    return 'Country must be an ISO 3166-1 alpha-2 code';
+  }
+  return null;
+};
+
+/**
+ * Map an upstream error for one city to a bulk status
+ * @param {Error} error - Error thrown by the single-city lookup
+ * @returns {string} - One of BULK_STATUS
+ */
+export const classifyBulkError = error => {
+  const status = error?.response?.status;
+  if (status === 404) {
+    return BULK_STATUS.NOT_FOUND;
+  }
+  if (status === 400 || status === 422) {
+    return BULK_STATUS.INVALID;
+  }
+  return BULK_STATUS.UPSTREAM_ERROR;
+};
+
+/**
+ * Describe one requested city in the bulk response
+ * @param {Object} item - Bulk city entry
+ * @param {string} status - One of BULK_STATUS
+ * @param {string} [message] - Failure reason
+ * @returns {Object} - Per-city result
+ */
+export const toBulkResult = (item, status, message) => ({
+  key: getBulkKey(item),
+  city: getCityName(item) ?? null,
+  country: item?.country ?? null,
+  ...(item?.id !== undefined && { id: item.id }),
+  ...(hasCoordinates(item) && { lat: item.lat, lon: item.lon }),
+  status,
+  ...(message && { message })
+});
+
+/**
+ * Work out the outcome of one requested city from the upstream (or fallback) response
+ * @param {Object} item - Bulk city entry
+ * @param {Object} response - Upstream /bulk, fan-out or fallback response
+ * @returns {Object} - Per-city result
+ */
+const resolveResult = (item, response) => {
+  const invalid = validateBulkEntry(item);
+  if (invalid) {
+    return toBulkResult(item, BULK_STATUS.INVALID, invalid);
+  }
+
+  const key = getBulkKey(item);
+  const failed = response?.errors?.find(error => error.key === key);
+  if (failed) {
+    return toBulkResult(
+      item,
+      failed.status || BULK_STATUS.UPSTREAM_ERROR,
+      failed.message
+    );
+  }
+  if (response?.data && Object.hasOwn(response.data, key)) {
+    return toBulkResult(item, BULK_STATUS.OK);
+  }
+  if (!response || response.fallback) {
+    return toBulkResult(
+      item,
+      BULK_STATUS.UPSTREAM_ERROR,
+      response?.message || 'Weather service unavailable'
+    );
+  }
+  return toBulkResult(
+    item,
+    BULK_STATUS.NOT_FOUND,
+    'No weather data returned for city'
+  );
+};
+
+/**
+ * Build the partial-success bulk response: weather for every resolved city in
+ * `data`, a status for every requested city in `results`, and the failures
+ * repeated in `errors`
+ * @param {Array<Object>} cities - Cities from the request body, in request order
+ * @param {Object|null} response - Upstream /bulk, fan-out or fallback response
+ * @returns {Object} - `{ success, data, results, errors }` plus upstream flags
+ */
+export const buildBulkResponse = (cities, response) => {
+  const results = cities.map(item => resolveResult(item, response));
+  const errors = results.filter(result => result.status !== BULK_STATUS.OK);
+
+  return {
+    success: errors.length < results.length,
+    data: response?.data ?? {},
+    results,
+    errors,
+    ...(response?.fanOut && { fanOut: true }),
+    ...(response?.fallback && { fallback: true })
+  };
+};
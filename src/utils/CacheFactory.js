@@ -181,6 +181,13 @@ export class UnifiedCache {
     }
     return this.cache.getStats();
   }
+
+  /**
+   * Get cache counters (size, hits, misses) without listing keys
+   */
+  async getCounts() {
+    return this.cache.getCounts();
+  }
 }
 
 /**
@@ -0,0 +1,207 @@
+import fs from 'fs';
+
+import Config from '../config/Config.js';
+
+// Accepted opossum options and their integer bounds
+const OPTION_RULES = {
+  errorThresholdPercentage: { min: 1, max: 100 },
+  timeout: { min: 1 },
+  resetTimeout: { min: 1 },
+  rollingCountTimeout: { min: 1 },
+  rollingCountBuckets: { min: 1 },
+  volumeThreshold: { min: 0 }
+};
+
+const isPlainObject = value =>
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Circuit breaker options per service and per operation. Service defaults
+ * come from Config.circuitBreaker (CIRCUIT_BREAKER_<SERVICE>_* variables) and
+ * are overridden by CIRCUIT_BREAKER_CONFIG (inline JSON) or
+ * CIRCUIT_BREAKER_CONFIG_PATH (JSON file):
+ *
+ *   {
+ *     "weather": {
+ *       "timeout": 5000,
+ *       "operations": {
+ *         "getBulkWeather": { "timeout": 15000 }
+ *       }
+ *     }
+ *   }
+ *
+ * Everything is validated by load(), which runs when the app starts.
+ */
+export default class CircuitBreakerSettings {
+  /**
+   * Get circuit breaker configuration
+   * @returns {Object} - Circuit breaker settings from Config
+   */
+  static getSettings() {
+    return Config.getInstance().circuitBreaker;
+  }
+
+  /**
+   * Read the raw overrides from configuration
+   * @returns {Object} - Service -> options, with per-operation options under `operations`
+   */
+  static loadOverrides() {
+    const { inline, path } = CircuitBreakerSettings.getSettings();
+
+    if (inline) {
+      return JSON.parse(inline);
+    }
+
+    if (!path) {
+      return {};
+    }
+
+    // Path comes from trusted configuration
+    // eslint-disable-next-line security/detect-non-literal-fs-filename
+    return JSON.parse(fs.readFileSync(path, 'utf8'));
+  }
+
+  /**
+   * Validate the complete options of a service or operation
+   * @param {Object} options - Options to check
+   * @param {string} label - Where the options come from, e.g. "weather.getBulkWeather"
+   * @throws {Error} - If an option is unknown or out of bounds
+   */
+  static validateOptions(options, label) {
+    for (const [name, value] of Object.entries(options)) {
+      if (!Object.hasOwn(OPTION_RULES, name)) {
+        throw new Error(`Unknown circuit breaker option "${name}" for ${label}`);
+      }
+
+      // eslint-disable-next-line security/detect-object-injection
+      const { min, max = Infinity } = OPTION_RULES[name];
+      if (!Number.isInteger(value) || value < min || value > max) {
+        const bounds = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+        throw new Error(
+          `Circuit breaker option ${label}.${name} must be an integer ${bounds}`
+        );
+      }
+    }
+
+    const { rollingCountTimeout, rollingCountBuckets } = options;
+    if (rollingCountTimeout % rollingCountBuckets !== 0) {
+      throw new Error(
+        `Circuit breaker option ${label}.rollingCountTimeout must be divisible by rollingCountBuckets`
+      );
+    }
+  }
+
+  /**
+   * Resolve and validate the options of every service and configured operation
+   * @param {Object<string, string[]>} operations - Operations that may be configured, by service
+   * @returns {Object} - Service -> {options, operations: operation -> options}
+   * @throws {Error} - If a service, operation or option is invalid
+   */
+  static load(operations) {
+    const { services } = CircuitBreakerSettings.getSettings();
+    const overrides = CircuitBreakerSettings.loadOverrides();
+
+    if (!isPlainObject(overrides)) {
+      throw new Error('Circuit breaker overrides must be an object keyed by service');
+    }
+
+    const unknownService = Object.keys(overrides).find(
+      service => !Object.hasOwn(services, service)
+    );
+    if (unknownService) {
+      throw new Error(`Unknown circuit breaker service "${unknownService}"`);
+    }
+
+    const settings = {};
+
+    for (const [service, defaults] of Object.entries(services)) {
+      // eslint-disable-next-line security/detect-object-injection
+      const serviceEntry = overrides[service] ?? {};
+      if (!isPlainObject(serviceEntry)) {
+        throw new Error(`Circuit breaker options for ${service} must be an object`);
+      }
+
+      const { operations: operationOverrides = {}, ...serviceOverrides } =
+        serviceEntry;
+      const options = { ...defaults, ...serviceOverrides };
+      CircuitBreakerSettings.validateOptions(options, service);
+
+      if (!isPlainObject(operationOverrides)) {
+        throw new Error(
+          `Circuit breaker operations for ${service} must be an object`
+        );
+      }
+
+      const operationOptions = {};
+      for (const [operation, values] of Object.entries(operationOverrides)) {
+        // eslint-disable-next-line security/detect-object-injection
+        if (!operations[service]?.includes(operation)) {
+          throw new Error(
+            `Unknown circuit breaker operation "${service}.${operation}"`
+          );
+        }
+
+        if (!isPlainObject(values)) {
+          throw new Error(
+            `Circuit breaker options for ${service}.${operation} must be an object`
+          );
+        }
+
+        const merged = { ...options, ...values };
+        CircuitBreakerSettings.validateOptions(merged, `${service}.${operation}`);
+        // eslint-disable-next-line security/detect-object-injection
+        operationOptions[operation] = merged;
+      }
+
+      // eslint-disable-next-line security/detect-object-injection
+      settings[service] = { options, operations: operationOptions };
+    }
+
+    // Breakers are created under the configured service names
+    Object.values(Config.getInstance().services).forEach(({ name }) => {
+      if (name && !Object.hasOwn(settings, name)) {
+        throw new Error(`No circuit breaker settings for service "${name}"`);
+      }
+    });
+
+    this._settings = settings;
+    return settings;
+  }
+
+  /**
+   * Check whether the settings have been loaded
+   * @returns {boolean} - True after a successful load()
+   */
+  static isLoaded() {
+    return Boolean(this._settings);
+  }
+
+  /**
+   * Get the breaker options of an operation
+   * @param {string} service - Service name
+   * @param {string} [operation] - Operation name
+   * @returns {Object} - Operation options, or the service options when it has none
+   * @throws {Error} - If the service has no settings
+   */
+  static getOptions(service, operation) {
+    const settings = Object.hasOwn(this._settings ?? {}, service)
+      ? // eslint-disable-next-line security/detect-object-injection
+        this._settings[service]
+      : null;
+    if (!settings) {
+      throw new Error(`No circuit breaker settings for service "${service}"`);
+    }
+
+    return Object.hasOwn(settings.operations, operation)
+      ? // eslint-disable-next-line security/detect-object-injection
+        settings.operations[operation]
+      : settings.options;
+  }
+
+  /**
+   * Forget the loaded settings (useful for testing and reloads)
+   */
+  static reset() {
+    this._settings = null;
+  }
+}
@@ -2,17 +2,50 @@
 import CircuitBreaker from 'opossum';
 
 import Config from '../config/Config.js';
+import WeatherProxy from '../infrastructure/proxies/WeatherProxy.js';
+
+import BreakerEvents from './BreakerEvents.js';
+import CircuitBreakerSettings from './CircuitBreakerSettings.js';
+import ResponseCache from './ResponseCache.js';
+import SharedBreakerState from './SharedBreakerState.js';
+
+// Serve the last good cached response before falling back to a static payload
+function withStaleResponse(operationType, fallbackFn) {
+  return async (req, ...rest) => {
+    const stale = await ResponseCache.serveStale(operationType, req);
+    return stale ?? fallbackFn(req, ...rest);
+  };
+}
+
+// In "auto" bulk mode, resolve the batch city by city when the upstream bulk call fails
+function withBulkFanOut(fallbackFn) {
+  return (req, ...rest) => {
+    if (Config.getInstance().services.weather.bulkMode === 'auto') {
+      return WeatherProxy.fanOutBulkWeather(req);
+    }
+    return fallbackFn(req, ...rest);
+  };
+}
 
 // Enhanced fallback strategies for different services
 const FALLBACK_STRATEGIES = {
   weather: {
-    search: () => ({
+    search: withStaleResponse('search', () => ({
       success: false,
       message: 'Weather service temporarily unavailable',
       fallback: true,
       data: []
-    }),
-    getWeatherByCity: () => ({
+    })),
+    getWeatherByCity: withStaleResponse('getWeatherByCity', () => ({
+      success: false,
+      message: 'Weather data temporarily unavailable',
+      fallback: true,
+      data: {
+        temperature: null,
+        conditions: 'Data unavailable'
+      }
+    })),
+    getWeatherByCityName: withStaleResponse('getWeatherByCityName', () => ({
       success: false,
       message: 'Weather data temporarily unavailable',
       fallback: true,
@@ -20,8 +53,8 @@ const FALLBACK_STRATEGIES = {
         temperature: null,
         conditions: 'Data unavailable'
       }
-    }),
-    getWeatherByCityName: () => ({
+    })),
+    getWeatherByCoordinates: withStaleResponse('getWeatherByCoordinates', () => ({
       success: false,
       message: 'Weather data temporarily unavailable',
       fallback: true,
@@ -29,13 +62,45 @@ const FALLBACK_STRATEGIES = {
         temperature: null,
         conditions: 'Data unavailable'
       }
-    }),
-    getBulkWeather: () => ({
+    })),
+    getForecastByCity: withStaleResponse('getForecastByCity', () => ({
+      success: false,
+      message: 'Forecast data temporarily unavailable',
+      fallback: true,
+      data: {
+        days: []
+      }
+    })),
+    getForecastByCityName: withStaleResponse('getForecastByCityName', () => ({
+      success: false,
+      message: 'Forecast data temporarily unavailable',
+      fallback: true,
+      data: {
+        days: []
+      }
+    })),
+    getHistoryByCity: withStaleResponse('getHistoryByCity', () => ({
+      success: false,
+      message: 'Historical weather data temporarily unavailable',
+      fallback: true,
+      data: {
+        days: []
+      }
+    })),
+    getHistoryByCityName: withStaleResponse('getHistoryByCityName', () => ({
+      success: false,
+      message: 'Historical weather data temporarily unavailable',
+      fallback: true,
+      data: {
+        days: []
+      }
+    })),
+    getBulkWeather: withBulkFanOut(() => ({
       success: false,
       message: 'Bulk weather service temporarily unavailable',
       fallback: true,
       data: {}
-    })
+    }))
   },
   authentication: {
     authorize: () => {
@@ -60,36 +125,23 @@ const FALLBACK_STRATEGIES = {
   }
 };
 
-// Enhanced configuration per service type
-const SERVICE_CONFIGS = {
-  weather: {
-    errorThresholdPercentage: 60, // More lenient for external APIs
-    timeout: 8000,
-    resetTimeout: 30000, // Longer reset for external APIs
-    rollingCountTimeout: 60000,
-    rollingCountBuckets: 10,
-    volumeThreshold: 10
-  },
-  authentication: {
-    errorThresholdPercentage: 90, // Stricter for critical service
-    timeout: 3000,
-    resetTimeout: 15000, // Faster recovery for critical service
-    rollingCountTimeout: 30000,
-    rollingCountBuckets: 6,
-    volumeThreshold: 5
-  },
-  user: {
-    errorThresholdPercentage: 75,
-    timeout: 4000,
-    resetTimeout: 20000,
-    rollingCountTimeout: 40000,
-    rollingCountBuckets: 8,
-    volumeThreshold: 8
-  }
-};
+// Operations whose breaker options may be configured, by service
+const CONFIGURABLE_OPERATIONS = Object.fromEntries(
+  Object.entries(FALLBACK_STRATEGIES).map(([service, strategies]) => [
+    service,
+    Object.keys(strategies)
+  ])
+);
 
 const breakerInstances = new Map();
 
+// States pinned by an administrator ('OPEN' or 'CLOSED'), by instance key
+const forcedStates = new Map();
+
+// Breakers whose transitions are not published to the other replicas right now:
+// they are applying a replica's event, or an admin action published as such
+const unsharedBreakers = new Set();
+
 function initializeBreakerInstances() {
   if (breakerInstances.size === 0) {
     // Get valid service names from config
@@ -155,20 +207,98 @@ function createEnhancedErrorFilter(serviceName) {
   };
 }
 
-// Safe service config getter
-function getServiceConfig(service) {
-  switch (service) {
-    case 'weather':
-      return SERVICE_CONFIGS.weather;
-    case 'authentication':
-      return SERVICE_CONFIGS.authentication;
-    case 'user':
-      return SERVICE_CONFIGS.user;
-    default:
-      return SERVICE_CONFIGS.weather; // Default fallback
+// Run a state change without publishing the transitions it causes
+function withoutSharing(name, change) {
+  unsharedBreakers.add(name);
+  try {
+    change();
+  } finally {
+    unsharedBreakers.delete(name);
+  }
+}
+
+// Publish a breaker's own transition to the other replicas
+function shareTransition(name, type) {
+  if (!unsharedBreakers.has(name)) {
+    SharedBreakerState.publish(name, type);
+  }
+}
+
+// Count a call outcome for the fleet and trip when the fleet's error rate is
+// over the threshold, even if this replica has seen too few calls to decide
+async function shareOutcome(breaker, failed) {
+  const totals = await SharedBreakerState.record(
+    breaker.name,
+    failed,
+    breaker.options
+  );
+  if (!failed || !totals || !breaker.closed) {
+    return;
+  }
+
+  const { errorThresholdPercentage, volumeThreshold } = breaker.options;
+  const errorRate = (totals.failures / totals.fires) * 100;
+  if (totals.fires >= volumeThreshold && errorRate > errorThresholdPercentage) {
+    breaker.open();
   }
 }
 
+// Apply a transition or admin action published by another replica. Half-open
+// events are only informative: each replica tests recovery on its own reset
+// timer, and the first trial to succeed or fail closes or re-opens them all.
+export function applySharedBreakerEvent({ breaker: name, type, timeout }) {
+  const breaker = breakerInstances.get(name);
+
+  withoutSharing(name, () => {
+    switch (type) {
+      case 'open':
+        breaker?.open();
+        break;
+      case 'close':
+        if (forcedStates.get(name) !== 'OPEN') {
+          breaker?.close();
+        }
+        break;
+      case 'force_open':
+        applyForcedOpen(name, breaker);
+        break;
+      case 'force_close':
+        applyForcedClosed(name, breaker);
+        break;
+      case 'reset':
+        applyReset(name, breaker);
+        break;
+      case 'timeout':
+        if (breaker && Number.isInteger(timeout)) {
+          breaker.options.timeout = timeout;
+        }
+        break;
+      default:
+        break;
+    }
+  });
+}
+
+// Share breaker state with the other replicas when configured; returns false
+// (local state only) when it is disabled or Redis is unavailable
+export function startSharedBreakerState() {
+  return SharedBreakerState.start(applySharedBreakerEvent);
+}
+
+// Load and validate the breaker settings; the app calls this at startup so
+// invalid configuration fails fast instead of on the first request
+export function loadCircuitBreakerSettings() {
+  return CircuitBreakerSettings.load(CONFIGURABLE_OPERATIONS);
+}
+
+// Options of a service operation; unknown services have no settings and throw
+function getServiceConfig(service, operationType) {
+  if (!CircuitBreakerSettings.isLoaded()) {
+    loadCircuitBreakerSettings();
+  }
+  return CircuitBreakerSettings.getOptions(service, operationType);
+}
+
 // Get fallback function for service and operation
 function getFallbackFunction(serviceName, operationType = 'default') {
   // Use switch statement to safely access FALLBACK_STRATEGIES
@@ -181,6 +311,16 @@ function getFallbackFunction(serviceName, operationType = 'default') {
           return FALLBACK_STRATEGIES.weather.getWeatherByCity;
         case 'getWeatherByCityName':
           return FALLBACK_STRATEGIES.weather.getWeatherByCityName;
+        case 'getWeatherByCoordinates':
+          return FALLBACK_STRATEGIES.weather.getWeatherByCoordinates;
+        case 'getForecastByCity':
+          return FALLBACK_STRATEGIES.weather.getForecastByCity;
+        case 'getForecastByCityName':
+          return FALLBACK_STRATEGIES.weather.getForecastByCityName;
+        case 'getHistoryByCity':
+          return FALLBACK_STRATEGIES.weather.getHistoryByCity;
+        case 'getHistoryByCityName':
+          return FALLBACK_STRATEGIES.weather.getHistoryByCityName;
         case 'getBulkWeather':
           return FALLBACK_STRATEGIES.weather.getBulkWeather;
         default:
@@ -231,21 +371,33 @@ export function getCircuitBreakerInstance(
     initializeBreakerInstances();
 
     if (!breakerInstances.has(instanceKey)) {
-      // Get enhanced configuration using safe getter
-      const config = getServiceConfig(service);
+      const config = getServiceConfig(service, operationType);
 
       const options = {
         ...config,
         name: instanceKey,
-        errorFilter: createEnhancedErrorFilter(service),
-        fallback: getFallbackFunction(service, operationType)
+        errorFilter: createEnhancedErrorFilter(service)
       };
 
       const breakerInstance = new CircuitBreaker(action, options);
+      // opossum only registers fallbacks through fallback(), not constructor options
+      breakerInstance.fallback(getFallbackFunction(service, operationType));
       breakerInstances.set(instanceKey, breakerInstance);
 
-      // Enhanced event handling with structured logging
+      // Another replica may have forced it open before it existed here
+      if (forcedStates.get(instanceKey) === 'OPEN') {
+        breakerInstance.open();
+      }
+
+      // Enhanced event handling with structured logging; state changes, fallbacks
+      // and error spikes are also streamed to live subscribers (BreakerEvents)
+      const breakerDetails = { breaker: instanceKey, service, operationType };
       breakerInstance.on('open', () => {
+        // A force-closed breaker ignores its error threshold
+        if (forcedStates.get(instanceKey) === 'CLOSED') {
+          breakerInstance.close();
+          return;
+        }
         console.warn({
           event: 'circuit_breaker_open',
           service,
@@ -253,9 +405,16 @@ export function getCircuitBreakerInstance(
           timestamp: new Date().toISOString(),
           message: `${serviceLabel} Circuit breaker is open, requests are being blocked.`
         });
+        BreakerEvents.publish({ event: 'circuit_breaker_open', ...breakerDetails });
+        shareTransition(instanceKey, 'open');
       });
 
       breakerInstance.on('halfOpen', () => {
+        // A force-opened breaker never lets a trial request through
+        if (forcedStates.get(instanceKey) === 'OPEN') {
+          breakerInstance.open();
+          return;
+        }
         console.info({
           event: 'circuit_breaker_half_open',
           service,
@@ -263,6 +422,11 @@ export function getCircuitBreakerInstance(
           timestamp: new Date().toISOString(),
           message: `${serviceLabel} Circuit breaker is half-open, requests are being tested.`
         });
+        BreakerEvents.publish({
+          event: 'circuit_breaker_half_open',
+          ...breakerDetails
+        });
+        shareTransition(instanceKey, 'halfOpen');
       });
 
       breakerInstance.on('close', () => {
@@ -273,12 +437,8 @@ export function getCircuitBreakerInstance(
           timestamp: new Date().toISOString(),
           message: `${serviceLabel} Circuit breaker is closed, requests are allowed.`
         });
-      });
-
-      breakerInstance.on('fire', () => {
-        if (breakerInstance.opened) {
-          throw new Error('CircuitBreakerOpenError');
-        }
+        BreakerEvents.publish({ event: 'circuit_breaker_close', ...breakerDetails });
+        shareTransition(instanceKey, 'close');
       });
 
       breakerInstance.on('failure', error => {
@@ -295,6 +455,8 @@ export function getCircuitBreakerInstance(
           timestamp: new Date().toISOString(),
           message: `${serviceLabel} Circuit breaker failure`
         });
+        BreakerEvents.recordFailure(instanceKey, { service, operationType });
+        shareOutcome(breakerInstance, true);
       });
 
       breakerInstance.on('timeout', () => {
@@ -315,6 +477,10 @@ export function getCircuitBreakerInstance(
           timestamp: new Date().toISOString(),
           message: `${serviceLabel} Fallback strategy executed`
         });
+        BreakerEvents.publish({
+          event: 'circuit_breaker_fallback',
+          ...breakerDetails
+        });
       });
 
       breakerInstance.on('success', () => {
@@ -324,6 +490,7 @@ export function getCircuitBreakerInstance(
           operationType,
           timestamp: new Date().toISOString()
         });
+        shareOutcome(breakerInstance, false);
       });
     }
 
@@ -339,6 +506,30 @@ export function getCircuitBreakerInstance(
   }
 }
 
+// State, stats and options of a breaker, as reported by health checks and the admin API
+function describeBreaker(key, breaker) {
+  let state;
+  if (breaker.opened) {
+    state = 'OPEN';
+  } else if (breaker.halfOpen) {
+    state = 'HALF_OPEN';
+  } else {
+    state = 'CLOSED';
+  }
+
+  return {
+    state,
+    forced: forcedStates.get(key) ?? null,
+    stats: breaker.stats,
+    options: {
+      errorThresholdPercentage: breaker.options.errorThresholdPercentage,
+      timeout: breaker.options.timeout,
+      resetTimeout: breaker.options.resetTimeout,
+      volumeThreshold: breaker.options.volumeThreshold
+    }
+  };
+}
+
 // Health check functionality
 export function getCircuitBreakerHealth() {
   const health = {};
@@ -346,27 +537,9 @@ export function getCircuitBreakerHealth() {
   breakerInstances.forEach((breaker, key) => {
     if (!breaker) return;
 
-    let state;
-    if (breaker.opened) {
-      state = 'OPEN';
-    } else if (breaker.halfOpen) {
-      state = 'HALF_OPEN';
-    } else {
-      state = 'CLOSED';
-    }
-
     // Use Object.defineProperty to safely set the property
     Object.defineProperty(health, key, {
-      value: {
-        state,
-        stats: breaker.stats,
-        options: {
-          errorThresholdPercentage: breaker.options.errorThresholdPercentage,
-          timeout: breaker.options.timeout,
-          resetTimeout: breaker.options.resetTimeout,
-          volumeThreshold: breaker.options.volumeThreshold
-        }
-      },
+      value: describeBreaker(key, breaker),
       enumerable: true,
       configurable: true
     });
@@ -375,6 +548,74 @@ export function getCircuitBreakerHealth() {
   return health;
 }
 
+// Created breaker by instance key (e.g. "weather-search"); throws when there is none
+function getExistingBreaker(name) {
+  const breaker = breakerInstances.get(name);
+  if (!breaker) {
+    throw new Error('CircuitBreakerNotFoundError');
+  }
+  return breaker;
+}
+
+// Describe a single breaker for the admin API
+export function inspectCircuitBreaker(name) {
+  return describeBreaker(name, getExistingBreaker(name));
+}
+
+// Admin actions, applied by the replica that received them and by the other
+// replicas when state is shared (where the breaker may not exist yet)
+function applyForcedOpen(name, breaker) {
+  forcedStates.set(name, 'OPEN');
+  breaker?.open();
+}
+
+function applyForcedClosed(name, breaker) {
+  forcedStates.set(name, 'CLOSED');
+  breaker?.close();
+}
+
+function applyReset(name, breaker) {
+  forcedStates.delete(name);
+  if (breaker) {
+    breaker.close();
+    // Rotating every bucket out of the window leaves it empty
+    breaker.status.window.forEach(() => breaker.status.rotateBucket());
+  }
+}
+
+// Open a breaker and keep it open (maintenance) until it is force-closed or reset
+export function forceCircuitBreakerOpen(name) {
+  const breaker = getExistingBreaker(name);
+  withoutSharing(name, () => applyForcedOpen(name, breaker));
+  SharedBreakerState.publish(name, 'force_open');
+  return describeBreaker(name, breaker);
+}
+
+// Close a breaker and keep it closed, whatever its error rate, until it is reset
+export function forceCircuitBreakerClosed(name) {
+  const breaker = getExistingBreaker(name);
+  withoutSharing(name, () => applyForcedClosed(name, breaker));
+  SharedBreakerState.publish(name, 'force_close');
+  return describeBreaker(name, breaker);
+}
+
+// Release a forced state, close the breaker and clear its rolling stats
+export function resetCircuitBreaker(name) {
+  const breaker = getExistingBreaker(name);
+  withoutSharing(name, () => applyReset(name, breaker));
+  SharedBreakerState.publish(name, 'reset');
+  SharedBreakerState.clear(name, breaker.options);
+  return describeBreaker(name, breaker);
+}
+
+// Change the timeout of a breaker's calls at runtime (until the next restart)
+export function setCircuitBreakerTimeout(name, timeout) {
+  const breaker = getExistingBreaker(name);
+  breaker.options.timeout = timeout;
+  SharedBreakerState.publish(name, 'timeout', { timeout });
+  return describeBreaker(name, breaker);
+}
+
 // Metrics export for monitoring systems
 export function getCircuitBreakerMetrics() {
   const metrics = {};
@@ -0,0 +1,28 @@
+/**
+ * Run an async worker over every item with at most `limit` calls in flight.
+ * Results keep the order of the input items; the first rejection rejects the
+ * whole run, so workers that must not fail should catch their own errors.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers (at least 1)
+ * @param {Function} worker - Async function called with (item, index)
+ * @returns {Promise<Array>} - Worker results in input order
+ */
+export const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      // Each worker handles one item at a time; the pool provides the parallelism
+      // eslint-disable-next-line no-await-in-loop, security/detect-object-injection
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(parseInt(limit, 10) || 1, items.length));
+  await Promise.all(Array.from({ length: workers }, runNext));
+
+  return results;
+};
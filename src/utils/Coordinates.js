@@ -0,0 +1,55 @@
+export const LATITUDE_LIMIT = 90;
+export const LONGITUDE_LIMIT = 180;
+
+// Two decimals is roughly 1.1 km at the equator, well within a weather grid cell
+export const DEFAULT_COORDINATE_PRECISION = 2;
+
+/**
+ * Parse a latitude or longitude given as a number or numeric string
+ * @param {number|string} value - Coordinate value
+ * @returns {number|null} - Coordinate, or null if it is not a finite number
+ */
+export const parseCoordinate = value => {
+  if (typeof value === 'string' && !value.trim()) {
+    return null;
+  }
+  const number =
+    typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN;
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Check a latitude/longitude pair
+ * @param {Object} coordinates - `{ lat, lon }`
+ * @returns {string|null} - Reason the pair is invalid, or null if it is valid
+ */
+export const validateCoordinates = ({ lat, lon } = {}) => {
+  const latitude = parseCoordinate(lat);
+  if (latitude === null || Math.abs(latitude) > LATITUDE_LIMIT) {
+    return `Latitude must be a number between -${LATITUDE_LIMIT} and ${LATITUDE_LIMIT}`;
+  }
+  const longitude = parseCoordinate(lon);
+  if (longitude === null || Math.abs(longitude) > LONGITUDE_LIMIT) {
+    return `Longitude must be a number between -${LONGITUDE_LIMIT} and ${LONGITUDE_LIMIT}`;
+  }
+  return null;
+};
+
+/**
+ * Round a latitude/longitude pair so nearby locations share a cache entry and
+ * a single upstream call
+ * @param {Object} coordinates - `{ lat, lon }` as numbers or numeric strings
+ * @param {number} [precision] - Decimal places to keep
+ * @returns {Object} - `{ lat, lon }` rounded numbers (null where not numeric)
+ */
+export const roundCoordinates = (
+  { lat, lon } = {},
+  precision = DEFAULT_COORDINATE_PRECISION
+) => {
+  const round = value => {
+    const number = parseCoordinate(value);
+    // "+ 0" turns -0 into 0 so "-0.001" and "0.001" share a key
+    return number === null ? null : Number(number.toFixed(precision)) + 0;
+  };
+  return { lat: round(lat), lon: round(lon) };
+};
@@ -0,0 +1,41 @@
+export const FORECAST_MAX_DAYS = 16;
+export const HISTORY_MAX_DAYS = 31;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a calendar date ("2025-07-04") as UTC midnight
+ * @param {string} value - ISO 8601 date
+ * @returns {number|null} - Epoch milliseconds, or null if the date does not exist
+ */
+export const parseDate = value => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const time = Date.parse(`${value}T00:00:00Z`);
+  // Date.parse rolls impossible days over ("2025-02-30"), so compare the round trip
+  return !Number.isNaN(time) && new Date(time).toISOString().startsWith(value)
+    ? time
+    : null;
+};
+
+/**
+ * Resolve a history date range. `to` defaults to `from`; the range must be in
+ * order, end no later than today (UTC) and span at most HISTORY_MAX_DAYS days.
+ * @param {Object} query - `{ from, to }` query values
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} - `{ from, to }` dates, or null if the range is invalid
+ */
+export const resolveHistoryRange = ({ from, to = from } = {}, now = new Date()) => {
+  const start = parseDate(from);
+  const end = parseDate(to);
+  const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+  if (start === null || end === null || start > end || end > today) {
+    return null;
+  }
+  if ((end - start) / DAY_MS + 1 > HISTORY_MAX_DAYS) {
+    return null;
+  }
+  return { from, to };
+};
@@ -0,0 +1,80 @@
+/**
+ * Split a `fields` value into unique, trimmed dot paths
+ * @param {string|Array<string>} value - "temperature,icon" or ["temperature", "days.date"]
+ * @returns {Array<string>} - Paths, empty when no fields were requested
+ */
+export const parseFields = value => {
+  const parts = (Array.isArray(value) ? value : [value])
+    .filter(part => typeof part === 'string')
+    .flatMap(part => part.split(','))
+    .map(part => part.trim())
+    .filter(Boolean);
+  return [...new Set(parts)];
+};
+
+/**
+ * List the dot paths a schema documents. Array items add their properties
+ * under the array's own path ("days.date").
+ * @param {Object} schema - Object schema
+ * @param {string} [prefix] - Path of the schema itself
+ * @returns {Array<string>} - Selectable paths
+ */
+export const getFieldPaths = (schema, prefix = '') => {
+  const target = schema?.type === 'array' ? schema.items : schema;
+  return Object.entries(target?.properties || {}).flatMap(([name, property]) => {
+    const path = `${prefix}${name}`;
+    return [path, ...getFieldPaths(property, `${path}.`)];
+  });
+};
+
+/**
+ * Find the requested paths a schema does not document
+ * @param {Array<string>} paths - Requested paths
+ * @param {Object} schema - Object schema of the response data
+ * @returns {Array<string>} - Unknown paths
+ */
+export const findUnknownFields = (paths, schema) => {
+  const known = new Set(getFieldPaths(schema));
+  return paths.filter(path => !known.has(path));
+};
+
+/**
+ * Copy only the selected paths of a payload. Arrays are projected item by
+ * item; paths missing from the payload are left out.
+ * @param {*} data - Response data
+ * @param {Array<string>} paths - Selected dot paths
+ * @returns {*} - Projected copy, or the data itself when no paths are selected
+ */
+export const selectFields = (data, paths) => {
+  if (!paths?.length) {
+    return data;
+  }
+  if (Array.isArray(data)) {
+    return data.map(item => selectFields(item, paths));
+  }
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+
+  // Group "days.date" and "days.icon" under "days"; a bare "days" keeps it whole
+  const selection = new Map();
+  paths.forEach(path => {
+    const [name, ...rest] = path.split('.');
+    const nested = selection.get(name);
+    if (rest.length === 0 || nested === null) {
+      selection.set(name, null);
+    } else {
+      selection.set(name, [...(nested || []), rest.join('.')]);
+    }
+  });
+
+  return Object.fromEntries(
+    [...selection]
+      .filter(([name]) => Object.hasOwn(data, name))
+      .map(([name, nested]) => [
+        name,
+        // eslint-disable-next-line security/detect-object-injection
+        nested === null ? data[name] : selectFields(data[name], nested)
+      ])
+  );
+};
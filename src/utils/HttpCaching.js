@@ -0,0 +1,66 @@
+import { createHash } from 'crypto';
+
+/**
+ * Copy a value with object keys sorted, so equal payloads serialize the same
+ * way whatever order the upstream, a cache backend or a projection built them in
+ * @param {*} value - JSON value
+ * @returns {*} - Normalized copy
+ */
+const normalize = value => {
+  if (Array.isArray(value)) {
+    return value.map(normalize);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.keys(value)
+      .sort()
+      // eslint-disable-next-line security/detect-object-injection
+      .map(key => [key, normalize(value[key])])
+  );
+};
+
+/**
+ * Compute a strong ETag over the normalized JSON of a response body
+ * @param {*} body - Response body
+ * @returns {string} - Quoted ETag, e.g. "\"3q2-7w...\""
+ */
+export const computeETag = body => {
+  const hash = createHash('sha256')
+    .update(JSON.stringify(normalize(body)) ?? '')
+    .digest('base64url');
+  return `"${hash}"`;
+};
+
+/**
+ * Read when the weather in a payload was observed: `observedAt` (ISO 8601 or
+ * epoch ms) or the weather service's `dt` (epoch seconds)
+ * @param {Object} data - Weather payload
+ * @param {number} [now] - Current time in epoch ms; later observations are ignored
+ * @returns {number|null} - Observation time in epoch ms
+ */
+export const getObservedAt = (data, now = Date.now()) => {
+  let time = null;
+  if (typeof data?.observedAt === 'string') {
+    time = Date.parse(data.observedAt);
+  } else if (typeof data?.observedAt === 'number') {
+    time = data.observedAt;
+  } else if (typeof data?.dt === 'number') {
+    time = data.dt * 1000;
+  }
+  return Number.isFinite(time) && time > 0 && time <= now ? time : null;
+};
+
+/**
+ * Build the Cache-Control value for a cached response, so clients keep it for
+ * as long as the gateway itself considers it fresh
+ * @param {number} ttlMs - Cache TTL of the operation in ms
+ * @param {number} [ageSeconds] - Age of the served entry in seconds
+ * @returns {string} - Cache-Control header value
+ */
+export const getCacheControl = (ttlMs, ageSeconds = 0) => {
+  const maxAge = Math.max(0, Math.floor(ttlMs / 1000) - ageSeconds);
+  // Responses depend on the caller's credentials, so only the client may store them
+  return `private, max-age=${maxAge}`;
+};
@@ -104,6 +104,18 @@ export class MemoryCache {
       }))
     };
   }
+
+  /**
+   * Get the lookup counters and the entry count, without listing entries
+   * @returns {Object} - { size, hits, misses }
+   */
+  getCounts() {
+    return {
+      size: this.cache.size,
+      hits: this.stats.hits,
+      misses: this.stats.misses
+    };
+  }
 }
 
 // Create a global cache instance
@@ -0,0 +1,249 @@
+import client from 'prom-client';
+
+import Config from '../config/Config.js';
+
+// Gateway metrics only, so tests and other libraries cannot add to the scrape
+const register = new client.Registry();
+
+let defaultMetricsCollected = false;
+
+const BREAKER_STATES = Object.freeze({ closed: 0, half_open: 1, open: 2 });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const upstreamDuration = new client.Histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Weather service call latency by proxy operation and outcome',
+  labelNames: ['operation', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 16],
+  registers: [register]
+});
+
+const cacheHits = new client.Counter({
+  name: 'cache_hits_total',
+  help: 'Cache lookups that found an entry',
+  registers: [register]
+});
+
+const cacheMisses = new client.Counter({
+  name: 'cache_misses_total',
+  help: 'Cache lookups that found no entry',
+  registers: [register]
+});
+
+const cacheEntries = new client.Gauge({
+  name: 'cache_entries',
+  help: 'Entries in the cache',
+  registers: [register]
+});
+
+const rateLimitRejections = new client.Counter({
+  name: 'rate_limit_rejections_total',
+  help: 'Requests rejected with 429 by rate limit tier',
+  labelNames: ['tier'],
+  registers: [register]
+});
+
+const socketConnections = new client.Gauge({
+  name: 'socket_connections',
+  help: 'Open Socket.IO connections',
+  registers: [register]
+});
+
+const socketConnectionsTotal = new client.Counter({
+  name: 'socket_connections_total',
+  help: 'Socket.IO connections accepted',
+  registers: [register]
+});
+
+const breakerState = new client.Gauge({
+  name: 'circuit_breaker_state',
+  help: 'Circuit breaker state (0=closed, 1=half_open, 2=open)',
+  labelNames: ['breaker'],
+  registers: [register]
+});
+
+const breakerErrorRate = new client.Gauge({
+  name: 'circuit_breaker_error_rate',
+  help: 'Circuit breaker failures per call in the rolling window',
+  labelNames: ['breaker'],
+  registers: [register]
+});
+
+const breakerWindowRequests = new client.Gauge({
+  name: 'circuit_breaker_window_requests',
+  help: 'Circuit breaker calls in the rolling window by result',
+  labelNames: ['breaker', 'result'],
+  registers: [register]
+});
+
+const coalescedRequests = new client.Counter({
+  name: 'upstream_requests_coalesced_total',
+  help: 'Requests by whether they called upstream or joined an identical in-flight call',
+  labelNames: ['operation', 'result'],
+  registers: [register]
+});
+
+const upstreamInFlight = new client.Gauge({
+  name: 'upstream_requests_in_flight',
+  help: 'Upstream calls currently in flight',
+  registers: [register]
+});
+
+/**
+ * Set a counter to a total kept elsewhere (cache and coalescer statistics)
+ * @param {client.Counter} counter - Counter
+ * @param {number} value - Current total
+ * @param {Object} [labels] - Label values
+ */
+const setTotal = (counter, value, labels = {}) => {
+  counter.remove(labels);
+  counter.inc(labels, Number(value) || 0);
+};
+
+/**
+ * Prometheus metrics of the gateway, rendered in the text exposition format.
+ *
+ * Request-path metrics (HTTP, upstream latency, rate limiting, sockets) are
+ * recorded as they happen. Cache, circuit breaker and coalescing figures are
+ * kept by their modules and copied in by refresh() before each scrape.
+ */
+export default class Metrics {
+  /**
+   * Get metrics settings
+   * @returns {Object} - { enabled, path, defaultMetrics }
+   */
+  static getSettings() {
+    return Config.getInstance().metrics;
+  }
+
+  /**
+   * Record a finished HTTP request
+   * @param {Object} labels - { method, route, status }
+   * @param {number} seconds - Time from request to response
+   */
+  static observeHttpRequest(labels, seconds) {
+    httpRequests.inc(labels);
+    httpRequestDuration.observe(labels, seconds);
+  }
+
+  /**
+   * Time a weather service call
+   * @param {string} operation - Proxy operation name
+   * @param {Function} request - Async function calling the weather service
+   * @returns {Promise<*>} - Result of the call
+   */
+  static async timeUpstream(operation, request) {
+    const end = upstreamDuration.startTimer({ operation });
+    try {
+      const result = await request();
+      end({ outcome: 'success' });
+      return result;
+    } catch (error) {
+      end({ outcome: 'failure' });
+      throw error;
+    }
+  }
+
+  /**
+   * Count a request rejected by the rate limiter
+   * @param {string} tier - Rate limit tier name
+   */
+  static countRateLimitRejection(tier) {
+    rateLimitRejections.inc({ tier });
+  }
+
+  /**
+   * Count an accepted socket connection
+   */
+  static socketConnected() {
+    socketConnections.inc();
+    socketConnectionsTotal.inc();
+  }
+
+  /**
+   * Count a closed socket connection
+   */
+  static socketDisconnected() {
+    socketConnections.dec();
+  }
+
+  /**
+   * Copy the statistics kept by other modules into the registry
+   * @param {Object} sources - Current statistics
+   * @param {Object} [sources.cacheStats] - Cache getCounts() result
+   * @param {Object} [sources.breakers] - getCircuitBreakerMetrics() result
+   * @param {Object} [sources.coalescing] - RequestCoalescer.getMetrics() result
+   */
+  static refresh({ cacheStats, breakers, coalescing }) {
+    if (cacheStats) {
+      setTotal(cacheHits, cacheStats.hits);
+      setTotal(cacheMisses, cacheStats.misses);
+      cacheEntries.set(Number(cacheStats.size) || 0);
+    }
+
+    if (breakers) {
+      breakerState.reset();
+      breakerErrorRate.reset();
+      breakerWindowRequests.reset();
+      Object.entries(breakers).forEach(([breaker, data]) => {
+        breakerState.set({ breaker }, BREAKER_STATES[data.state] ?? 0);
+        breakerErrorRate.set({ breaker }, Number(data.error_rate) || 0);
+        [
+          ['successful', data.requests_successful],
+          ['failed', data.requests_failed],
+          ['timeout', data.requests_timeout],
+          ['rejected', data.requests_rejected],
+          ['fallback', data.fallbacks_total]
+        ].forEach(([result, value]) => {
+          breakerWindowRequests.set({ breaker, result }, Number(value) || 0);
+        });
+      });
+    }
+
+    if (coalescing) {
+      Object.entries(coalescing.operations).forEach(([operation, data]) => {
+        setTotal(coalescedRequests, data.upstream, { operation, result: 'upstream' });
+        setTotal(coalescedRequests, data.coalesced, {
+          operation,
+          result: 'coalesced'
+        });
+      });
+      upstreamInFlight.set(coalescing.in_flight);
+    }
+  }
+
+  /**
+   * Render every metric, starting Node.js process metrics on the first scrape
+   * when enabled
+   * @returns {Promise<{contentType: string, body: string}>} - Exposition text
+   */
+  static async render() {
+    if (!defaultMetricsCollected && Metrics.getSettings().defaultMetrics) {
+      client.collectDefaultMetrics({ register });
+      defaultMetricsCollected = true;
+    }
+
+    return { contentType: register.contentType, body: await register.metrics() };
+  }
+
+  /**
+   * Zero every metric (useful for testing)
+   */
+  static reset() {
+    register.resetMetrics();
+  }
+}
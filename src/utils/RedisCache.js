@@ -11,14 +11,34 @@ export class RedisCache {
   constructor() {
     this.client = null;
     this.isConnected = false;
+    // Pending connect(), shared by concurrent callers
+    this.connecting = null;
     this.config = Config.getInstance();
     this.logger = createModuleLogger('Redis Cache');
+    // Lookups answered by this process since the last clear
+    this.stats = {
+      hits: 0,
+      misses: 0
+    };
   }
 
   /**
-   * Initialize Redis connection
+   * Initialize Redis connection. Concurrent callers (the cache factory, shared
+   * breaker state) share one attempt instead of each opening a client.
+   * @returns {Promise<RedisCache>} - This cache, once connected
    */
-  async connect() {
+  connect() {
+    this.connecting ??= this.openConnection().finally(() => {
+      this.connecting = null;
+    });
+    return this.connecting;
+  }
+
+  /**
+   * Open a new Redis client
+   * @returns {Promise<RedisCache>} - This cache, once connected
+   */
+  async openConnection() {
     try {
       const redisConfig = this.config.cache.redis;
 
@@ -65,6 +85,10 @@ export class RedisCache {
     } catch (error) {
       this.logger.error('Failed to connect to Redis:', error);
       this.isConnected = false;
+      // Stop the failed client reconnecting in the background; the next
+      // connect() opens a fresh one
+      this.client?.disconnect();
+      this.client = null;
       throw error;
     }
   }
@@ -103,9 +127,11 @@ export class RedisCache {
     try {
       const cached = await this.client.get(key);
       if (!cached) {
+        this.stats.misses++;
         return null;
       }
 
+      this.stats.hits++;
       const parsed = JSON.parse(cached);
       return parsed.value;
     } catch (error) {
@@ -165,6 +191,8 @@ export class RedisCache {
         const keysWithoutPrefix = keys.map(key => key.replace(keyPrefix, ''));
         await this.client.del(...keysWithoutPrefix);
       }
+      this.stats.hits = 0;
+      this.stats.misses = 0;
     } catch (error) {
       this.logger.error('Redis clear error:', error);
       throw error;
@@ -198,6 +226,8 @@ export class RedisCache {
         size: 0,
         keys: [],
         timestamps: [],
+        hits: this.stats.hits,
+        misses: this.stats.misses,
         connected: false
       };
     }
@@ -232,6 +262,8 @@ export class RedisCache {
         size: keys.length,
         keys: keys.map(key => key.replace(keyPrefix, '')).slice(0, 10), // Show first 10 keys
         timestamps: validTimestamps,
+        hits: this.stats.hits,
+        misses: this.stats.misses,
         connected: this.isConnected
       };
     } catch (error) {
@@ -240,11 +272,33 @@ export class RedisCache {
         size: 0,
         keys: [],
         timestamps: [],
+        hits: this.stats.hits,
+        misses: this.stats.misses,
         connected: false
       };
     }
   }
 
+  /**
+   * Get the lookup counters and the key count without scanning keys, for callers
+   * as frequent as the metrics scrape. DBSIZE counts every key of the Redis
+   * database, including rate limiter and shared breaker keys.
+   * @returns {Promise<Object>} - { size, hits, misses }
+   */
+  async getCounts() {
+    const counts = { size: 0, hits: this.stats.hits, misses: this.stats.misses };
+    if (!this.isConnected || !this.client) {
+      return counts;
+    }
+
+    try {
+      return { ...counts, size: await this.client.dbsize() };
+    } catch (error) {
+      this.logger.error('Redis getCounts error:', error);
+      return counts;
+    }
+  }
+
   /**
    * Close Redis connection
    */
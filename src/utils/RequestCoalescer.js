@@ -0,0 +1,110 @@
+import Config from '../config/Config.js';
+
+import { createModuleLogger } from './Logger.js';
+
+const logger = createModuleLogger('Request Coalescer');
+
+// Upstream promises in flight, keyed by operation and normalized params
+const inFlight = new Map();
+
+// Per-operation counters: upstream calls made and requests that joined one
+const stats = new Map();
+
+/**
+ * Get (or create) the counters for an operation
+ * @param {string} operation - Proxy operation name
+ * @returns {{upstream: number, coalesced: number}} - Mutable counters
+ */
+const getStats = operation => {
+  if (!stats.has(operation)) {
+    stats.set(operation, { upstream: 0, coalesced: 0 });
+  }
+  return stats.get(operation);
+};
+
+/**
+ * In-flight deduplication for upstream calls: concurrent identical requests
+ * share one promise instead of each reaching the weather service.
+ */
+export default class RequestCoalescer {
+  /**
+   * Check whether request coalescing is enabled
+   * @returns {boolean} - True unless disabled in config
+   */
+  static isEnabled() {
+    return Config.getInstance().cache?.coalesceRequests !== false;
+  }
+
+  /**
+   * Run a loader, or join the identical call already in flight
+   * @param {string} operation - Proxy operation name
+   * @param {string} key - Key identifying identical requests
+   * @param {Function} loader - Async function calling the upstream service
+   * @returns {Promise<*>} - Loader result, shared by all joined callers
+   */
+  static run(operation, key, loader) {
+    if (!RequestCoalescer.isEnabled()) {
+      return loader();
+    }
+
+    const counters = getStats(operation);
+    const pending = inFlight.get(key);
+    if (pending) {
+      counters.coalesced += 1;
+      logger.debug(`Joined in-flight request for ${key}`);
+      return pending;
+    }
+
+    counters.upstream += 1;
+    const promise = Promise.resolve()
+      .then(loader)
+      .finally(() => {
+        inFlight.delete(key);
+      });
+    inFlight.set(key, promise);
+
+    return promise;
+  }
+
+  /**
+   * Get coalescing metrics for the health routes
+   * @returns {Object} - Totals, in-flight count and per-operation counters
+   */
+  static getMetrics() {
+    const operations = Object.fromEntries(
+      [...stats.entries()].map(([operation, counters]) => [
+        operation,
+        {
+          ...counters,
+          requests_total: counters.upstream + counters.coalesced
+        }
+      ])
+    );
+    const totals = [...stats.values()].reduce(
+      (sum, counters) => ({
+        upstream: sum.upstream + counters.upstream,
+        coalesced: sum.coalesced + counters.coalesced
+      }),
+      { upstream: 0, coalesced: 0 }
+    );
+    const requestsTotal = totals.upstream + totals.coalesced;
+
+    return {
+      enabled: RequestCoalescer.isEnabled(),
+      in_flight: inFlight.size,
+      requests_total: requestsTotal,
+      upstream_total: totals.upstream,
+      coalesced_total: totals.coalesced,
+      coalesced_ratio: requestsTotal ? totals.coalesced / requestsTotal : 0,
+      operations
+    };
+  }
+
+  /**
+   * Clear in-flight promises and counters (useful for testing)
+   */
+  static reset() {
+    inFlight.clear();
+    stats.clear();
+  }
+}
@@ -0,0 +1,335 @@
+import Config from '../config/Config.js';
+
+import { getUnifiedCache } from './CacheFactory.js';
+import { roundCoordinates } from './Coordinates.js';
+import Logger, { createModuleLogger } from './Logger.js';
+
+const logger = createModuleLogger('Response Cache');
+
+export const CACHE_STATUS = Object.freeze({
+  HIT: 'HIT',
+  MISS: 'MISS',
+  STALE: 'STALE'
+});
+
+// Keys with a background refresh in flight
+const revalidating = new Set();
+
+/**
+ * Read-through cache for weather service responses.
+ * Entries are stored as `{ data, cachedAt }` envelopes so both the memory and
+ * Redis backends can report the age of a cached response.
+ *
+ * An entry is fresh for its operation TTL. For `staleWhileRevalidate` ms after
+ * that it is still served while a background refresh runs, and for
+ * `staleIfError` ms it is kept as the last good response for upstream failures.
+ */
+export default class ResponseCache {
+  /**
+   * Get response cache settings
+   * @returns {Object} - Response cache configuration
+   */
+  static getSettings() {
+    return Config.getInstance().cache.responses;
+  }
+
+  /**
+   * Get the TTL for a proxy operation
+   * @param {string} operation - Proxy operation name
+   * @returns {number} - TTL in milliseconds
+   */
+  static getTtl(operation) {
+    const { ttl } = ResponseCache.getSettings();
+
+    switch (operation) {
+      case 'search':
+        return ttl.search;
+      case 'getWeatherByCity':
+        return ttl.getWeatherByCity;
+      case 'getWeatherByCityName':
+        return ttl.getWeatherByCityName;
+      case 'getWeatherByCoordinates':
+        return ttl.getWeatherByCoordinates;
+      case 'getForecastByCity':
+      case 'getForecastByCityName':
+        return ttl.forecast;
+      case 'getHistoryByCity':
+      case 'getHistoryByCityName':
+        return ttl.history;
+      default:
+        return Config.getInstance().cache.defaultTtl;
+    }
+  }
+
+  /**
+   * Get how long an entry is retained in the backend
+   * @param {string} operation - Proxy operation name
+   * @returns {number} - Retention in milliseconds
+   */
+  static getRetention(operation) {
+    const { staleWhileRevalidate, staleIfError } = ResponseCache.getSettings();
+    return (
+      ResponseCache.getTtl(operation) +
+      Math.max(staleWhileRevalidate || 0, staleIfError || 0)
+    );
+  }
+
+  /**
+   * Get the age of a cache envelope
+   * @param {Object} envelope - Cached envelope
+   * @returns {number} - Age in milliseconds
+   */
+  static getAge(envelope) {
+    return Math.max(0, Date.now() - (envelope?.cachedAt || 0));
+  }
+
+  /**
+   * Check whether an envelope is still within its operation TTL
+   * @param {Object} envelope - Cached envelope
+   * @param {string} operation - Proxy operation name
+   * @returns {boolean} - True if the entry is fresh
+   */
+  static isFresh(envelope, operation) {
+    return ResponseCache.getAge(envelope) < ResponseCache.getTtl(operation);
+  }
+
+  /**
+   * Check whether a stale envelope may be served while it is refreshed
+   * @param {Object} envelope - Cached envelope
+   * @param {string} operation - Proxy operation name
+   * @returns {boolean} - True if the entry is within the revalidation window
+   */
+  static canRevalidate(envelope, operation) {
+    const { staleWhileRevalidate } = ResponseCache.getSettings();
+    return (
+      staleWhileRevalidate > 0 &&
+      ResponseCache.getAge(envelope) <
+        ResponseCache.getTtl(operation) + staleWhileRevalidate
+    );
+  }
+
+  /**
+   * Pick the request values that identify a response for an operation
+   * @param {string} operation - Proxy operation name
+   * @param {Object} req - Express request
+   * @returns {Object} - Parameters used to build the cache key
+   */
+  static getKeyParams(operation, req) {
+    switch (operation) {
+      case 'search':
+        return { q: req?.query?.q, ccode: req?.query?.ccode };
+      case 'getWeatherByCity':
+        return { cityId: req?.params?.cityId };
+      case 'getWeatherByCityName':
+        return { city: req?.query?.city, ccode: req?.query?.ccode };
+      case 'getWeatherByCoordinates':
+        return ResponseCache.getCoordinates(req);
+      case 'getForecastByCity':
+        return { cityId: req?.params?.cityId, days: req?.query?.days };
+      case 'getForecastByCityName':
+        return {
+          city: req?.query?.city,
+          ccode: req?.query?.ccode,
+          days: req?.query?.days
+        };
+      case 'getHistoryByCity':
+        return {
+          cityId: req?.params?.cityId,
+          from: req?.query?.from,
+          to: req?.query?.to
+        };
+      case 'getHistoryByCityName':
+        return {
+          city: req?.query?.city,
+          ccode: req?.query?.ccode,
+          from: req?.query?.from,
+          to: req?.query?.to
+        };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Round the requested coordinates to the configured precision, so nearby
+   * locations share a cache entry
+   * @param {Object} req - Express request with `query.lat` and `query.lon`
+   * @returns {Object} - `{ lat, lon }` rounded numbers
+   */
+  static getCoordinates(req) {
+    return roundCoordinates(
+      req?.query,
+      ResponseCache.getSettings()?.coordinatePrecision
+    );
+  }
+
+  /**
+   * Normalize parameters so equivalent requests share a cache key.
+   * Keys are sorted, values trimmed and lower-cased, and empty values dropped.
+   * @param {Object} params - Parameters to normalize
+   * @returns {string} - Normalized query-string style representation
+   */
+  static normalizeParams(params = {}) {
+    return Object.entries(params || {})
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => [
+        key.toLowerCase(),
+        String(value).trim().toLowerCase().replace(/\s+/g, ' ')
+      ])
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('&');
+  }
+
+  /**
+   * Build the cache key for an operation and request
+   * @param {string} operation - Proxy operation name
+   * @param {Object} req - Express request
+   * @returns {string} - Cache key
+   */
+  static buildKey(operation, req) {
+    const params = ResponseCache.normalizeParams(
+      ResponseCache.getKeyParams(operation, req)
+    );
+    return `response:${operation}:${params}`;
+  }
+
+  /**
+   * Read a cache envelope, treating backend failures as a miss
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - Cached envelope or null
+   */
+  static async read(key) {
+    try {
+      const cache = await getUnifiedCache();
+      const envelope = await cache.get(key);
+      return envelope && typeof envelope === 'object' && 'data' in envelope
+        ? envelope
+        : null;
+    } catch (error) {
+      logger.warn(`Failed to read ${key} from cache:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Write a response envelope, ignoring backend failures
+   * @param {string} key - Cache key
+   * @param {*} data - Response data to cache
+   * @param {number} ttlMs - TTL in milliseconds
+   */
+  static async write(key, data, ttlMs) {
+    try {
+      const cache = await getUnifiedCache();
+      await cache.set(key, { data, cachedAt: Date.now() }, ttlMs);
+    } catch (error) {
+      logger.warn(`Failed to write ${key} to cache:`, error.message);
+    }
+  }
+
+  /**
+   * Record the cache outcome and the time the served entry was cached on the
+   * request for the controller to expose
+   * @param {Object} req - Express request
+   * @param {string} status - One of CACHE_STATUS
+   * @param {number|null} ageMs - Age of the served entry in milliseconds
+   */
+  static annotate(req, status, ageMs = null) {
+    if (req) {
+      req.cacheStatus = status;
+      req.cachedAt = Date.now() - (ageMs ?? 0);
+      if (ageMs !== null) {
+        req.cacheAge = Math.floor(ageMs / 1000);
+      }
+    }
+  }
+
+  /**
+   * Refresh an entry in the background, at most once per key at a time
+   * @param {string} key - Cache key
+   * @param {string} operation - Proxy operation name
+   * @param {Function} loader - Async function fetching the upstream response
+   * @returns {Promise<void>}
+   */
+  static async revalidate(key, operation, loader) {
+    if (revalidating.has(key)) {
+      return;
+    }
+
+    revalidating.add(key);
+    try {
+      const data = await loader();
+      await ResponseCache.write(key, data, ResponseCache.getRetention(operation));
+    } catch (error) {
+      logger.warn(`Background refresh of ${key} failed:`, error.message);
+    } finally {
+      revalidating.delete(key);
+    }
+  }
+
+  /**
+   * Look up the last good response for a request, regardless of freshness.
+   * Used by circuit breaker fallbacks when the upstream call fails or the
+   * circuit is open.
+   * @param {string} operation - Proxy operation name
+   * @param {Object} req - Express request
+   * @returns {Promise<*|null>} - Stale response data or null
+   */
+  static async serveStale(operation, req) {
+    const settings = ResponseCache.getSettings();
+    if (!settings?.enabled || !(settings.staleIfError > 0)) {
+      return null;
+    }
+
+    const key = ResponseCache.buildKey(operation, req);
+    const cached = await ResponseCache.read(key);
+    if (!cached) {
+      return null;
+    }
+
+    const age = ResponseCache.getAge(cached);
+    if (age >= ResponseCache.getTtl(operation) + settings.staleIfError) {
+      return null;
+    }
+
+    logger.warn(`Serving stale response for ${key} (age ${age}ms)`);
+    ResponseCache.annotate(req, CACHE_STATUS.STALE, age);
+    return cached.data;
+  }
+
+  /**
+   * Return the cached response for an operation or load and cache it
+   * @param {string} operation - Proxy operation name
+   * @param {Object} req - Express request
+   * @param {Function} loader - Async function fetching the upstream response
+   * @returns {Promise<*>} - Response data
+   */
+  static async fetch(operation, req, loader) {
+    if (!ResponseCache.getSettings()?.enabled) {
+      return loader();
+    }
+
+    const key = ResponseCache.buildKey(operation, req);
+    const cached = await ResponseCache.read(key);
+
+    if (cached && ResponseCache.isFresh(cached, operation)) {
+      Logger.cache('GET', key, true);
+      ResponseCache.annotate(req, CACHE_STATUS.HIT, ResponseCache.getAge(cached));
+      return cached.data;
+    }
+
+    if (cached && ResponseCache.canRevalidate(cached, operation)) {
+      Logger.cache('GET', key, true);
+      ResponseCache.annotate(req, CACHE_STATUS.STALE, ResponseCache.getAge(cached));
+      ResponseCache.revalidate(key, operation, loader);
+      return cached.data;
+    }
+
+    // Expired entries are left in place so fallbacks can still serve them
+    Logger.cache('GET', key, false);
+    const data = await loader();
+    await ResponseCache.write(key, data, ResponseCache.getRetention(operation));
+    ResponseCache.annotate(req, CACHE_STATUS.MISS);
+    return data;
+  }
+}
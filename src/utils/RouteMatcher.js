@@ -0,0 +1,41 @@
+/**
+ * Normalize a method and path into comparable parts: upper-case the method,
+ * collapse repeated slashes and drop a trailing slash
+ * @param {string} method - HTTP method or "*"
+ * @param {string} path - Request path
+ * @returns {{method: string, path: string}} - Normalized route
+ */
+export const normalizeRoute = (method, path) => ({
+  method: method.toUpperCase(),
+  path: `/${path || '/'}`.replace(/\/{2,}/g, '/').replace(/(.)\/$/, '$1')
+});
+
+/**
+ * Check a request against a "METHOD /path" pattern. "*" alone matches every
+ * request, a "*" method matches any method and a trailing "/*" matches a path
+ * and everything below it.
+ * @param {string} pattern - Route pattern, e.g. "GET /weather/*"
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @returns {boolean} - True if the pattern matches
+ */
+export const matchesRoute = (pattern, method, path) => {
+  if (pattern === '*') {
+    return true;
+  }
+
+  const [patternMethod, patternPath = '/'] = pattern.trim().split(/\s+/);
+  const allowed = normalizeRoute(patternMethod, patternPath);
+  const request = normalizeRoute(method, path);
+
+  if (allowed.method !== '*' && allowed.method !== request.method) {
+    return false;
+  }
+
+  if (allowed.path.endsWith('/*')) {
+    const base = allowed.path.slice(0, -2);
+    return request.path === base || request.path.startsWith(`${base}/`);
+  }
+
+  return allowed.path === request.path;
+};
@@ -0,0 +1,58 @@
+import Ajv from 'ajv';
+
+// Schemas are written in the OpenAPI 3.0 dialect (nullable, example, x-*), so
+// strict mode is off and formats are documentation only; query and path values
+// arrive as strings and are coerced
+const options = {
+  allErrors: true,
+  strict: false,
+  validateFormats: false,
+  verbose: true
+};
+const ajv = new Ajv(options);
+const coercingAjv = new Ajv({ ...options, coerceTypes: true });
+
+/**
+ * Copy a schema without the parts that are not validated as a whole request:
+ * arrays marked `x-validate-items: false` have their entries checked one by
+ * one further down the stack instead
+ * @param {Object} schema - Documented schema
+ * @returns {Object} - Schema to compile
+ */
+export const toValidationSchema = schema => {
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  if (Array.isArray(schema)) {
+    return schema.map(toValidationSchema);
+  }
+
+  const copy = Object.fromEntries(
+    Object.entries(schema).map(([key, value]) => [key, toValidationSchema(value)])
+  );
+  if (copy['x-validate-items'] === false) {
+    delete copy.items;
+  }
+  return copy;
+};
+
+/**
+ * Compile a schema
+ * @param {Object} schema - JSON schema
+ * @param {Object} [options] - `{ coerce }` to coerce string values to the schema type
+ * @returns {Function} - Ajv validate function
+ */
+export const compileSchema = (schema, { coerce = false } = {}) =>
+  (coerce ? coercingAjv : ajv).compile(toValidationSchema(schema));
+
+/**
+ * Convert an Ajv instance path ("/cities/3/country") to a field name ("cities[3].country")
+ * @param {string} instancePath - JSON pointer to the failing value
+ * @param {string} [missingProperty] - Property reported by a "required" error
+ * @returns {string} - Field name
+ */
+export const toFieldName = (instancePath, missingProperty) =>
+  [...instancePath.split('/').slice(1), ...(missingProperty ? [missingProperty] : [])]
+    .map(segment => (/^\d+$/.test(segment) ? `[${segment}]` : `.${segment}`))
+    .join('')
+    .replace(/^\./, '');
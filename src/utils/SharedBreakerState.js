@@ -0,0 +1,264 @@
+import { randomUUID } from 'crypto';
+
+import Config from '../config/Config.js';
+
+import { createModuleLogger } from './Logger.js';
+import { globalRedisCache } from './RedisCache.js';
+
+const logger = createModuleLogger('Shared Breaker State');
+
+// Tags this replica's events so it ignores them when they come back on the channel
+const REPLICA_ID = randomUUID();
+
+const RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+// Dedicated connection receiving the other replicas' events, once started
+let subscriber = null;
+// Pending or settled start(), so concurrent callers share one connection
+let starting = null;
+// Next attempt after a failed start, doubling up to the maximum while Redis is down
+let retryTimer = null;
+let retryDelay = RETRY_DELAY_MS;
+
+/**
+ * Circuit breaker state shared between gateway replicas through the Redis cache
+ * connection.
+ *
+ * Breaker transitions and admin actions are published on a pub/sub channel and
+ * replayed by the other replicas. Call outcomes are counted in one Redis hash per
+ * rolling bucket, so a replica can trip on the error rate of the whole fleet.
+ *
+ * Redis failures are logged and swallowed: while Redis is down every replica
+ * keeps running on its local breaker state, and tries to subscribe again with
+ * an increasing delay.
+ */
+export default class SharedBreakerState {
+  /**
+   * Get shared state settings
+   * @returns {Object} - { enabled, channel }
+   */
+  static getSettings() {
+    return Config.getInstance().circuitBreaker.sharedState;
+  }
+
+  /**
+   * Check if shared state is configured
+   * @returns {boolean} - True when CIRCUIT_BREAKER_SHARED_STATE is on
+   */
+  static isEnabled() {
+    return Boolean(SharedBreakerState.getSettings()?.enabled);
+  }
+
+  /**
+   * Check if events can be shared right now
+   * @returns {boolean} - False until started and while Redis is disconnected
+   */
+  static isAvailable() {
+    return Boolean(subscriber) && globalRedisCache.isConnected;
+  }
+
+  /**
+   * Connect to Redis and hand every event published by another replica to a
+   * callback. Does nothing when shared state is disabled; after a failed start
+   * a retry is scheduled.
+   * @param {Function} onEvent - Called with { breaker, type, ... } events
+   * @returns {Promise<boolean>} - True when the state is shared
+   */
+  static start(onEvent) {
+    if (!SharedBreakerState.isEnabled()) {
+      return Promise.resolve(false);
+    }
+
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    starting ??= SharedBreakerState.subscribe(onEvent);
+    return starting;
+  }
+
+  /**
+   * Open the subscriber connection
+   * @param {Function} onEvent - Event callback
+   * @returns {Promise<boolean>} - True when subscribed
+   */
+  static async subscribe(onEvent) {
+    const { channel } = SharedBreakerState.getSettings();
+    let connection = null;
+
+    try {
+      if (!globalRedisCache.isConnected) {
+        await globalRedisCache.connect();
+      }
+
+      // A subscribed connection cannot run other commands, so listen on a copy
+      connection = globalRedisCache.client.duplicate();
+      connection.on('error', error => {
+        logger.warn('Shared breaker state subscriber error:', error.message);
+      });
+      connection.on('message', (_, payload) => {
+        SharedBreakerState.receive(payload, onEvent);
+      });
+      await connection.subscribe(channel);
+
+      subscriber = connection;
+      retryDelay = RETRY_DELAY_MS;
+      logger.info(`Sharing circuit breaker state on channel "${channel}"`);
+      return true;
+    } catch (error) {
+      connection?.disconnect();
+      starting = null;
+      logger.warn(
+        `Redis unavailable, circuit breakers keep local state (retrying in ${retryDelay}ms):`,
+        error.message
+      );
+      SharedBreakerState.scheduleRetry(onEvent);
+      return false;
+    }
+  }
+
+  /**
+   * Start again after the current retry delay, doubling the delay for the next
+   * failure
+   * @param {Function} onEvent - Event callback
+   */
+  static scheduleRetry(onEvent) {
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      SharedBreakerState.start(onEvent);
+    }, retryDelay);
+    // Do not keep the process alive just to retry
+    retryTimer.unref?.();
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY_MS);
+  }
+
+  /**
+   * Parse an event from the channel and pass it on unless this replica sent it
+   * @param {string} payload - JSON event
+   * @param {Function} onEvent - Event callback
+   */
+  static receive(payload, onEvent) {
+    try {
+      const event = JSON.parse(payload);
+      if (event.origin !== REPLICA_ID) {
+        onEvent(event);
+      }
+    } catch (error) {
+      logger.warn('Ignoring shared breaker event:', error.message);
+    }
+  }
+
+  /**
+   * Publish a breaker transition or admin action to the other replicas
+   * @param {string} breaker - Breaker name
+   * @param {string} type - "open", "halfOpen", "close", "force_open", ...
+   * @param {Object} [data] - Extra event fields, e.g. { timeout }
+   * @returns {Promise<void>}
+   */
+  static async publish(breaker, type, data = {}) {
+    if (!SharedBreakerState.isAvailable()) {
+      return;
+    }
+
+    try {
+      await globalRedisCache.client.publish(
+        SharedBreakerState.getSettings().channel,
+        JSON.stringify({ origin: REPLICA_ID, breaker, type, ...data, at: Date.now() })
+      );
+    } catch (error) {
+      logger.warn(`Failed to publish ${type} of ${breaker}:`, error.message);
+    }
+  }
+
+  /**
+   * Count a call outcome in the shared rolling window and read the window back
+   * @param {string} breaker - Breaker name
+   * @param {boolean} failed - Whether the call counts as a failure
+   * @param {Object} options - Breaker options (rollingCountTimeout, rollingCountBuckets)
+   * @returns {Promise<Object|null>} - Fleet { fires, failures }, null when unavailable
+   */
+  static async record(breaker, failed, options) {
+    if (!SharedBreakerState.isAvailable()) {
+      return null;
+    }
+
+    const { rollingCountTimeout, rollingCountBuckets } = options;
+    const bucketSize = rollingCountTimeout / rollingCountBuckets;
+    const current = Math.floor(Date.now() / bucketSize);
+    const key = SharedBreakerState.bucketKey(breaker, current);
+
+    try {
+      const transaction = globalRedisCache.client.multi().hincrby(key, 'fires', 1);
+      if (failed) {
+        transaction.hincrby(key, 'failures', 1);
+      }
+      // Keep a bucket until it has left every replica's window
+      transaction.pexpire(key, rollingCountTimeout + bucketSize);
+      for (let bucket = 0; bucket < rollingCountBuckets; bucket++) {
+        transaction.hgetall(SharedBreakerState.bucketKey(breaker, current - bucket));
+      }
+
+      const results = await transaction.exec();
+      return results.slice(-rollingCountBuckets).reduce(
+        (totals, [, counts]) => ({
+          fires: totals.fires + (parseInt(counts?.fires, 10) || 0),
+          failures: totals.failures + (parseInt(counts?.failures, 10) || 0)
+        }),
+        { fires: 0, failures: 0 }
+      );
+    } catch (error) {
+      logger.warn(`Failed to record shared stats of ${breaker}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Drop a breaker's counts from the shared rolling window
+   * @param {string} breaker - Breaker name
+   * @param {Object} options - Breaker options (rollingCountTimeout, rollingCountBuckets)
+   * @returns {Promise<void>}
+   */
+  static async clear(breaker, options) {
+    if (!SharedBreakerState.isAvailable()) {
+      return;
+    }
+
+    const { rollingCountTimeout, rollingCountBuckets } = options;
+    const current = Math.floor(
+      Date.now() / (rollingCountTimeout / rollingCountBuckets)
+    );
+    const keys = Array.from({ length: rollingCountBuckets }, (_, bucket) =>
+      SharedBreakerState.bucketKey(breaker, current - bucket)
+    );
+
+    try {
+      await globalRedisCache.client.del(...keys);
+    } catch (error) {
+      logger.warn(`Failed to clear shared stats of ${breaker}:`, error.message);
+    }
+  }
+
+  /**
+   * Redis key of a breaker's counts for one bucket (the cache key prefix is
+   * added by the client)
+   * @param {string} breaker - Breaker name
+   * @param {number} bucket - Bucket number since the epoch
+   * @returns {string} - Key
+   */
+  static bucketKey(breaker, bucket) {
+    return `circuit-breaker:${breaker}:${bucket}`;
+  }
+
+  /**
+   * Stop listening to the other replicas
+   * @returns {Promise<void>}
+   */
+  static async stop() {
+    const connection = subscriber;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    retryDelay = RETRY_DELAY_MS;
+    subscriber = null;
+    starting = null;
+    await connection?.quit();
+  }
+}
@@ -135,6 +135,40 @@ export default class UrlUtils {
       .join('/');
   }
 
+  /**
+   * Get the API version a route prefix ends with
+   * @param {string} routePrefix - Route prefix, e.g. "api/v1"
+   * @returns {string|null} - Version segment ("v1"), or null if the prefix is unversioned
+   */
+  static getApiVersion(routePrefix) {
+    const last = UrlUtils.joinPath(routePrefix).split('/').at(-1);
+    return /^v\d+$/.test(last) ? last : null;
+  }
+
+  /**
+   * Build the route prefix of an API version by replacing the version segment
+   * of the configured prefix ("api/v1" -> "api/v2"), or appending one
+   * @param {string} routePrefix - Configured route prefix
+   * @param {string} version - API version, e.g. "v2"
+   * @returns {string} - Versioned route prefix without leading or trailing slashes
+   */
+  static withApiVersion(routePrefix, version) {
+    const segments = UrlUtils.joinPath(routePrefix).split('/').filter(Boolean);
+    if (UrlUtils.getApiVersion(routePrefix)) {
+      segments.pop();
+    }
+    return UrlUtils.joinPath(...segments, version);
+  }
+
+  /**
+   * Get the route prefix shared by every API version ("api/v1" -> "api")
+   * @param {string} routePrefix - Configured route prefix
+   * @returns {string} - Prefix without its version segment
+   */
+  static getApiBasePath(routePrefix) {
+    return UrlUtils.withApiVersion(routePrefix, '');
+  }
+
   /**
    * Remove sensitive information from URL for logging/error reporting
    * @param {string} urlString - URL to sanitize
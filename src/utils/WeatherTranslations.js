@@ -0,0 +1,173 @@
+export const DEFAULT_LANGUAGE = 'en';
+
+// Condition descriptions by lower-cased English text, as sent by the weather service
+const CONDITIONS = {
+  'clear sky': {
+    es: 'cielo despejado',
+    fr: 'ciel dégagé',
+    de: 'klarer Himmel',
+    it: 'cielo sereno',
+    pt: 'céu limpo'
+  },
+  'few clouds': {
+    es: 'pocas nubes',
+    fr: 'peu nuageux',
+    de: 'ein paar Wolken',
+    it: 'poche nuvole',
+    pt: 'poucas nuvens'
+  },
+  'scattered clouds': {
+    es: 'nubes dispersas',
+    fr: 'nuages épars',
+    de: 'Mäßig bewölkt',
+    it: 'nubi sparse',
+    pt: 'nuvens dispersas'
+  },
+  'broken clouds': {
+    es: 'nubes rotas',
+    fr: 'nuages fragmentés',
+    de: 'Überwiegend bewölkt',
+    it: 'nubi irregolari',
+    pt: 'nuvens fragmentadas'
+  },
+  'overcast clouds': {
+    es: 'nublado',
+    fr: 'couvert',
+    de: 'Bedeckt',
+    it: 'cielo coperto',
+    pt: 'céu encoberto'
+  },
+  mist: { es: 'neblina', fr: 'brume', de: 'Dunst', it: 'foschia', pt: 'névoa' },
+  fog: { es: 'niebla', fr: 'brouillard', de: 'Nebel', it: 'nebbia', pt: 'nevoeiro' },
+  haze: {
+    es: 'calima',
+    fr: 'brume sèche',
+    de: 'Trüb',
+    it: 'caligine',
+    pt: 'neblina seca'
+  },
+  drizzle: {
+    es: 'llovizna',
+    fr: 'bruine',
+    de: 'Nieselregen',
+    it: 'pioggerella',
+    pt: 'garoa'
+  },
+  'light rain': {
+    es: 'lluvia ligera',
+    fr: 'légère pluie',
+    de: 'Leichter Regen',
+    it: 'pioggia leggera',
+    pt: 'chuva fraca'
+  },
+  'moderate rain': {
+    es: 'lluvia moderada',
+    fr: 'pluie modérée',
+    de: 'Mäßiger Regen',
+    it: 'pioggia moderata',
+    pt: 'chuva moderada'
+  },
+  'heavy intensity rain': {
+    es: 'lluvia fuerte',
+    fr: 'forte pluie',
+    de: 'Starker Regen',
+    it: 'pioggia forte',
+    pt: 'chuva forte'
+  },
+  'shower rain': {
+    es: 'chubascos',
+    fr: 'averses',
+    de: 'Regenschauer',
+    it: 'rovesci',
+    pt: 'aguaceiros'
+  },
+  rain: { es: 'lluvia', fr: 'pluie', de: 'Regen', it: 'pioggia', pt: 'chuva' },
+  thunderstorm: {
+    es: 'tormenta',
+    fr: 'orage',
+    de: 'Gewitter',
+    it: 'temporale',
+    pt: 'trovoada'
+  },
+  'light snow': {
+    es: 'nevada ligera',
+    fr: 'légères chutes de neige',
+    de: 'Leichter Schneefall',
+    it: 'neve leggera',
+    pt: 'neve fraca'
+  },
+  snow: { es: 'nieve', fr: 'neige', de: 'Schnee', it: 'neve', pt: 'neve' },
+  sleet: {
+    es: 'aguanieve',
+    fr: 'neige fondue',
+    de: 'Schneeregen',
+    it: 'nevischio',
+    pt: 'granizo'
+  },
+  'data unavailable': {
+    es: 'datos no disponibles',
+    fr: 'données indisponibles',
+    de: 'Daten nicht verfügbar',
+    it: 'dati non disponibili',
+    pt: 'dados indisponíveis'
+  }
+};
+
+export const SUPPORTED_LANGUAGES = Object.freeze([
+  DEFAULT_LANGUAGE,
+  'es',
+  'fr',
+  'de',
+  'it',
+  'pt'
+]);
+
+// Fields holding a condition description
+const TEXT_FIELDS = new Set(['description', 'conditions']);
+
+/**
+ * Translate one condition description, keeping the capitalisation of its first letter
+ * @param {string} text - English description, e.g. "Overcast clouds"
+ * @param {string} lang - One of SUPPORTED_LANGUAGES
+ * @returns {string} - Translated description, or the original if it is not in the dictionary
+ */
+export const translateCondition = (text, lang) => {
+  const key = text.trim().toLowerCase();
+  const translation = Object.hasOwn(CONDITIONS, key)
+    ? // eslint-disable-next-line security/detect-object-injection
+      CONDITIONS[key][lang]
+    : undefined;
+  if (!translation) {
+    return text;
+  }
+  return /^\p{Lu}/u.test(text)
+    ? translation.charAt(0).toLocaleUpperCase(lang) + translation.slice(1)
+    : translation;
+};
+
+/**
+ * Copy a weather payload with every condition description translated. The
+ * payload itself is never modified, so cached responses serve every language.
+ * @param {*} data - Weather payload (current weather, forecast days, bulk data)
+ * @param {string} [lang] - One of SUPPORTED_LANGUAGES
+ * @returns {*} - Translated payload
+ */
+export const translateWeather = (data, lang = DEFAULT_LANGUAGE) => {
+  if (lang === DEFAULT_LANGUAGE || !SUPPORTED_LANGUAGES.includes(lang)) {
+    return data;
+  }
+  if (Array.isArray(data)) {
+    return data.map(item => translateWeather(item, lang));
+  }
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+  return Object.fromEntries(
+    Object.entries(data).map(([field, value]) => [
+      field,
+      TEXT_FIELDS.has(field) && typeof value === 'string'
+        ? translateCondition(value, lang)
+        : translateWeather(value, lang)
+    ])
+  );
+};
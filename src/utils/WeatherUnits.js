@@ -0,0 +1,93 @@
+// Unit systems, named after the weather service's own: the service reports metric
+export const UNITS = Object.freeze({
+  METRIC: 'metric',
+  IMPERIAL: 'imperial',
+  STANDARD: 'standard'
+});
+
+export const DEFAULT_UNITS = UNITS.METRIC;
+
+const TEMPERATURE_FIELDS = new Set([
+  'temperature',
+  'minTemperature',
+  'maxTemperature',
+  'feelsLike',
+  'dewPoint'
+]);
+const WIND_SPEED_FIELDS = new Set(['windSpeed', 'windGust']);
+const PRESSURE_FIELDS = new Set(['pressure']);
+
+// Converters from metric (Celsius, metres per second, hectopascals)
+const CONVERTERS = {
+  [UNITS.IMPERIAL]: {
+    temperature: celsius => (celsius * 9) / 5 + 32, // Fahrenheit
+    windSpeed: metresPerSecond => metresPerSecond * 2.236936, // miles per hour
+    pressure: hectopascals => hectopascals * 0.02953 // inches of mercury
+  },
+  [UNITS.STANDARD]: {
+    temperature: celsius => celsius + 273.15, // Kelvin
+    windSpeed: metresPerSecond => metresPerSecond,
+    pressure: hectopascals => hectopascals
+  }
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Pick the converter for a field, if it holds a measurement
+ * @param {Object} converters - Converters of the target unit system
+ * @param {string} field - Property name
+ * @returns {Function|undefined} - Converter
+ */
+const getConverter = (converters, field) => {
+  if (TEMPERATURE_FIELDS.has(field)) {
+    return converters.temperature;
+  }
+  if (WIND_SPEED_FIELDS.has(field)) {
+    return converters.windSpeed;
+  }
+  if (PRESSURE_FIELDS.has(field)) {
+    return converters.pressure;
+  }
+  return undefined;
+};
+
+/**
+ * Copy a value, converting every numeric measurement field on the way
+ * @param {*} value - Payload or part of one
+ * @param {Object} converters - Converters of the target unit system
+ * @returns {*} - Converted copy
+ */
+const convert = (value, converters) => {
+  if (Array.isArray(value)) {
+    return value.map(item => convert(item, converters));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(
+    Object.entries(value).map(([field, item]) => {
+      const converter = getConverter(converters, field);
+      return [
+        field,
+        converter && typeof item === 'number'
+          ? round(converter(item))
+          : convert(item, converters)
+      ];
+    })
+  );
+};
+
+/**
+ * Convert a weather payload from the metric units the weather service reports
+ * in. The payload is copied, never modified, so cached responses are shared
+ * by every unit system.
+ * @param {*} data - Weather payload (current weather, forecast days, bulk data)
+ * @param {string} [units] - One of UNITS
+ * @returns {*} - Payload in the requested units
+ */
+export const convertWeather = (data, units = DEFAULT_UNITS) => {
+  // eslint-disable-next-line security/detect-object-injection
+  const converters = Object.hasOwn(CONVERTERS, units) ? CONVERTERS[units] : null;
+  return converters ? convert(data, converters) : data;
+};
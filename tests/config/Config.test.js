@@ -88,11 +88,94 @@ describe('Config - Simple Tests', () => {
       expect(cacheConfig).toHaveProperty('redis');
     });
 
+    it('should return circuit breaker defaults per service', () => {
+      const { services, path, inline } = config.circuitBreaker;
+
+      expect(path).toBeUndefined();
+      expect(inline).toBeUndefined();
+      expect(Object.keys(services)).toEqual(['weather', 'authentication', 'user']);
+      expect(services.weather).toEqual({
+        errorThresholdPercentage: 60,
+        timeout: 8000,
+        resetTimeout: 30000,
+        rollingCountTimeout: 60000,
+        rollingCountBuckets: 10,
+        volumeThreshold: 10
+      });
+
+      process.env.CIRCUIT_BREAKER_WEATHER_TIMEOUT = '5000';
+      expect(config.circuitBreaker.services.weather.timeout).toBe(5000);
+      delete process.env.CIRCUIT_BREAKER_WEATHER_TIMEOUT;
+    });
+
+    it('should report error spikes of 5 failures in 10 seconds by default', () => {
+      expect(config.events).toEqual({
+        errorSpikeThreshold: 5,
+        errorSpikeWindow: 10000,
+        heartbeatInterval: 15000
+      });
+    });
+
+    it('should serve metrics at /metrics unless disabled', () => {
+      expect(config.metrics).toEqual({
+        enabled: true,
+        path: '/metrics',
+        defaultMetrics: true
+      });
+
+      process.env.METRICS_PATH = '/internal/metrics';
+      expect(config.metrics.path).toBe('/internal/metrics');
+      delete process.env.METRICS_PATH;
+    });
+
+    it('should keep circuit breaker state local by default', () => {
+      expect(config.circuitBreaker.sharedState).toEqual({
+        enabled: false,
+        channel: 'circuit-breakers'
+      });
+    });
+
+    it('should compress above 1 KB unless disabled', () => {
+      expect(config.compression).toEqual({
+        enabled: true,
+        threshold: 1024,
+        level: 6,
+        brotliQuality: 4
+      });
+
+      process.env.COMPRESSION_ENABLED = 'false';
+      expect(config.compression.enabled).toBe(false);
+      delete process.env.COMPRESSION_ENABLED;
+    });
+
     it('should return logging configuration', () => {
       const loggingConfig = config.logging;
       expect(loggingConfig).toHaveProperty('level');
       expect(loggingConfig).toHaveProperty('enabledInProduction');
       expect(loggingConfig).toHaveProperty('format');
     });
+
+    it('should mount v1 and v2 with v1 deprecated by default', () => {
+      const { versions, defaultVersion, deprecations } = config.versioning;
+      expect(versions).toEqual(['v1', 'v2']);
+      expect(defaultVersion).toBe('v1');
+      expect(deprecations.v1).toHaveProperty('sunsetAt');
+    });
+
+    it('should read API versions from the environment', () => {
+      process.env.API_VERSIONS = ' v2 , v3,';
+      expect(config.versioning.versions).toEqual(['v2', 'v3']);
+    });
+
+    it('should validate responses by default only in development and test', () => {
+      process.env.NODE_ENV = 'test';
+      expect(config.openapi.validateResponses).toBe(true);
+
+      process.env.NODE_ENV = 'production';
+      expect(config.openapi.validateResponses).toBe(false);
+
+      process.env.OPENAPI_VALIDATE_RESPONSES = 'true';
+      expect(config.openapi.validateResponses).toBe(true);
+    });
   });
 });
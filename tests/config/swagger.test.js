@@ -0,0 +1,82 @@
+import yaml from 'js-yaml';
+
+import Config from '../../src/config/Config.js';
+import { resetOpenApiSpec } from '../../src/config/openapi.js';
+import swaggerDocs from '../../src/config/swagger.js';
+import ApiRegistry from '../../src/interfaces/http/ApiRegistry.js';
+
+// Mock dependencies
+jest.mock('../../src/config/Config.js');
+
+describe('swaggerDocs', () => {
+  let mockApp;
+  let mockRes;
+
+  /**
+   * Get the handler registered for a GET path
+   */
+  const getHandler = path =>
+    mockApp.get.mock.calls.find(([route]) => route === path)?.[1];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ApiRegistry.reset();
+    resetOpenApiSpec();
+
+    Config.getInstance = jest.fn().mockReturnValue({
+      app: { name: 'weather-reporter', swaggerUrl: '/docs' },
+      service: {
+        env: 'test',
+        version: '1.0.0',
+        protocol: 'http',
+        host: 'localhost',
+        routePrefix: 'api/v1'
+      }
+    });
+    ApiRegistry.register('get', '/items', { summary: 'List items', responses: {} });
+
+    mockApp = { get: jest.fn(), use: jest.fn() };
+    mockRes = { json: jest.fn(), send: jest.fn() };
+    mockRes.type = jest.fn().mockReturnValue(mockRes);
+  });
+
+  it('should serve the OpenAPI document as JSON', () => {
+    swaggerDocs(mockApp);
+    getHandler('/api/v1/docs.json')({}, mockRes);
+
+    const spec = mockRes.json.mock.calls[0][0];
+    expect(spec.openapi).toBe('3.0.0');
+    expect(spec.servers).toEqual([{ url: 'http://localhost/api/v1' }]);
+    expect(spec.paths['/items'].get.summary).toBe('List items');
+  });
+
+  it('should serve the OpenAPI document as YAML', () => {
+    swaggerDocs(mockApp);
+    getHandler('/api/v1/docs.yaml')({}, mockRes);
+
+    expect(mockRes.type).toHaveBeenCalledWith('application/yaml');
+    expect(yaml.load(mockRes.send.mock.calls[0][0]).paths['/items'].get.summary).toBe(
+      'List items'
+    );
+  });
+
+  it('should mount a docs page per API version', () => {
+    ApiRegistry.register(
+      'get',
+      '/items',
+      { summary: 'List items v2', responses: {} },
+      'v2'
+    );
+
+    swaggerDocs(mockApp);
+
+    expect(mockApp.use.mock.calls.map(([path]) => path)).toEqual([
+      '/api/v1/docs',
+      '/api/v2/docs'
+    ]);
+    getHandler('/api/v2/docs.json')({}, mockRes);
+    expect(mockRes.json.mock.calls[0][0].servers).toEqual([
+      { url: 'http://localhost/api/v2' }
+    ]);
+  });
+});
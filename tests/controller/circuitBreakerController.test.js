@@ -0,0 +1,159 @@
+import { jest } from '@jest/globals';
+
+jest.mock('../../src/utils/CircuiteBreaker.js');
+jest.mock('../../src/utils/Logger.js', () => {
+  const logger = {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  };
+  return { createModuleLogger: jest.fn(() => logger), logger };
+});
+
+import circuitBreakerController from '../../src/controller/circuitBreakerController.js';
+import {
+  forceCircuitBreakerClosed,
+  forceCircuitBreakerOpen,
+  getCircuitBreakerHealth,
+  inspectCircuitBreaker,
+  resetCircuitBreaker,
+  setCircuitBreakerTimeout
+} from '../../src/utils/CircuiteBreaker.js';
+import { logger } from '../../src/utils/Logger.js';
+
+describe('Circuit Breaker Controller', () => {
+  const closed = {
+    state: 'CLOSED',
+    forced: null,
+    stats: {},
+    options: { timeout: 8000 }
+  };
+  const forcedOpen = { ...closed, state: 'OPEN', forced: 'OPEN' };
+  let req;
+  let res;
+  let next;
+
+  /**
+   * Parse the JSON audit record of the last audit log call
+   * @returns {Object} - Audit record
+   */
+  const lastAuditRecord = () => JSON.parse(logger.warn.mock.calls.at(-1)[1]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = {
+      params: { name: 'weather-search' },
+      body: {},
+      ip: '10.0.0.1',
+      user: { id: 'ops1', role: 'admin', authType: 'jwt' }
+    };
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    next = jest.fn();
+    inspectCircuitBreaker.mockReturnValue(closed);
+  });
+
+  it('should list every breaker', () => {
+    getCircuitBreakerHealth.mockReturnValue({ 'weather-search': closed });
+
+    circuitBreakerController.list(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      timestamp: expect.any(String),
+      circuit_breakers: { 'weather-search': closed }
+    });
+  });
+
+  it('should limit each breaker to the attributes of the grant', () => {
+    getCircuitBreakerHealth.mockReturnValue({ 'weather-search': closed });
+    // Filter set by authorize for a grant such as ['*', '!options']
+    req.meta = {
+      filter: breaker =>
+        Object.fromEntries(
+          Object.entries(breaker).filter(([key]) => key !== 'options')
+        )
+    };
+
+    circuitBreakerController.list(req, res, next);
+    circuitBreakerController.get(req, res, next);
+
+    expect(res.json.mock.calls[0][0].circuit_breakers).toEqual({
+      'weather-search': { state: 'CLOSED', forced: null, stats: {} }
+    });
+    expect(res.json.mock.calls[1][0].circuit_breaker).not.toHaveProperty('options');
+  });
+
+  it('should inspect one breaker without logging an audit record', () => {
+    circuitBreakerController.get(req, res, next);
+
+    expect(res.json).toHaveBeenCalledWith({
+      name: 'weather-search',
+      circuit_breaker: closed
+    });
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it('should force a breaker open and audit who did it and why', () => {
+    forceCircuitBreakerOpen.mockReturnValue(forcedOpen);
+    req.body = { reason: 'Upstream maintenance' };
+
+    circuitBreakerController.forceOpen(req, res, next);
+
+    expect(forceCircuitBreakerOpen).toHaveBeenCalledWith('weather-search', req);
+    expect(res.json).toHaveBeenCalledWith({
+      name: 'weather-search',
+      circuit_breaker: forcedOpen
+    });
+    expect(lastAuditRecord()).toEqual({
+      event: 'circuit_breaker_admin',
+      action: 'force_open',
+      breaker: 'weather-search',
+      actor: { id: 'ops1', role: 'admin', authType: 'jwt', ip: '10.0.0.1' },
+      reason: 'Upstream maintenance',
+      before: { state: 'CLOSED', forced: null },
+      after: { state: 'OPEN', forced: 'OPEN' },
+      timestamp: expect.any(String)
+    });
+  });
+
+  it.each([
+    ['force_close', circuitBreakerController.forceClose, forceCircuitBreakerClosed],
+    ['reset', circuitBreakerController.reset, resetCircuitBreaker]
+  ])('should audit %s', (name, handler, action) => {
+    action.mockReturnValue(closed);
+
+    handler(req, res, next);
+
+    expect(action).toHaveBeenCalledWith('weather-search', req);
+    expect(lastAuditRecord()).toMatchObject({ action: name, reason: null });
+  });
+
+  it('should change the timeout and record the old and new values', () => {
+    setCircuitBreakerTimeout.mockReturnValue({
+      ...closed,
+      options: { timeout: 2500 }
+    });
+    req.body = { timeout: 2500 };
+
+    circuitBreakerController.update(req, res, next);
+
+    expect(setCircuitBreakerTimeout).toHaveBeenCalledWith('weather-search', 2500);
+    expect(lastAuditRecord()).toMatchObject({
+      action: 'update',
+      changes: { timeout: { from: 8000, to: 2500 } }
+    });
+  });
+
+  it('should pass unknown breakers to the error handler without auditing', () => {
+    inspectCircuitBreaker.mockImplementation(() => {
+      throw new Error('CircuitBreakerNotFoundError');
+    });
+
+    circuitBreakerController.forceOpen(req, res, next);
+
+    expect(next).toHaveBeenCalledWith(new Error('CircuitBreakerNotFoundError'));
+    expect(forceCircuitBreakerOpen).not.toHaveBeenCalled();
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+});
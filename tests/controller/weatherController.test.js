@@ -13,6 +13,12 @@ import { getCircuitBreakerInstance } from '../../src/utils/CircuiteBreaker.js';
 
 // Setup mocks after imports
 const mockConfigInstance = {
+  cache: {
+    defaultTtl: 300000,
+    responses: {
+      ttl: { search: 3600000, getWeatherByCity: 600000, forecast: 1800000 }
+    }
+  },
   services: {
     weather: {
       name: 'weather-service',
@@ -31,12 +37,14 @@ const mockWeatherProxy = {
   search: jest.fn(),
   getWeatherByCity: jest.fn(),
   getWeatherByCityName: jest.fn(),
+  getWeatherByCoordinates: jest.fn(),
   getBulkWeather: jest.fn()
 };
 
 WeatherProxy.search = mockWeatherProxy.search;
 WeatherProxy.getWeatherByCity = mockWeatherProxy.getWeatherByCity;
 WeatherProxy.getWeatherByCityName = mockWeatherProxy.getWeatherByCityName;
+WeatherProxy.getWeatherByCoordinates = mockWeatherProxy.getWeatherByCoordinates;
 WeatherProxy.getBulkWeather = mockWeatherProxy.getBulkWeather;
 
 const mockCircuitBreaker = {
@@ -64,7 +72,8 @@ describe('Weather Controller', () => {
 
     mockRes = {
       status: jest.fn().mockReturnThis(),
-      json: jest.fn().mockReturnThis()
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis()
     };
 
     mockNext = jest.fn();
@@ -122,6 +131,89 @@ describe('Weather Controller', () => {
     });
   });
 
+  describe('cache headers', () => {
+    it('should set X-Cache from the cache status recorded on the request', async () => {
+      mockCircuitBreaker.fire.mockImplementation(async req => {
+        req.cacheStatus = 'HIT';
+        return { data: { name: 'London' } };
+      });
+      mockReq.params = { cityId: '123' };
+
+      await weatherController.getWeatherByCity(mockReq, mockRes, mockNext);
+
+      expect(mockRes.set).toHaveBeenCalledWith('X-Cache', 'HIT');
+      expect(mockRes.json).toHaveBeenCalledWith({ name: 'London' });
+    });
+
+    it('should set X-Cache MISS for search responses loaded upstream', async () => {
+      mockCircuitBreaker.fire.mockImplementation(async req => {
+        req.cacheStatus = 'MISS';
+        return { locations: [] };
+      });
+      mockReq.query = { q: 'London' };
+
+      await weatherController.search(mockReq, mockRes, mockNext);
+
+      expect(mockRes.set).toHaveBeenCalledWith('X-Cache', 'MISS');
+    });
+
+    it('should align Cache-Control with the remaining TTL of the entry', async () => {
+      mockCircuitBreaker.fire.mockImplementation(async req => {
+        req.cacheStatus = 'HIT';
+        req.cacheAge = 120;
+        req.cachedAt = Date.parse('2025-07-04T10:00:00Z');
+        return { data: { temperature: 15 } };
+      });
+      mockReq.params = { cityId: '123' };
+
+      await weatherController.getWeatherByCity(mockReq, mockRes, mockNext);
+
+      expect(mockRes.set).toHaveBeenCalledWith('Cache-Control', 'private, max-age=480');
+      expect(mockRes.set).toHaveBeenCalledWith(
+        'Last-Modified',
+        'Fri, 04 Jul 2025 10:00:00 GMT'
+      );
+    });
+
+    it('should prefer the upstream observation time for Last-Modified', async () => {
+      mockCircuitBreaker.fire.mockImplementation(async req => {
+        req.cacheStatus = 'MISS';
+        req.cachedAt = Date.now();
+        return { data: { temperature: 15, dt: 1751623200 } };
+      });
+      mockReq.params = { cityId: '123' };
+      mockReq.selectedFields = ['temperature'];
+
+      await weatherController.getWeatherByCity(mockReq, mockRes, mockNext);
+
+      expect(mockRes.set).toHaveBeenCalledWith(
+        'Last-Modified',
+        'Fri, 04 Jul 2025 10:00:00 GMT'
+      );
+      expect(mockRes.set).toHaveBeenCalledWith('Cache-Control', 'private, max-age=600');
+      expect(mockRes.json).toHaveBeenCalledWith({ temperature: 15 });
+    });
+
+    it('should not let clients cache static fallback payloads', async () => {
+      mockCircuitBreaker.fire.mockResolvedValue({ fallback: true, data: {} });
+      mockReq.params = { cityId: '123' };
+
+      await weatherController.getWeatherByCity(mockReq, mockRes, mockNext);
+
+      expect(mockRes.set).toHaveBeenCalledWith('Cache-Control', 'no-cache');
+      expect(mockRes.set).not.toHaveBeenCalledWith('Last-Modified', expect.anything());
+    });
+
+    it('should not set X-Cache when no cache status was recorded', async () => {
+      mockCircuitBreaker.fire.mockResolvedValue({ data: {} });
+      mockReq.query = { city: 'London' };
+
+      await weatherController.getWeatherByCityName(mockReq, mockRes, mockNext);
+
+      expect(mockRes.set).not.toHaveBeenCalledWith('X-Cache', expect.anything());
+    });
+  });
+
   describe('getWeatherByCity', () => {
     it('should successfully get weather by city ID', async () => {
       const mockWeatherData = {
@@ -218,13 +310,274 @@ describe('Weather Controller', () => {
     });
   });
 
+  describe('getWeatherByCoordinates', () => {
+    it('should get weather by latitude and longitude', async () => {
+      const mockWeatherData = { data: { temperature: 12, description: 'Clear sky' } };
+      mockReq.query = { lat: '51.5074', lon: '-0.1278' };
+      mockCircuitBreaker.fire.mockResolvedValue(mockWeatherData);
+
+      await weatherController.getWeatherByCoordinates(mockReq, mockRes, mockNext);
+
+      expect(getCircuitBreakerInstance).toHaveBeenCalledWith(
+        mockWeatherProxy.getWeatherByCoordinates,
+        'weather-service',
+        'getWeatherByCoordinates'
+      );
+      expect(mockCircuitBreaker.fire).toHaveBeenCalledWith(mockReq);
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(mockWeatherData.data);
+    });
+
+    it.each([
+      [{ lat: '', lon: '1' }, 'InvalidLatitudeError'],
+      [{ lat: '1', lon: ' ' }, 'InvalidLongitudeError']
+    ])('should reject blank coordinates %p', async (query, type) => {
+      mockReq.query = query;
+
+      await weatherController.getWeatherByCoordinates(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(new Error(type));
+      expect(mockCircuitBreaker.fire).not.toHaveBeenCalled();
+    });
+
+    it('should pass errors to the error handler', async () => {
+      const mockError = new Error('Upstream failed');
+      mockReq.query = { lat: '1', lon: '2' };
+      mockCircuitBreaker.fire.mockRejectedValue(mockError);
+
+      await weatherController.getWeatherByCoordinates(mockReq, mockRes, mockNext);
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith(
+        expect.stringContaining('Error in /current/coordinates:'),
+        mockError
+      );
+      expect(mockNext).toHaveBeenCalledWith(mockError);
+    });
+  });
+
+  describe('units and lang', () => {
+    it('should convert and translate the response without touching the cached copy', async () => {
+      const cached = { data: { temperature: 20, description: 'Clear sky' } };
+      mockReq.params = { cityId: '123' };
+      mockReq.query = { units: 'imperial', lang: 'es' };
+      mockCircuitBreaker.fire.mockResolvedValue(cached);
+
+      await weatherController.getWeatherByCity(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenCalledWith({
+        temperature: 68,
+        description: 'Cielo despejado'
+      });
+      expect(mockRes.set).toHaveBeenCalledWith('Content-Language', 'es');
+      expect(cached.data).toEqual({ temperature: 20, description: 'Clear sky' });
+    });
+
+    it('should convert every city of a bulk response', async () => {
+      mockReq.query = { units: 'standard' };
+      mockReq.body = { cities: [{ city: 'London', country: 'GB' }] };
+      mockCircuitBreaker.fire.mockResolvedValue({
+        success: true,
+        data: { 'london-gb': { temperature: 10 } }
+      });
+
+      await weatherController.getBulkWeather(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({ data: { 'london-gb': { temperature: 283.15 } } })
+      );
+    });
+  });
+
+  describe('fields', () => {
+    it('should project each city of a search response', async () => {
+      mockReq.query = { q: 'London', fields: 'name,country' };
+      mockReq.selectedFields = ['name', 'country'];
+      mockCircuitBreaker.fire.mockResolvedValue({
+        success: true,
+        data: [{ id: 2643743, name: 'London', country: 'GB', lat: 51.5, lon: -0.13 }]
+      });
+
+      await weatherController.search(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: [{ name: 'London', country: 'GB' }]
+      });
+    });
+
+    it('should project the response after conversion', async () => {
+      mockReq.params = { cityId: '123' };
+      mockReq.query = { units: 'imperial' };
+      mockReq.selectedFields = ['temperature'];
+      mockCircuitBreaker.fire.mockResolvedValue({
+        data: { temperature: 20, icon: '01d', description: 'Clear sky' }
+      });
+
+      await weatherController.getWeatherByCity(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenCalledWith({ temperature: 68 });
+    });
+
+    it('should project each city of a bulk response and not send fields upstream', async () => {
+      mockReq.body = { cities: [{ city: 'London' }], fields: ['icon'] };
+      mockReq.selectedFields = ['icon'];
+      mockCircuitBreaker.fire.mockResolvedValue({
+        success: true,
+        data: { london: { temperature: 10, icon: '04d' } }
+      });
+
+      await weatherController.getBulkWeather(mockReq, mockRes, mockNext);
+
+      expect(mockReq.body).toEqual({ cities: [{ city: 'London' }] });
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({ data: { london: { icon: '04d' } } })
+      );
+    });
+  });
+
+  describe('attribute grants', () => {
+    const withoutCoord = record =>
+      Object.fromEntries(Object.entries(record).filter(([key]) => key !== 'coord'));
+
+    beforeEach(() => {
+      // Filter set by authorize for a grant such as ['*', '!coord']
+      mockReq.meta = {
+        filter: data => (Array.isArray(data) ? data.map(withoutCoord) : withoutCoord(data))
+      };
+    });
+
+    it('should filter each city of a search response', async () => {
+      mockReq.query = { q: 'London' };
+      mockCircuitBreaker.fire.mockResolvedValue({
+        success: true,
+        data: [{ name: 'London', coord: { lat: 51.5, lon: -0.13 } }]
+      });
+
+      await weatherController.search(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, data: [{ name: 'London' }] });
+    });
+
+    it('should filter each city of a bulk response', async () => {
+      mockReq.body = { cities: [{ city: 'London' }] };
+      mockCircuitBreaker.fire.mockResolvedValue({
+        success: true,
+        data: { london: { temperature: 10, coord: { lat: 51.5, lon: -0.13 } } }
+      });
+
+      await weatherController.getBulkWeather(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, data: { london: { temperature: 10 } } })
+      );
+    });
+
+    it('should filter a single weather response', async () => {
+      mockReq.params = { cityId: '123' };
+      mockCircuitBreaker.fire.mockResolvedValue({
+        data: { temperature: 20, coord: { lat: 51.5, lon: -0.13 } }
+      });
+
+      await weatherController.getWeatherByCity(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenCalledWith({ temperature: 20 });
+    });
+  });
+
+  describe('forecast', () => {
+    it.each([
+      ['getForecastByCity', { params: { cityId: '123' }, query: { days: '3' } }],
+      ['getForecastByCityName', { query: { city: 'London', days: '3' } }]
+    ])('%s should respond with the forecast', async (operation, request) => {
+      const mockForecast = { data: { days: [{ date: '2025-07-04' }] } };
+      Object.assign(mockReq, request);
+      mockCircuitBreaker.fire.mockResolvedValue(mockForecast);
+
+      // eslint-disable-next-line security/detect-object-injection
+      await weatherController[operation](mockReq, mockRes, mockNext);
+
+      expect(getCircuitBreakerInstance).toHaveBeenCalledWith(
+        // eslint-disable-next-line security/detect-object-injection
+        WeatherProxy[operation],
+        'weather-service',
+        operation
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(mockForecast.data);
+    });
+
+    it('should pass forecast errors to the error handler', async () => {
+      const mockError = new Error('Upstream failed');
+      mockCircuitBreaker.fire.mockRejectedValue(mockError);
+
+      await weatherController.getForecastByCityName(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(mockError);
+    });
+  });
+
+  describe('history', () => {
+    const mockHistory = { data: { days: [{ date: '2025-07-01' }] } };
+
+    beforeEach(() => {
+      mockCircuitBreaker.fire.mockResolvedValue(mockHistory);
+    });
+
+    it.each([['getHistoryByCity'], ['getHistoryByCityName']])(
+      '%s should respond with history for the range',
+      async operation => {
+        mockReq.params = { cityId: '123' };
+        mockReq.query = { city: 'London', from: '2025-07-01', to: '2025-07-04' };
+
+        // eslint-disable-next-line security/detect-object-injection
+        await weatherController[operation](mockReq, mockRes, mockNext);
+
+        expect(getCircuitBreakerInstance).toHaveBeenCalledWith(
+          // eslint-disable-next-line security/detect-object-injection
+          WeatherProxy[operation],
+          'weather-service',
+          operation
+        );
+        expect(mockRes.status).toHaveBeenCalledWith(200);
+        expect(mockRes.json).toHaveBeenCalledWith(mockHistory.data);
+      }
+    );
+
+    it('should default the end of the range to its start', async () => {
+      mockReq.query = { city: 'London', from: '2025-07-01' };
+
+      await weatherController.getHistoryByCityName(mockReq, mockRes, mockNext);
+
+      expect(mockCircuitBreaker.fire.mock.calls[0][0].query).toEqual({
+        city: 'London',
+        from: '2025-07-01',
+        to: '2025-07-01'
+      });
+    });
+
+    it.each([
+      [{ from: '2025-07-04', to: '2025-07-01' }],
+      [{ from: '2025-01-01', to: '2025-03-01' }],
+      [{ from: '2025-02-30' }],
+      [{ from: '2999-01-01' }]
+    ])('should reject the range %p without calling upstream', async query => {
+      mockReq.query = { city: 'London', ...query };
+
+      await weatherController.getHistoryByCityName(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(new Error('InvalidDateRangeError'));
+      expect(mockCircuitBreaker.fire).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getBulkWeather', () => {
     it('should successfully get bulk weather data', async () => {
       const mockWeatherData = {
-        results: [
-          { city: 'London', temperature: 15 },
-          { city: 'Paris', temperature: 18 }
-        ]
+        success: true,
+        data: {
+          london: { temperature: 15 },
+          paris: { temperature: 18 }
+        }
       };
 
       mockReq.body = {
@@ -244,65 +597,101 @@ describe('Weather Controller', () => {
       );
       expect(mockCircuitBreaker.fire).toHaveBeenCalledWith(mockReq);
       expect(mockRes.status).toHaveBeenCalledWith(200);
-      expect(mockRes.json).toHaveBeenCalledWith(mockWeatherData);
-      expect(mockNext).not.toHaveBeenCalled();
-    });
-
-    it('should validate cities array exists', async () => {
-      mockReq.body = {}; // Missing cities array
-
-      await weatherController.getBulkWeather(mockReq, mockRes, mockNext);
-
-      expect(mockRes.status).toHaveBeenCalledWith(400);
       expect(mockRes.json).toHaveBeenCalledWith({
-        success: false,
-        message: 'Cities array is required in request body'
+        success: true,
+        data: mockWeatherData.data,
+        results: [
+          { key: 'london', city: 'London', country: null, status: 'ok' },
+          { key: 'paris', city: 'Paris', country: null, status: 'ok' }
+        ],
+        errors: []
       });
-      expect(getCircuitBreakerInstance).not.toHaveBeenCalled();
       expect(mockNext).not.toHaveBeenCalled();
     });
 
-    it('should validate cities array is not empty', async () => {
-      mockReq.body = { cities: [] };
+    it('should respond with 207 and per-city statuses on partial success', async () => {
+      mockReq.body = {
+        cities: [
+          { city: 'London', country: 'GB' },
+          { city: 'Atlantis', country: 'XX' },
+          { city: 'Paris', country: 'FRA' }
+        ]
+      };
+      mockCircuitBreaker.fire.mockResolvedValue({
+        success: true,
+        data: { 'london-gb': { temperature: 15 } }
+      });
 
       await weatherController.getBulkWeather(mockReq, mockRes, mockNext);
 
-      expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        success: false,
-        message: 'Cities array cannot be empty'
-      });
-      expect(getCircuitBreakerInstance).not.toHaveBeenCalled();
-      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockCircuitBreaker.fire.mock.calls[0][0].body.cities).toEqual([
+        { city: 'London', country: 'GB' },
+        { city: 'Atlantis', country: 'XX' }
+      ]);
+      expect(mockRes.status).toHaveBeenCalledWith(207);
+      const body = mockRes.json.mock.calls[0][0];
+      expect(body.success).toBe(true);
+      expect(body.data).toEqual({ 'london-gb': { temperature: 15 } });
+      expect(body.results.map(result => result.status)).toEqual([
+        'ok',
+        'not_found',
+        'invalid'
+      ]);
+      expect(body.errors).toEqual([
+        {
+          key: 'atlantis-xx',
+          city: 'Atlantis',
+          country: 'XX',
+          status: 'not_found',
+          message: 'No weather data returned for city'
+        },
+        {
+          key: 'paris-fra',
+          city: 'Paris',
+          country: 'FRA',
+          status: 'invalid',
+          message: 'Country must be an ISO 3166-1 alpha-2 code'
+        }
+      ]);
     });
 
-    it('should validate cities array type', async () => {
-      mockReq.body = { cities: 'not-an-array' };
+    it('should report every city as an upstream error for the static fallback', async () => {
+      mockReq.body = { cities: [{ city: 'London', country: 'GB' }] };
+      mockCircuitBreaker.fire.mockResolvedValue({
+        success: false,
+        message: 'Bulk weather service temporarily unavailable',
+        fallback: true,
+        data: {}
+      });
 
       await weatherController.getBulkWeather(mockReq, mockRes, mockNext);
 
-      expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        success: false,
-        message: 'Cities must be an array'
-      });
-      expect(getCircuitBreakerInstance).not.toHaveBeenCalled();
-      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(207);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          fallback: true,
+          errors: [
+            expect.objectContaining({
+              status: 'upstream_error',
+              message: 'Bulk weather service temporarily unavailable'
+            })
+          ]
+        })
+      );
     });
 
-    it('should validate cities array length limit', async () => {
-      const largeCitiesArray = Array(51).fill({ name: 'City', countryCode: 'US' });
-      mockReq.body = { cities: largeCitiesArray };
+    it('should not call upstream when every city entry is invalid', async () => {
+      mockReq.body = { cities: [{ country: 'GB' }, 'London'] };
 
       await weatherController.getBulkWeather(mockReq, mockRes, mockNext);
 
-      expect(mockRes.status).toHaveBeenCalledWith(400);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        success: false,
-        message: 'Maximum 50 cities allowed per request'
-      });
       expect(getCircuitBreakerInstance).not.toHaveBeenCalled();
-      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(207);
+      expect(mockRes.json.mock.calls[0][0].errors.map(error => error.message)).toEqual([
+        'City name is required',
+        'City entry must be an object'
+      ]);
     });
 
     it('should handle bulk weather service errors', async () => {
@@ -0,0 +1,170 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import Config from '../../../src/config/Config.js';
+import AccessPolicy, { parseAction } from '../../../src/infrastructure/auth/AccessPolicy.js';
+import { ACTIONS, RESOURCES } from '../../../src/infrastructure/enum/grants.js';
+
+jest.mock('../../../src/config/Config.js');
+
+describe('AccessPolicy', () => {
+  let grantSettings;
+
+  const useMatrix = matrix => {
+    grantSettings.inline = JSON.stringify(matrix);
+  };
+
+  beforeEach(() => {
+    AccessPolicy.reset();
+    grantSettings = { path: undefined, inline: undefined, defaultRole: 'user' };
+    Config.getInstance = jest.fn().mockReturnValue({ auth: { grants: grantSettings } });
+  });
+
+  describe('parseAction', () => {
+    it('should split ACTIONS values into action and possession', () => {
+      expect(parseAction(ACTIONS.READOWN)).toEqual({ action: 'read', possession: 'own' });
+      expect(parseAction(ACTIONS.DELETEANY)).toEqual({
+        action: 'delete',
+        possession: 'any'
+      });
+    });
+
+    it('should reject unknown actions', () => {
+      expect(() => parseAction('readSome')).toThrow('Unknown action "readSome"');
+    });
+  });
+
+  describe('Grant Loading', () => {
+    it('should grant weather reads to users and admins by default', () => {
+      const user = AccessPolicy.check({ role: 'user' }, RESOURCES.WEATHER, ACTIONS.READANY);
+      const admin = AccessPolicy.check({ role: 'admin' }, RESOURCES.WEATHER, ACTIONS.READANY);
+
+      expect(user.granted).toBe(true);
+      expect(admin.granted).toBe(true);
+    });
+
+    it('should let only admins control circuit breakers by default', () => {
+      const user = AccessPolicy.check({ role: 'user' }, RESOURCES.CIRCUIT_BREAKERS, ACTIONS.UPDATEANY);
+      const admin = AccessPolicy.check(
+        { role: 'admin' },
+        RESOURCES.CIRCUIT_BREAKERS,
+        ACTIONS.UPDATEANY
+      );
+
+      expect(user.granted).toBe(false);
+      expect(admin.granted).toBe(true);
+    });
+
+    it('should load a YAML grant file', () => {
+      const grantsPath = path.join(os.tmpdir(), `grants-${process.pid}.yaml`);
+      fs.writeFileSync(grantsPath, 'viewer:\n  weather:\n    readAny: ["*"]\n');
+      grantSettings.path = grantsPath;
+
+      try {
+        expect(
+          AccessPolicy.check({ role: 'viewer' }, RESOURCES.WEATHER, ACTIONS.READANY).granted
+        ).toBe(true);
+        expect(
+          AccessPolicy.check({ role: 'user' }, RESOURCES.WEATHER, ACTIONS.READANY).granted
+        ).toBe(false);
+      } finally {
+        fs.unlinkSync(grantsPath);
+      }
+    });
+
+    it('should reject resources outside the RESOURCES enum', () => {
+      useMatrix({ user: { forecasts: { readAny: ['*'] } } });
+
+      expect(() => AccessPolicy.getAccessControl()).toThrow(
+        'Unknown resource "forecasts" for role "user"'
+      );
+    });
+
+    it('should reject actions outside the ACTIONS enum', () => {
+      useMatrix({ user: { weather: { 'read:any': ['*'] } } });
+
+      expect(() => AccessPolicy.getAccessControl()).toThrow('Unknown action "read:any"');
+    });
+
+    it('should support role inheritance with $extend', () => {
+      useMatrix({
+        user: { weather: { readOwn: ['*'] } },
+        admin: { $extend: ['user'], users: { deleteAny: ['*'] } }
+      });
+
+      expect(
+        AccessPolicy.check({ role: 'admin' }, RESOURCES.WEATHER, ACTIONS.READOWN).granted
+      ).toBe(true);
+    });
+  });
+
+  describe('Own vs Any', () => {
+    beforeEach(() => {
+      useMatrix({
+        user: { profiles: { readOwn: ['*'] } },
+        admin: { profiles: { readAny: ['*'] } }
+      });
+    });
+
+    it('should not satisfy an Any action with an Own grant', () => {
+      const result = AccessPolicy.check(
+        { role: 'user' },
+        RESOURCES.PROFILES,
+        ACTIONS.READANY
+      );
+
+      expect(result.granted).toBe(false);
+    });
+
+    it('should grant Own actions with own possession', () => {
+      const result = AccessPolicy.check(
+        { role: 'user' },
+        RESOURCES.PROFILES,
+        ACTIONS.READOWN
+      );
+
+      expect(result).toEqual(expect.objectContaining({ granted: true, possession: 'own' }));
+    });
+
+    it('should satisfy Own actions with an Any grant', () => {
+      const result = AccessPolicy.check(
+        { role: 'admin' },
+        RESOURCES.PROFILES,
+        ACTIONS.READOWN
+      );
+
+      expect(result).toEqual(expect.objectContaining({ granted: true, possession: 'any' }));
+    });
+  });
+
+  describe('Roles', () => {
+    it('should deny roles that are not in the matrix', () => {
+      expect(
+        AccessPolicy.check({ role: 'intruder' }, RESOURCES.WEATHER, ACTIONS.READANY)
+      ).toEqual({ granted: false, possession: null, permission: null });
+    });
+
+    it('should fall back to the default role when the principal has none', () => {
+      expect(
+        AccessPolicy.check({ id: 'abc', role: null, roles: [] }, RESOURCES.WEATHER, ACTIONS.READANY)
+          .granted
+      ).toBe(true);
+    });
+
+    it('should combine grants of all principal roles', () => {
+      useMatrix({
+        user: { weather: { readAny: ['*'] } },
+        auditor: { users: { readAny: ['*'] } }
+      });
+
+      const result = AccessPolicy.check(
+        { role: 'user', roles: ['user', 'auditor', 'unknown'] },
+        RESOURCES.USERS,
+        ACTIONS.READANY
+      );
+
+      expect(result.granted).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import Config from '../../../src/config/Config.js';
+import ApiKeyVerifier from '../../../src/infrastructure/auth/ApiKeyVerifier.js';
+import { getUnifiedCache } from '../../../src/utils/CacheFactory.js';
+
+jest.mock('../../../src/config/Config.js');
+jest.mock('../../../src/utils/CacheFactory.js');
+
+describe('ApiKeyVerifier', () => {
+  const RAW_KEY = 'batch-key-123';
+  const record = {
+    name: 'nightly-batch',
+    hash: ApiKeyVerifier.hashKey(RAW_KEY),
+    role: 'user',
+    routes: ['GET /weather/*', 'POST /weather/bulk']
+  };
+  let settings;
+  let keysPath;
+  let mockCache;
+
+  beforeAll(() => {
+    keysPath = path.join(os.tmpdir(), `api-keys-${process.pid}.json`);
+    fs.writeFileSync(
+      keysPath,
+      JSON.stringify([
+        record,
+        { ...record, name: 'old', hash: ApiKeyVerifier.hashKey('old-key'), expiresAt: '2020-01-01T00:00:00Z' }
+      ])
+    );
+  });
+
+  afterAll(() => {
+    fs.unlinkSync(keysPath);
+  });
+
+  beforeEach(() => {
+    ApiKeyVerifier.reset();
+    settings = {
+      enabled: true,
+      header: 'X-API-Key',
+      queryParam: 'api_key',
+      store: 'file',
+      path: keysPath,
+      cachePrefix: 'apikey:'
+    };
+    Config.getInstance = jest.fn().mockReturnValue({ auth: { apiKeys: settings } });
+
+    mockCache = { get: jest.fn().mockResolvedValue(null), set: jest.fn() };
+    getUnifiedCache.mockResolvedValue(mockCache);
+  });
+
+  describe('extractKey', () => {
+    it('should prefer the configured header', () => {
+      const req = { header: jest.fn().mockReturnValue(' from-header '), query: { api_key: 'q' } };
+
+      expect(ApiKeyVerifier.extractKey(req)).toBe('from-header');
+      expect(req.header).toHaveBeenCalledWith('X-API-Key');
+    });
+
+    it('should fall back to the query parameter', () => {
+      const req = { header: jest.fn(), query: { api_key: 'from-query' } };
+
+      expect(ApiKeyVerifier.extractKey(req)).toBe('from-query');
+    });
+
+    it('should ignore the query parameter when disabled', () => {
+      settings.queryParam = '';
+
+      expect(ApiKeyVerifier.extractKey({ header: jest.fn(), query: { api_key: 'x' } })).toBeNull();
+    });
+  });
+
+  describe('removeKey', () => {
+    it('should drop the key from the query and keep other parameters', () => {
+      const req = { query: { api_key: 'from-query', q: 'London' } };
+
+      ApiKeyVerifier.removeKey(req);
+
+      expect(req.query).toEqual({ q: 'London' });
+    });
+  });
+
+  describe('verify', () => {
+    it('should find file records by key hash', async () => {
+      await expect(ApiKeyVerifier.verify(RAW_KEY)).resolves.toEqual(record);
+    });
+
+    it('should reject unknown keys', async () => {
+      await expect(ApiKeyVerifier.verify('nope')).rejects.toThrow('Unknown API key');
+    });
+
+    it('should reject expired keys', async () => {
+      await expect(ApiKeyVerifier.verify('old-key')).rejects.toThrow(
+        'API key "old" expired at 2020-01-01T00:00:00Z'
+      );
+    });
+
+    it('should look keys up in the cache store', async () => {
+      settings.store = 'cache';
+      mockCache.get.mockResolvedValue(record);
+
+      await expect(ApiKeyVerifier.verify(RAW_KEY)).resolves.toEqual(record);
+      expect(mockCache.get).toHaveBeenCalledWith(`apikey:${record.hash}`);
+    });
+  });
+
+  describe('save', () => {
+    it('should store only the key hash with a TTL until expiry', async () => {
+      const expiresAt = new Date(Date.now() + 60000).toISOString();
+
+      const saved = await ApiKeyVerifier.save(RAW_KEY, {
+        name: 'partner',
+        role: 'user',
+        routes: ['*'],
+        expiresAt
+      });
+
+      expect(saved.hash).toBe(record.hash);
+      expect(JSON.stringify(saved)).not.toContain(RAW_KEY);
+      expect(mockCache.set).toHaveBeenCalledWith(
+        `apikey:${record.hash}`,
+        saved,
+        expect.any(Number)
+      );
+      expect(mockCache.set.mock.calls[0][2]).toBeLessThanOrEqual(60000);
+    });
+
+    it('should refuse already expired keys', async () => {
+      await expect(
+        ApiKeyVerifier.save(RAW_KEY, { name: 'late', expiresAt: '2020-01-01T00:00:00Z' })
+      ).rejects.toThrow('API key "late" is already expired');
+    });
+  });
+
+  describe('isRouteAllowed', () => {
+    it('should match method and wildcard paths', () => {
+      expect(ApiKeyVerifier.isRouteAllowed(record, 'GET', '/weather/current/123')).toBe(true);
+      expect(ApiKeyVerifier.isRouteAllowed(record, 'GET', '/weather')).toBe(true);
+      expect(ApiKeyVerifier.isRouteAllowed(record, 'POST', '/weather/bulk/')).toBe(true);
+    });
+
+    it('should reject other methods and paths', () => {
+      expect(ApiKeyVerifier.isRouteAllowed(record, 'POST', '/weather/search')).toBe(false);
+      expect(ApiKeyVerifier.isRouteAllowed(record, 'GET', '/weatherman')).toBe(false);
+      expect(ApiKeyVerifier.isRouteAllowed(record, 'GET', '/health')).toBe(false);
+    });
+
+    it('should deny everything when no routes are listed', () => {
+      expect(ApiKeyVerifier.isRouteAllowed({ name: 'x' }, 'GET', '/weather')).toBe(false);
+    });
+
+    it('should allow any method with "*"', () => {
+      expect(
+        ApiKeyVerifier.isRouteAllowed({ routes: ['* /health'] }, 'DELETE', '/health')
+      ).toBe(true);
+      expect(ApiKeyVerifier.isRouteAllowed({ routes: ['*'] }, 'PUT', '/anything')).toBe(true);
+    });
+  });
+
+  describe('toPrincipal', () => {
+    it('should expose the key name and role', () => {
+      expect(ApiKeyVerifier.toPrincipal(record)).toEqual({
+        id: 'apikey:nightly-batch',
+        role: 'user',
+        roles: ['user'],
+        scopes: [],
+        authType: 'apiKey',
+        apiKey: 'nightly-batch'
+      });
+    });
+  });
+});
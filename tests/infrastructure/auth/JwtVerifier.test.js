@@ -0,0 +1,170 @@
+import { generateKeyPairSync } from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import jwt from 'jsonwebtoken';
+
+import Config from '../../../src/config/Config.js';
+import JwtVerifier from '../../../src/infrastructure/auth/JwtVerifier.js';
+
+jest.mock('../../../src/config/Config.js');
+
+describe('JwtVerifier', () => {
+  const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const other = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const publicPem = publicKey.export({ type: 'spki', format: 'pem' });
+  let jwtSettings;
+  let jwksPath;
+
+  beforeAll(() => {
+    jwksPath = path.join(os.tmpdir(), `jwks-${process.pid}.json`);
+    fs.writeFileSync(
+      jwksPath,
+      JSON.stringify({
+        keys: [
+          { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig' },
+          { ...other.publicKey.export({ format: 'jwk' }), kid: 'key-2', use: 'sig' }
+        ]
+      })
+    );
+  });
+
+  afterAll(() => {
+    fs.unlinkSync(jwksPath);
+  });
+
+  beforeEach(() => {
+    JwtVerifier.reset();
+    jwtSettings = {
+      algorithms: ['HS256', 'RS256'],
+      secret: 'shared-secret',
+      issuer: undefined,
+      audience: undefined,
+      clockTolerance: 0
+    };
+    Config.getInstance = jest.fn().mockReturnValue({ auth: { jwt: jwtSettings } });
+  });
+
+  describe('HS256', () => {
+    it('should verify tokens signed with the shared secret', () => {
+      const token = jwt.sign({ sub: 'abc' }, 'shared-secret');
+
+      expect(JwtVerifier.verify(token)).toEqual(expect.objectContaining({ sub: 'abc' }));
+    });
+
+    it('should reject HS256 tokens when no secret is configured', () => {
+      jwtSettings.secret = undefined;
+      const token = jwt.sign({ sub: 'abc' }, 'shared-secret');
+
+      expect(() => JwtVerifier.verify(token)).toThrow('No verification key configured');
+    });
+  });
+
+  describe('RS256', () => {
+    it('should verify tokens with an inline PEM public key', () => {
+      jwtSettings.publicKey = publicPem.replace(/\n/g, '\\n');
+      const token = jwt.sign({ sub: 'abc' }, privateKey, { algorithm: 'RS256' });
+
+      expect(JwtVerifier.verify(token).sub).toBe('abc');
+    });
+
+    it('should select the JWKS key matching the token kid', () => {
+      jwtSettings.jwksPath = jwksPath;
+      const token = jwt.sign({ sub: 'abc' }, other.privateKey, {
+        algorithm: 'RS256',
+        keyid: 'key-2'
+      });
+
+      expect(JwtVerifier.verify(token).sub).toBe('abc');
+    });
+
+    it('should reject tokens whose kid is not in the JWKS', () => {
+      jwtSettings.jwksPath = jwksPath;
+      const token = jwt.sign({ sub: 'abc' }, privateKey, {
+        algorithm: 'RS256',
+        keyid: 'unknown'
+      });
+
+      expect(() => JwtVerifier.verify(token)).toThrow('No verification key configured');
+    });
+
+    it('should reject tokens signed by a different key', () => {
+      jwtSettings.jwksPath = jwksPath;
+      const token = jwt.sign({ sub: 'abc' }, other.privateKey, {
+        algorithm: 'RS256',
+        keyid: 'key-1'
+      });
+
+      expect(() => JwtVerifier.verify(token)).toThrow('invalid signature');
+    });
+  });
+
+  describe('Algorithm Restrictions', () => {
+    it('should reject algorithms that are not configured', () => {
+      jwtSettings.algorithms = ['RS256'];
+      const token = jwt.sign({ sub: 'abc' }, 'shared-secret');
+
+      expect(() => JwtVerifier.verify(token)).toThrow('Algorithm HS256 is not allowed');
+    });
+
+    it('should reject unsigned tokens', () => {
+      const token = jwt.sign({ sub: 'abc' }, null, { algorithm: 'none' });
+
+      expect(() => JwtVerifier.verify(token)).toThrow('Algorithm none is not allowed');
+    });
+
+    it('should not accept the RSA public key as an HMAC secret', () => {
+      jwtSettings.secret = undefined;
+      jwtSettings.publicKey = publicPem;
+      const forged = jwt.sign({ sub: 'abc' }, 'forged', { algorithm: 'HS256' });
+
+      expect(() => JwtVerifier.verify(forged)).toThrow();
+    });
+
+    it('should reject malformed tokens', () => {
+      expect(() => JwtVerifier.verify('not-a-token')).toThrow('Malformed token');
+    });
+  });
+
+  describe('Claim Validation', () => {
+    it('should accept any of several configured audiences', () => {
+      jwtSettings.audience = 'web, mobile';
+      const token = jwt.sign({ sub: 'abc', aud: 'mobile' }, 'shared-secret');
+
+      expect(JwtVerifier.verify(token).aud).toBe('mobile');
+    });
+
+    it('should honor the configured clock tolerance', () => {
+      jwtSettings.clockTolerance = 30;
+      const token = jwt.sign(
+        { sub: 'abc', exp: Math.floor(Date.now() / 1000) - 10 },
+        'shared-secret'
+      );
+
+      expect(JwtVerifier.verify(token).sub).toBe('abc');
+    });
+  });
+
+  describe('toPrincipal', () => {
+    it('should map claims to a request principal', () => {
+      expect(
+        JwtVerifier.toPrincipal({ sub: 'abc', roles: ['admin', 'user'], scope: 'read write' })
+      ).toEqual({
+        id: 'abc',
+        role: 'admin',
+        roles: ['admin', 'user'],
+        scopes: ['read', 'write'],
+        authType: 'jwt',
+        claims: { sub: 'abc', roles: ['admin', 'user'], scope: 'read write' }
+      });
+    });
+
+    it('should handle a single role claim', () => {
+      const principal = JwtVerifier.toPrincipal({ sub: 'abc', role: 'user' });
+
+      expect(principal.role).toBe('user');
+      expect(principal.roles).toEqual(['user']);
+    });
+  });
+});
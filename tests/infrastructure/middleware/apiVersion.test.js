@@ -0,0 +1,143 @@
+import Config from '../../../src/config/Config.js';
+import apiVersion, {
+  negotiateApiVersion,
+  parseApiVersion
+} from '../../../src/infrastructure/middleware/apiVersion.js';
+
+// Mock dependencies
+jest.mock('../../../src/config/Config.js');
+
+describe('apiVersion Middleware', () => {
+  let mockConfig;
+  let mockReq;
+  let mockRes;
+  let mockNext;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockConfig = {
+      versioning: {
+        versions: ['v1', 'v2'],
+        defaultVersion: 'v1',
+        deprecations: {
+          v1: {
+            deprecatedAt: '2026-10-19T00:00:00Z',
+            sunsetAt: '2027-04-19T00:00:00Z',
+            link: ''
+          }
+        }
+      }
+    };
+    Config.getInstance = jest.fn().mockReturnValue(mockConfig);
+
+    mockReq = {
+      path: '/weather/search',
+      originalUrl: '/api/weather/search',
+      get: jest.fn()
+    };
+    mockRes = { set: jest.fn(), append: jest.fn(), vary: jest.fn() };
+    mockNext = jest.fn();
+  });
+
+  describe('parseApiVersion', () => {
+    it.each([
+      ['2', 'v2'],
+      ['v2', 'v2'],
+      ['V1', 'v1'],
+      [' 02 ', 'v2']
+    ])('should read %p as %p', (value, version) => {
+      expect(parseApiVersion(value)).toBe(version);
+    });
+
+    it.each([['latest'], ['2.1'], [''], [undefined]])('should reject %p', value => {
+      expect(parseApiVersion(value)).toBeNull();
+    });
+  });
+
+  describe('apiVersion', () => {
+    it('should tag the request and response with the version', () => {
+      apiVersion('v2')(mockReq, mockRes, mockNext);
+
+      expect(mockReq.apiVersion).toBe('v2');
+      expect(mockRes.set).toHaveBeenCalledWith('API-Version', 'v2');
+      expect(mockRes.set).not.toHaveBeenCalledWith('Deprecation', expect.anything());
+      expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    it('should mark deprecated versions with Deprecation and Sunset headers', () => {
+      apiVersion('v1')(mockReq, mockRes, mockNext);
+
+      expect(mockRes.set).toHaveBeenCalledWith('Deprecation', '@1792368000');
+      expect(mockRes.set).toHaveBeenCalledWith(
+        'Sunset',
+        'Mon, 19 Apr 2027 00:00:00 GMT'
+      );
+      expect(mockRes.append).not.toHaveBeenCalled();
+    });
+
+    it('should link to the deprecation notice when configured', () => {
+      mockConfig.versioning.deprecations.v1.link =
+        'https://example.com/v1-deprecation';
+
+      apiVersion('v1')(mockReq, mockRes, mockNext);
+
+      expect(mockRes.append).toHaveBeenCalledWith(
+        'Link',
+        '<https://example.com/v1-deprecation>; rel="deprecation"; type="text/html"'
+      );
+    });
+
+    it('should fall back to the boolean form for an unparseable date', () => {
+      mockConfig.versioning.deprecations.v1 = { deprecatedAt: 'soon', sunsetAt: '' };
+
+      apiVersion('v1')(mockReq, mockRes, mockNext);
+
+      expect(mockRes.set).toHaveBeenCalledWith('Deprecation', '?1');
+      expect(mockRes.set).not.toHaveBeenCalledWith('Sunset', expect.anything());
+    });
+  });
+
+  describe('negotiateApiVersion', () => {
+    let routers;
+
+    beforeEach(() => {
+      routers = { v1: jest.fn(), v2: jest.fn() };
+    });
+
+    it('should use the default version without an Accept-Version header', () => {
+      negotiateApiVersion(routers)(mockReq, mockRes, mockNext);
+
+      expect(routers.v1).toHaveBeenCalledWith(mockReq, mockRes, mockNext);
+      expect(mockRes.vary).toHaveBeenCalledWith('Accept-Version');
+    });
+
+    it('should route by the Accept-Version header', () => {
+      mockReq.get.mockReturnValue('2');
+
+      negotiateApiVersion(routers)(mockReq, mockRes, mockNext);
+
+      expect(routers.v2).toHaveBeenCalledWith(mockReq, mockRes, mockNext);
+      expect(routers.v1).not.toHaveBeenCalled();
+    });
+
+    it.each([['v3'], ['latest']])('should reject the Accept-Version %p', header => {
+      mockReq.get.mockReturnValue(header);
+
+      negotiateApiVersion(routers)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(new Error('UnsupportedApiVersionError'));
+      expect(mockRes.set).toHaveBeenCalledWith('API-Supported-Versions', 'v1, v2');
+    });
+
+    it('should reject version segments without a mounted router', () => {
+      mockReq.path = '/v9/weather/search';
+      mockReq.get.mockReturnValue('2');
+
+      negotiateApiVersion(routers)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(new Error('UnsupportedApiVersionError'));
+      expect(routers.v2).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,17 +1,56 @@
+import jwt from 'jsonwebtoken';
+
+import Config from '../../../src/config/Config.js';
+import ApiKeyVerifier from '../../../src/infrastructure/auth/ApiKeyVerifier.js';
+import JwtVerifier from '../../../src/infrastructure/auth/JwtVerifier.js';
 import authenticate from '../../../src/infrastructure/middleware/authenticate.js';
 
-// Mock dependencies
-jest.mock('../../../src/config/Config.js');
+// Mock dependencies - RouteBypassList reads the app config at import time
+jest.mock('../../../src/config/Config.js', () => ({
+  __esModule: true,
+  default: {
+    getInstance: jest.fn(() => ({
+      app: { healthUrl: '/health', swaggerUrl: '/swagger' }
+    }))
+  }
+}));
 jest.mock('../../../src/utils/CircuiteBreaker.js');
+jest.mock('../../../src/utils/CacheFactory.js');
+
+const SECRET = 'test-secret';
 
 describe('Authenticate Middleware', () => {
   let mockReq;
   let mockRes;
   let mockNext;
+  let mockConfig;
+  let warnSpy;
 
   beforeEach(() => {
     // Reset all mocks
     jest.clearAllMocks();
+    JwtVerifier.reset();
+
+    mockConfig = {
+      app: { name: 'weather-reporter' },
+      auth: {
+        enabled: false,
+        jwt: {
+          algorithms: ['HS256', 'RS256'],
+          secret: SECRET,
+          issuer: 'https://auth.example.com',
+          audience: 'weather-api',
+          clockTolerance: 0
+        },
+        apiKeys: {
+          enabled: false,
+          header: 'X-API-Key',
+          queryParam: 'api_key',
+          store: 'file'
+        }
+      }
+    };
+    Config.getInstance = jest.fn().mockReturnValue(mockConfig);
 
     // Mock request object
     mockReq = {
@@ -20,10 +59,18 @@ describe('Authenticate Middleware', () => {
     };
 
     // Mock response object
-    mockRes = {};
+    mockRes = {
+      set: jest.fn()
+    };
 
     // Mock next function
     mockNext = jest.fn();
+
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
   });
 
   describe('No-op Authentication (Bypassed)', () => {
@@ -95,6 +142,198 @@ describe('Authenticate Middleware', () => {
     });
   });
 
+  describe('Bearer Token Authentication', () => {
+    const sign = (claims = {}, options = {}) =>
+      jwt.sign({ sub: 'user-1', role: 'user', ...claims }, SECRET, {
+        algorithm: 'HS256',
+        issuer: 'https://auth.example.com',
+        audience: 'weather-api',
+        expiresIn: '5m',
+        ...options
+      });
+
+    beforeEach(() => {
+      mockConfig.auth.enabled = true;
+      mockReq.method = 'GET';
+      mockReq.path = '/weather/search';
+    });
+
+    it('should attach the verified principal to req.user', async () => {
+      mockReq.header.mockReturnValue(`Bearer ${sign()}`);
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith();
+      expect(mockReq.user).toEqual(
+        expect.objectContaining({
+          id: 'user-1',
+          role: 'user',
+          authType: 'jwt'
+        })
+      );
+      expect(mockReq.meta.authBypassed).toBeUndefined();
+    });
+
+    it('should reject requests without an Authorization header', async () => {
+      mockReq.header.mockReturnValue(undefined);
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(new Error('UnauthorizedError'));
+      expect(mockRes.set).toHaveBeenCalledWith(
+        'WWW-Authenticate',
+        'Bearer realm="weather-reporter"'
+      );
+    });
+
+    it('should reject non-bearer Authorization schemes', async () => {
+      mockReq.header.mockReturnValue('Basic dXNlcjpwYXNz');
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(new Error('UnauthorizedError'));
+    });
+
+    it('should reject expired tokens', async () => {
+      mockReq.header.mockReturnValue(`Bearer ${sign({}, { expiresIn: -10 })}`);
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(new Error('UnauthorizedError'));
+      expect(mockRes.set).toHaveBeenCalledWith(
+        'WWW-Authenticate',
+        'Bearer realm="weather-reporter", error="invalid_token"'
+      );
+      expect(mockReq.user).toBeUndefined();
+    });
+
+    it('should reject tokens that are not yet valid', async () => {
+      mockReq.header.mockReturnValue(`Bearer ${sign({}, { notBefore: 60 })}`);
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(new Error('UnauthorizedError'));
+    });
+
+    it('should reject tokens from another issuer or audience', async () => {
+      mockReq.header.mockReturnValue(`Bearer ${sign({}, { issuer: 'https://evil.example.com' })}`);
+      await authenticate(mockReq, mockRes, mockNext);
+
+      mockReq.header.mockReturnValue(`Bearer ${sign({}, { audience: 'other-api' })}`);
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenNthCalledWith(1, new Error('UnauthorizedError'));
+      expect(mockNext).toHaveBeenNthCalledWith(2, new Error('UnauthorizedError'));
+    });
+
+    it('should reject tokens signed with the wrong secret', async () => {
+      const token = jwt.sign({ sub: 'user-1' }, 'other-secret', {
+        issuer: 'https://auth.example.com',
+        audience: 'weather-api'
+      });
+      mockReq.header.mockReturnValue(`Bearer ${token}`);
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(new Error('UnauthorizedError'));
+    });
+
+    it('should skip verification for bypassed routes', async () => {
+      mockReq.path = '/health';
+      mockReq.header.mockReturnValue(undefined);
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith();
+      expect(mockReq.meta.authBypassed).toBe(true);
+    });
+
+    it('should only bypass the listed method for a route', async () => {
+      mockReq.method = 'DELETE';
+      mockReq.path = '/health';
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(new Error('UnauthorizedError'));
+    });
+  });
+
+  describe('API Key Authentication', () => {
+    const record = {
+      name: 'nightly-batch',
+      hash: ApiKeyVerifier.hashKey('batch-key'),
+      role: 'user',
+      routes: ['GET /weather/*']
+    };
+
+    beforeEach(() => {
+      mockConfig.auth.enabled = true;
+      mockConfig.auth.apiKeys.enabled = true;
+      mockReq.method = 'GET';
+      mockReq.path = '/weather/search';
+      mockReq.query = {};
+      jest.spyOn(ApiKeyVerifier, 'findRecord').mockImplementation(async hash =>
+        hash === record.hash ? record : null
+      );
+    });
+
+    afterEach(() => {
+      ApiKeyVerifier.findRecord.mockRestore();
+    });
+
+    it('should authenticate a key from the X-API-Key header', async () => {
+      mockReq.header.mockImplementation(name => (name === 'X-API-Key' ? 'batch-key' : undefined));
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith();
+      expect(mockReq.user).toEqual(
+        expect.objectContaining({ id: 'apikey:nightly-batch', role: 'user', authType: 'apiKey' })
+      );
+    });
+
+    it('should authenticate a key from the query parameter', async () => {
+      mockReq.query = { api_key: 'batch-key', q: 'London' };
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith();
+      expect(mockReq.user.apiKey).toBe('nightly-batch');
+      // The raw key must not reach the weather service or the cache keys
+      expect(mockReq.query).toEqual({ q: 'London' });
+    });
+
+    it('should reject unknown keys', async () => {
+      mockReq.query = { api_key: 'stolen' };
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(new Error('UnauthorizedError'));
+      expect(mockReq.user).toBeUndefined();
+    });
+
+    it('should forbid routes the key is not allowed to call', async () => {
+      mockReq.method = 'POST';
+      mockReq.path = '/weather/bulk';
+      mockReq.query = { api_key: 'batch-key' };
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith(new Error('ForbiddenError'));
+      expect(mockReq.user).toBeUndefined();
+    });
+
+    it('should ignore API keys when the strategy is disabled', async () => {
+      mockConfig.auth.apiKeys.enabled = false;
+      mockReq.query = { api_key: 'batch-key' };
+
+      await authenticate(mockReq, mockRes, mockNext);
+
+      expect(ApiKeyVerifier.findRecord).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalledWith(new Error('UnauthorizedError'));
+    });
+  });
+
   describe('Integration with other middleware', () => {
     it('should work correctly in middleware chain', async () => {
       const middleware1 = jest.fn((req, res, next) => {
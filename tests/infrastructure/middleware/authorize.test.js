@@ -0,0 +1,162 @@
+import Config from '../../../src/config/Config.js';
+import AccessPolicy from '../../../src/infrastructure/auth/AccessPolicy.js';
+import { ACTIONS, RESOURCES } from '../../../src/infrastructure/enum/grants.js';
+import authorize, {
+  filterGranted
+} from '../../../src/infrastructure/middleware/authorize.js';
+
+// Mock dependencies
+jest.mock('../../../src/config/Config.js');
+
+describe('Authorize Middleware', () => {
+  let mockReq;
+  let mockRes;
+  let mockNext;
+  let mockConfig;
+  let sendJson;
+  let warnSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    AccessPolicy.reset();
+
+    mockConfig = {
+      auth: {
+        enabled: true,
+        grants: {
+          inline: JSON.stringify({
+            user: { weather: { readAny: ['*', '!coord'] } },
+            admin: { weather: { readAny: ['*'] } },
+            member: { profiles: { readOwn: ['*'] } }
+          }),
+          defaultRole: 'user'
+        }
+      }
+    };
+    Config.getInstance = jest.fn().mockReturnValue(mockConfig);
+
+    mockReq = {
+      meta: { resource: RESOURCES.WEATHER, action: ACTIONS.READANY },
+      user: { id: 'user-1', role: 'user', roles: ['user'] }
+    };
+
+    sendJson = jest.fn();
+    mockRes = { statusCode: 200, json: sendJson };
+    mockNext = jest.fn();
+
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  it('should pass through when authentication is disabled', async () => {
+    mockConfig.auth.enabled = false;
+    mockReq.user = undefined;
+
+    await authorize(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith();
+  });
+
+  it('should pass through routes without grants', async () => {
+    mockReq.meta = {};
+
+    await authorize(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith();
+  });
+
+  it('should require an authenticated principal', async () => {
+    mockReq.user = undefined;
+
+    await authorize(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith(new Error('UnauthorizedError'));
+  });
+
+  it('should allow roles holding the grant', async () => {
+    await authorize(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith();
+    expect(mockReq.meta.possession).toBe('any');
+  });
+
+  it('should deny roles without the grant with ForbiddenError', async () => {
+    mockReq.user = { id: 'user-2', role: 'member', roles: ['member'] };
+
+    await authorize(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith(new Error('ForbiddenError'));
+  });
+
+  it('should scope Own grants to the caller', async () => {
+    mockReq.user = { id: 'user-2', role: 'member', roles: ['member'] };
+    mockReq.meta = { resource: RESOURCES.PROFILES, action: ACTIONS.READOWN };
+
+    await authorize(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith();
+    expect(mockReq.meta).toEqual(
+      expect.objectContaining({ possession: 'own', ownerId: 'user-2' })
+    );
+  });
+
+  it('should surface grant configuration errors', async () => {
+    mockConfig.auth.grants.inline = JSON.stringify({ user: { nope: {} } });
+
+    await authorize(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith(
+      new Error('Unknown resource "nope" for role "user"')
+    );
+  });
+
+  describe('Attribute Filtering', () => {
+    it('should remove attributes the grant excludes', async () => {
+      await authorize(mockReq, mockRes, mockNext);
+
+      expect(
+        filterGranted(mockReq, { name: 'London', coord: { lat: 51.5 } })
+      ).toEqual({
+        name: 'London'
+      });
+    });
+
+    it('should filter each record of a list', async () => {
+      await authorize(mockReq, mockRes, mockNext);
+
+      expect(
+        filterGranted(mockReq, [
+          { name: 'London', coord: { lat: 51.5 } },
+          { name: 'Paris', coord: { lat: 48.9 } }
+        ])
+      ).toEqual([{ name: 'London' }, { name: 'Paris' }]);
+    });
+
+    it('should leave records untouched for full grants', async () => {
+      mockReq.user = { id: 'admin-1', role: 'admin', roles: ['admin'] };
+      const record = { name: 'London', coord: { lat: 51.5 } };
+
+      await authorize(mockReq, mockRes, mockNext);
+
+      expect(filterGranted(mockReq, record)).toBe(record);
+    });
+
+    it('should leave records untouched when authentication is disabled', async () => {
+      mockConfig.auth.enabled = false;
+      const record = { name: 'London', coord: { lat: 51.5 } };
+
+      await authorize(mockReq, mockRes, mockNext);
+
+      expect(filterGranted(mockReq, record)).toBe(record);
+    });
+
+    it('should leave the response envelope to the handler', async () => {
+      await authorize(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toBe(sendJson);
+    });
+  });
+});
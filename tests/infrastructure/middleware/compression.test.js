@@ -0,0 +1,77 @@
+import express from 'express';
+import request from 'supertest';
+
+import Config from '../../../src/config/Config.js';
+import compressResponses from '../../../src/infrastructure/middleware/compression.js';
+
+jest.mock('../../../src/config/Config.js');
+
+describe('compression Middleware', () => {
+  const largeBody = { data: 'x'.repeat(4096) };
+  let mockConfig;
+
+  /**
+   * Build an app answering JSON on a weather and a health path
+   */
+  const createApp = () => {
+    const app = express();
+    app.use(compressResponses());
+    app.get('/api/v1/weather/bulk', (_req, res) => res.json(largeBody));
+    app.get('/api/v1/weather/small', (_req, res) => res.json({ ok: true }));
+    app.get('/api/v1/health/circuit-breakers', (_req, res) => res.json(largeBody));
+    return app;
+  };
+
+  beforeEach(() => {
+    mockConfig = {
+      compression: { enabled: true, threshold: 1024, level: 6, brotliQuality: 4 }
+    };
+    Config.getInstance = jest.fn().mockReturnValue(mockConfig);
+  });
+
+  it('should gzip large responses for clients that accept it', async () => {
+    const response = await request(createApp())
+      .get('/api/v1/weather/bulk')
+      .set('Accept-Encoding', 'gzip');
+
+    expect(response.headers['content-encoding']).toBe('gzip');
+    expect(response.headers.vary).toMatch(/Accept-Encoding/);
+    expect(response.body).toEqual(largeBody);
+  });
+
+  it('should use brotli when it is the only accepted encoding', async () => {
+    const response = await request(createApp())
+      .get('/api/v1/weather/bulk')
+      .set('Accept-Encoding', 'br');
+
+    expect(response.headers['content-encoding']).toBe('br');
+  });
+
+  it('should send small responses uncompressed but still vary on Accept-Encoding', async () => {
+    const response = await request(createApp())
+      .get('/api/v1/weather/small')
+      .set('Accept-Encoding', 'gzip, br');
+
+    expect(response.headers['content-encoding']).toBeUndefined();
+    expect(response.headers.vary).toMatch(/Accept-Encoding/);
+  });
+
+  it('should never compress health responses', async () => {
+    const response = await request(createApp())
+      .get('/api/v1/health/circuit-breakers')
+      .set('Accept-Encoding', 'gzip, br');
+
+    expect(response.headers['content-encoding']).toBeUndefined();
+  });
+
+  it('should leave responses to the proxy when disabled', async () => {
+    mockConfig.compression.enabled = false;
+
+    const response = await request(createApp())
+      .get('/api/v1/weather/bulk')
+      .set('Accept-Encoding', 'gzip, br');
+
+    expect(response.headers['content-encoding']).toBeUndefined();
+    expect(response.headers.vary).toBeUndefined();
+  });
+});
@@ -0,0 +1,41 @@
+import conditionalGet from '../../../src/infrastructure/middleware/conditionalGet.js';
+import { computeETag } from '../../../src/utils/HttpCaching.js';
+
+describe('conditionalGet Middleware', () => {
+  let mockRes;
+  let originalJson;
+  let mockNext;
+
+  beforeEach(() => {
+    originalJson = jest.fn();
+    mockRes = { statusCode: 200, json: originalJson, set: jest.fn() };
+    mockNext = jest.fn();
+  });
+
+  it('should tag successful GET responses with a strong ETag of the body', () => {
+    const body = { temperature: 15, icon: '01d' };
+
+    conditionalGet({ method: 'GET' }, mockRes, mockNext);
+    mockRes.json(body);
+
+    expect(mockNext).toHaveBeenCalledWith();
+    expect(mockRes.set).toHaveBeenCalledWith('ETag', computeETag(body));
+    expect(originalJson).toHaveBeenCalledWith(body);
+  });
+
+  it('should not tag error responses', () => {
+    conditionalGet({ method: 'GET' }, mockRes, mockNext);
+    mockRes.statusCode = 404;
+    mockRes.json({ error: {} });
+
+    expect(mockRes.set).not.toHaveBeenCalled();
+    expect(originalJson).toHaveBeenCalled();
+  });
+
+  it('should not tag other methods', () => {
+    conditionalGet({ method: 'POST' }, mockRes, mockNext);
+    mockRes.json({ success: true });
+
+    expect(mockRes.set).not.toHaveBeenCalled();
+  });
+});
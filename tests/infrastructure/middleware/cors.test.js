@@ -113,6 +113,23 @@ describe('CORS Middleware', () => {
       ]);
     });
 
+    it('should expose rate limit headers to browser clients', () => {
+      const corsOptions = corsMiddleware.configuration;
+
+      expect(corsOptions.exposedHeaders).toEqual(
+        expect.arrayContaining(['Retry-After', 'X-RateLimit-Remaining', 'RateLimit'])
+      );
+    });
+
+    it('should support conditional requests from browser clients', () => {
+      const corsOptions = corsMiddleware.configuration;
+
+      expect(corsOptions.allowedHeaders).toEqual(
+        expect.arrayContaining(['If-None-Match', 'If-Modified-Since'])
+      );
+      expect(corsOptions.exposedHeaders).toContain('ETag');
+    });
+
     it('should enable credentials', () => {
       const corsOptions = corsMiddleware.configuration;
 
@@ -205,6 +205,34 @@ describe('Error Handler Middleware', () => {
       );
     });
 
+    it('should map authorization denials to 403 Forbidden', () => {
+      errorHandler(new Error('ForbiddenError'), mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({ type: 'ForbiddenError' })
+        })
+      );
+    });
+
+    it('should list every failing field of a validation error', () => {
+      const fields = [
+        { location: 'query', field: 'q', message: 'must match pattern', type: 'InvalidSearchTermError' },
+        { location: 'query', field: 'ccode', message: 'must match pattern', type: 'InvalidCountryCodeError' }
+      ];
+      const error = Object.assign(new Error('InvalidSearchTermError'), { fields });
+
+      errorHandler(error, mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          error: expect.objectContaining({ type: 'InvalidSearchTermError', fields })
+        })
+      );
+    });
+
     it('should handle network errors that exist in errorList', () => {
       // Test with ECONNREFUSED through error property
       const error = { error: 'ECONNREFUSED' };
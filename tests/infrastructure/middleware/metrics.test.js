@@ -0,0 +1,121 @@
+import express, { Router } from 'express';
+import request from 'supertest';
+
+import recordRequestMetrics, {
+  serveMetrics
+} from '../../../src/infrastructure/middleware/metrics.js';
+import { getUnifiedCache } from '../../../src/utils/CacheFactory.js';
+import { getCircuitBreakerMetrics } from '../../../src/utils/CircuiteBreaker.js';
+import Metrics from '../../../src/utils/Metrics.js';
+import RequestCoalescer from '../../../src/utils/RequestCoalescer.js';
+
+jest.mock('../../../src/utils/CacheFactory.js');
+jest.mock('../../../src/utils/CircuiteBreaker.js');
+jest.mock('../../../src/utils/Metrics.js');
+jest.mock('../../../src/utils/RequestCoalescer.js');
+
+describe('metrics Middleware', () => {
+  /**
+   * Build an app with a nested router like the versioned API
+   */
+  const createApp = () => {
+    const app = express();
+    const weather = Router();
+    weather.get('/:city', (req, res) => res.json({ city: req.params.city }));
+    weather.get('/:city/forecast', () => {
+      throw new Error('Upstream failed');
+    });
+
+    app.use(recordRequestMetrics);
+    app.get('/metrics', serveMetrics);
+    app.use('/api/v1/weather', weather);
+    // eslint-disable-next-line no-unused-vars
+    app.use((error, _req, res, _next) =>
+      res.status(500).json({ error: error.message })
+    );
+    return app;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('recordRequestMetrics', () => {
+    it('should label requests with the route template', async () => {
+      await request(createApp()).get('/api/v1/weather/London');
+
+      expect(Metrics.observeHttpRequest).toHaveBeenCalledWith(
+        { method: 'GET', route: '/api/v1/weather/:city', status: 200 },
+        expect.any(Number)
+      );
+    });
+
+    it('should keep the route label when a handler error leaves the router', async () => {
+      await request(createApp()).get('/api/v1/weather/London/forecast');
+
+      expect(Metrics.observeHttpRequest).toHaveBeenCalledWith(
+        { method: 'GET', route: '/api/v1/weather/:city/forecast', status: 500 },
+        expect.any(Number)
+      );
+    });
+
+    it('should label requests no route answered as unmatched', async () => {
+      await request(createApp()).get('/nowhere');
+
+      expect(Metrics.observeHttpRequest).toHaveBeenCalledWith(
+        { method: 'GET', route: 'unmatched', status: 404 },
+        expect.any(Number)
+      );
+    });
+  });
+
+  describe('serveMetrics', () => {
+    const cacheStats = { size: 1, hits: 2, misses: 3 };
+
+    beforeEach(() => {
+      getUnifiedCache.mockResolvedValue({
+        getStats: jest.fn(),
+        getCounts: jest.fn().mockResolvedValue(cacheStats)
+      });
+      getCircuitBreakerMetrics.mockReturnValue({});
+      RequestCoalescer.getMetrics.mockReturnValue({ in_flight: 0, operations: {} });
+      Metrics.render.mockResolvedValue({
+        contentType: 'text/plain; version=0.0.4; charset=utf-8',
+        body: 'http_requests_total 1\n'
+      });
+    });
+
+    it('should refresh collected statistics and send the exposition text', async () => {
+      const response = await request(createApp()).get('/metrics');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/version=0\.0\.4/);
+      expect(response.text).toBe('http_requests_total 1\n');
+      expect(Metrics.refresh).toHaveBeenCalledWith({
+        cacheStats,
+        breakers: {},
+        coalescing: { in_flight: 0, operations: {} }
+      });
+    });
+
+    it('should not list cache keys on a scrape', async () => {
+      await request(createApp()).get('/metrics');
+
+      const cache = await getUnifiedCache.mock.results[0].value;
+      expect(cache.getCounts).toHaveBeenCalled();
+      expect(cache.getStats).not.toHaveBeenCalled();
+    });
+
+    it('should answer 500 when statistics cannot be collected', async () => {
+      getUnifiedCache.mockRejectedValue(new Error('Redis down'));
+
+      const response = await request(createApp()).get('/metrics');
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({
+        error: 'Failed to retrieve metrics',
+        message: 'Redis down'
+      });
+    });
+  });
+});
@@ -1,6 +1,7 @@
 import Config from '../../../src/config/Config.js';
 import {
   getRateLimiter,
+  ipRateLimiterMiddleware,
   rateLimiterMiddleware,
   reinitializeRateLimiter
 } from '../../../src/infrastructure/middleware/ratelimit.js';
@@ -93,7 +94,7 @@ describe('Rate Limiter Middleware', () => {
 
         await rateLimiterMiddleware(mockReq, mockRes, mockNext);
 
-        expect(mockRateLimiter.consume).toHaveBeenCalledWith('127.0.0.1');
+        expect(mockRateLimiter.consume).toHaveBeenCalledWith('127.0.0.1', 1);
         expect(mockNext).toHaveBeenCalledWith();
       });
 
@@ -105,18 +106,31 @@ describe('Rate Limiter Middleware', () => {
         for (const ip of testIPs) {
           const req = { ip };
           await rateLimiterMiddleware(req, mockRes, mockNext);
-          expect(mockRateLimiter.consume).toHaveBeenCalledWith(ip);
+          expect(mockRateLimiter.consume).toHaveBeenCalledWith(ip, 1);
         }
       });
 
-      it('should log remaining requests', async () => {
+      it('should count API key clients per key name instead of IP', async () => {
+        mockRateLimiter.consume.mockResolvedValue({ remainingPoints: 10 });
+        const req = {
+          ip: '10.0.0.1',
+          user: { id: 'apikey:nightly-batch', authType: 'apiKey', apiKey: 'nightly-batch' }
+        };
+
+        await rateLimiterMiddleware(req, mockRes, mockNext);
+
+        expect(mockRateLimiter.consume).toHaveBeenCalledWith('apikey:nightly-batch', 1);
+      });
+
+      it('should report remaining requests in the headers only', async () => {
         const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
         const rateLimiterRes = { remainingPoints: 50 };
         mockRateLimiter.consume.mockResolvedValue(rateLimiterRes);
 
         await rateLimiterMiddleware(mockReq, mockRes, mockNext);
 
-        expect(consoleSpy).toHaveBeenCalledWith('Remaining Requests:', 50);
+        expect(mockRes.set).toHaveBeenCalledWith('X-RateLimit-Remaining', '50');
+        expect(consoleSpy).not.toHaveBeenCalled();
         consoleSpy.mockRestore();
       });
     });
@@ -212,7 +226,7 @@ describe('Rate Limiter Middleware', () => {
 
         await rateLimiterMiddleware(mockReq, mockRes, mockNext);
 
-        expect(mockRateLimiter.consume).toHaveBeenCalledWith(undefined);
+        expect(mockRateLimiter.consume).toHaveBeenCalledWith(undefined, 1);
       });
 
       it('should handle null IP address', async () => {
@@ -222,11 +236,201 @@ describe('Rate Limiter Middleware', () => {
 
         await rateLimiterMiddleware(mockReq, mockRes, mockNext);
 
-        expect(mockRateLimiter.consume).toHaveBeenCalledWith(null);
+        expect(mockRateLimiter.consume).toHaveBeenCalledWith(null, 1);
       });
     });
   });
 
+  describe('Rate Limit Tiers', () => {
+    let bulkLimiter;
+    let searchLimiter;
+    let warnSpy;
+
+    beforeEach(async () => {
+      bulkLimiter = { consume: jest.fn().mockResolvedValue({ remainingPoints: 190 }) };
+      searchLimiter = { consume: jest.fn().mockResolvedValue({ remainingPoints: 59 }) };
+      mockRateLimiter.consume.mockResolvedValue({ remainingPoints: 99, msBeforeNext: 30000 });
+
+      mockConfig.rateLimit = {
+        tiers: {
+          bulk: {
+            routes: ['POST /weather/bulk'],
+            points: 200,
+            duration: 60,
+            blockDuration: 60,
+            weighted: true
+          },
+          search: {
+            routes: ['GET /weather/search'],
+            points: 60,
+            duration: 60,
+            blockDuration: 60,
+            weighted: false
+          }
+        },
+        allowlist: ['10.0.0.5', 'apikey:monitoring']
+      };
+      RateLimiterMemory.mockImplementationOnce(() => mockRateLimiter)
+        .mockImplementationOnce(() => bulkLimiter)
+        .mockImplementationOnce(() => searchLimiter);
+      await reinitializeRateLimiter();
+
+      jest.spyOn(console, 'log').mockImplementation();
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should create a separate limiter per tier', () => {
+      expect(RateLimiterMemory).toHaveBeenCalledWith({
+        points: 200,
+        duration: 60,
+        execEvenly: false,
+        blockDuration: 60
+      });
+      expect(RateLimiterMemory).toHaveBeenCalledWith({
+        points: 60,
+        duration: 60,
+        execEvenly: false,
+        blockDuration: 60
+      });
+    });
+
+    it('should charge bulk requests one point per city', async () => {
+      const req = {
+        ip: '127.0.0.1',
+        method: 'POST',
+        path: '/weather/bulk',
+        body: { cities: [{ city: 'London' }, { city: 'Paris' }, { city: 'Tokyo' }] }
+      };
+
+      await rateLimiterMiddleware(req, mockRes, mockNext);
+
+      expect(bulkLimiter.consume).toHaveBeenCalledWith('127.0.0.1', 3);
+      expect(mockRateLimiter.consume).not.toHaveBeenCalled();
+    });
+
+    it('should use the search tier for search requests', async () => {
+      const req = { ip: '127.0.0.1', method: 'GET', path: '/weather/search' };
+
+      await rateLimiterMiddleware(req, mockRes, mockNext);
+
+      expect(searchLimiter.consume).toHaveBeenCalledWith('127.0.0.1', 1);
+      expect(mockRes.set).toHaveBeenCalledWith('X-RateLimit-Limit', '60');
+    });
+
+    it('should fall back to the default limiter for other routes', async () => {
+      const req = { ip: '127.0.0.1', method: 'GET', path: '/weather/current/123' };
+
+      await rateLimiterMiddleware(req, mockRes, mockNext);
+
+      expect(mockRateLimiter.consume).toHaveBeenCalledWith('127.0.0.1', 1);
+    });
+
+    it('should key authenticated users by user id', async () => {
+      const req = { ip: '127.0.0.1', path: '/weather/search', user: { id: 'user-1' } };
+
+      await rateLimiterMiddleware(req, mockRes, mockNext);
+
+      expect(searchLimiter.consume).toHaveBeenCalledWith('user:user-1', 1);
+    });
+
+    it('should skip allowlisted IPs and clients', async () => {
+      await rateLimiterMiddleware({ ip: '10.0.0.5' }, mockRes, mockNext);
+      await rateLimiterMiddleware(
+        { ip: '1.2.3.4', user: { id: 'apikey:monitoring', authType: 'apiKey', apiKey: 'monitoring' } },
+        mockRes,
+        mockNext
+      );
+
+      expect(mockRateLimiter.consume).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalledTimes(2);
+    });
+
+    it('should set rate limit headers on successful requests', async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+
+      await rateLimiterMiddleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.set).toHaveBeenCalledWith('X-RateLimit-Limit', '100');
+      expect(mockRes.set).toHaveBeenCalledWith('X-RateLimit-Remaining', '99');
+      expect(mockRes.set).toHaveBeenCalledWith('X-RateLimit-Reset', '1700000030');
+    });
+
+    it('should log the client and tier when a limit is exceeded', async () => {
+      searchLimiter.consume.mockRejectedValue({ msBeforeNext: 1000, remainingPoints: 0 });
+
+      await rateLimiterMiddleware(
+        { ip: '127.0.0.1', method: 'GET', path: '/weather/search' },
+        mockRes,
+        mockNext
+      );
+
+      expect(warnSpy).toHaveBeenCalledWith(
+        'Rate limit exceeded for 127.0.0.1 on search tier (cost 1)'
+      );
+      expect(mockNext).toHaveBeenCalledWith(new Error('TooManyRequestsError'));
+    });
+  });
+
+  describe('Rate Limit Headers', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation();
+      jest.spyOn(console, 'warn').mockImplementation();
+      jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should report the configured limit on 429 responses', async () => {
+      mockRateLimiter.consume.mockRejectedValue({
+        msBeforeNext: 20000,
+        remainingPoints: 0,
+        totalHits: 150
+      });
+
+      await rateLimiterMiddleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.set).toHaveBeenCalledWith('X-RateLimit-Limit', '100');
+      expect(mockRes.set).toHaveBeenCalledWith('X-RateLimit-Remaining', '0');
+      expect(mockRes.set).toHaveBeenCalledWith('X-RateLimit-Reset', '1700000020');
+    });
+
+    it('should emit IETF RateLimit headers when enabled', async () => {
+      mockConfig.rateLimit = { headers: { legacy: true, standard: true } };
+      mockRateLimiter.consume.mockResolvedValue({ remainingPoints: 42, msBeforeNext: 15500 });
+
+      await rateLimiterMiddleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.set).toHaveBeenCalledWith('RateLimit-Policy', '"default";q=100;w=60');
+      expect(mockRes.set).toHaveBeenCalledWith('RateLimit', '"default";r=42;t=16');
+      expect(mockRes.set).toHaveBeenCalledWith('X-RateLimit-Remaining', '42');
+    });
+
+    it('should emit IETF headers on 429 responses', async () => {
+      mockConfig.rateLimit = { headers: { legacy: true, standard: true } };
+      mockRateLimiter.consume.mockRejectedValue({ msBeforeNext: 5000, remainingPoints: 0 });
+
+      await rateLimiterMiddleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.set).toHaveBeenCalledWith('RateLimit', '"default";r=0;t=5');
+    });
+
+    it('should allow turning off the X-RateLimit headers', async () => {
+      mockConfig.rateLimit = { headers: { legacy: false, standard: true } };
+      mockRateLimiter.consume.mockResolvedValue({ remainingPoints: 1, msBeforeNext: 1000 });
+
+      await rateLimiterMiddleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.set).not.toHaveBeenCalledWith('X-RateLimit-Limit', expect.anything());
+      expect(mockRes.set).toHaveBeenCalledWith('RateLimit', '"default";r=1;t=1');
+    });
+  });
+
   describe('Rate Limiter Utility Functions', () => {
     describe('getRateLimiter', () => {
       it('should return the current rate limiter instance', () => {
@@ -354,7 +558,7 @@ describe('Rate Limiter Middleware', () => {
 
       await rateLimiterMiddleware(mockReq, mockRes, mockNext);
 
-      expect(mockRateLimiter.consume).toHaveBeenCalledWith('2001:0db8:85a3:0000:0000:8a2e:0370:7334');
+      expect(mockRateLimiter.consume).toHaveBeenCalledWith('2001:0db8:85a3:0000:0000:8a2e:0370:7334', 1);
       expect(mockNext).toHaveBeenCalledWith();
     });
 
@@ -365,7 +569,7 @@ describe('Rate Limiter Middleware', () => {
 
       await rateLimiterMiddleware(mockReq, mockRes, mockNext);
 
-      expect(mockRateLimiter.consume).toHaveBeenCalledWith('::ffff:192.168.1.1');
+      expect(mockRateLimiter.consume).toHaveBeenCalledWith('::ffff:192.168.1.1', 1);
     });
 
     it('should handle very large msBeforeNext values', async () => {
@@ -397,26 +601,88 @@ describe('Rate Limiter Middleware', () => {
   });
 
   describe('Logging', () => {
-    it('should log remaining requests on successful consumption', async () => {
+    it('should not log requests within the limit', async () => {
       const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-      const rateLimiterRes = { remainingPoints: 42 };
-      mockRateLimiter.consume.mockResolvedValue(rateLimiterRes);
+      mockRateLimiter.consume.mockResolvedValue({ remainingPoints: 42 });
 
+      await rateLimiterMiddleware(mockReq, mockRes, mockNext);
       await rateLimiterMiddleware(mockReq, mockRes, mockNext);
 
-      expect(consoleSpy).toHaveBeenCalledWith('Remaining Requests:', 42);
+      expect(consoleSpy).not.toHaveBeenCalled();
       consoleSpy.mockRestore();
     });
 
-    it('should handle logging when remainingPoints is zero', async () => {
-      const consoleSpy = jest.spyOn(console, 'log').mockImplementation();
-      const rateLimiterRes = { remainingPoints: 0 };
-      mockRateLimiter.consume.mockResolvedValue(rateLimiterRes);
+    it('should log requests over the limit', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+      mockRateLimiter.consume.mockRejectedValue({ msBeforeNext: 1000, remainingPoints: 0 });
 
       await rateLimiterMiddleware(mockReq, mockRes, mockNext);
 
-      expect(consoleSpy).toHaveBeenCalledWith('Remaining Requests:', 0);
-      consoleSpy.mockRestore();
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Rate limit exceeded'));
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('IP Rate Limiting', () => {
+    let ipLimiter;
+
+    beforeEach(async () => {
+      ipLimiter = { consume: jest.fn().mockResolvedValue({ remainingPoints: 299 }) };
+      mockConfig.rateLimit = {
+        tiers: {},
+        ip: { points: 300, duration: 60, blockDuration: 60 },
+        allowlist: ['10.0.0.5']
+      };
+      RateLimiterMemory.mockImplementationOnce(() => mockRateLimiter).mockImplementationOnce(
+        () => ipLimiter
+      );
+      await reinitializeRateLimiter();
+
+      jest.spyOn(console, 'warn').mockImplementation();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should limit requests by IP before they are authenticated', async () => {
+      await ipRateLimiterMiddleware(mockReq, mockRes, mockNext);
+
+      expect(RateLimiterMemory).toHaveBeenCalledWith({
+        points: 300,
+        duration: 60,
+        execEvenly: false,
+        blockDuration: 60
+      });
+      expect(ipLimiter.consume).toHaveBeenCalledWith('127.0.0.1');
+      expect(mockNext).toHaveBeenCalledWith();
+      expect(mockRes.set).not.toHaveBeenCalled();
+    });
+
+    it('should reject clients over the IP limit with 429', async () => {
+      ipLimiter.consume.mockRejectedValue({ remainingPoints: 0, msBeforeNext: 20000 });
+
+      await ipRateLimiterMiddleware(mockReq, mockRes, mockNext);
+
+      expect(mockRes.set).toHaveBeenCalledWith('Retry-After', '20');
+      expect(mockRes.set).toHaveBeenCalledWith('X-RateLimit-Limit', '300');
+      expect(mockNext).toHaveBeenCalledWith(new Error('TooManyRequestsError'));
+    });
+
+    it('should skip allowlisted IPs', async () => {
+      await ipRateLimiterMiddleware({ ip: '10.0.0.5' }, mockRes, mockNext);
+
+      expect(ipLimiter.consume).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    it('should pass requests through when no IP limit is configured', async () => {
+      delete mockConfig.rateLimit.ip;
+      await reinitializeRateLimiter();
+
+      await ipRateLimiterMiddleware(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith();
     });
   });
 });
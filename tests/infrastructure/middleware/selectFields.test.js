@@ -0,0 +1,70 @@
+import selectFields from '../../../src/infrastructure/middleware/selectFields.js';
+
+jest.mock('../../../src/utils/Logger.js', () => ({
+  createModuleLogger: jest.fn(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+describe('selectFields Middleware', () => {
+  const schema = {
+    type: 'object',
+    properties: { temperature: { type: 'number' }, icon: { type: 'string' } }
+  };
+  let mockNext;
+
+  beforeEach(() => {
+    mockNext = jest.fn();
+  });
+
+  it('should store the selected paths on the request', () => {
+    const req = { query: { fields: 'temperature,icon' } };
+
+    selectFields(schema)(req, {}, mockNext);
+
+    expect(req.selectedFields).toEqual(['temperature', 'icon']);
+    expect(mockNext).toHaveBeenCalledWith();
+  });
+
+  it('should select everything when no fields are requested', () => {
+    const req = { query: {} };
+
+    selectFields(schema)(req, {}, mockNext);
+
+    expect(req.selectedFields).toEqual([]);
+    expect(mockNext).toHaveBeenCalledWith();
+  });
+
+  it('should reject unknown fields, listing each one', () => {
+    const req = {
+      originalUrl: '/api/v1/weather/current',
+      query: { fields: 'temp,icon,wind' }
+    };
+
+    selectFields(schema)(req, {}, mockNext);
+
+    const error = mockNext.mock.calls[0][0];
+    expect(error.message).toBe('UnknownFieldError');
+    expect(error.fields).toEqual([
+      {
+        location: 'query',
+        field: 'fields',
+        message: 'Unknown field "temp"',
+        type: 'UnknownFieldError'
+      },
+      expect.objectContaining({ message: 'Unknown field "wind"' })
+    ]);
+    expect(req.selectedFields).toBeUndefined();
+  });
+
+  it('should read bulk selections from the body', () => {
+    const req = { body: { cities: [], fields: ['icon'] } };
+
+    selectFields(schema, 'body')(req, {}, mockNext);
+
+    expect(req.selectedFields).toEqual(['icon']);
+  });
+});
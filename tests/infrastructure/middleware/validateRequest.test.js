@@ -0,0 +1,270 @@
+import validateRequest from '../../../src/infrastructure/middleware/validateRequest.js';
+import ApiRegistry from '../../../src/interfaces/http/ApiRegistry.js';
+import createWeatherRoutes from '../../../src/interfaces/http/routes/weatherRoutes.js';
+
+createWeatherRoutes();
+
+describe('validateRequest Middleware', () => {
+  let mockNext;
+
+  /**
+   * Run the validator of a registered weather route
+   */
+  const validate = ({ method = 'GET', path, query = {}, params = {}, body = {} }) => {
+    const req = {
+      method,
+      originalUrl: `/api/v1/weather${path}`,
+      query,
+      params,
+      body
+    };
+    validateRequest(ApiRegistry.getOperation(method, `/weather${path}`))(
+      req,
+      {},
+      mockNext
+    );
+    return req;
+  };
+
+  /**
+   * Get the error passed to next()
+   */
+  const getError = () => mockNext.mock.calls[0][0];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockNext = jest.fn();
+  });
+
+  describe('GET /weather/search', () => {
+    it('should accept a valid search term', () => {
+      validate({ path: '/search', query: { q: 'São Paulo' } });
+
+      expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    it('should document a field selection of the search results', () => {
+      const { parameters } = ApiRegistry.getOperation('GET', '/weather/search');
+      const fields = parameters.find(({ name }) => name === 'fields');
+
+      expect(fields.description).toMatch(/Available: id, name, country, lat, lon/);
+    });
+
+    it.each([[''], ['   '], ['x'], ['123456'], ['!@#$%'], ['a'.repeat(100)]])(
+      'should reject the search term %p',
+      q => {
+        validate({ path: '/search', query: { q } });
+
+        expect(getError().message).toBe('InvalidSearchTermError');
+        getError().fields.forEach(field => {
+          expect(field).toEqual(
+            expect.objectContaining({ location: 'query', field: 'q' })
+          );
+        });
+      }
+    );
+
+    it('should reject a missing search term', () => {
+      validate({ path: '/search' });
+
+      expect(getError().message).toBe('InvalidSearchTermError');
+      expect(getError().fields).toEqual([
+        {
+          location: 'query',
+          field: 'q',
+          message: "must have required property 'q'",
+          type: 'InvalidSearchTermError'
+        }
+      ]);
+    });
+
+    it('should list every failing field', () => {
+      validate({ path: '/search', query: { q: 'x', ccode: 'GBR' } });
+
+      const fields = getError().fields.map(({ field, type }) => [field, type]);
+      expect(fields).toEqual(
+        expect.arrayContaining([
+          ['q', 'InvalidSearchTermError'],
+          ['ccode', 'InvalidCountryCodeError']
+        ])
+      );
+      expect(getError().fields).toHaveLength(2);
+    });
+  });
+
+  describe('GET /weather/current', () => {
+    it('should accept a city name and country code', () => {
+      validate({ path: '/current', query: { city: 'New York', ccode: 'US' } });
+
+      expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    it('should reject an invalid country code', () => {
+      validate({ path: '/current', query: { city: 'London', ccode: '' } });
+
+      expect(getError().message).toBe('InvalidCountryCodeError');
+    });
+  });
+
+  describe('GET /weather/current/{cityId}', () => {
+    it('should accept a numeric city ID', () => {
+      validate({ path: '/current/{cityId}', params: { cityId: '2643743' } });
+
+      expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    it('should reject a non-numeric city ID', () => {
+      validate({ path: '/current/{cityId}', params: { cityId: 'invalid-id' } });
+
+      expect(getError().message).toBe('InvalidRegionIdError');
+      expect(getError().fields[0]).toEqual(
+        expect.objectContaining({ location: 'params', field: 'cityId' })
+      );
+    });
+  });
+
+  describe('GET /weather/current/coordinates', () => {
+    it('should accept coordinates at the limits of their ranges', () => {
+      validate({ path: '/current/coordinates', query: { lat: '-90', lon: '180' } });
+
+      expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    it.each([
+      [{ lat: '90.5', lon: '0' }, 'InvalidLatitudeError'],
+      [{ lon: '0' }, 'InvalidLatitudeError'],
+      [{ lat: '0', lon: '-181' }, 'InvalidLongitudeError'],
+      [{ lat: '0', lon: 'east' }, 'InvalidLongitudeError']
+    ])('should reject %p', (query, type) => {
+      validate({ path: '/current/coordinates', query });
+
+      expect(getError().message).toBe(type);
+    });
+  });
+
+  describe('units and lang', () => {
+    it('should accept supported units and languages', () => {
+      validate({
+        path: '/current',
+        query: { city: 'London', units: 'imperial', lang: 'de' }
+      });
+
+      expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    it('should reject unknown units', () => {
+      validate({ path: '/current', query: { city: 'London', units: 'kelvin' } });
+
+      expect(getError().message).toBe('InvalidUnitsError');
+    });
+
+    it('should reject unsupported languages on bulk requests', () => {
+      validate({
+        method: 'POST',
+        path: '/bulk',
+        query: { lang: 'klingon' },
+        body: { cities: [{ city: 'London' }] }
+      });
+
+      expect(getError().message).toBe('UnsupportedLanguageError');
+    });
+  });
+
+  describe('GET /weather/forecast', () => {
+    it('should accept a number of days within the forecast range', () => {
+      validate({ path: '/forecast', query: { city: 'London', days: '16' } });
+
+      expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    it.each([['0'], ['17'], ['2.5'], ['three']])('should reject %p days', days => {
+      validate({
+        path: '/forecast/{cityId}',
+        params: { cityId: '1' },
+        query: { days }
+      });
+
+      expect(getError().message).toBe('InvalidForecastDaysError');
+    });
+  });
+
+  describe('GET /weather/history', () => {
+    it('should require the start of the range', () => {
+      validate({ path: '/history', query: { city: 'London' } });
+
+      expect(getError().message).toBe('InvalidDateRangeError');
+    });
+
+    it('should reject dates that are not YYYY-MM-DD', () => {
+      validate({
+        path: '/history/{cityId}',
+        params: { cityId: '1' },
+        query: { from: '2025-07-01', to: '07/04/2025' }
+      });
+
+      expect(getError().message).toBe('InvalidDateRangeError');
+      expect(getError().fields[0]).toEqual(
+        expect.objectContaining({ location: 'query', field: 'to' })
+      );
+    });
+  });
+
+  describe('POST /weather/bulk', () => {
+    const bulk = body => ({ method: 'POST', path: '/bulk', body });
+
+    it('should reject a field selection that is not a list', () => {
+      validate(bulk({ cities: [{ city: 'London' }], fields: 'temperature' }));
+
+      expect(getError().message).toBe('UnknownFieldError');
+    });
+
+    it('should accept a cities array', () => {
+      validate(bulk({ cities: [{ city: 'London', country: 'GB' }] }));
+
+      expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    it('should leave individual entries to the per-city checks', () => {
+      validate(bulk({ cities: [{ country: 'GBR' }, 'London'] }));
+
+      expect(mockNext).toHaveBeenCalledWith();
+    });
+
+    it.each([
+      [{}, 'BulkWeatherArrayNotProvidedError'],
+      [{ cities: [] }, 'NoCitiesProvidedError'],
+      [{ cities: Array(51).fill({ city: 'London' }) }, 'TooManyCitiesError'],
+      [{ cities: 'London' }, 'BadRequest']
+    ])('should map %p to %s', (body, type) => {
+      validate(bulk(body));
+
+      expect(getError().message).toBe(type);
+      expect(getError().fields[0]).toEqual(
+        expect.objectContaining({ location: 'body', field: 'cities', type })
+      );
+    });
+  });
+
+  it('should not rewrite coerced values on the request', () => {
+    const req = validate({ path: '/current/{cityId}', params: { cityId: '42' } });
+
+    expect(req.params.cityId).toBe('42');
+  });
+
+  it('should accept requests to an operation without parameters or body', () => {
+    validateRequest({ responses: {} })({ query: { q: 1 }, params: {} }, {}, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith();
+  });
+
+  it('should reuse the compiled validators across requests', () => {
+    const operation = ApiRegistry.getOperation('GET', '/weather/search');
+    const middleware = validateRequest(operation);
+
+    middleware({ query: { q: 'London' }, params: {} }, {}, mockNext);
+    middleware({ query: { q: 'x' }, params: {} }, {}, mockNext);
+
+    expect(mockNext.mock.calls[0]).toEqual([]);
+    expect(mockNext.mock.calls[1][0].message).toBe('InvalidSearchTermError');
+  });
+});
@@ -0,0 +1,162 @@
+import Config from '../../../src/config/Config.js';
+import validateResponse, {
+  getResponseViolations,
+  resetResponseViolations,
+  validateResponseBody
+} from '../../../src/infrastructure/middleware/validateResponse.js';
+import ApiRegistry from '../../../src/interfaces/http/ApiRegistry.js';
+import createWeatherRoutes from '../../../src/interfaces/http/routes/weatherRoutes.js';
+import { createModuleLogger } from '../../../src/utils/Logger.js';
+
+// Mock dependencies
+jest.mock('../../../src/config/Config.js');
+jest.mock('../../../src/utils/Logger.js', () => ({
+  createModuleLogger: jest.fn(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+createWeatherRoutes();
+
+describe('validateResponse Middleware', () => {
+  let mockNext;
+  let mockConfig;
+  const logger =
+    createModuleLogger.mock.results[
+      createModuleLogger.mock.calls.findIndex(
+        ([name]) => name === 'Response Validator'
+      )
+    ].value;
+  const bulkOperation = () => ApiRegistry.getOperation('POST', '/weather/bulk');
+
+  const validBulkBody = {
+    success: true,
+    data: { 'london-gb': { temperature: 15 } },
+    results: [{ key: 'london-gb', city: 'London', country: 'GB', status: 'ok' }],
+    errors: []
+  };
+
+  /**
+   * Run the middleware, then send a JSON body through the wrapped res.json
+   */
+  const respond = (operation, status, body) => {
+    const send = jest.fn();
+    const req = { method: 'POST', originalUrl: '/api/v1/weather/bulk' };
+    const res = { statusCode: status, json: send };
+    validateResponse(operation)(req, res, mockNext);
+    res.json(body);
+    return send;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetResponseViolations();
+
+    mockConfig = { openapi: { validateResponses: true } };
+    Config.getInstance = jest.fn().mockReturnValue(mockConfig);
+    mockNext = jest.fn();
+  });
+
+  describe('validateResponseBody', () => {
+    it('should accept a body matching the documented status', () => {
+      expect(validateResponseBody(bulkOperation(), 200, validBulkBody)).toEqual([]);
+    });
+
+    it('should report every violation with its field', () => {
+      const errors = validateResponseBody(bulkOperation(), 207, {
+        ...validBulkBody,
+        results: [{ key: 'london-gb', status: 'unknown' }],
+        errors: undefined
+      });
+
+      expect(errors).toEqual(
+        expect.arrayContaining([
+          { field: 'errors', message: "must have required property 'errors'" },
+          expect.objectContaining({ field: 'results[0].status' })
+        ])
+      );
+    });
+
+    it('should check error statuses against the default response', () => {
+      const errors = validateResponseBody(bulkOperation(), 503, { message: 'down' });
+
+      expect(errors).toEqual([
+        { field: 'error', message: "must have required property 'error'" }
+      ]);
+    });
+
+    it('should report undocumented statuses', () => {
+      const operation = { responses: { 200: { description: 'OK' } } };
+
+      expect(validateResponseBody(operation, 500, {})).toEqual([
+        { field: '', message: 'status 500 is not documented' }
+      ]);
+    });
+
+    it('should accept any body for a response without a schema', () => {
+      const operation = ApiRegistry.getOperation('GET', '/weather/search');
+
+      expect(validateResponseBody(operation, 200, ['anything'])).toEqual([]);
+    });
+  });
+
+  it('should match the documented examples of every weather route', () => {
+    ApiRegistry.getOperations().forEach(({ operation }) => {
+      Object.entries(operation.responses).forEach(([status, response]) => {
+        const example = response.content?.['application/json']?.example;
+        if (example) {
+          expect(validateResponseBody(operation, Number(status), example)).toEqual(
+            []
+          );
+        }
+      });
+    });
+  });
+
+  it('should log, record and still send a response that breaks its schema', () => {
+    const send = respond(bulkOperation(), 200, { success: 'yes' });
+
+    expect(send).toHaveBeenCalledWith({ success: 'yes' });
+    expect(mockNext).toHaveBeenCalledWith();
+    expect(getResponseViolations()).toEqual([
+      expect.objectContaining({
+        method: 'POST',
+        path: '/api/v1/weather/bulk',
+        operation: 'Get weather data for multiple cities',
+        status: 200
+      })
+    ]);
+    expect(logger.warn).toHaveBeenCalledWith(
+      'Response violates schema for POST /api/v1/weather/bulk (200):',
+      expect.arrayContaining([{ field: 'success', message: 'must be boolean' }])
+    );
+  });
+
+  it('should not record valid responses', () => {
+    respond(bulkOperation(), 200, validBulkBody);
+
+    expect(getResponseViolations()).toEqual([]);
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it('should leave res.json alone when disabled', () => {
+    mockConfig.openapi.validateResponses = false;
+    const json = jest.fn();
+    const res = { statusCode: 200, json };
+
+    validateResponse(bulkOperation())({}, res, mockNext);
+
+    expect(res.json).toBe(json);
+    expect(mockNext).toHaveBeenCalledWith();
+  });
+
+  it('should forget violations on reset', () => {
+    respond(bulkOperation(), 200, {});
+    resetResponseViolations();
+
+    expect(getResponseViolations()).toEqual([]);
+  });
+});
@@ -1,11 +1,15 @@
 import Config from '../../../src/config/Config.js';
 import WeatherProxy from '../../../src/infrastructure/proxies/WeatherProxy.js';
 import HttpClient from '../../../src/interfaces/http/HttpClient.js';
+import { roundCoordinates } from '../../../src/utils/Coordinates.js';
+import RequestCoalescer from '../../../src/utils/RequestCoalescer.js';
+import ResponseCache from '../../../src/utils/ResponseCache.js';
 import UrlUtils from '../../../src/utils/UrlUtils.js';
 
 // Mock dependencies
 jest.mock('../../../src/config/Config.js');
 jest.mock('../../../src/interfaces/http/HttpClient.js');
+jest.mock('../../../src/utils/ResponseCache.js');
 jest.mock('../../../src/utils/UrlUtils.js');
 
 describe('WeatherProxy', () => {
@@ -46,6 +50,14 @@ describe('WeatherProxy', () => {
     UrlUtils.buildServiceBaseUrl = mockUrlUtils.buildServiceBaseUrl;
     UrlUtils.buildEndpointUrl = mockUrlUtils.buildEndpointUrl;
 
+    // Pass cache lookups straight through to the upstream loader
+    ResponseCache.fetch.mockImplementation((_operation, _req, loader) => loader());
+    ResponseCache.buildKey.mockImplementation(
+      (operation, req) => `${operation}:${JSON.stringify(req.query || req.params)}`
+    );
+    ResponseCache.getCoordinates.mockImplementation(req => roundCoordinates(req.query));
+    RequestCoalescer.reset();
+
     // Clear static properties
     WeatherProxy._services = null;
     WeatherProxy._httpClient = null;
@@ -161,8 +173,8 @@ describe('WeatherProxy', () => {
       it('should search weather data successfully', async () => {
         const mockRequest = {
           query: {
-            query: 'London',
-            limit: 10
+            q: 'London',
+            ccode: 'GB'
           }
         };
         const mockResponse = {
@@ -184,8 +196,21 @@ describe('WeatherProxy', () => {
         expect(result).toBe(mockResponse.data);
       });
 
+      it('should only send the search parameters upstream', async () => {
+        const mockRequest = {
+          query: { q: 'London', api_key: 'secret', units: 'imperial' }
+        };
+        mockHttpClient.get.mockResolvedValue({ data: { success: true, data: [] } });
+
+        await WeatherProxy.search(mockRequest);
+
+        expect(mockHttpClient.get).toHaveBeenCalledWith('/search', {
+          params: { q: 'London', ccode: undefined }
+        });
+      });
+
       it('should enhance error when search fails', async () => {
-        const mockRequest = { query: { query: 'London' } };
+        const mockRequest = { query: { q: 'London', ccode: 'GB' } };
         const mockError = new Error('Network error');
 
         mockHttpClient.get.mockRejectedValue(mockError);
@@ -460,6 +485,405 @@ describe('WeatherProxy', () => {
     });
   });
 
+  describe('Forecast and History', () => {
+    const upstream = { data: { days: [{ date: '2025-07-04' }] } };
+
+    beforeEach(() => {
+      mockHttpClient.get.mockResolvedValue(upstream);
+    });
+
+    it('should get the forecast by city ID', async () => {
+      const mockRequest = { params: { cityId: '123' }, query: { days: '3' } };
+
+      const result = await WeatherProxy.getForecastByCity(mockRequest);
+
+      expect(mockHttpClient.get).toHaveBeenCalledWith('/forecast/123', {
+        params: { days: '3' }
+      });
+      expect(ResponseCache.fetch).toHaveBeenCalledWith(
+        'getForecastByCity',
+        mockRequest,
+        expect.any(Function)
+      );
+      expect(result).toBe(upstream.data);
+    });
+
+    it('should get the forecast by city name', async () => {
+      const mockRequest = { query: { city: 'London', ccode: 'GB', days: '5' } };
+
+      await WeatherProxy.getForecastByCityName(mockRequest);
+
+      expect(mockHttpClient.get).toHaveBeenCalledWith('/forecast', {
+        params: { region: 'London', code: 'GB', days: '5' }
+      });
+    });
+
+    it('should get history by city ID for a date range', async () => {
+      const mockRequest = {
+        params: { cityId: '123' },
+        query: { from: '2025-07-01', to: '2025-07-04' }
+      };
+
+      await WeatherProxy.getHistoryByCity(mockRequest);
+
+      expect(mockHttpClient.get).toHaveBeenCalledWith('/history/123', {
+        params: { from: '2025-07-01', to: '2025-07-04' }
+      });
+      expect(ResponseCache.fetch).toHaveBeenCalledWith(
+        'getHistoryByCity',
+        mockRequest,
+        expect.any(Function)
+      );
+    });
+
+    it('should get history by city name for a date range', async () => {
+      const mockRequest = {
+        query: { city: 'London', ccode: 'GB', from: '2025-07-01', to: '2025-07-04' }
+      };
+
+      await WeatherProxy.getHistoryByCityName(mockRequest);
+
+      expect(mockHttpClient.get).toHaveBeenCalledWith('/history', {
+        params: { region: 'London', code: 'GB', from: '2025-07-01', to: '2025-07-04' }
+      });
+    });
+
+    it('should require a city ID', async () => {
+      await expect(
+        WeatherProxy.getForecastByCity({ params: {}, query: {} })
+      ).rejects.toMatchObject({
+        message: 'City ID is required',
+        operation: 'forecast_by_city_id'
+      });
+      await expect(
+        WeatherProxy.getHistoryByCity({ params: {}, query: {} })
+      ).rejects.toMatchObject({ operation: 'history_by_city_id' });
+    });
+
+    it('should enhance upstream errors', async () => {
+      mockHttpClient.get.mockRejectedValue(new Error('Network error'));
+
+      await expect(
+        WeatherProxy.getHistoryByCityName({ query: { city: 'London' } })
+      ).rejects.toMatchObject({
+        serviceContext: 'weather',
+        operation: 'history_by_city_name'
+      });
+    });
+  });
+
+  describe('Coordinates', () => {
+    it('should get weather for the rounded coordinates', async () => {
+      const upstream = { data: { success: true, data: { temperature: 12 } } };
+      mockHttpClient.get.mockResolvedValue(upstream);
+      const mockRequest = { query: { lat: '51.5074', lon: '-0.1278' } };
+
+      const result = await WeatherProxy.getWeatherByCoordinates(mockRequest);
+
+      expect(mockHttpClient.get).toHaveBeenCalledWith('/current/coordinates', {
+        params: { lat: 51.51, lon: -0.13 }
+      });
+      expect(ResponseCache.fetch).toHaveBeenCalledWith(
+        'getWeatherByCoordinates',
+        mockRequest,
+        expect.any(Function)
+      );
+      expect(result).toBe(upstream.data);
+    });
+
+    it('should enhance upstream errors', async () => {
+      mockHttpClient.get.mockRejectedValue(new Error('Network error'));
+
+      await expect(
+        WeatherProxy.getWeatherByCoordinates({ query: { lat: 1, lon: 2 } })
+      ).rejects.toMatchObject({
+        serviceContext: 'weather',
+        operation: 'weather_by_coordinates'
+      });
+    });
+  });
+
+  describe('Response Caching', () => {
+    it('should read search results through the response cache', async () => {
+      const mockRequest = { query: { query: 'London' } };
+      mockHttpClient.get.mockResolvedValue({ data: { success: true, data: [] } });
+
+      await WeatherProxy.search(mockRequest);
+
+      expect(ResponseCache.fetch).toHaveBeenCalledWith(
+        'search',
+        mockRequest,
+        expect.any(Function)
+      );
+    });
+
+    it('should read weather by city ID through the response cache', async () => {
+      const mockRequest = { params: { cityId: '123' } };
+      mockHttpClient.get.mockResolvedValue({ data: { success: true, data: {} } });
+
+      await WeatherProxy.getWeatherByCity(mockRequest);
+
+      expect(ResponseCache.fetch).toHaveBeenCalledWith(
+        'getWeatherByCity',
+        mockRequest,
+        expect.any(Function)
+      );
+    });
+
+    it('should read weather by city name through the response cache', async () => {
+      const mockRequest = { query: { city: 'London', ccode: 'GB' } };
+      mockHttpClient.get.mockResolvedValue({ data: { success: true, data: {} } });
+
+      await WeatherProxy.getWeatherByCityName(mockRequest);
+
+      expect(ResponseCache.fetch).toHaveBeenCalledWith(
+        'getWeatherByCityName',
+        mockRequest,
+        expect.any(Function)
+      );
+    });
+
+    it('should return cached data without calling the upstream service', async () => {
+      const cached = { success: true, data: { name: 'London' } };
+      ResponseCache.fetch.mockResolvedValue(cached);
+
+      const result = await WeatherProxy.getWeatherByCity({ params: { cityId: '123' } });
+
+      expect(result).toBe(cached);
+      expect(mockHttpClient.get).not.toHaveBeenCalled();
+    });
+
+    it('should not cache bulk weather requests', async () => {
+      mockHttpClient.post.mockResolvedValue({ data: { success: true, data: {} } });
+
+      await WeatherProxy.getBulkWeather({ body: { cities: [] } });
+
+      expect(ResponseCache.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Request Coalescing', () => {
+    it('should share one upstream call between identical concurrent requests', async () => {
+      mockHttpClient.get.mockResolvedValue({ data: { success: true, data: { temp: 12 } } });
+
+      const results = await Promise.all([
+        WeatherProxy.getWeatherByCityName({ query: { city: 'London', ccode: 'GB' } }),
+        WeatherProxy.getWeatherByCityName({ query: { city: 'London', ccode: 'GB' } }),
+        WeatherProxy.getWeatherByCityName({ query: { city: 'London', ccode: 'GB' } })
+      ]);
+
+      expect(mockHttpClient.get).toHaveBeenCalledTimes(1);
+      expect(results).toEqual(Array(3).fill({ success: true, data: { temp: 12 } }));
+      expect(RequestCoalescer.getMetrics().operations.getWeatherByCityName).toEqual({
+        upstream: 1,
+        coalesced: 2,
+        requests_total: 3
+      });
+    });
+
+    it('should call upstream separately for different parameters', async () => {
+      mockHttpClient.get.mockResolvedValue({ data: { success: true, data: {} } });
+
+      await Promise.all([
+        WeatherProxy.getWeatherByCity({ params: { cityId: '1' } }),
+        WeatherProxy.getWeatherByCity({ params: { cityId: '2' } })
+      ]);
+
+      expect(mockHttpClient.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should enhance the shared error for every caller', async () => {
+      mockHttpClient.get.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      const results = await Promise.allSettled([
+        WeatherProxy.search({ query: { query: 'London' } }),
+        WeatherProxy.search({ query: { query: 'London' } })
+      ]);
+
+      expect(mockHttpClient.get).toHaveBeenCalledTimes(1);
+      results.forEach(result => {
+        expect(result.status).toBe('rejected');
+        expect(result.reason.operation).toBe('weather_search');
+      });
+    });
+  });
+
+  describe('Bulk Fan-Out', () => {
+    const cities = [
+      { city: 'London', country: 'GB' },
+      { city: 'New York', country: 'US' },
+      { city: 'Atlantis', country: 'XX' }
+    ];
+
+    beforeEach(() => {
+      mockConfig.services.weather.bulkMode = 'fanout';
+      mockConfig.services.weather.bulkConcurrency = 2;
+      ResponseCache.serveStale.mockResolvedValue(null);
+    });
+
+    it('should split the batch into single-city calls in fanout mode', async () => {
+      mockHttpClient.get.mockImplementation((_path, { params }) =>
+        Promise.resolve({ data: { success: true, data: { name: params.region } } })
+      );
+
+      const result = await WeatherProxy.getBulkWeather({ body: { cities: cities.slice(0, 2) } });
+
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+      expect(mockHttpClient.get).toHaveBeenCalledWith('/current', {
+        params: { region: 'New York', code: 'US' }
+      });
+      expect(result).toEqual({
+        success: true,
+        data: {
+          'london-gb': { name: 'London' },
+          'new york-us': { name: 'New York' }
+        },
+        errors: [],
+        fanOut: true
+      });
+    });
+
+    it('should report failed cities without failing the batch', async () => {
+      mockHttpClient.get.mockImplementation((_path, { params }) => {
+        if (params.region === 'Atlantis') {
+          return Promise.reject(
+            Object.assign(new Error('Request failed with status code 404'), {
+              response: { status: 404, data: { message: 'City not found' } }
+            })
+          );
+        }
+        return Promise.resolve({ data: { success: true, data: { name: params.region } } });
+      });
+
+      const result = await WeatherProxy.fanOutBulkWeather({ body: { cities } });
+
+      expect(result.success).toBe(true);
+      expect(Object.keys(result.data)).toEqual(['london-gb', 'new york-us']);
+      expect(result.errors).toEqual([
+        {
+          key: 'atlantis-xx',
+          city: 'Atlantis',
+          country: 'XX',
+          status: 'not_found',
+          message: 'City not found'
+        }
+      ]);
+    });
+
+    it('should fail the batch only when every city fails', async () => {
+      mockHttpClient.get.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      const result = await WeatherProxy.fanOutBulkWeather({ body: { cities } });
+
+      expect(result.success).toBe(false);
+      expect(result.data).toEqual({});
+      expect(result.errors.map(error => error.status)).toEqual(
+        Array(3).fill('upstream_error')
+      );
+    });
+
+    it('should use the last good cached response for a failed city', async () => {
+      mockHttpClient.get.mockRejectedValue(new Error('ECONNREFUSED'));
+      ResponseCache.serveStale.mockResolvedValue({ success: true, data: { name: 'London' } });
+
+      const result = await WeatherProxy.fanOutBulkWeather({
+        body: { cities: [{ city: 'London', country: 'GB' }] }
+      });
+
+      expect(ResponseCache.serveStale).toHaveBeenCalledWith('getWeatherByCityName', {
+        query: { city: 'London', ccode: 'GB' }
+      });
+      expect(result.data).toEqual({ 'london-gb': { name: 'London' } });
+    });
+
+    it('should look up city ids by id', async () => {
+      mockHttpClient.get.mockResolvedValue({ data: { success: true, data: { id: 1 } } });
+
+      const result = await WeatherProxy.fanOutBulkWeather({ body: { cities: [{ id: 1 }] } });
+
+      expect(mockHttpClient.get).toHaveBeenCalledWith('/current/1');
+      expect(result.data).toEqual({ 1: { id: 1 } });
+    });
+
+    it('should keep at most bulkConcurrency calls in flight', async () => {
+      let active = 0;
+      let peak = 0;
+      mockHttpClient.get.mockImplementation(async () => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active -= 1;
+        return { data: { success: true, data: {} } };
+      });
+
+      await WeatherProxy.fanOutBulkWeather({
+        body: { cities: Array.from({ length: 6 }, (_, index) => ({ city: `City ${index}` })) }
+      });
+
+      expect(peak).toBe(2);
+    });
+
+    it('should look up coordinate entries by coordinates', async () => {
+      mockHttpClient.get.mockResolvedValue({ data: { success: true, data: { temperature: 9 } } });
+
+      const result = await WeatherProxy.fanOutBulkWeather({
+        body: { cities: [{ lat: 51.5074, lon: -0.1278 }] }
+      });
+
+      expect(mockHttpClient.get).toHaveBeenCalledWith('/current/coordinates', {
+        params: { lat: 51.51, lon: -0.13 }
+      });
+      expect(result.data).toEqual({ '51.5074,-0.1278': { temperature: 9 } });
+    });
+
+    it('should resolve coordinate entries at the gateway in upstream mode', async () => {
+      mockConfig.services.weather.bulkMode = 'upstream';
+      mockHttpClient.post.mockResolvedValue({
+        data: { success: true, data: { 'london-gb': { name: 'London' } }, errors: [] }
+      });
+      mockHttpClient.get.mockResolvedValue({ data: { success: true, data: { temperature: 9 } } });
+
+      const result = await WeatherProxy.getBulkWeather({
+        body: { cities: [cities[0], { lat: 1, lon: 2 }] }
+      });
+
+      expect(mockHttpClient.post).toHaveBeenCalledWith('/bulk', { cities: [cities[0]] });
+      expect(mockHttpClient.get).toHaveBeenCalledWith('/current/coordinates', {
+        params: { lat: 1, lon: 2 }
+      });
+      expect(result).toEqual({
+        success: true,
+        data: { 'london-gb': { name: 'London' }, '1,2': { temperature: 9 } },
+        errors: []
+      });
+    });
+
+    it('should not call the upstream bulk endpoint for coordinates only', async () => {
+      mockConfig.services.weather.bulkMode = 'upstream';
+      mockHttpClient.get.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      const result = await WeatherProxy.getBulkWeather({
+        body: { cities: [{ lat: 1, lon: 2 }] }
+      });
+
+      expect(mockHttpClient.post).not.toHaveBeenCalled();
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([
+        expect.objectContaining({ key: '1,2', lat: 1, lon: 2, status: 'upstream_error' })
+      ]);
+    });
+
+    it('should still post to the upstream bulk endpoint in upstream mode', async () => {
+      mockConfig.services.weather.bulkMode = 'upstream';
+      mockHttpClient.post.mockResolvedValue({ data: { success: true, data: {} } });
+
+      await WeatherProxy.getBulkWeather({ body: { cities } });
+
+      expect(mockHttpClient.post).toHaveBeenCalledWith('/bulk', { cities });
+      expect(mockHttpClient.get).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Integration Tests', () => {
     it('should use lazy loading for all dependencies', async () => {
       // Ensure clean state
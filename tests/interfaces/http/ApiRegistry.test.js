@@ -0,0 +1,183 @@
+import Config from '../../../src/config/Config.js';
+import { getOpenApiSpec, resetOpenApiSpec } from '../../../src/config/openapi.js';
+import ApiRegistry, {
+  toOpenApiPath
+} from '../../../src/interfaces/http/ApiRegistry.js';
+
+// Mock dependencies
+jest.mock('../../../src/config/Config.js');
+
+describe('ApiRegistry', () => {
+  let mockRouter;
+
+  const Item = {
+    type: 'object',
+    required: ['id'],
+    properties: { id: { type: 'string' } }
+  };
+
+  const itemOperation = () => ({
+    summary: 'Get an item',
+    parameters: [
+      { in: 'path', name: 'itemId', required: true, schema: { type: 'string' } }
+    ],
+    responses: {
+      200: {
+        description: 'Item',
+        content: { 'application/json': { schema: Item } }
+      }
+    }
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ApiRegistry.reset();
+    resetOpenApiSpec();
+
+    Config.getInstance = jest.fn().mockReturnValue({
+      app: { name: 'weather-reporter' },
+      service: {
+        env: 'test',
+        version: '1.0.0',
+        protocol: 'https',
+        host: 'api.example.com',
+        routePrefix: 'api/v1'
+      },
+      openapi: { validateResponses: false }
+    });
+    mockRouter = { get: jest.fn(), post: jest.fn() };
+  });
+
+  describe('toOpenApiPath', () => {
+    it('should convert Express path parameters', () => {
+      expect(toOpenApiPath('/current/:cityId')).toBe('/current/{cityId}');
+      expect(toOpenApiPath('/a/:b/c/:d')).toBe('/a/{b}/c/{d}');
+      expect(toOpenApiPath('/search')).toBe('/search');
+    });
+  });
+
+  describe('register', () => {
+    it('should store operations by method and path', () => {
+      const operation = itemOperation();
+
+      ApiRegistry.register('get', '/items/{itemId}', operation);
+
+      expect(ApiRegistry.getOperation('GET', '/items/{itemId}')).toBe(operation);
+      expect(ApiRegistry.getOperations()).toEqual([
+        { version: 'v1', method: 'GET', path: '/items/{itemId}', operation }
+      ]);
+    });
+
+    it('should keep the operations of each API version apart', () => {
+      const v1 = itemOperation();
+      const v2 = itemOperation();
+
+      ApiRegistry.register('get', '/items/{itemId}', v1);
+      ApiRegistry.register('get', '/items/{itemId}', v2, 'v2');
+
+      expect(ApiRegistry.getOperation('GET', '/items/{itemId}')).toBe(v1);
+      expect(ApiRegistry.getOperation('GET', '/items/{itemId}', 'v2')).toBe(v2);
+      expect(ApiRegistry.getOperations('v2')).toHaveLength(1);
+      expect(ApiRegistry.getVersions()).toEqual(['v1', 'v2']);
+    });
+
+    it('should return registered schemas unchanged', () => {
+      expect(ApiRegistry.registerSchema('Item', Item)).toBe(Item);
+      expect(ApiRegistry.getSchemas().get('Item')).toBe(Item);
+    });
+  });
+
+  describe('document', () => {
+    it('should register the operation under the mount path', () => {
+      const operation = itemOperation();
+
+      ApiRegistry.document(mockRouter, '/items').get(
+        '/:itemId',
+        operation,
+        jest.fn()
+      );
+
+      expect(ApiRegistry.getOperation('GET', '/items/{itemId}')).toBe(operation);
+    });
+
+    it('should validate the request after the route middleware', () => {
+      const authorize = jest.fn();
+      const handler = jest.fn();
+
+      ApiRegistry.document(mockRouter, '/items').post(
+        '/',
+        itemOperation(),
+        authorize,
+        handler
+      );
+
+      const [path, checkResponse, ...stack] = mockRouter.post.mock.calls[0];
+      expect(path).toBe('/');
+      expect(checkResponse).toEqual(expect.any(Function));
+      expect(stack).toEqual([authorize, expect.any(Function), handler]);
+    });
+
+    it('should reject requests that break the operation schema', () => {
+      const handler = jest.fn();
+      ApiRegistry.document(mockRouter, '/items').get(
+        '/:itemId',
+        itemOperation(),
+        handler
+      );
+      const [, , checkRequest] = mockRouter.get.mock.calls[0];
+      const next = jest.fn();
+
+      checkRequest({ query: {}, params: {} }, {}, next);
+
+      expect(next.mock.calls[0][0].message).toBe('BadRequest');
+    });
+  });
+
+  describe('getOpenApiSpec', () => {
+    it('should build paths from the registered operations', () => {
+      ApiRegistry.document(mockRouter, '/items').get(
+        '/:itemId',
+        itemOperation(),
+        jest.fn()
+      );
+
+      const spec = getOpenApiSpec();
+
+      expect(spec.openapi).toBe('3.0.0');
+      expect(spec.info.title).toContain('weather-reporter');
+      expect(spec.paths['/items/{itemId}'].get.summary).toBe('Get an item');
+    });
+
+    it('should reference registered schemas instead of inlining them', () => {
+      ApiRegistry.registerSchema('Item', Item);
+      ApiRegistry.registerSchema('ItemList', { type: 'array', items: Item });
+      ApiRegistry.register('get', '/items/{itemId}', itemOperation());
+
+      const spec = getOpenApiSpec();
+
+      expect(
+        spec.paths['/items/{itemId}'].get.responses[200].content['application/json']
+          .schema
+      ).toEqual({ $ref: '#/components/schemas/Item' });
+      expect(spec.components.schemas.Item).toEqual(Item);
+      expect(spec.components.schemas.ItemList.items).toEqual({
+        $ref: '#/components/schemas/Item'
+      });
+    });
+
+    it('should keep every method of a path', () => {
+      ApiRegistry.register('get', '/items', { responses: {} });
+      ApiRegistry.register('post', '/items', { responses: {} });
+
+      expect(Object.keys(getOpenApiSpec().paths['/items'])).toEqual(['get', 'post']);
+    });
+
+    it('should cache the document until reset', () => {
+      const spec = getOpenApiSpec();
+
+      expect(getOpenApiSpec()).toBe(spec);
+      resetOpenApiSpec();
+      expect(getOpenApiSpec()).not.toBe(spec);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import express from 'express';
+import request from 'supertest';
+
+import AccessPolicy from '../../../../src/infrastructure/auth/AccessPolicy.js';
+import errorHandler from '../../../../src/infrastructure/middleware/errorHandler.js';
+import WeatherProxy from '../../../../src/infrastructure/proxies/WeatherProxy.js';
+import createAdminRoutes from '../../../../src/interfaces/http/routes/adminRoutes.js';
+import createWeatherRoutes from '../../../../src/interfaces/http/routes/weatherRoutes.js';
+import { resetCircuitBreaker } from '../../../../src/utils/CircuiteBreaker.js';
+import { globalWeatherCache } from '../../../../src/utils/MemoryCache.js';
+
+describe('Admin Routes', () => {
+  const upstream = {
+    success: true,
+    data: { name: 'London', temperature: 12, conditions: 'Cloudy' }
+  };
+  let get;
+
+  /**
+   * Build an app serving the admin and weather routes to an administrator
+   */
+  const createApp = () => {
+    const app = express();
+    app.use((req, _res, next) => {
+      req.user = { id: 'admin-1', role: 'admin' };
+      next();
+    });
+    app.use('/api/v1/admin', createAdminRoutes('v1'));
+    app.use('/api/v1/weather', createWeatherRoutes('v1'));
+    app.use(errorHandler);
+    return app;
+  };
+
+  beforeEach(() => {
+    process.env.AUTH_ENABLED = 'true';
+    AccessPolicy.reset();
+    globalWeatherCache.clear();
+    get = jest.fn().mockResolvedValue({ data: upstream });
+    jest.spyOn(WeatherProxy, 'getHttpClient').mockReturnValue({ get });
+    ['warn', 'error', 'info', 'debug'].forEach(method =>
+      jest.spyOn(console, method).mockImplementation(() => {})
+    );
+  });
+
+  afterEach(() => {
+    resetCircuitBreaker('weather-getWeatherByCity');
+    delete process.env.AUTH_ENABLED;
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /admin/circuit-breakers/:name/open', () => {
+    it('should answer weather requests from the cache or the fallback', async () => {
+      const app = createApp();
+      await request(app).get('/api/v1/weather/current/2643743').expect(200);
+
+      await request(app)
+        .post('/api/v1/admin/circuit-breakers/weather-getWeatherByCity/open')
+        .send({ reason: 'Upstream maintenance' })
+        .expect(200);
+      const cached = await request(app).get('/api/v1/weather/current/2643743');
+      const uncached = await request(app).get('/api/v1/weather/current/2950159');
+
+      expect(cached.status).toBe(200);
+      expect(cached.headers['x-cache']).toBe('STALE');
+      expect(cached.body).toMatchObject({ name: 'London', temperature: 12 });
+      expect(uncached.status).toBe(200);
+      expect(uncached.body).toMatchObject({ temperature: null });
+      expect(get).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+import express from 'express';
+import request from 'supertest';
+
+import Config from '../../../../src/config/Config.js';
+import AccessPolicy from '../../../../src/infrastructure/auth/AccessPolicy.js';
+import healthRoutes from '../../../../src/interfaces/http/routes/healthRoutes.js';
+import BreakerEvents from '../../../../src/utils/BreakerEvents.js';
+import { getCircuitBreakerHealth } from '../../../../src/utils/CircuiteBreaker.js';
+
+jest.mock('../../../../src/config/Config.js');
+jest.mock('../../../../src/utils/CircuiteBreaker.js');
+jest.mock('../../../../src/utils/Logger.js', () => ({
+  createModuleLogger: jest.fn(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+describe('Health Routes', () => {
+  let mockConfig;
+
+  /**
+   * Build an app serving the health routes to the given principal
+   * @param {Object} [user] - req.user set by authentication
+   */
+  const createApp = user => {
+    const app = express();
+    app.use((req, _res, next) => {
+      req.user = user;
+      next();
+    });
+    app.use('/health', healthRoutes);
+    // eslint-disable-next-line no-unused-vars
+    app.use((error, _req, res, _next) =>
+      res.status(error.message === 'ForbiddenError' ? 403 : 401).json({
+        error: error.message
+      })
+    );
+    return app;
+  };
+
+  /**
+   * Open the event stream and read its first message, closing the stream
+   * @param {Object} app - Express app
+   */
+  const openStream = app =>
+    request(app)
+      .get('/health/circuit-breakers/events')
+      .buffer(true)
+      .parse((res, callback) => {
+        let body = '';
+        res.on('data', chunk => {
+          body += chunk;
+          if (res.headers['content-type'].startsWith('text/event-stream')) {
+            res.destroy();
+            callback(null, body);
+          }
+        });
+        res.on('end', () => callback(null, body));
+      });
+
+  beforeEach(() => {
+    AccessPolicy.reset();
+    BreakerEvents.reset();
+    mockConfig = {
+      auth: { enabled: true, grants: { defaultRole: 'user' } },
+      events: { heartbeatInterval: 15000 }
+    };
+    Config.getInstance = jest.fn().mockReturnValue(mockConfig);
+    getCircuitBreakerHealth.mockReturnValue({
+      'weather-search': { state: 'CLOSED' }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('GET /health/circuit-breakers/events', () => {
+    it('should stream the breaker states to callers with the read grant', async () => {
+      const response = await openStream(createApp({ id: 'admin-1', role: 'admin' }));
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+      expect(response.body).toMatch(/^event: circuit_breaker_snapshot\n/);
+    });
+
+    it('should refuse callers without the read grant', async () => {
+      const subscribe = jest.spyOn(BreakerEvents, 'subscribe');
+
+      const response = await openStream(createApp({ id: 'user-1', role: 'user' }));
+
+      expect(response.status).toBe(403);
+      expect(subscribe).not.toHaveBeenCalled();
+    });
+
+    it('should not be served when authentication is disabled', async () => {
+      mockConfig.auth.enabled = false;
+      const subscribe = jest.spyOn(BreakerEvents, 'subscribe');
+
+      const response = await openStream(createApp());
+
+      expect(response.status).toBe(404);
+      expect(subscribe).not.toHaveBeenCalled();
+    });
+
+    it('should refuse unauthenticated callers', async () => {
+      const response = await openStream(createApp());
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import express from 'express';
+import request from 'supertest';
+
+import errorHandler from '../../../../src/infrastructure/middleware/errorHandler.js';
+import WeatherProxy from '../../../../src/infrastructure/proxies/WeatherProxy.js';
+import createWeatherRoutes from '../../../../src/interfaces/http/routes/weatherRoutes.js';
+import { getCircuitBreakerInstance } from '../../../../src/utils/CircuiteBreaker.js';
+import { globalWeatherCache } from '../../../../src/utils/MemoryCache.js';
+
+describe('Weather Routes', () => {
+  const upstream = {
+    success: true,
+    data: { name: 'London', temperature: 12, conditions: 'Cloudy' }
+  };
+  let get;
+
+  /**
+   * Build an app serving the weather routes over the memory response cache
+   */
+  const createApp = () => {
+    const app = express();
+    app.use('/api/v1/weather', createWeatherRoutes('v1'));
+    app.use(errorHandler);
+    return app;
+  };
+
+  beforeEach(() => {
+    globalWeatherCache.clear();
+    get = jest.fn().mockResolvedValue({ data: upstream });
+    jest.spyOn(WeatherProxy, 'getHttpClient').mockReturnValue({ get });
+    ['warn', 'error', 'info', 'debug'].forEach(method =>
+      jest.spyOn(console, method).mockImplementation(() => {})
+    );
+  });
+
+  afterEach(() => {
+    getCircuitBreakerInstance(null, 'weather', 'getWeatherByCity').close();
+    jest.restoreAllMocks();
+  });
+
+  describe('open circuit', () => {
+    it('should serve the last cached response', async () => {
+      const app = createApp();
+      await request(app).get('/api/v1/weather/current/2643743').expect(200);
+      getCircuitBreakerInstance(null, 'weather', 'getWeatherByCity').open();
+
+      const response = await request(app).get('/api/v1/weather/current/2643743');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['x-cache']).toBe('STALE');
+      expect(response.body).toMatchObject({ name: 'London', temperature: 12 });
+      expect(get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should serve the fallback payload when nothing is cached', async () => {
+      const app = createApp();
+      await request(app).get('/api/v1/weather/current/2643743').expect(200);
+      getCircuitBreakerInstance(null, 'weather', 'getWeatherByCity').open();
+
+      const response = await request(app).get('/api/v1/weather/current/2950159');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['x-cache']).toBeUndefined();
+      expect(response.body).toMatchObject({ temperature: null });
+      expect(get).toHaveBeenCalledTimes(1);
+    });
+  });
+});
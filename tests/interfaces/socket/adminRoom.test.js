@@ -0,0 +1,161 @@
+import jwt from 'jsonwebtoken';
+
+import Config from '../../../src/config/Config.js';
+import AccessPolicy from '../../../src/infrastructure/auth/AccessPolicy.js';
+import JwtVerifier from '../../../src/infrastructure/auth/JwtVerifier.js';
+import {
+  ADMIN_ROOM,
+  joinAdminRoom,
+  relayBreakerEvents
+} from '../../../src/interfaces/socket/adminRoom.js';
+import BreakerEvents from '../../../src/utils/BreakerEvents.js';
+import { getCircuitBreakerHealth } from '../../../src/utils/CircuiteBreaker.js';
+
+jest.mock('../../../src/config/Config.js');
+jest.mock('../../../src/utils/CircuiteBreaker.js');
+jest.mock('../../../src/utils/Logger.js', () => ({
+  createModuleLogger: jest.fn(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+const SECRET = 'test-secret';
+
+describe('Admin Room', () => {
+  let mockConfig;
+
+  /**
+   * Build a socket stub with the given handshake
+   * @param {Object} handshake - Handshake auth and headers
+   * @returns {Object} - Socket stub
+   */
+  const createSocket = (handshake = {}) => ({
+    id: 'socket-1',
+    handshake: { auth: {}, headers: {}, ...handshake },
+    join: jest.fn(),
+    leave: jest.fn(),
+    emit: jest.fn(),
+    on: jest.fn()
+  });
+
+  const sign = (role, options = { expiresIn: '1h' }) =>
+    jwt.sign({ sub: `${role}-1`, role }, SECRET, { algorithm: 'HS256', ...options });
+
+  beforeEach(() => {
+    JwtVerifier.reset();
+    AccessPolicy.reset();
+    BreakerEvents.reset();
+    mockConfig = {
+      auth: {
+        enabled: true,
+        jwt: { algorithms: ['HS256'], secret: SECRET, clockTolerance: 0 },
+        grants: { defaultRole: 'user' }
+      },
+      events: { errorSpikeThreshold: 5, errorSpikeWindow: 10000 }
+    };
+    Config.getInstance = jest.fn().mockReturnValue(mockConfig);
+    getCircuitBreakerHealth.mockReturnValue({
+      'weather-search': { state: 'CLOSED' }
+    });
+  });
+
+  describe('joinAdminRoom', () => {
+    it('should admit admins and send them the breaker states', () => {
+      const socket = createSocket({ auth: { token: sign('admin') } });
+
+      expect(joinAdminRoom(socket)).toBe(true);
+
+      expect(socket.join).toHaveBeenCalledWith(ADMIN_ROOM);
+      expect(socket.emit).toHaveBeenCalledWith('circuit_breaker_snapshot', {
+        timestamp: expect.any(String),
+        circuit_breakers: { 'weather-search': { state: 'CLOSED' } }
+      });
+    });
+
+    it('should accept a bearer token header', () => {
+      const socket = createSocket({
+        headers: { authorization: `Bearer ${sign('admin')}` }
+      });
+
+      expect(joinAdminRoom(socket)).toBe(true);
+    });
+
+    it('should leave sockets without a token alone', () => {
+      const socket = createSocket();
+
+      expect(joinAdminRoom(socket)).toBe(false);
+
+      expect(socket.join).not.toHaveBeenCalled();
+      expect(socket.emit).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['roles without the circuitBreakers grant', () => sign('user')],
+      ['invalid tokens', () => jwt.sign({ sub: 'x', role: 'admin' }, 'wrong-secret')]
+    ])('should refuse %s', (_, token) => {
+      const socket = createSocket({ auth: { token: token() } });
+
+      expect(joinAdminRoom(socket)).toBe(false);
+
+      expect(socket.join).not.toHaveBeenCalled();
+      expect(socket.emit).toHaveBeenCalledWith('admin_denied', {
+        message: 'Not allowed to join the admin room'
+      });
+    });
+
+    it('should not open the room with authentication disabled', () => {
+      mockConfig.auth.enabled = false;
+      const socket = createSocket({ auth: { token: sign('admin') } });
+
+      expect(joinAdminRoom(socket)).toBe(false);
+    });
+
+    it('should remove the socket from the room when its token expires', () => {
+      jest.useFakeTimers();
+      try {
+        const socket = createSocket({
+          auth: { token: sign('admin', { expiresIn: 60 }) }
+        });
+        joinAdminRoom(socket);
+
+        jest.advanceTimersByTime(60000);
+
+        expect(socket.leave).toHaveBeenCalledWith(ADMIN_ROOM);
+        expect(socket.emit).toHaveBeenCalledWith('admin_denied', {
+          message: 'Token expired'
+        });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('relayBreakerEvents', () => {
+    it('should emit breaker events to the admin room under their name', () => {
+      const room = { emit: jest.fn() };
+      const io = { to: jest.fn().mockReturnValue(room) };
+      const stop = relayBreakerEvents(io);
+
+      BreakerEvents.publish({
+        event: 'circuit_breaker_open',
+        breaker: 'weather-search'
+      });
+      stop();
+      BreakerEvents.publish({
+        event: 'circuit_breaker_close',
+        breaker: 'weather-search'
+      });
+
+      expect(io.to).toHaveBeenCalledWith(ADMIN_ROOM);
+      expect(room.emit).toHaveBeenCalledTimes(1);
+      expect(room.emit).toHaveBeenCalledWith('circuit_breaker_open', {
+        event: 'circuit_breaker_open',
+        breaker: 'weather-search',
+        timestamp: expect.any(String)
+      });
+    });
+  });
+});
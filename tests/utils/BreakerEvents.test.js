@@ -0,0 +1,101 @@
+import Config from '../../src/config/Config.js';
+import BreakerEvents from '../../src/utils/BreakerEvents.js';
+
+jest.mock('../../src/config/Config.js');
+
+describe('BreakerEvents', () => {
+  const details = { service: 'weather', operationType: 'search' };
+  let events;
+  let now;
+
+  /**
+   * Record failures of the search breaker, one millisecond apart
+   * @param {number} count - Number of failures
+   */
+  const fail = count => {
+    for (let i = 0; i < count; i++) {
+      now += 1;
+      BreakerEvents.recordFailure('weather-search', details);
+    }
+  };
+
+  beforeEach(() => {
+    BreakerEvents.reset();
+    Config.getInstance = jest.fn().mockReturnValue({
+      events: { errorSpikeThreshold: 3, errorSpikeWindow: 10000 }
+    });
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    events = [];
+    BreakerEvents.subscribe(event => events.push(event));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should deliver published events with a timestamp until unsubscribed', () => {
+    const received = [];
+    const unsubscribe = BreakerEvents.subscribe(event => received.push(event));
+
+    BreakerEvents.publish({
+      event: 'circuit_breaker_open',
+      breaker: 'weather-search'
+    });
+    unsubscribe();
+    BreakerEvents.publish({
+      event: 'circuit_breaker_close',
+      breaker: 'weather-search'
+    });
+
+    expect(received).toEqual([
+      {
+        event: 'circuit_breaker_open',
+        breaker: 'weather-search',
+        timestamp: expect.any(String)
+      }
+    ]);
+  });
+
+  it('should report a spike when the threshold is reached within the window', () => {
+    fail(2);
+    expect(events).toEqual([]);
+
+    fail(1);
+    expect(events).toEqual([
+      {
+        event: 'upstream_error_spike',
+        breaker: 'weather-search',
+        service: 'weather',
+        operationType: 'search',
+        failures: 3,
+        window: 10000,
+        timestamp: expect.any(String)
+      }
+    ]);
+  });
+
+  it('should report a spike at most once per window', () => {
+    fail(6);
+    expect(events).toHaveLength(1);
+
+    now += 10000;
+    fail(3);
+    expect(events).toHaveLength(2);
+  });
+
+  it('should not count failures that have left the window', () => {
+    fail(2);
+    now += 10000;
+    fail(2);
+
+    expect(events).toEqual([]);
+  });
+
+  it('should count each breaker separately', () => {
+    fail(2);
+    BreakerEvents.recordFailure('weather-getWeatherByCity', details);
+
+    expect(events).toEqual([]);
+  });
+});
@@ -0,0 +1,131 @@
+import {
+  BULK_STATUS,
+  buildBulkResponse,
+  classifyBulkError,
+  getBulkKey,
+  validateBulkEntry
+} from '../../src/utils/BulkWeather.js';
+
+describe('BulkWeather', () => {
+  describe('getBulkKey', () => {
+    it('should build lower-case city-country keys', () => {
+      expect(getBulkKey({ city: 'New York', country: 'US' })).toBe('new york-us');
+      expect(getBulkKey({ name: 'London' })).toBe('london');
+      expect(getBulkKey({ id: 2643743 })).toBe('2643743');
+    });
+
+    it('should key coordinate entries by their numeric lat,lon pair', () => {
+      expect(getBulkKey({ lat: '51.50', lon: -0.1278 })).toBe('51.5,-0.1278');
+    });
+  });
+
+  describe('validateBulkEntry', () => {
+    it('should accept city names, legacy names and ids', () => {
+      expect(validateBulkEntry({ city: 'London', country: 'GB' })).toBeNull();
+      expect(validateBulkEntry({ name: 'London' })).toBeNull();
+      expect(validateBulkEntry({ id: 2643743 })).toBeNull();
+      expect(validateBulkEntry({ lat: 51.5, lon: '-0.12' })).toBeNull();
+    });
+
+    it('should reject malformed entries', () => {
+      expect(validateBulkEntry(null)).toBe('City entry must be an object');
+      expect(validateBulkEntry(['London'])).toBe('City entry must be an object');
+      expect(validateBulkEntry({ id: ' ' })).toBe('City ID cannot be empty');
+      expect(validateBulkEntry({ city: '  ' })).toBe('City name is required');
+      expect(validateBulkEntry({ city: 'London', country: 'GBR' })).toBe(
+        'Country must be an ISO 3166-1 alpha-2 code'
+      );
+      expect(validateBulkEntry({ lat: 91, lon: 0 })).toBe(
+        'Latitude must be a number between -90 and 90'
+      );
+      expect(validateBulkEntry({ lat: 10 })).toBe(
+        'Longitude must be a number between -180 and 180'
+      );
+    });
+  });
+
+  describe('classifyBulkError', () => {
+    it('should map upstream responses to bulk statuses', () => {
+      expect(classifyBulkError({ response: { status: 404 } })).toBe(BULK_STATUS.NOT_FOUND);
+      expect(classifyBulkError({ response: { status: 400 } })).toBe(BULK_STATUS.INVALID);
+      expect(classifyBulkError({ response: { status: 422 } })).toBe(BULK_STATUS.INVALID);
+      expect(classifyBulkError({ response: { status: 503 } })).toBe(
+        BULK_STATUS.UPSTREAM_ERROR
+      );
+      expect(classifyBulkError(new Error('ECONNREFUSED'))).toBe(BULK_STATUS.UPSTREAM_ERROR);
+    });
+  });
+
+  describe('buildBulkResponse', () => {
+    const cities = [
+      { city: 'London', country: 'GB' },
+      { city: 'Tokyo', country: 'JP' }
+    ];
+
+    it('should mark every city ok when all are returned', () => {
+      const data = { 'london-gb': { temperature: 15 }, 'tokyo-jp': { temperature: 20 } };
+
+      expect(buildBulkResponse(cities, { success: true, data })).toEqual({
+        success: true,
+        data,
+        results: [
+          { key: 'london-gb', city: 'London', country: 'GB', status: 'ok' },
+          { key: 'tokyo-jp', city: 'Tokyo', country: 'JP', status: 'ok' }
+        ],
+        errors: []
+      });
+    });
+
+    it('should use the fan-out errors for failed cities', () => {
+      const response = {
+        success: true,
+        data: { 'london-gb': {} },
+        errors: [{ key: 'tokyo-jp', status: 'upstream_error', message: 'timeout' }],
+        fanOut: true
+      };
+
+      const body = buildBulkResponse(cities, response);
+
+      expect(body.fanOut).toBe(true);
+      expect(body.errors).toEqual([
+        {
+          key: 'tokyo-jp',
+          city: 'Tokyo',
+          country: 'JP',
+          status: 'upstream_error',
+          message: 'timeout'
+        }
+      ]);
+    });
+
+    it('should keep the id of id-based entries', () => {
+      const body = buildBulkResponse([{ id: 7 }], { success: true, data: { 7: {} } });
+
+      expect(body.results).toEqual([
+        { key: '7', city: null, country: null, id: 7, status: 'ok' }
+      ]);
+    });
+
+    it('should keep the coordinates of coordinate entries', () => {
+      const body = buildBulkResponse([{ lat: 1.5, lon: 2 }], {
+        success: true,
+        data: { '1.5,2': {} }
+      });
+
+      expect(body.results).toEqual([
+        { key: '1.5,2', city: null, country: null, lat: 1.5, lon: 2, status: 'ok' }
+      ]);
+    });
+
+    it('should fail the batch when no city resolved', () => {
+      const body = buildBulkResponse(cities, null);
+
+      expect(body.success).toBe(false);
+      expect(body.data).toEqual({});
+      expect(body.errors.map(error => error.status)).toEqual([
+        'upstream_error',
+        'upstream_error'
+      ]);
+    });
+  });
+});
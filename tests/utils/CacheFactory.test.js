@@ -252,7 +252,8 @@ describe('UnifiedCache', () => {
       delete: jest.fn().mockResolvedValue(true),
       clear: jest.fn().mockResolvedValue(true),
       size: jest.fn().mockResolvedValue(10),
-      getStats: jest.fn().mockResolvedValue({ hits: 20, misses: 3 })
+      getStats: jest.fn().mockResolvedValue({ hits: 20, misses: 3 }),
+      getCounts: jest.fn().mockResolvedValue({ size: 10, hits: 20, misses: 3 })
     };
 
     MemoryCache.mockImplementation(() => mockMemoryCache);
@@ -383,6 +384,13 @@ describe('UnifiedCache', () => {
       expect(mockRedisCache.getStats).toHaveBeenCalled();
       expect(result).toEqual({ hits: 20, misses: 3 });
     });
+
+    it('should call Redis cache getCounts method', async () => {
+      const result = await unifiedCache.getCounts();
+
+      expect(mockRedisCache.getCounts).toHaveBeenCalled();
+      expect(result).toEqual({ size: 10, hits: 20, misses: 3 });
+    });
   });
 });
 
@@ -0,0 +1,178 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import Config from '../../src/config/Config.js';
+import CircuitBreakerSettings from '../../src/utils/CircuitBreakerSettings.js';
+
+jest.mock('../../src/config/Config.js');
+
+describe('CircuitBreakerSettings', () => {
+  const operations = { weather: ['search', 'getBulkWeather'], user: ['assignRole'] };
+  let breakerSettings;
+  let mockConfig;
+
+  const useOverrides = overrides => {
+    breakerSettings.inline = JSON.stringify(overrides);
+  };
+
+  beforeEach(() => {
+    CircuitBreakerSettings.reset();
+    breakerSettings = {
+      path: undefined,
+      inline: undefined,
+      services: {
+        weather: {
+          errorThresholdPercentage: 60,
+          timeout: 8000,
+          resetTimeout: 30000,
+          rollingCountTimeout: 60000,
+          rollingCountBuckets: 10,
+          volumeThreshold: 10
+        },
+        user: {
+          errorThresholdPercentage: 75,
+          timeout: 4000,
+          resetTimeout: 20000,
+          rollingCountTimeout: 40000,
+          rollingCountBuckets: 8,
+          volumeThreshold: 8
+        }
+      }
+    };
+    mockConfig = {
+      services: { weather: { name: 'weather' } },
+      circuitBreaker: breakerSettings
+    };
+    Config.getInstance = jest.fn().mockReturnValue(mockConfig);
+  });
+
+  describe('load', () => {
+    it('should use the configured service defaults without overrides', () => {
+      const settings = CircuitBreakerSettings.load(operations);
+
+      expect(settings.weather).toEqual({
+        options: breakerSettings.services.weather,
+        operations: {}
+      });
+      expect(CircuitBreakerSettings.isLoaded()).toBe(true);
+    });
+
+    it('should layer operation overrides over service overrides', () => {
+      useOverrides({
+        weather: {
+          timeout: 5000,
+          operations: { getBulkWeather: { timeout: 15000, volumeThreshold: 5 } }
+        }
+      });
+
+      CircuitBreakerSettings.load(operations);
+
+      expect(CircuitBreakerSettings.getOptions('weather', 'search')).toMatchObject({
+        timeout: 5000,
+        volumeThreshold: 10
+      });
+      expect(
+        CircuitBreakerSettings.getOptions('weather', 'getBulkWeather')
+      ).toMatchObject({ timeout: 15000, volumeThreshold: 5, resetTimeout: 30000 });
+    });
+
+    it('should read overrides from a JSON file', () => {
+      const settingsPath = path.join(os.tmpdir(), `breakers-${process.pid}.json`);
+      fs.writeFileSync(
+        settingsPath,
+        JSON.stringify({ user: { resetTimeout: 10000 } })
+      );
+      breakerSettings.path = settingsPath;
+
+      try {
+        CircuitBreakerSettings.load(operations);
+
+        expect(
+          CircuitBreakerSettings.getOptions('user', 'assignRole').resetTimeout
+        ).toBe(10000);
+      } finally {
+        fs.unlinkSync(settingsPath);
+      }
+    });
+
+    it('should prefer inline overrides to the file', () => {
+      breakerSettings.path = '/does/not/exist.json';
+      useOverrides({ weather: { timeout: 2000 } });
+
+      CircuitBreakerSettings.load(operations);
+
+      expect(CircuitBreakerSettings.getOptions('weather', 'search').timeout).toBe(
+        2000
+      );
+    });
+
+    it.each([
+      [{ billing: { timeout: 1000 } }, 'Unknown circuit breaker service "billing"'],
+      [
+        { weather: { operations: { getForecast: { timeout: 1000 } } } },
+        'Unknown circuit breaker operation "weather.getForecast"'
+      ],
+      [
+        { weather: { timeOut: 1000 } },
+        'Unknown circuit breaker option "timeOut" for weather'
+      ],
+      [
+        { weather: { errorThresholdPercentage: 150 } },
+        'weather.errorThresholdPercentage must be an integer between 1 and 100'
+      ],
+      [
+        { weather: { operations: { search: { timeout: 0 } } } },
+        'weather.search.timeout must be an integer >= 1'
+      ],
+      [
+        { weather: { resetTimeout: '30s' } },
+        'weather.resetTimeout must be an integer'
+      ],
+      [
+        { weather: { rollingCountBuckets: 7 } },
+        'weather.rollingCountTimeout must be divisible by rollingCountBuckets'
+      ],
+      [{ weather: [] }, 'Circuit breaker options for weather must be an object']
+    ])('should reject invalid overrides %j', (overrides, message) => {
+      useOverrides(overrides);
+
+      expect(() => CircuitBreakerSettings.load(operations)).toThrow(message);
+      expect(CircuitBreakerSettings.isLoaded()).toBe(false);
+    });
+
+    it('should reject invalid values from environment variables', () => {
+      breakerSettings.services.weather.timeout = NaN;
+
+      expect(() => CircuitBreakerSettings.load(operations)).toThrow(
+        'weather.timeout must be an integer >= 1'
+      );
+    });
+
+    it('should require settings for every configured service name', () => {
+      mockConfig.services.weather.name = 'weather-api';
+
+      expect(() => CircuitBreakerSettings.load(operations)).toThrow(
+        'No circuit breaker settings for service "weather-api"'
+      );
+    });
+  });
+
+  describe('getOptions', () => {
+    it('should fall back to the service options for operations without overrides', () => {
+      CircuitBreakerSettings.load(operations);
+
+      expect(CircuitBreakerSettings.getOptions('weather', 'default')).toBe(
+        CircuitBreakerSettings.getOptions('weather', 'search')
+      );
+    });
+
+    it('should not map unknown services to another service', () => {
+      CircuitBreakerSettings.load(operations);
+
+      expect(() => CircuitBreakerSettings.getOptions('billing', 'charge')).toThrow(
+        'No circuit breaker settings for service "billing"'
+      );
+    });
+  });
+});
@@ -1,3 +1,37 @@
+import Config from '../../src/config/Config.js';
+import WeatherProxy from '../../src/infrastructure/proxies/WeatherProxy.js';
+import BreakerEvents from '../../src/utils/BreakerEvents.js';
+import {
+  applySharedBreakerEvent,
+  forceCircuitBreakerClosed,
+  forceCircuitBreakerOpen,
+  getCircuitBreakerHealth,
+  getCircuitBreakerInstance,
+  inspectCircuitBreaker,
+  resetCircuitBreaker,
+  setCircuitBreakerTimeout
+} from '../../src/utils/CircuiteBreaker.js';
+import ResponseCache from '../../src/utils/ResponseCache.js';
+import SharedBreakerState from '../../src/utils/SharedBreakerState.js';
+
+jest.mock('../../src/config/Config.js');
+jest.mock('../../src/utils/ResponseCache.js');
+
+const circuitBreaker = {
+  services: {
+    weather: {
+      errorThresholdPercentage: 60,
+      timeout: 8000,
+      resetTimeout: 30000,
+      rollingCountTimeout: 60000,
+      rollingCountBuckets: 10,
+      volumeThreshold: 10
+    }
+  }
+};
+
+const events = { errorSpikeThreshold: 5, errorSpikeWindow: 10000 };
+
 // Simple unit tests for CircuitBreaker utility functions
 describe('CircuitBreaker Fallback Strategies', () => {
   // Test fallback strategy functions directly
@@ -422,3 +456,463 @@ describe('CircuitBreaker Integration Requirements', () => {
     });
   });
 });
+
+describe('CircuitBreaker Stale Response Fallbacks', () => {
+  let consoleSpies;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Config.getInstance = jest.fn().mockReturnValue({
+      services: { weather: { name: 'weather' } },
+      circuitBreaker,
+      events
+    });
+    consoleSpies = ['warn', 'error', 'info', 'debug'].map(method =>
+      jest.spyOn(console, method).mockImplementation(() => {})
+    );
+  });
+
+  afterEach(() => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  it('should serve the last good response when the upstream call fails', async () => {
+    const cached = { success: true, data: { name: 'London', temperature: 12 } };
+    ResponseCache.serveStale.mockResolvedValue(cached);
+    const upstreamError = Object.assign(new Error('Bad gateway'), {
+      response: { status: 502 }
+    });
+    const breaker = getCircuitBreakerInstance(
+      jest.fn().mockRejectedValue(upstreamError),
+      'weather',
+      'getWeatherByCity'
+    );
+    const req = { params: { cityId: '123' } };
+
+    const result = await breaker.fire(req);
+
+    expect(ResponseCache.serveStale).toHaveBeenCalledWith('getWeatherByCity', req);
+    expect(result).toBe(cached);
+  });
+
+  it('should use the static fallback when no stale response exists', async () => {
+    ResponseCache.serveStale.mockResolvedValue(null);
+    const breaker = getCircuitBreakerInstance(
+      jest.fn().mockRejectedValue(Object.assign(new Error('down'), { code: 'ECONNREFUSED' })),
+      'weather',
+      'search'
+    );
+
+    const result = await breaker.fire({ query: { q: 'London' } });
+
+    expect(result).toEqual({
+      success: false,
+      message: 'Weather service temporarily unavailable',
+      fallback: true,
+      data: []
+    });
+  });
+
+  it.each([
+    ['getForecastByCity', 'Forecast data temporarily unavailable'],
+    ['getForecastByCityName', 'Forecast data temporarily unavailable'],
+    ['getHistoryByCity', 'Historical weather data temporarily unavailable'],
+    ['getHistoryByCityName', 'Historical weather data temporarily unavailable']
+  ])('should fall back for %s with its own payload', async (operation, message) => {
+    ResponseCache.serveStale.mockResolvedValue(null);
+    const breaker = getCircuitBreakerInstance(
+      jest.fn().mockRejectedValue(Object.assign(new Error('down'), { code: 'ECONNREFUSED' })),
+      'weather',
+      operation
+    );
+    const req = { params: { cityId: '123' }, query: { from: '2025-07-01' } };
+
+    const result = await breaker.fire(req);
+
+    expect(ResponseCache.serveStale).toHaveBeenCalledWith(operation, req);
+    expect(result).toEqual({ success: false, message, fallback: true, data: { days: [] } });
+  });
+
+  it('should fall back for getWeatherByCoordinates like current weather', async () => {
+    ResponseCache.serveStale.mockResolvedValue(null);
+    const breaker = getCircuitBreakerInstance(
+      jest.fn().mockRejectedValue(Object.assign(new Error('down'), { code: 'ECONNREFUSED' })),
+      'weather',
+      'getWeatherByCoordinates'
+    );
+    const req = { query: { lat: '51.5', lon: '-0.12' } };
+
+    const result = await breaker.fire(req);
+
+    expect(ResponseCache.serveStale).toHaveBeenCalledWith('getWeatherByCoordinates', req);
+    expect(result).toMatchObject({ fallback: true, data: { temperature: null } });
+  });
+
+  it('should not create breakers for services without settings', () => {
+    expect(() => getCircuitBreakerInstance(jest.fn(), 'billing', 'charge')).toThrow(
+      'No circuit breaker settings for service "billing"'
+    );
+  });
+
+  it('should not use fallbacks for client errors', async () => {
+    const notFound = Object.assign(new Error('Not found'), { response: { status: 404 } });
+    const breaker = getCircuitBreakerInstance(
+      jest.fn().mockRejectedValue(notFound),
+      'weather',
+      'getWeatherByCityName'
+    );
+
+    await expect(breaker.fire({ query: { city: 'Nowhere' } })).rejects.toBe(notFound);
+    expect(ResponseCache.serveStale).not.toHaveBeenCalled();
+  });
+});
+
+describe('CircuitBreaker Bulk Fan-Out Fallback', () => {
+  const bulkAction = jest.fn();
+  let mockConfig;
+  let consoleSpies;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockConfig = {
+      services: { weather: { name: 'weather', bulkMode: 'auto' } },
+      circuitBreaker,
+      events
+    };
+    Config.getInstance = jest.fn().mockReturnValue(mockConfig);
+    bulkAction.mockRejectedValue(Object.assign(new Error('down'), { code: 'ECONNREFUSED' }));
+    consoleSpies = ['warn', 'error', 'info', 'debug'].map(method =>
+      jest.spyOn(console, method).mockImplementation(() => {})
+    );
+  });
+
+  afterEach(() => {
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  it('should fan out city by city when the upstream bulk call fails in auto mode', async () => {
+    const fanOut = { success: true, data: { 'london-gb': {} }, errors: [], fanOut: true };
+    const spy = jest.spyOn(WeatherProxy, 'fanOutBulkWeather').mockResolvedValue(fanOut);
+    const req = { body: { cities: [{ city: 'London', country: 'GB' }] } };
+
+    const result = await getCircuitBreakerInstance(bulkAction, 'weather', 'getBulkWeather').fire(
+      req
+    );
+
+    expect(spy).toHaveBeenCalledWith(req);
+    expect(result).toBe(fanOut);
+    spy.mockRestore();
+  });
+
+  it('should use the static fallback in upstream mode', async () => {
+    mockConfig.services.weather.bulkMode = 'upstream';
+    const spy = jest.spyOn(WeatherProxy, 'fanOutBulkWeather');
+
+    const result = await getCircuitBreakerInstance(bulkAction, 'weather', 'getBulkWeather').fire({
+      body: { cities: [] }
+    });
+
+    expect(spy).not.toHaveBeenCalled();
+    expect(result).toEqual(expect.objectContaining({ fallback: true, data: {} }));
+    spy.mockRestore();
+  });
+});
+
+describe('CircuitBreaker Admin Controls', () => {
+  let consoleSpies;
+
+  beforeEach(() => {
+    Config.getInstance = jest.fn().mockReturnValue({
+      services: { weather: { name: 'weather', bulkMode: 'upstream' } },
+      circuitBreaker,
+      events
+    });
+    consoleSpies = ['warn', 'error', 'info', 'debug'].map(method =>
+      jest.spyOn(console, method).mockImplementation(() => {})
+    );
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  it('should keep a force-opened breaker open past its reset timeout', () => {
+    jest.useFakeTimers();
+    const breaker = getCircuitBreakerInstance(jest.fn(), 'weather', 'adminOpen');
+
+    expect(forceCircuitBreakerOpen('weather-adminOpen')).toMatchObject({
+      state: 'OPEN',
+      forced: 'OPEN'
+    });
+    jest.advanceTimersByTime(circuitBreaker.services.weather.resetTimeout + 1);
+
+    expect(breaker.opened).toBe(true);
+    expect(getCircuitBreakerHealth()['weather-adminOpen'].forced).toBe('OPEN');
+  });
+
+  it('should keep a force-closed breaker closed when it would trip', () => {
+    const breaker = getCircuitBreakerInstance(jest.fn(), 'weather', 'adminClose');
+
+    forceCircuitBreakerClosed('weather-adminClose');
+    breaker.open();
+
+    expect(breaker.closed).toBe(true);
+    expect(inspectCircuitBreaker('weather-adminClose').forced).toBe('CLOSED');
+  });
+
+  it('should release the forced state and clear the stats on reset', async () => {
+    const breaker = getCircuitBreakerInstance(
+      jest.fn().mockResolvedValue({ success: true }),
+      'weather',
+      'adminReset'
+    );
+    await breaker.fire({});
+    forceCircuitBreakerOpen('weather-adminReset');
+
+    const result = resetCircuitBreaker('weather-adminReset');
+
+    expect(result).toMatchObject({ state: 'CLOSED', forced: null });
+    expect(result.stats.fires).toBe(0);
+    expect(result.stats.successes).toBe(0);
+  });
+
+  it('should change the timeout of later calls', () => {
+    const breaker = getCircuitBreakerInstance(jest.fn(), 'weather', 'adminTimeout');
+
+    setCircuitBreakerTimeout('weather-adminTimeout', 2500);
+
+    expect(breaker.options.timeout).toBe(2500);
+    expect(inspectCircuitBreaker('weather-adminTimeout').options.timeout).toBe(2500);
+  });
+
+  it('should report breakers that have not been created', () => {
+    expect(() => forceCircuitBreakerOpen('weather-unknown')).toThrow(
+      'CircuitBreakerNotFoundError'
+    );
+  });
+});
+describe('CircuitBreaker Shared State', () => {
+  let consoleSpies;
+  let publishSpy;
+
+  /**
+   * Let the outcome recorded by a breaker event settle
+   * @returns {Promise<void>}
+   */
+  const flushOutcomes = () => new Promise(resolve => setImmediate(resolve));
+
+  beforeEach(() => {
+    Config.getInstance = jest.fn().mockReturnValue({
+      services: { weather: { name: 'weather', bulkMode: 'upstream' } },
+      circuitBreaker,
+      events
+    });
+    consoleSpies = ['warn', 'error', 'info', 'debug'].map(method =>
+      jest.spyOn(console, method).mockImplementation(() => {})
+    );
+    publishSpy = jest.spyOn(SharedBreakerState, 'publish').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  it('should publish its own transitions', () => {
+    const breaker = getCircuitBreakerInstance(jest.fn(), 'weather', 'sharedPublish');
+
+    breaker.open();
+    breaker.close();
+
+    expect(publishSpy.mock.calls).toEqual([
+      ['weather-sharedPublish', 'open'],
+      ['weather-sharedPublish', 'close']
+    ]);
+  });
+
+  it('should apply transitions of other replicas without publishing them back', () => {
+    const breaker = getCircuitBreakerInstance(jest.fn(), 'weather', 'sharedApply');
+
+    applySharedBreakerEvent({ breaker: 'weather-sharedApply', type: 'open' });
+    expect(breaker.opened).toBe(true);
+
+    applySharedBreakerEvent({ breaker: 'weather-sharedApply', type: 'halfOpen' });
+    expect(breaker.opened).toBe(true);
+
+    applySharedBreakerEvent({ breaker: 'weather-sharedApply', type: 'close' });
+    expect(breaker.closed).toBe(true);
+    expect(publishSpy).not.toHaveBeenCalled();
+  });
+
+  it('should publish admin actions once instead of the transitions they cause', () => {
+    getCircuitBreakerInstance(jest.fn(), 'weather', 'sharedAdmin');
+    const clearSpy = jest.spyOn(SharedBreakerState, 'clear').mockResolvedValue();
+
+    forceCircuitBreakerOpen('weather-sharedAdmin');
+    resetCircuitBreaker('weather-sharedAdmin');
+    setCircuitBreakerTimeout('weather-sharedAdmin', 2500);
+
+    expect(publishSpy.mock.calls).toEqual([
+      ['weather-sharedAdmin', 'force_open'],
+      ['weather-sharedAdmin', 'reset'],
+      ['weather-sharedAdmin', 'timeout', { timeout: 2500 }]
+    ]);
+    expect(clearSpy).toHaveBeenCalledWith(
+      'weather-sharedAdmin',
+      expect.objectContaining({ rollingCountBuckets: 10 })
+    );
+  });
+
+  it('should keep a breaker forced open by another replica open', () => {
+    applySharedBreakerEvent({ breaker: 'weather-sharedForced', type: 'force_open' });
+    const breaker = getCircuitBreakerInstance(jest.fn(), 'weather', 'sharedForced');
+
+    applySharedBreakerEvent({ breaker: 'weather-sharedForced', type: 'close' });
+
+    expect(breaker.opened).toBe(true);
+    expect(inspectCircuitBreaker('weather-sharedForced').forced).toBe('OPEN');
+
+    applySharedBreakerEvent({ breaker: 'weather-sharedForced', type: 'reset' });
+    expect(inspectCircuitBreaker('weather-sharedForced')).toMatchObject({
+      state: 'CLOSED',
+      forced: null
+    });
+  });
+
+  it('should apply timeouts changed on another replica', () => {
+    const breaker = getCircuitBreakerInstance(jest.fn(), 'weather', 'sharedTimeout');
+
+    applySharedBreakerEvent({
+      breaker: 'weather-sharedTimeout',
+      type: 'timeout',
+      timeout: 1500
+    });
+
+    expect(breaker.options.timeout).toBe(1500);
+  });
+
+  it('should trip on the error rate of the fleet', async () => {
+    jest
+      .spyOn(SharedBreakerState, 'record')
+      .mockResolvedValue({ fires: 20, failures: 15 });
+    const breaker = getCircuitBreakerInstance(
+      jest
+        .fn()
+        .mockRejectedValue(
+          Object.assign(new Error('down'), { code: 'ECONNREFUSED' })
+        ),
+      'weather',
+      'sharedTrip'
+    );
+
+    await breaker.fire({});
+    await flushOutcomes();
+
+    expect(SharedBreakerState.record).toHaveBeenCalledWith(
+      'weather-sharedTrip',
+      true,
+      breaker.options
+    );
+    expect(breaker.opened).toBe(true);
+    expect(publishSpy).toHaveBeenCalledWith('weather-sharedTrip', 'open');
+  });
+
+  it('should keep local state when the fleet counts are unavailable', async () => {
+    jest.spyOn(SharedBreakerState, 'record').mockResolvedValue(null);
+    const breaker = getCircuitBreakerInstance(
+      jest
+        .fn()
+        .mockRejectedValue(
+          Object.assign(new Error('down'), { code: 'ECONNREFUSED' })
+        ),
+      'weather',
+      'sharedLocal'
+    );
+
+    await breaker.fire({});
+    await flushOutcomes();
+
+    expect(breaker.closed).toBe(true);
+  });
+});
+describe('CircuitBreaker Events', () => {
+  let consoleSpies;
+  let received;
+  let unsubscribe;
+
+  beforeEach(() => {
+    Config.getInstance = jest.fn().mockReturnValue({
+      services: { weather: { name: 'weather', bulkMode: 'upstream' } },
+      circuitBreaker,
+      events
+    });
+    consoleSpies = ['warn', 'error', 'info', 'debug'].map(method =>
+      jest.spyOn(console, method).mockImplementation(() => {})
+    );
+    received = [];
+    unsubscribe = BreakerEvents.subscribe(event => received.push(event));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    jest.restoreAllMocks();
+    consoleSpies.forEach(spy => spy.mockRestore());
+  });
+
+  it('should stream state changes', () => {
+    const breaker = getCircuitBreakerInstance(jest.fn(), 'weather', 'eventsState');
+
+    breaker.open();
+    breaker.close();
+
+    expect(received).toEqual([
+      {
+        event: 'circuit_breaker_open',
+        breaker: 'weather-eventsState',
+        service: 'weather',
+        operationType: 'eventsState',
+        timestamp: expect.any(String)
+      },
+      expect.objectContaining({ event: 'circuit_breaker_close' })
+    ]);
+  });
+
+  it('should not stream the opening of a force-closed breaker', () => {
+    const breaker = getCircuitBreakerInstance(jest.fn(), 'weather', 'eventsForced');
+    forceCircuitBreakerClosed('weather-eventsForced');
+    received.length = 0;
+
+    breaker.open();
+
+    expect(received).not.toContainEqual(
+      expect.objectContaining({ event: 'circuit_breaker_open' })
+    );
+  });
+
+  it('should stream fallbacks and count failures for spike detection', async () => {
+    const spikeSpy = jest.spyOn(BreakerEvents, 'recordFailure');
+    const breaker = getCircuitBreakerInstance(
+      jest
+        .fn()
+        .mockRejectedValue(
+          Object.assign(new Error('down'), { code: 'ECONNREFUSED' })
+        ),
+      'weather',
+      'eventsFallback'
+    );
+
+    await breaker.fire({});
+
+    expect(spikeSpy).toHaveBeenCalledWith('weather-eventsFallback', {
+      service: 'weather',
+      operationType: 'eventsFallback'
+    });
+    expect(received).toContainEqual(
+      expect.objectContaining({
+        event: 'circuit_breaker_fallback',
+        breaker: 'weather-eventsFallback'
+      })
+    );
+  });
+});
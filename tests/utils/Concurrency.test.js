@@ -0,0 +1,69 @@
+import { mapWithConcurrency } from '../../src/utils/Concurrency.js';
+
+describe('Concurrency', () => {
+  describe('mapWithConcurrency', () => {
+    it('should return results in input order', async () => {
+      const delays = [30, 10, 20];
+
+      const results = await mapWithConcurrency(
+        delays,
+        3,
+        delay => new Promise(resolve => setTimeout(() => resolve(delay), delay))
+      );
+
+      expect(results).toEqual([30, 10, 20]);
+    });
+
+    it('should never run more than the limit at once', async () => {
+      let active = 0;
+      let peak = 0;
+      const worker = async () => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active -= 1;
+      };
+
+      await mapWithConcurrency(Array(10).fill(null), 3, worker);
+
+      expect(peak).toBe(3);
+    });
+
+    it('should pass the item index to the worker', async () => {
+      const worker = jest.fn(async (item, index) => `${item}:${index}`);
+
+      await expect(mapWithConcurrency(['a', 'b'], 2, worker)).resolves.toEqual([
+        'a:0',
+        'b:1'
+      ]);
+    });
+
+    it('should run sequentially for an invalid limit', async () => {
+      let peak = 0;
+      let active = 0;
+      const worker = async () => {
+        active += 1;
+        peak = Math.max(peak, active);
+        await Promise.resolve();
+        active -= 1;
+      };
+
+      await mapWithConcurrency([1, 2, 3], 0, worker);
+
+      expect(peak).toBe(1);
+    });
+
+    it('should resolve to an empty array for no items', async () => {
+      const worker = jest.fn();
+
+      await expect(mapWithConcurrency([], 5, worker)).resolves.toEqual([]);
+      expect(worker).not.toHaveBeenCalled();
+    });
+
+    it('should reject when a worker fails', async () => {
+      const worker = jest.fn().mockRejectedValueOnce(new Error('boom'));
+
+      await expect(mapWithConcurrency([1, 2], 1, worker)).rejects.toThrow('boom');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import {
+  parseCoordinate,
+  roundCoordinates,
+  validateCoordinates
+} from '../../src/utils/Coordinates.js';
+
+describe('Coordinates', () => {
+  describe('parseCoordinate', () => {
+    it('should parse numbers and numeric strings', () => {
+      expect(parseCoordinate(51.5)).toBe(51.5);
+      expect(parseCoordinate(' -0.12 ')).toBe(-0.12);
+    });
+
+    it('should reject empty and non-numeric values', () => {
+      expect(parseCoordinate('')).toBeNull();
+      expect(parseCoordinate('abc')).toBeNull();
+      expect(parseCoordinate(undefined)).toBeNull();
+      expect(parseCoordinate(Infinity)).toBeNull();
+      expect(parseCoordinate(true)).toBeNull();
+    });
+  });
+
+  describe('validateCoordinates', () => {
+    it('should accept coordinates within range, including the limits', () => {
+      expect(validateCoordinates({ lat: 90, lon: -180 })).toBeNull();
+      expect(validateCoordinates({ lat: '-33.87', lon: '151.21' })).toBeNull();
+    });
+
+    it('should reject out-of-range or missing latitude before longitude', () => {
+      expect(validateCoordinates({ lat: 90.1, lon: 200 })).toBe(
+        'Latitude must be a number between -90 and 90'
+      );
+      expect(validateCoordinates({ lon: 0 })).toBe(
+        'Latitude must be a number between -90 and 90'
+      );
+      expect(validateCoordinates({ lat: 0, lon: '-180.5' })).toBe(
+        'Longitude must be a number between -180 and 180'
+      );
+    });
+  });
+
+  describe('roundCoordinates', () => {
+    it('should round to two decimals by default', () => {
+      expect(roundCoordinates({ lat: '51.50735', lon: -0.12776 })).toEqual({
+        lat: 51.51,
+        lon: -0.13
+      });
+    });
+
+    it('should honour the precision and never produce negative zero', () => {
+      expect(roundCoordinates({ lat: 51.50735, lon: -0.001 }, 1)).toEqual({
+        lat: 51.5,
+        lon: 0
+      });
+      expect(Object.is(roundCoordinates({ lat: -0.001, lon: 0 }).lat, 0)).toBe(true);
+    });
+
+    it('should leave non-numeric values as null', () => {
+      expect(roundCoordinates({ lat: 'x' })).toEqual({ lat: null, lon: null });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import {
+  HISTORY_MAX_DAYS,
+  parseDate,
+  resolveHistoryRange
+} from '../../src/utils/DateRange.js';
+
+describe('DateRange', () => {
+  const now = new Date('2025-07-10T15:30:00Z');
+
+  describe('parseDate', () => {
+    it('should parse a calendar date as UTC midnight', () => {
+      expect(parseDate('2025-07-04')).toBe(Date.UTC(2025, 6, 4));
+    });
+
+    it.each([
+      ['2025-02-30'],
+      ['2025-13-01'],
+      ['2025-7-4'],
+      ['04/07/2025'],
+      [''],
+      [null]
+    ])('should reject %p', value => {
+      expect(parseDate(value)).toBeNull();
+    });
+
+    it('should accept leap days', () => {
+      expect(parseDate('2024-02-29')).toBe(Date.UTC(2024, 1, 29));
+    });
+  });
+
+  describe('resolveHistoryRange', () => {
+    it('should return an ordered range', () => {
+      expect(
+        resolveHistoryRange({ from: '2025-07-01', to: '2025-07-04' }, now)
+      ).toEqual({
+        from: '2025-07-01',
+        to: '2025-07-04'
+      });
+    });
+
+    it('should default the end to the start', () => {
+      expect(resolveHistoryRange({ from: '2025-07-01' }, now)).toEqual({
+        from: '2025-07-01',
+        to: '2025-07-01'
+      });
+    });
+
+    it('should accept a range ending today', () => {
+      expect(resolveHistoryRange({ from: '2025-07-10' }, now)).not.toBeNull();
+    });
+
+    it('should reject a range ending in the future', () => {
+      expect(
+        resolveHistoryRange({ from: '2025-07-10', to: '2025-07-11' }, now)
+      ).toBeNull();
+    });
+
+    it('should reject a reversed range', () => {
+      expect(
+        resolveHistoryRange({ from: '2025-07-04', to: '2025-07-01' }, now)
+      ).toBeNull();
+    });
+
+    it(`should allow at most ${HISTORY_MAX_DAYS} days`, () => {
+      expect(
+        resolveHistoryRange({ from: '2025-06-01', to: '2025-07-01' }, now)
+      ).not.toBeNull();
+      expect(
+        resolveHistoryRange({ from: '2025-06-01', to: '2025-07-02' }, now)
+      ).toBeNull();
+    });
+
+    it('should reject a missing start', () => {
+      expect(resolveHistoryRange({}, now)).toBeNull();
+      expect(resolveHistoryRange(undefined, now)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import {
+  findUnknownFields,
+  getFieldPaths,
+  parseFields,
+  selectFields
+} from '../../src/utils/FieldSelection.js';
+
+describe('FieldSelection', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      temperature: { type: 'number' },
+      days: {
+        type: 'array',
+        items: { type: 'object', properties: { date: {}, icon: {} } }
+      }
+    }
+  };
+
+  describe('parseFields', () => {
+    it('should split, trim and de-duplicate comma-separated paths', () => {
+      expect(parseFields(' temperature, icon,,temperature ')).toEqual([
+        'temperature',
+        'icon'
+      ]);
+    });
+
+    it('should accept arrays and ignore missing values', () => {
+      expect(parseFields(['days.date', 'icon,temperature'])).toEqual([
+        'days.date',
+        'icon',
+        'temperature'
+      ]);
+      expect(parseFields(undefined)).toEqual([]);
+      expect(parseFields([1, null])).toEqual([]);
+    });
+  });
+
+  describe('getFieldPaths', () => {
+    it('should list nested and array item paths', () => {
+      expect(getFieldPaths(schema)).toEqual([
+        'temperature',
+        'days',
+        'days.date',
+        'days.icon'
+      ]);
+    });
+  });
+
+  describe('findUnknownFields', () => {
+    it('should report paths the schema does not document', () => {
+      expect(
+        findUnknownFields(['temperature', 'days.wind', 'humidity'], schema)
+      ).toEqual(['days.wind', 'humidity']);
+    });
+  });
+
+  describe('selectFields', () => {
+    const data = {
+      temperature: 15,
+      icon: '04d',
+      days: [
+        { date: '2025-07-04', icon: '10d' },
+        { date: '2025-07-05', icon: '01d' }
+      ]
+    };
+
+    it('should return the data itself when nothing is selected', () => {
+      expect(selectFields(data, [])).toBe(data);
+      expect(selectFields(data, undefined)).toBe(data);
+    });
+
+    it('should keep only the selected top-level fields', () => {
+      expect(selectFields(data, ['temperature', 'icon'])).toEqual({
+        temperature: 15,
+        icon: '04d'
+      });
+    });
+
+    it('should project nested paths through arrays', () => {
+      expect(selectFields(data, ['days.date'])).toEqual({
+        days: [{ date: '2025-07-04' }, { date: '2025-07-05' }]
+      });
+    });
+
+    it('should keep a whole field selected alongside its nested paths', () => {
+      expect(selectFields(data, ['days.date', 'days'])).toEqual({ days: data.days });
+    });
+
+    it('should leave out fields missing from the payload', () => {
+      expect(selectFields({ temperature: null }, ['temperature', 'icon'])).toEqual({
+        temperature: null
+      });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+import {
+  computeETag,
+  getCacheControl,
+  getObservedAt
+} from '../../src/utils/HttpCaching.js';
+
+describe('HttpCaching', () => {
+  describe('computeETag', () => {
+    it('should produce a quoted strong tag', () => {
+      expect(computeETag({ temperature: 15 })).toMatch(/^"[\w-]{43}"$/);
+    });
+
+    it('should ignore key order at every level', () => {
+      expect(computeETag({ a: 1, b: { c: [{ d: 1, e: 2 }] } })).toBe(
+        computeETag({ b: { c: [{ e: 2, d: 1 }] }, a: 1 })
+      );
+    });
+
+    it('should change with the content and keep array order', () => {
+      expect(computeETag({ temperature: 15 })).not.toBe(
+        computeETag({ temperature: 16 })
+      );
+      expect(computeETag([1, 2])).not.toBe(computeETag([2, 1]));
+    });
+  });
+
+  describe('getObservedAt', () => {
+    const now = Date.parse('2025-07-04T12:00:00Z');
+
+    it('should read ISO, epoch ms and epoch seconds observation times', () => {
+      expect(getObservedAt({ observedAt: '2025-07-04T10:00:00Z' }, now)).toBe(
+        Date.parse('2025-07-04T10:00:00Z')
+      );
+      expect(getObservedAt({ observedAt: 1751623200000 }, now)).toBe(1751623200000);
+      expect(getObservedAt({ dt: 1751623200 }, now)).toBe(1751623200000);
+    });
+
+    it('should ignore missing, invalid and future times', () => {
+      expect(getObservedAt({ temperature: 15 }, now)).toBeNull();
+      expect(getObservedAt({ observedAt: 'yesterday' }, now)).toBeNull();
+      expect(getObservedAt({ dt: 1900000000 }, now)).toBeNull();
+      expect(getObservedAt(null, now)).toBeNull();
+    });
+  });
+
+  describe('getCacheControl', () => {
+    it('should allow private caching for the rest of the TTL', () => {
+      expect(getCacheControl(600000)).toBe('private, max-age=600');
+      expect(getCacheControl(600000, 90)).toBe('private, max-age=510');
+    });
+
+    it('should not go below zero for stale entries', () => {
+      expect(getCacheControl(600000, 900)).toBe('private, max-age=0');
+    });
+  });
+});
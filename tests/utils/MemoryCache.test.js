@@ -88,6 +88,13 @@ describe('MemoryCache', () => {
       expect(stats.hits).toBe(1);
       expect(stats.misses).toBe(1);
     });
+
+    it('should count entries and lookups', async () => {
+      await cache.set('key1', 'value1');
+      await cache.get('key1');
+
+      expect(cache.getCounts()).toEqual({ size: 1, hits: 1, misses: 0 });
+    });
   });
 
   describe('Global Cache Instance', () => {
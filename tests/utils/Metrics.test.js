@@ -0,0 +1,135 @@
+import Config from '../../src/config/Config.js';
+import Metrics from '../../src/utils/Metrics.js';
+
+jest.mock('../../src/config/Config.js');
+
+describe('Metrics', () => {
+  /**
+   * Render the registry and return the exposition text
+   * @returns {Promise<string>} - Metrics text
+   */
+  const scrape = async () => (await Metrics.render()).body;
+
+  beforeEach(() => {
+    Config.getInstance = jest.fn().mockReturnValue({
+      metrics: { enabled: true, path: '/metrics', defaultMetrics: false }
+    });
+    Metrics.reset();
+  });
+
+  it('should render the Prometheus text exposition format', async () => {
+    const { contentType, body } = await Metrics.render();
+
+    expect(contentType).toMatch(/^text\/plain; version=0\.0\.4/);
+    expect(body).toContain('# HELP http_requests_total');
+    expect(body).toContain('# TYPE http_request_duration_seconds histogram');
+    expect(body).not.toContain('process_cpu_seconds_total');
+  });
+
+  it('should count and time HTTP requests by method, route and status', async () => {
+    const labels = { method: 'GET', route: '/api/v1/weather/:city', status: 200 };
+    Metrics.observeHttpRequest(labels, 0.03);
+    Metrics.observeHttpRequest(labels, 0.2);
+
+    const body = await scrape();
+
+    expect(body).toContain(
+      'http_requests_total{method="GET",route="/api/v1/weather/:city",status="200"} 2'
+    );
+    expect(body).toContain(
+      'http_request_duration_seconds_bucket{le="0.05",method="GET",route="/api/v1/weather/:city",status="200"} 1'
+    );
+  });
+
+  it('should time upstream calls by operation and outcome', async () => {
+    await expect(Metrics.timeUpstream('search', async () => 'result')).resolves.toBe(
+      'result'
+    );
+    await expect(
+      Metrics.timeUpstream('search', async () => {
+        throw new Error('ECONNRESET');
+      })
+    ).rejects.toThrow('ECONNRESET');
+
+    const body = await scrape();
+
+    expect(body).toContain(
+      'upstream_request_duration_seconds_count{operation="search",outcome="success"} 1'
+    );
+    expect(body).toContain(
+      'upstream_request_duration_seconds_count{operation="search",outcome="failure"} 1'
+    );
+  });
+
+  it('should count rate limit rejections by tier', async () => {
+    Metrics.countRateLimitRejection('bulk');
+    Metrics.countRateLimitRejection('bulk');
+
+    expect(await scrape()).toContain('rate_limit_rejections_total{tier="bulk"} 2');
+  });
+
+  it('should track open and accepted socket connections', async () => {
+    Metrics.socketConnected();
+    Metrics.socketConnected();
+    Metrics.socketDisconnected();
+
+    const body = await scrape();
+
+    expect(body).toContain('socket_connections 1');
+    expect(body).toContain('socket_connections_total 2');
+  });
+
+  it('should copy cache, breaker and coalescing statistics on refresh', async () => {
+    const sources = {
+      cacheStats: { size: 3, hits: 7, misses: 2 },
+      breakers: {
+        'weather-search': {
+          state: 'open',
+          error_rate: 0.5,
+          requests_successful: 5,
+          requests_failed: 5,
+          requests_timeout: 1,
+          requests_rejected: 4,
+          fallbacks_total: 4
+        }
+      },
+      coalescing: {
+        in_flight: 1,
+        operations: { search: { upstream: 4, coalesced: 6 } }
+      }
+    };
+    Metrics.refresh(sources);
+    sources.cacheStats.hits = 9;
+    Metrics.refresh(sources);
+
+    const body = await scrape();
+
+    expect(body).toContain('cache_hits_total 9');
+    expect(body).toContain('cache_misses_total 2');
+    expect(body).toContain('cache_entries 3');
+    expect(body).toContain('circuit_breaker_state{breaker="weather-search"} 2');
+    expect(body).toContain(
+      'circuit_breaker_error_rate{breaker="weather-search"} 0.5'
+    );
+    expect(body).toContain(
+      'circuit_breaker_window_requests{breaker="weather-search",result="rejected"} 4'
+    );
+    expect(body).toContain(
+      'upstream_requests_coalesced_total{operation="search",result="coalesced"} 6'
+    );
+    expect(body).toContain('upstream_requests_in_flight 1');
+  });
+
+  it('should drop breakers that no longer exist on refresh', async () => {
+    Metrics.refresh({ breakers: { 'weather-search': { state: 'closed' } } });
+    Metrics.refresh({ breakers: {} });
+
+    expect(await scrape()).not.toContain('breaker="weather-search"');
+  });
+
+  it('should add Node.js process metrics when enabled', async () => {
+    Config.getInstance().metrics.defaultMetrics = true;
+
+    expect(await scrape()).toContain('process_cpu_seconds_total');
+  });
+});
@@ -13,6 +13,7 @@ jest.mock('ioredis', () => {
   return jest.fn().mockImplementation(() => ({
     connect: jest.fn().mockRejectedValue(new Error('Redis connection failed in test')),
     quit: jest.fn().mockResolvedValue(),
+    disconnect: jest.fn(),
     on: jest.fn(),
     set: jest.fn(),
     get: jest.fn(),
@@ -23,6 +24,8 @@ jest.mock('ioredis', () => {
   }));
 });
 
+import Redis from 'ioredis';
+
 import Config from '../../src/config/Config.js';
 import { RedisCache } from '../../src/utils/RedisCache.js';
 
@@ -85,6 +88,16 @@ describe('RedisCache', () => {
       expect(cache.isConnected).toBe(false);
     });
 
+    it('should share one attempt between concurrent connects and close a failed client', async () => {
+      Redis.mockClear();
+      const attempts = [cache.connect(), cache.connect()];
+
+      await expect(Promise.all(attempts)).rejects.toThrow('Redis connection failed in test');
+      expect(Redis).toHaveBeenCalledTimes(1);
+      expect(Redis.mock.results[0].value.disconnect).toHaveBeenCalled();
+      expect(cache.client).toBeNull();
+    });
+
     it('should handle disconnect', async () => {
       // Test disconnect method
       await cache.disconnect();
@@ -101,6 +114,7 @@ describe('RedisCache', () => {
         exists: jest.fn().mockResolvedValue(1),
         del: jest.fn().mockResolvedValue(1),
         keys: jest.fn().mockResolvedValue(['test_prefix_key1', 'test_prefix_key2']),
+        dbsize: jest.fn().mockResolvedValue(7),
         setex: jest.fn().mockResolvedValue('OK')
       };
       cache.isConnected = true;
@@ -125,6 +139,30 @@ describe('RedisCache', () => {
       expect(cache.client.get).toHaveBeenCalledWith('key1');
     });
 
+    it('should count hits and misses until cleared', async () => {
+      cache.client.get
+        .mockResolvedValueOnce(JSON.stringify({ value: 'value1', timestamp: Date.now() }))
+        .mockResolvedValueOnce(null);
+      await cache.get('key1');
+      await cache.get('key2');
+
+      expect(cache.stats).toEqual({ hits: 1, misses: 1 });
+      expect(await cache.getStats()).toMatchObject({ hits: 1, misses: 1 });
+
+      await cache.clear();
+      expect(cache.stats).toEqual({ hits: 0, misses: 0 });
+    });
+
+    it('should count keys with DBSIZE instead of listing them', async () => {
+      cache.stats = { hits: 2, misses: 1 };
+
+      expect(await cache.getCounts()).toEqual({ size: 7, hits: 2, misses: 1 });
+      expect(cache.client.keys).not.toHaveBeenCalled();
+
+      cache.client.dbsize.mockRejectedValueOnce(new Error('Connection is closed.'));
+      expect(await cache.getCounts()).toEqual({ size: 0, hits: 2, misses: 1 });
+    });
+
     it('should check if key exists', async () => {
       const exists = await cache.has('key1');
       expect(exists).toBe(true);
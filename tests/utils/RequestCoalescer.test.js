@@ -0,0 +1,128 @@
+import Config from '../../src/config/Config.js';
+import RequestCoalescer from '../../src/utils/RequestCoalescer.js';
+
+// Mock dependencies
+jest.mock('../../src/config/Config.js');
+
+describe('RequestCoalescer', () => {
+  let mockConfig;
+
+  /**
+   * Create a loader whose promise is settled by the test
+   */
+  const deferredLoader = () => {
+    const control = {};
+    const loader = jest.fn(
+      () =>
+        new Promise((resolve, reject) => {
+          control.resolve = resolve;
+          control.reject = reject;
+        })
+    );
+    return { loader, control };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    RequestCoalescer.reset();
+
+    mockConfig = { cache: { coalesceRequests: true } };
+    Config.getInstance = jest.fn().mockReturnValue(mockConfig);
+  });
+
+  it('should share one upstream call between identical concurrent requests', async () => {
+    const { loader, control } = deferredLoader();
+
+    const first = RequestCoalescer.run('search', 'response:search:q=london', loader);
+    const second = RequestCoalescer.run('search', 'response:search:q=london', loader);
+    await Promise.resolve();
+    control.resolve({ temp: 20 });
+
+    await expect(Promise.all([first, second])).resolves.toEqual([
+      { temp: 20 },
+      { temp: 20 }
+    ]);
+    expect(loader).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not share calls between different keys', async () => {
+    const loader = jest.fn().mockResolvedValue({});
+
+    await Promise.all([
+      RequestCoalescer.run('search', 'response:search:q=london', loader),
+      RequestCoalescer.run('search', 'response:search:q=paris', loader)
+    ]);
+
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  it('should call upstream again once the shared call settles', async () => {
+    const loader = jest.fn().mockResolvedValue({});
+
+    await RequestCoalescer.run('search', 'key', loader);
+    await RequestCoalescer.run('search', 'key', loader);
+
+    expect(loader).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject every joined caller when the upstream call fails', async () => {
+    const { loader, control } = deferredLoader();
+
+    const first = RequestCoalescer.run('search', 'key', loader);
+    const second = RequestCoalescer.run('search', 'key', loader);
+    await Promise.resolve();
+    control.reject(new Error('ECONNREFUSED'));
+
+    await expect(first).rejects.toThrow('ECONNREFUSED');
+    await expect(second).rejects.toThrow('ECONNREFUSED');
+    expect(RequestCoalescer.getMetrics().in_flight).toBe(0);
+  });
+
+  it('should call the loader directly when coalescing is disabled', async () => {
+    mockConfig.cache.coalesceRequests = false;
+    const loader = jest.fn().mockResolvedValue({});
+
+    await Promise.all([
+      RequestCoalescer.run('search', 'key', loader),
+      RequestCoalescer.run('search', 'key', loader)
+    ]);
+
+    expect(loader).toHaveBeenCalledTimes(2);
+    expect(RequestCoalescer.getMetrics().requests_total).toBe(0);
+  });
+
+  describe('getMetrics', () => {
+    it('should count upstream and coalesced requests per operation', async () => {
+      const { loader, control } = deferredLoader();
+
+      const calls = [
+        RequestCoalescer.run('getWeatherByCityName', 'a', loader),
+        RequestCoalescer.run('getWeatherByCityName', 'a', loader),
+        RequestCoalescer.run('getWeatherByCityName', 'a', loader)
+      ];
+      expect(RequestCoalescer.getMetrics().in_flight).toBe(1);
+
+      await Promise.resolve();
+      control.resolve({});
+      await Promise.all(calls);
+
+      expect(RequestCoalescer.getMetrics()).toEqual({
+        enabled: true,
+        in_flight: 0,
+        requests_total: 3,
+        upstream_total: 1,
+        coalesced_total: 2,
+        coalesced_ratio: 2 / 3,
+        operations: {
+          getWeatherByCityName: { upstream: 1, coalesced: 2, requests_total: 3 }
+        }
+      });
+    });
+
+    it('should report zeros before any request', () => {
+      expect(RequestCoalescer.getMetrics()).toEqual(
+        expect.objectContaining({ requests_total: 0, coalesced_ratio: 0, operations: {} })
+      );
+    });
+  });
+});
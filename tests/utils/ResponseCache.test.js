@@ -0,0 +1,332 @@
+import Config from '../../src/config/Config.js';
+import { getUnifiedCache } from '../../src/utils/CacheFactory.js';
+import ResponseCache, { CACHE_STATUS } from '../../src/utils/ResponseCache.js';
+
+// Mock dependencies
+jest.mock('../../src/config/Config.js');
+jest.mock('../../src/utils/CacheFactory.js');
+
+describe('ResponseCache', () => {
+  let mockConfig;
+  let mockCache;
+  let warnSpy;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockConfig = {
+      cache: {
+        defaultTtl: 300000,
+        responses: {
+          enabled: true,
+          ttl: {
+            search: 3600000,
+            getWeatherByCity: 600000,
+            getWeatherByCityName: 120000,
+            getWeatherByCoordinates: 900000,
+            forecast: 1800000,
+            history: 86400000
+          },
+          staleWhileRevalidate: 60000,
+          staleIfError: 86400000
+        }
+      }
+    };
+    Config.getInstance = jest.fn().mockReturnValue(mockConfig);
+
+    mockCache = {
+      get: jest.fn().mockResolvedValue(null),
+      set: jest.fn().mockResolvedValue(undefined)
+    };
+    getUnifiedCache.mockResolvedValue(mockCache);
+
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  describe('Key Building', () => {
+    it('should normalize case, whitespace and parameter order', () => {
+      const a = ResponseCache.buildKey('getWeatherByCityName', {
+        query: { city: '  New   York ', ccode: 'US' }
+      });
+      const b = ResponseCache.buildKey('getWeatherByCityName', {
+        query: { ccode: 'us', city: 'new york' }
+      });
+
+      expect(a).toBe(b);
+      expect(a).toBe('response:getWeatherByCityName:ccode=us&city=new york');
+    });
+
+    it('should ignore empty parameters', () => {
+      const key = ResponseCache.buildKey('search', {
+        query: { q: 'London', page: '', pageSize: undefined }
+      });
+
+      expect(key).toBe('response:search:q=london');
+    });
+
+    it('should only use identifying parameters for each operation', () => {
+      const key = ResponseCache.buildKey('getWeatherByCity', {
+        params: { cityId: '123' },
+        query: { debug: 'true' }
+      });
+
+      expect(key).toBe('response:getWeatherByCity:cityid=123');
+    });
+
+    it('should key searches on the upstream parameters only', () => {
+      const key = ResponseCache.buildKey('search', {
+        query: { q: 'London', ccode: 'GB', units: 'imperial', fields: 'name' }
+      });
+
+      expect(key).toBe('response:search:ccode=gb&q=london');
+    });
+
+    it('should key forecasts by days and history by date range', () => {
+      expect(
+        ResponseCache.buildKey('getForecastByCity', {
+          params: { cityId: '123' },
+          query: { days: '3' }
+        })
+      ).toBe('response:getForecastByCity:cityid=123&days=3');
+      expect(
+        ResponseCache.buildKey('getHistoryByCityName', {
+          query: { city: 'London', from: '2025-07-01', to: '2025-07-04' }
+        })
+      ).toBe(
+        'response:getHistoryByCityName:city=london&from=2025-07-01&to=2025-07-04'
+      );
+    });
+
+    it('should round coordinates so nearby locations share a key', () => {
+      const a = ResponseCache.buildKey('getWeatherByCoordinates', {
+        query: { lat: '51.5074', lon: '-0.1278' }
+      });
+      const b = ResponseCache.buildKey('getWeatherByCoordinates', {
+        query: { lat: 51.5149, lon: -0.13 }
+      });
+
+      expect(a).toBe('response:getWeatherByCoordinates:lat=51.51&lon=-0.13');
+      expect(b).toBe(a);
+    });
+
+    it('should round coordinates to the configured precision', () => {
+      mockConfig.cache.responses.coordinatePrecision = 1;
+
+      expect(
+        ResponseCache.buildKey('getWeatherByCoordinates', {
+          query: { lat: '51.5074', lon: '-0.1278' }
+        })
+      ).toBe('response:getWeatherByCoordinates:lat=51.5&lon=-0.1');
+    });
+
+    it('should separate keys by operation', () => {
+      const req = { query: { city: 'London' }, params: {} };
+
+      expect(ResponseCache.buildKey('search', req)).not.toBe(
+        ResponseCache.buildKey('getWeatherByCityName', req)
+      );
+    });
+  });
+
+  describe('TTL Resolution', () => {
+    it('should use per-operation TTLs from config', () => {
+      expect(ResponseCache.getTtl('search')).toBe(3600000);
+      expect(ResponseCache.getTtl('getWeatherByCity')).toBe(600000);
+      expect(ResponseCache.getTtl('getWeatherByCityName')).toBe(120000);
+      expect(ResponseCache.getTtl('getWeatherByCoordinates')).toBe(900000);
+    });
+
+    it('should share TTLs between forecast and history lookups', () => {
+      expect(ResponseCache.getTtl('getForecastByCity')).toBe(1800000);
+      expect(ResponseCache.getTtl('getForecastByCityName')).toBe(1800000);
+      expect(ResponseCache.getTtl('getHistoryByCity')).toBe(86400000);
+      expect(ResponseCache.getTtl('getHistoryByCityName')).toBe(86400000);
+    });
+
+    it('should fall back to the default TTL for unknown operations', () => {
+      expect(ResponseCache.getTtl('unknown')).toBe(300000);
+    });
+  });
+
+  describe('Read-through Fetch', () => {
+    it('should load, store and mark a miss when nothing is cached', async () => {
+      const req = { params: { cityId: '123' } };
+      const loader = jest.fn().mockResolvedValue({ data: { temp: 20 } });
+
+      const result = await ResponseCache.fetch('getWeatherByCity', req, loader);
+
+      expect(result).toEqual({ data: { temp: 20 } });
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(mockCache.set).toHaveBeenCalledWith(
+        'response:getWeatherByCity:cityid=123',
+        { data: { data: { temp: 20 } }, cachedAt: expect.any(Number) },
+        600000 + 86400000
+      );
+      expect(req.cacheStatus).toBe(CACHE_STATUS.MISS);
+    });
+
+    it('should return cached data and mark a hit', async () => {
+      const req = { params: { cityId: '123' } };
+      const loader = jest.fn();
+      mockCache.get.mockResolvedValue({ data: { temp: 18 }, cachedAt: Date.now() });
+
+      const result = await ResponseCache.fetch('getWeatherByCity', req, loader);
+
+      expect(result).toEqual({ temp: 18 });
+      expect(loader).not.toHaveBeenCalled();
+      expect(req.cacheStatus).toBe(CACHE_STATUS.HIT);
+    });
+
+    it('should record when the served entry was cached', async () => {
+      const cachedAt = Date.now() - 30000;
+      const req = { params: { cityId: '123' } };
+      mockCache.get.mockResolvedValue({ data: { temp: 18 }, cachedAt });
+
+      await ResponseCache.fetch('getWeatherByCity', req, jest.fn());
+
+      expect(req.cacheAge).toBe(30);
+      expect(Math.abs(req.cachedAt - cachedAt)).toBeLessThan(1000);
+    });
+
+    it('should bypass the cache when response caching is disabled', async () => {
+      mockConfig.cache.responses.enabled = false;
+      const req = { query: { q: 'London' } };
+      const loader = jest.fn().mockResolvedValue([]);
+
+      await ResponseCache.fetch('search', req, loader);
+
+      expect(getUnifiedCache).not.toHaveBeenCalled();
+      expect(req.cacheStatus).toBeUndefined();
+    });
+
+    it('should treat cache read failures as a miss', async () => {
+      mockCache.get.mockRejectedValue(new Error('Redis client not connected'));
+      const loader = jest.fn().mockResolvedValue({ ok: true });
+
+      const result = await ResponseCache.fetch('search', { query: {} }, loader);
+
+      expect(result).toEqual({ ok: true });
+      expect(loader).toHaveBeenCalled();
+    });
+
+    it('should still return data when the cache write fails', async () => {
+      mockCache.set.mockRejectedValue(new Error('Redis client not connected'));
+      const loader = jest.fn().mockResolvedValue({ ok: true });
+
+      await expect(
+        ResponseCache.fetch('search', { query: {} }, loader)
+      ).resolves.toEqual({ ok: true });
+    });
+
+    it('should not cache upstream failures', async () => {
+      const loader = jest.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+
+      await expect(
+        ResponseCache.fetch('search', { query: { q: 'x' } }, loader)
+      ).rejects.toThrow('ECONNREFUSED');
+      expect(mockCache.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Stale Responses', () => {
+    const ago = ms => Date.now() - ms;
+
+    it('should serve an expired entry within the revalidation window and refresh it', async () => {
+      const req = { params: { cityId: '123' } };
+      const loader = jest.fn().mockResolvedValue({ temp: 21 });
+      mockCache.get.mockResolvedValue({ data: { temp: 18 }, cachedAt: ago(630000) });
+
+      const result = await ResponseCache.fetch('getWeatherByCity', req, loader);
+
+      expect(result).toEqual({ temp: 18 });
+      expect(req.cacheStatus).toBe(CACHE_STATUS.STALE);
+      expect(req.cacheAge).toBe(630);
+
+      // Let the background refresh settle
+      await new Promise(resolve => {
+        setImmediate(resolve);
+      });
+      expect(loader).toHaveBeenCalledTimes(1);
+      expect(mockCache.set).toHaveBeenCalledWith(
+        'response:getWeatherByCity:cityid=123',
+        { data: { temp: 21 }, cachedAt: expect.any(Number) },
+        600000 + 86400000
+      );
+    });
+
+    it('should only run one background refresh per key at a time', async () => {
+      let finish;
+      const loader = jest.fn(
+        () =>
+          new Promise(resolve => {
+            finish = resolve;
+          })
+      );
+      mockCache.get.mockResolvedValue({ data: {}, cachedAt: ago(630000) });
+
+      await ResponseCache.fetch(
+        'getWeatherByCity',
+        { params: { cityId: '1' } },
+        loader
+      );
+      await ResponseCache.fetch(
+        'getWeatherByCity',
+        { params: { cityId: '1' } },
+        loader
+      );
+
+      expect(loader).toHaveBeenCalledTimes(1);
+      finish({});
+    });
+
+    it('should load synchronously once the revalidation window has passed', async () => {
+      const req = { params: { cityId: '123' } };
+      const loader = jest.fn().mockResolvedValue({ temp: 22 });
+      mockCache.get.mockResolvedValue({ data: { temp: 18 }, cachedAt: ago(700000) });
+
+      const result = await ResponseCache.fetch('getWeatherByCity', req, loader);
+
+      expect(result).toEqual({ temp: 22 });
+      expect(req.cacheStatus).toBe(CACHE_STATUS.MISS);
+    });
+
+    it('should return the last good response for fallbacks', async () => {
+      const req = { query: { city: 'London' } };
+      mockCache.get.mockResolvedValue({ data: { temp: 15 }, cachedAt: ago(3600000) });
+
+      const result = await ResponseCache.serveStale('getWeatherByCityName', req);
+
+      expect(result).toEqual({ temp: 15 });
+      expect(req.cacheStatus).toBe(CACHE_STATUS.STALE);
+      expect(req.cacheAge).toBe(3600);
+    });
+
+    it('should not serve entries older than the stale-if-error window', async () => {
+      mockCache.get.mockResolvedValue({ data: {}, cachedAt: ago(120000 + 86400000) });
+
+      await expect(
+        ResponseCache.serveStale('getWeatherByCityName', { query: { city: 'x' } })
+      ).resolves.toBeNull();
+    });
+
+    it('should not serve stale responses when stale-if-error is disabled', async () => {
+      mockConfig.cache.responses.staleIfError = 0;
+      mockCache.get.mockResolvedValue({ data: {}, cachedAt: Date.now() });
+
+      await expect(
+        ResponseCache.serveStale('search', { query: {} })
+      ).resolves.toBeNull();
+      expect(getUnifiedCache).not.toHaveBeenCalled();
+    });
+
+    it('should return null when nothing was cached', async () => {
+      await expect(
+        ResponseCache.serveStale('search', { query: { q: 'nowhere' } })
+      ).resolves.toBeNull();
+    });
+  });
+});
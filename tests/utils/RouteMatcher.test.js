@@ -0,0 +1,34 @@
+import { matchesRoute, normalizeRoute } from '../../src/utils/RouteMatcher.js';
+
+describe('RouteMatcher', () => {
+  describe('normalizeRoute', () => {
+    it('should upper-case the method and tidy slashes', () => {
+      expect(normalizeRoute('get', '//weather//search/')).toEqual({
+        method: 'GET',
+        path: '/weather/search'
+      });
+    });
+
+    it('should treat an empty path as the root', () => {
+      expect(normalizeRoute('GET', '')).toEqual({ method: 'GET', path: '/' });
+    });
+  });
+
+  describe('matchesRoute', () => {
+    it('should match exact method and path', () => {
+      expect(matchesRoute('POST /weather/bulk', 'POST', '/weather/bulk')).toBe(true);
+      expect(matchesRoute('POST /weather/bulk', 'GET', '/weather/bulk')).toBe(false);
+    });
+
+    it('should match everything below a trailing wildcard', () => {
+      expect(matchesRoute('GET /weather/*', 'GET', '/weather')).toBe(true);
+      expect(matchesRoute('GET /weather/*', 'GET', '/weather/current/1')).toBe(true);
+      expect(matchesRoute('GET /weather/*', 'GET', '/weatherman')).toBe(false);
+    });
+
+    it('should support any-method and catch-all patterns', () => {
+      expect(matchesRoute('* /health', 'DELETE', '/health')).toBe(true);
+      expect(matchesRoute('*', 'PUT', '/anything')).toBe(true);
+    });
+  });
+});
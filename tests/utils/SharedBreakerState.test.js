@@ -0,0 +1,291 @@
+import Config from '../../src/config/Config.js';
+import { globalRedisCache } from '../../src/utils/RedisCache.js';
+import SharedBreakerState from '../../src/utils/SharedBreakerState.js';
+
+jest.mock('../../src/config/Config.js');
+jest.mock('../../src/utils/RedisCache.js', () => ({
+  globalRedisCache: { isConnected: false, connect: jest.fn(), client: null }
+}));
+jest.mock('../../src/utils/Logger.js', () => ({
+  createModuleLogger: jest.fn(() => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }))
+}));
+
+describe('SharedBreakerState', () => {
+  const options = { rollingCountTimeout: 60000, rollingCountBuckets: 3 };
+  let sharedState;
+  let subscriber;
+  let transaction;
+
+  /**
+   * Deliver a payload to the subscriber as Redis would
+   * @param {string} payload - Channel message
+   */
+  const deliver = payload => {
+    const [, onMessage] = subscriber.on.mock.calls.find(
+      ([name]) => name === 'message'
+    );
+    onMessage('circuit-breakers', payload);
+  };
+
+  beforeEach(async () => {
+    await SharedBreakerState.stop();
+    sharedState = { enabled: true, channel: 'circuit-breakers' };
+    Config.getInstance = jest.fn().mockReturnValue({
+      circuitBreaker: { sharedState }
+    });
+
+    subscriber = {
+      on: jest.fn(),
+      subscribe: jest.fn().mockResolvedValue(1),
+      quit: jest.fn().mockResolvedValue('OK'),
+      disconnect: jest.fn()
+    };
+    transaction = {
+      hincrby: jest.fn().mockReturnThis(),
+      pexpire: jest.fn().mockReturnThis(),
+      hgetall: jest.fn().mockReturnThis(),
+      exec: jest.fn()
+    };
+    globalRedisCache.isConnected = true;
+    globalRedisCache.connect = jest.fn().mockResolvedValue(globalRedisCache);
+    globalRedisCache.client = {
+      duplicate: jest.fn().mockReturnValue(subscriber),
+      publish: jest.fn().mockResolvedValue(1),
+      multi: jest.fn().mockReturnValue(transaction),
+      del: jest.fn().mockResolvedValue(1)
+    };
+  });
+
+  describe('start', () => {
+    it('should stay local without touching Redis when disabled', async () => {
+      sharedState.enabled = false;
+
+      await expect(SharedBreakerState.start(jest.fn())).resolves.toBe(false);
+
+      expect(globalRedisCache.client.duplicate).not.toHaveBeenCalled();
+      expect(SharedBreakerState.isAvailable()).toBe(false);
+    });
+
+    it('should subscribe on a copy of the cache connection', async () => {
+      await expect(SharedBreakerState.start(jest.fn())).resolves.toBe(true);
+
+      expect(subscriber.subscribe).toHaveBeenCalledWith('circuit-breakers');
+      expect(SharedBreakerState.isAvailable()).toBe(true);
+    });
+
+    it('should connect the cache when it is not connected yet', async () => {
+      globalRedisCache.isConnected = false;
+
+      await SharedBreakerState.start(jest.fn());
+
+      expect(globalRedisCache.connect).toHaveBeenCalled();
+    });
+
+    it('should share one connection between concurrent starts', async () => {
+      await Promise.all([
+        SharedBreakerState.start(jest.fn()),
+        SharedBreakerState.start(jest.fn())
+      ]);
+
+      expect(globalRedisCache.client.duplicate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep local state when Redis is down and retry on the next start', async () => {
+      globalRedisCache.isConnected = false;
+      globalRedisCache.connect.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+
+      await expect(SharedBreakerState.start(jest.fn())).resolves.toBe(false);
+      expect(SharedBreakerState.isAvailable()).toBe(false);
+
+      globalRedisCache.isConnected = true;
+      await expect(SharedBreakerState.start(jest.fn())).resolves.toBe(true);
+    });
+
+    describe('retries', () => {
+      beforeEach(() => {
+        jest.useFakeTimers();
+        globalRedisCache.isConnected = false;
+        globalRedisCache.connect.mockRejectedValue(new Error('ECONNREFUSED'));
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      it('should retry with a doubling delay until Redis is back', async () => {
+        await SharedBreakerState.start(jest.fn());
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(globalRedisCache.connect).toHaveBeenCalledTimes(2);
+
+        await jest.advanceTimersByTimeAsync(1999);
+        expect(globalRedisCache.connect).toHaveBeenCalledTimes(2);
+
+        globalRedisCache.isConnected = true;
+        await jest.advanceTimersByTimeAsync(1);
+        expect(SharedBreakerState.isAvailable()).toBe(true);
+
+        await jest.advanceTimersByTimeAsync(60000);
+        expect(globalRedisCache.client.duplicate).toHaveBeenCalledTimes(1);
+      });
+
+      it('should cancel the pending retry when stopped', async () => {
+        await SharedBreakerState.start(jest.fn());
+        await SharedBreakerState.stop();
+
+        await jest.advanceTimersByTimeAsync(60000);
+
+        expect(globalRedisCache.connect).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('should close the copy when subscribing fails', async () => {
+      subscriber.subscribe.mockRejectedValueOnce(new Error('NOPERM'));
+
+      await expect(SharedBreakerState.start(jest.fn())).resolves.toBe(false);
+
+      expect(subscriber.disconnect).toHaveBeenCalled();
+    });
+  });
+
+  describe('events', () => {
+    it('should publish events and pass on only those of other replicas', async () => {
+      const onEvent = jest.fn();
+      await SharedBreakerState.start(onEvent);
+
+      await SharedBreakerState.publish('weather-search', 'timeout', {
+        timeout: 2500
+      });
+      const [channel, payload] = globalRedisCache.client.publish.mock.calls[0];
+      deliver(payload);
+      deliver(
+        JSON.stringify({
+          origin: 'other-replica',
+          breaker: 'weather-search',
+          type: 'open'
+        })
+      );
+
+      expect(channel).toBe('circuit-breakers');
+      expect(JSON.parse(payload)).toMatchObject({
+        breaker: 'weather-search',
+        type: 'timeout',
+        timeout: 2500
+      });
+      expect(onEvent).toHaveBeenCalledTimes(1);
+      expect(onEvent).toHaveBeenCalledWith(
+        expect.objectContaining({ breaker: 'weather-search', type: 'open' })
+      );
+    });
+
+    it('should ignore malformed events', async () => {
+      const onEvent = jest.fn();
+      await SharedBreakerState.start(onEvent);
+
+      expect(() => deliver('not json')).not.toThrow();
+      expect(onEvent).not.toHaveBeenCalled();
+    });
+
+    it('should not publish while Redis is disconnected', async () => {
+      await SharedBreakerState.start(jest.fn());
+      globalRedisCache.isConnected = false;
+
+      await SharedBreakerState.publish('weather-search', 'open');
+
+      expect(globalRedisCache.client.publish).not.toHaveBeenCalled();
+    });
+
+    it('should swallow publish errors', async () => {
+      await SharedBreakerState.start(jest.fn());
+      globalRedisCache.client.publish.mockRejectedValueOnce(new Error('READONLY'));
+
+      await expect(
+        SharedBreakerState.publish('weather-search', 'open')
+      ).resolves.toBeUndefined();
+    });
+  });
+
+  describe('rolling counts', () => {
+    beforeEach(async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(100000);
+      await SharedBreakerState.start(jest.fn());
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should count a failure and sum the window of every replica', async () => {
+      transaction.exec.mockResolvedValue([
+        [null, 4],
+        [null, 2],
+        [null, 1],
+        [null, { fires: '4', failures: '2' }],
+        [null, { fires: '6', failures: '5' }],
+        [null, {}]
+      ]);
+
+      const totals = await SharedBreakerState.record('weather-search', true, options);
+
+      expect(totals).toEqual({ fires: 10, failures: 7 });
+      expect(transaction.hincrby).toHaveBeenCalledWith(
+        'circuit-breaker:weather-search:5',
+        'failures',
+        1
+      );
+      expect(transaction.pexpire).toHaveBeenCalledWith(
+        'circuit-breaker:weather-search:5',
+        80000
+      );
+      expect(transaction.hgetall.mock.calls).toEqual([
+        ['circuit-breaker:weather-search:5'],
+        ['circuit-breaker:weather-search:4'],
+        ['circuit-breaker:weather-search:3']
+      ]);
+    });
+
+    it('should count a success as a fire only', async () => {
+      transaction.exec.mockResolvedValue([
+        [null, 1],
+        [null, 1],
+        [null, { fires: '1' }]
+      ]);
+
+      await SharedBreakerState.record('weather-search', false, options);
+
+      expect(transaction.hincrby).toHaveBeenCalledTimes(1);
+      expect(transaction.hincrby).toHaveBeenCalledWith(
+        'circuit-breaker:weather-search:5',
+        'fires',
+        1
+      );
+    });
+
+    it('should return no totals when Redis fails or is disconnected', async () => {
+      transaction.exec.mockRejectedValueOnce(new Error('Connection is closed.'));
+
+      await expect(
+        SharedBreakerState.record('weather-search', true, options)
+      ).resolves.toBeNull();
+
+      globalRedisCache.isConnected = false;
+      await expect(
+        SharedBreakerState.record('weather-search', true, options)
+      ).resolves.toBeNull();
+    });
+
+    it('should clear every bucket of the window', async () => {
+      await SharedBreakerState.clear('weather-search', options);
+
+      expect(globalRedisCache.client.del).toHaveBeenCalledWith(
+        'circuit-breaker:weather-search:5',
+        'circuit-breaker:weather-search:4',
+        'circuit-breaker:weather-search:3'
+      );
+    });
+  });
+});
@@ -106,4 +106,35 @@ describe('UrlUtils', () => {
       expect(result).toBe('http://localhost:8080/api/v1/weather/search');
     });
   });
+
+  describe('getApiVersion', () => {
+    it('should return the trailing version segment', () => {
+      expect(UrlUtils.getApiVersion('api/v1')).toBe('v1');
+      expect(UrlUtils.getApiVersion('/gateway/api/v12/')).toBe('v12');
+    });
+
+    it('should return null for an unversioned prefix', () => {
+      expect(UrlUtils.getApiVersion('api')).toBeNull();
+      expect(UrlUtils.getApiVersion('')).toBeNull();
+    });
+  });
+
+  describe('getApiBasePath', () => {
+    it('should drop the version segment', () => {
+      expect(UrlUtils.getApiBasePath('api/v1')).toBe('api');
+      expect(UrlUtils.getApiBasePath('gateway')).toBe('gateway');
+    });
+  });
+
+  describe('withApiVersion', () => {
+    it('should replace the version segment', () => {
+      expect(UrlUtils.withApiVersion('api/v1', 'v2')).toBe('api/v2');
+      expect(UrlUtils.withApiVersion('/api/v1/', 'v1')).toBe('api/v1');
+    });
+
+    it('should append the version to an unversioned prefix', () => {
+      expect(UrlUtils.withApiVersion('gateway', 'v2')).toBe('gateway/v2');
+      expect(UrlUtils.withApiVersion('', 'v1')).toBe('v1');
+    });
+  });
 });
@@ -0,0 +1,57 @@
+import {
+  SUPPORTED_LANGUAGES,
+  translateCondition,
+  translateWeather
+} from '../../src/utils/WeatherTranslations.js';
+
+describe('WeatherTranslations', () => {
+  describe('translateCondition', () => {
+    it('should translate known descriptions regardless of case', () => {
+      expect(translateCondition('light rain', 'es')).toBe('lluvia ligera');
+      expect(translateCondition('LIGHT RAIN ', 'fr')).toBe('Légère pluie');
+    });
+
+    it('should keep the capitalisation of the first letter', () => {
+      expect(translateCondition('Clear sky', 'it')).toBe('Cielo sereno');
+    });
+
+    it('should leave unknown descriptions in English', () => {
+      expect(translateCondition('Volcanic ash', 'de')).toBe('Volcanic ash');
+    });
+  });
+
+  describe('translateWeather', () => {
+    const payload = {
+      success: true,
+      data: {
+        description: 'Overcast clouds',
+        days: [{ description: 'snow' }],
+        conditions: 'Data unavailable'
+      }
+    };
+
+    it('should translate descriptions and fallback conditions', () => {
+      expect(translateWeather(payload, 'pt').data).toEqual({
+        description: 'Céu encoberto',
+        days: [{ description: 'neve' }],
+        conditions: 'Dados indisponíveis'
+      });
+    });
+
+    it('should return English and unsupported languages untouched', () => {
+      expect(translateWeather(payload)).toBe(payload);
+      expect(translateWeather(payload, 'en')).toBe(payload);
+      expect(translateWeather(payload, 'xx')).toBe(payload);
+    });
+
+    it('should not modify the original payload', () => {
+      translateWeather(payload, 'es');
+
+      expect(payload.data.description).toBe('Overcast clouds');
+    });
+
+    it('should support English plus five translations', () => {
+      expect(SUPPORTED_LANGUAGES).toEqual(['en', 'es', 'fr', 'de', 'it', 'pt']);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import { convertWeather, UNITS } from '../../src/utils/WeatherUnits.js';
+
+describe('WeatherUnits', () => {
+  const current = {
+    success: true,
+    data: {
+      temperature: 15,
+      feelsLike: -40,
+      windSpeed: 10,
+      pressure: 1013,
+      humidity: 80,
+      description: 'Overcast clouds'
+    }
+  };
+
+  it('should return metric payloads untouched', () => {
+    expect(convertWeather(current)).toBe(current);
+    expect(convertWeather(current, UNITS.METRIC)).toBe(current);
+  });
+
+  it('should convert to imperial units', () => {
+    expect(convertWeather(current, UNITS.IMPERIAL).data).toEqual({
+      temperature: 59,
+      feelsLike: -40,
+      windSpeed: 22.37,
+      pressure: 29.91,
+      humidity: 80,
+      description: 'Overcast clouds'
+    });
+  });
+
+  it('should convert temperatures to Kelvin in standard units', () => {
+    expect(convertWeather(current, UNITS.STANDARD).data).toEqual(
+      expect.objectContaining({ temperature: 288.15, windSpeed: 10, pressure: 1013 })
+    );
+  });
+
+  it('should convert nested forecast days and bulk entries', () => {
+    const bulk = {
+      data: {
+        'london-gb': { temperature: 0 },
+        'oslo-no': { days: [{ minTemperature: -10, maxTemperature: 100 }] }
+      }
+    };
+
+    expect(convertWeather(bulk, UNITS.IMPERIAL).data).toEqual({
+      'london-gb': { temperature: 32 },
+      'oslo-no': { days: [{ minTemperature: 14, maxTemperature: 212 }] }
+    });
+  });
+
+  it('should not modify the original payload', () => {
+    const snapshot = JSON.parse(JSON.stringify(current));
+
+    convertWeather(current, UNITS.IMPERIAL);
+
+    expect(current).toEqual(snapshot);
+  });
+
+  it('should leave null measurements and unknown unit systems alone', () => {
+    expect(convertWeather({ temperature: null }, UNITS.IMPERIAL)).toEqual({
+      temperature: null
+    });
+    const payload = { temperature: 15 };
+    expect(convertWeather(payload, 'kelvin')).toBe(payload);
+  });
+});